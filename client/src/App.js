@@ -5,10 +5,22 @@ import UserList from './components/UserList';
 import AudioControls from './components/AudioControls';
 import ConnectionStatus from './components/ConnectionStatus';
 import Login from './components/Login';
-import { WebRTCManager } from './utils/webrtcManager';
-import QRCodeGenerator from './components/QRCodeGenerator';
+import { WebRTCManager, PEER_STATES } from './utils/webrtcManager';
+import { ALL_PEERS } from './utils/statsEngine';
+import { getProtocolHandshake, CALL_EVENTS, SESSION_EVENTS, PRESENCE_EVENTS } from './utils/signalingProtocol';
+import { AuthSession } from './utils/authSession';
+import { getInviteFromLocation, clearInviteFromLocation } from './utils/inviteLinks';
+import InvitePanel from './components/InvitePanel';
 import QRCodeScanner from './components/QRCodeScanner';
 import MicrophonePermissionGuide from './components/MicrophonePermissionGuide';
+import SafetyNumber from './components/SafetyNumber';
+import ChatPanel from './components/ChatPanel';
+import DiagnosticsPanel from './components/DiagnosticsPanel';
+import IncomingCallModal from './components/IncomingCallModal';
+import RecordButton from './components/RecordButton';
+import RecordingNotice from './components/RecordingNotice';
+import RecordingHelper, { RECORDING_MODES, STEM_FORMATS } from './utils/recordingHelper';
+import RecordingPlayer, { PLAYER_PATH } from './components/RecordingPlayer';
 import VideoChat from './VideoChat';
 import { Button } from './components/ui/button';
 
@@ -21,12 +33,15 @@ console.log('Using WebSocket URL:', WS_URL);
 
 function App() {
   // State
+  const [authSession, setAuthSession] = useState(null);
   const [socket, setSocket] = useState(null);
   const [connected, setConnected] = useState(false);
+  const [reconnecting, setReconnecting] = useState(false); // Socket is trying to get back to the server
   const [username, setUsername] = useState('');
   const [users, setUsers] = useState([]);
   const [currentCall, setCurrentCall] = useState(null);
-  const [callStatus, setCallStatus] = useState('idle'); // idle, calling, connected
+  const [callStatus, setCallStatus] = useState('idle'); // idle, calling, ringing, connecting, connected, reconnecting
+  const [incomingCall, setIncomingCall] = useState(null); // { id, username, expiresAt } while ringing
   const [audioEnabled, setAudioEnabled] = useState(true);
   const [networkQuality, setNetworkQuality] = useState(100); // 0-100
   const [darkMode, setDarkMode] = useState(
@@ -40,11 +55,47 @@ function App() {
   const [microphoneStatus, setMicrophoneStatus] = useState(null);
   const [errorMessage, setErrorMessage] = useState(null);
   const [showVideoChat, setShowVideoChat] = useState(false);
+  const [safetyNumber, setSafetyNumber] = useState(null);
+  const [networkRoute, setNetworkRoute] = useState(null); // Selected ICE candidate pair of the call
+  const [chatMessages, setChatMessages] = useState([]);
+  const [peerTyping, setPeerTyping] = useState(false);
+  const [showDiagnostics, setShowDiagnostics] = useState(false); // Live stats drawer of the call
+  const [showPlayer, setShowPlayer] = useState(() => window.location.pathname === PLAYER_PATH); // Needs no login
+  
+  // Recording the call, audio only
+  const [remoteStream, setRemoteStream] = useState(null);
+  const [isRecording, setIsRecording] = useState(false);
+  const [recordingTime, setRecordingTime] = useState(0);
+  const [recordingMode, setRecordingMode] = useState(RECORDING_MODES.AUDIO);
+  const [stemFormat, setStemFormat] = useState(STEM_FORMATS.OPUS);
+  const [recorders, setRecorders] = useState([]); // The other user, while they record
+  const [consentAnswers, setConsentAnswers] = useState({}); // Our answer to their recording
+  const [recordingConsents, setRecordingConsents] = useState({}); // Their answer to our recording
+  
+  // Invite to redeem once registered, from the /join/<token> route or the scanner
+  const [pendingInvite, setPendingInvite] = useState(() => getInviteFromLocation());
+  const [roomInvitation, setRoomInvitation] = useState(null); // { roomId, invite }
   
   // Refs
   const localStream = useRef(null);
   const localAudioRef = useRef(null);
   const remoteAudioRef = useRef(null);
+  const recordingHelperRef = useRef(new RecordingHelper());
+  
+  // Latest values for socket handlers, which are registered only once
+  const webrtcManagerRef = useRef(null);
+  const sessionRef = useRef(null); // { sessionId, peerId } from the server
+  const callStatusRef = useRef(callStatus);
+  const currentCallRef = useRef(currentCall);
+  const incomingCallRef = useRef(incomingCall);
+  const showVideoChatRef = useRef(showVideoChat);
+  
+  useEffect(() => {
+    callStatusRef.current = callStatus;
+    currentCallRef.current = currentCall;
+    incomingCallRef.current = incomingCall;
+    showVideoChatRef.current = showVideoChat;
+  }, [callStatus, currentCall, incomingCall, showVideoChat]);
   
   // Cleanup local audio stream
   const cleanupLocalStream = () => {
@@ -59,44 +110,95 @@ function App() {
     }
   };
   
+  // Stop our recording of the call and save it; if saving is cancelled, the
+  // video chat lobby offers it again
+  const finishRecording = useCallback(async () => {
+    const recordingHelper = recordingHelperRef.current;
+    
+    if (!recordingHelper.isCurrentlyRecording()) return;
+    
+    setIsRecording(false);
+    setRecordingTime(0);
+    
+    let recordedBlob;
+    
+    try {
+      recordedBlob = await recordingHelper.stopRecording();
+    } finally {
+      // After a hang-up the other user knows already
+      const manager = webrtcManagerRef.current;
+      if (manager && manager.isInCall()) {
+        manager.setRecording(false).catch(console.error);
+      }
+    }
+    
+    await recordingHelper.downloadRecording(recordedBlob, 'voice-call');
+  }, []);
+  
   // Handle call end (cleanup)
+  // The WebRTC manager stays alive between calls; only the call is torn down
   const handleCallEnd = useCallback(() => {
-    if (webrtcManager) {
-      webrtcManager.dispose();
-      setWebrtcManager(null);
+    finishRecording().catch(error => console.error('Error saving recording:', error));
+    
+    if (webrtcManagerRef.current) {
+      webrtcManagerRef.current.endCall(false);
     }
     
-    cleanupLocalStream();
+    if (remoteAudioRef.current) {
+      remoteAudioRef.current.srcObject = null;
+    }
     
     setCurrentCall(null);
     setCallStatus('idle');
     setNetworkQuality(100);
     setIsSpeaking(false);
     setPeerSpeaking(false);
-  }, [webrtcManager]);
+    setSafetyNumber(null);
+    setNetworkRoute(null);
+    setRemoteStream(null);
+    setRecorders([]);
+    setConsentAnswers({});
+    setRecordingConsents({});
+    
+    // Chat history lives only as long as the call
+    setChatMessages([]);
+    setPeerTyping(false);
+  }, [finishRecording]);
   
   // Initialize WebRTC manager
   const initializeWebRTC = useCallback(async (socketInstance) => {
+    // A new session gives us a new peer ID, so start over with a fresh manager
+    if (webrtcManagerRef.current) {
+      webrtcManagerRef.current.dispose();
+      webrtcManagerRef.current = null;
+    }
+    
     try {
       const manager = new WebRTCManager(socketInstance, {
-        userId: socketInstance.id,
+        userId: sessionRef.current ? sessionRef.current.peerId : socketInstance.id,
         onPeerConnect: (peerId, stream) => {
           if (remoteAudioRef.current && stream) {
             remoteAudioRef.current.srcObject = stream;
           }
+          setRemoteStream(stream || null);
           setCallStatus('connected');
         },
-        onPeerDisconnect: (peerId) => {
-          setCallStatus('idle');
-          setCurrentCall(null);
-          setPeerSpeaking(false);
+        onPeerDisconnect: () => {
+          handleCallEnd();
+        },
+        onPeerStateChange: (peerId, state) => {
+          if (!currentCallRef.current || peerId !== currentCallRef.current.id) return;
+          
+          // Only an established call is reconnecting; the manager restarts ICE meanwhile
+          setCallStatus(prev => {
+            if (state === PEER_STATES.RECONNECTING && prev === 'connected') return 'reconnecting';
+            if (state === PEER_STATES.CONNECTED && prev === 'reconnecting') return 'connected';
+            return prev;
+          });
         },
         onSpeakingChange: (speaking) => {
           setIsSpeaking(speaking);
         },
-        onAudioQualityChange: (quality) => {
-          setNetworkQuality(quality.overall);
-        },
         onError: (error) => {
           console.error('WebRTC error:', error);
           setErrorMessage(error);
@@ -105,20 +207,82 @@ function App() {
         onMicrophoneStatus: (status) => {
           console.log('Microphone status:', status);
           setMicrophoneStatus(status);
+        },
+        onSafetyNumberChange: (peerId, value) => {
+          if (currentCallRef.current && peerId === currentCallRef.current.id) {
+            setSafetyNumber(value);
+          }
+        },
+        onNetworkRouteChange: (peerId, route) => {
+          if (currentCallRef.current && peerId === currentCallRef.current.id) {
+            setNetworkRoute(route);
+          }
+        },
+        onChatMessage: (peerId, message) => {
+          const peer = currentCallRef.current;
+          if (!peer || peerId !== peer.id) return;
+          
+          setChatMessages(prev => [...prev, { ...message, author: peer.username, own: false }]);
+        },
+        onChatDelivery: (messageId, peerId) => {
+          setChatMessages(prev => prev.map(message => (
+            message.id === messageId
+              ? { ...message, deliveredTo: [...message.deliveredTo, peerId] }
+              : message
+          )));
+        },
+        onChatTyping: (peerId, typing) => {
+          if (currentCallRef.current && peerId === currentCallRef.current.id) {
+            setPeerTyping(typing);
+          }
+        },
+        onRecordingStateChange: (peerId, recording) => {
+          setRecorders(recording ? [peerId] : []);
+          
+          if (!recording) {
+            setConsentAnswers({});
+          }
+        },
+        onRecordingConsent: (peerId, consent) => {
+          setRecordingConsents(prev => {
+            const newState = { ...prev };
+            
+            if (consent === null) {
+              delete newState[peerId];
+            } else {
+              newState[peerId] = consent;
+            }
+            
+            return newState;
+          });
         }
       });
       
-      await manager.initialize('lobby');
+      // The call's quality indicator follows the call peer's stats
+      manager.subscribeToStats(ALL_PEERS, (sample) => {
+        if (currentCallRef.current && sample.peerId === currentCallRef.current.id && sample.score !== null) {
+          setNetworkQuality(sample.score);
+        }
+      });
+      
+      webrtcManagerRef.current = manager;
       setWebrtcManager(manager);
+      
+      await manager.initialize();
       return manager;
     } catch (error) {
       console.error('Failed to initialize WebRTC:', error);
       return null;
     }
-  }, []);
+  }, [handleCallEnd]);
   
   // Handle socket events
+  // The server only accepts authenticated sockets, so connect after login
   useEffect(() => {
+    if (!authSession) {
+      return;
+    }
+    
     if (!WS_URL) {
       console.error('WebSocket URL is not defined');
       return;
@@ -126,6 +290,7 @@ function App() {
     
     console.log('Connecting to WebSocket server at:', WS_URL);
     const newSocket = io(WS_URL, {
+      ...getProtocolHandshake(authSession, () => sessionRef.current && sessionRef.current.sessionId),
       reconnectionAttempts: 10,
       reconnectionDelay: 1000,
       reconnectionDelayMax: 5000,
@@ -139,134 +304,220 @@ function App() {
     newSocket.on('connect', () => {
       console.log('Connected to server with ID:', newSocket.id);
       setConnected(true);
+      setReconnecting(false);
+    });
+    
+    // Follows every (re)connect; a resumed session still has our registration and call
+    newSocket.on(SESSION_EVENTS.SESSION, ({ sessionId, peerId, resumed }) => {
+      sessionRef.current = { sessionId, peerId };
+      
+      if (resumed && webrtcManagerRef.current) {
+        console.log('Session resumed as peer:', peerId);
+        return;
+      }
+      
+      // The server ended the old session, and with it any call
+      setIncomingCall(null);
+      handleCallEnd();
+      
+      // Register (again, after the session expired) under the token's username
+      newSocket.emit(PRESENCE_EVENTS.REGISTER, { username: authSession.username });
       
-      // Initialize WebRTC after connection
       initializeWebRTC(newSocket).catch(error => {
         console.error('Error initializing WebRTC:', error);
       });
     });
     
+    // Calls and ringing survive a short drop; the session event tells us if they did not
     newSocket.on('disconnect', () => {
       console.log('Disconnected from server');
       setConnected(false);
-      handleCallEnd();
     });
     
+    newSocket.io.on('reconnect_attempt', () => setReconnecting(true));
+    newSocket.io.on('reconnect_failed', () => setReconnecting(false));
+    
     newSocket.on('connect_error', (error) => {
       console.error('Connection error:', error);
       setConnected(false);
+      setErrorMessage(error.message);
     });
     
-    newSocket.on('error', (error) => {
+    newSocket.on(PRESENCE_EVENTS.ERROR, (error) => {
       console.error('Socket error:', error);
       alert(`Error: ${error.message}`);
     });
     
-    newSocket.on('userList', (userList) => {
-      setUsers(userList.filter(user => user.id !== newSocket.id));
+    newSocket.on(PRESENCE_EVENTS.USER_LIST, (userList) => {
+      setUsers(userList.filter(user => !sessionRef.current || user.id !== sessionRef.current.peerId));
     });
     
-    newSocket.on('registered', (data) => {
+    newSocket.on(PRESENCE_EVENTS.REGISTERED, (data) => {
       console.log('Successfully registered as:', data.username);
       setUsername(data.username);
     });
     
-    // WebRTC signaling events
-    newSocket.on('offer', async ({ from, offer }) => {
-      console.log('Received offer from:', from);
+    // Call control events
+    newSocket.on(CALL_EVENTS.RING, ({ from, username, timeout }) => {
+      const manager = webrtcManagerRef.current;
+      if (!manager) return;
       
-      // If already in a call, reject
-      if (callStatus !== 'idle') {
-        newSocket.emit('busy', { target: from });
+      // The server knows about our 1:1 calls, but not about video rooms or another ringing call
+      if (callStatusRef.current !== 'idle' || incomingCallRef.current || showVideoChatRef.current) {
+        manager.rejectIncomingCall(from, true);
         return;
       }
       
-      // Get caller info
-      const caller = users.find(user => user.id === from);
-      if (!caller) return;
+      setIncomingCall({ id: from, username, expiresAt: Date.now() + timeout });
+    });
+    
+    newSocket.on(CALL_EVENTS.RINGING, ({ from }) => {
+      if (currentCallRef.current && from === currentCallRef.current.id && callStatusRef.current === 'calling') {
+        setCallStatus('ringing');
+      }
+    });
+    
+    newSocket.on(CALL_EVENTS.ACCEPT, async ({ from }) => {
+      const manager = webrtcManagerRef.current;
+      if (!manager || !currentCallRef.current || from !== currentCallRef.current.id) return;
       
-      // Ask user to accept call
-      const accept = window.confirm(`Incoming call from ${caller.username}. Accept?`);
-      if (!accept) {
-        newSocket.emit('reject', { target: from });
+      try {
+        setCallStatus('connecting');
+        await manager.startCall(from);
+      } catch (error) {
+        console.error('Error starting call:', error);
+        manager.endCall();
+        handleCallEnd();
+      }
+    });
+    
+    newSocket.on(CALL_EVENTS.CANCEL, ({ from }) => {
+      if (incomingCallRef.current && from === incomingCallRef.current.id) {
+        setIncomingCall(null);
+      }
+    });
+    
+    newSocket.on(CALL_EVENTS.RING_TIMEOUT, ({ from }) => {
+      if (incomingCallRef.current && from === incomingCallRef.current.id) {
+        setIncomingCall(null);
         return;
       }
       
+      if (currentCallRef.current && from === currentCallRef.current.id) {
+        alert(`${currentCallRef.current.username} did not answer`);
+        handleCallEnd();
+      }
+    });
+    
+    // WebRTC signaling events
+    // The server only relays offers within an accepted call: the caller's first
+    // offer after we accepted, or a renegotiation of the running call
+    newSocket.on(CALL_EVENTS.OFFER, async ({ from, offer }) => {
+      console.log('Received offer from:', from);
+      
+      const manager = webrtcManagerRef.current;
+      if (!manager || !currentCallRef.current || from !== currentCallRef.current.id) return;
+      
       try {
-        // Accept call using existing WebRTC manager
-        if (!webrtcManager) {
-          throw new Error('WebRTC not initialized');
-        }
-        
-        await webrtcManager.acceptIncomingCall(from, offer);
-        setCurrentCall(caller);
-        setCallStatus('connected');
+        await manager.handleRemoteDescription(from, offer);
       } catch (error) {
-        console.error('Error accepting call:', error);
-        newSocket.emit('error', { target: from, message: 'Failed to accept call' });
+        console.error('Error handling offer:', error);
+        
+        // A failed renegotiation (or ICE restart) only ends a call that never connected
+        if (callStatusRef.current !== 'connected' && callStatusRef.current !== 'reconnecting') {
+          manager.endCall();
+          handleCallEnd();
+        }
       }
     });
     
-    newSocket.on('answer', async ({ from, answer }) => {
+    newSocket.on(CALL_EVENTS.ANSWER, async ({ from, answer }) => {
       console.log('Received answer from:', from);
       
-      if (!webrtcManager || callStatus !== 'calling') return;
+      const manager = webrtcManagerRef.current;
+      if (!manager || !currentCallRef.current || from !== currentCallRef.current.id) return;
       
       try {
-        await webrtcManager.handleAnswer(from, answer);
+        await manager.handleAnswer(from, answer);
         console.log('Remote description set successfully');
-        setCallStatus('connected');
       } catch (error) {
         console.error('Error setting remote description:', error);
+        manager.endCall();
         handleCallEnd();
       }
     });
     
-    newSocket.on('iceCandidate', async ({ from, candidate }) => {
-      console.log('Received ICE candidate from:', from);
-      
-      if (!webrtcManager) return;
+    newSocket.on(CALL_EVENTS.ICE_CANDIDATE, async ({ from, candidate }) => {
+      const manager = webrtcManagerRef.current;
+      if (!manager) return;
       
       try {
-        await webrtcManager.addIceCandidate(from, candidate);
-        console.log('Added ICE candidate successfully');
+        await manager.addIceCandidate(from, candidate);
       } catch (error) {
         console.error('Error adding ICE candidate:', error);
       }
     });
     
-    newSocket.on('speaking', ({ userId, speaking }) => {
-      if (currentCall && userId === currentCall.id) {
+    newSocket.on(CALL_EVENTS.SPEAKING, ({ from, speaking }) => {
+      if (currentCallRef.current && from === currentCallRef.current.id) {
         setPeerSpeaking(speaking);
       }
     });
     
-    newSocket.on('reject', () => {
+    // The other user started or stopped recording, or answered our recording
+    newSocket.on(CALL_EVENTS.RECORDING, ({ from, recording }) => {
+      if (webrtcManagerRef.current) {
+        webrtcManagerRef.current.handleCallRecording(from, recording);
+      }
+    });
+    
+    newSocket.on(CALL_EVENTS.RECORDING_CONSENT, ({ from, consent }) => {
+      if (webrtcManagerRef.current) {
+        webrtcManagerRef.current.handleCallRecordingConsent(from, consent);
+      }
+    });
+    
+    newSocket.on(CALL_EVENTS.REJECT, () => {
       alert('Call was rejected');
       handleCallEnd();
     });
     
-    newSocket.on('busy', () => {
+    newSocket.on(CALL_EVENTS.BUSY, () => {
       alert('User is busy');
       handleCallEnd();
     });
     
-    newSocket.on('callEnded', () => {
+    newSocket.on(CALL_EVENTS.CALL_ENDED, ({ from }) => {
+      // The caller hung up or went offline while we were still ringing
+      if (incomingCallRef.current && from === incomingCallRef.current.id) {
+        setIncomingCall(null);
+        return;
+      }
+      
       alert('Call ended by the other user');
       handleCallEnd();
     });
     
     // Cleanup on unmount
     return () => {
-      if (newSocket) {
-        newSocket.disconnect();
+      if (webrtcManagerRef.current) {
+        webrtcManagerRef.current.dispose();
+        webrtcManagerRef.current = null;
       }
+      newSocket.disconnect();
+      sessionRef.current = null;
       cleanupLocalStream();
-      if (webrtcManager) {
-        webrtcManager.dispose();
+    };
+  }, [authSession, handleCallEnd, initializeWebRTC]);
+  
+  // Stop renewing the join token of a replaced session
+  useEffect(() => {
+    return () => {
+      if (authSession) {
+        authSession.dispose();
       }
     };
-  }, [callStatus, currentCall, handleCallEnd, users, initializeWebRTC, webrtcManager]);
+  }, [authSession]);
   
   // Handle dark mode preference changes
   useEffect(() => {
@@ -277,6 +528,14 @@ function App() {
     return () => mediaQuery.removeEventListener('change', handleChange);
   }, []);
   
+  // The browser's back and forward buttons open and close the player
+  useEffect(() => {
+    const handlePopState = () => setShowPlayer(window.location.pathname === PLAYER_PATH);
+    
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+  
   // Apply dark mode class to body
   useEffect(() => {
     if (darkMode) {
@@ -286,92 +545,180 @@ function App() {
     }
   }, [darkMode]);
   
-  // Handle user registration
-  const handleLogin = async (username) => {
-    if (!socket || !connected) {
-      console.error('Not connected to server');
-      alert('Not connected to server. Please try again.');
-      return;
-    }
-    
-    console.log('Attempting to register with username:', username);
+  // Handle login: get a join token, then connect and register with it
+  const handleLogin = async (username, accessCode) => {
+    const session = new AuthSession(SERVER_URL, username, accessCode, pendingInvite);
     
-    // Add event listeners for registration response
-    const onRegistered = (data) => {
-      console.log('Successfully registered as:', data.username);
-      setUsername(data.username);
-      socket.off('registered', onRegistered);
-      socket.off('error', onError);
-    };
+    // Rejects with the server's reason, e.g. a wrong access code
+    await session.getToken();
     
-    const onError = (error) => {
-      console.error('Registration error:', error);
-      alert(`Registration error: ${error.message}`);
-      socket.off('registered', onRegistered);
-      socket.off('error', onError);
-    };
-    
-    // Listen for the response
-    socket.on('registered', onRegistered);
-    socket.on('error', onError);
-    
-    // Send registration request
-    socket.emit('register', { username });
+    setAuthSession(session);
   };
   
   // Start a call with a user
-  const startCall = async (targetUser) => {
-    if (callStatus !== 'idle') return;
+  const startCall = useCallback(async (targetUser) => {
+    if (callStatus !== 'idle' || !webrtcManager) return;
     
     try {
-      // Create new WebRTC manager
-      const manager = new WebRTCManager(socket, {
-        userId: socket.id,
-        onPeerConnect: (peerId, stream) => {
-          if (remoteAudioRef.current && stream) {
-            remoteAudioRef.current.srcObject = stream;
-          }
-          setCallStatus('connected');
-        },
-        onPeerDisconnect: () => {
-          handleCallEnd();
-        },
-        onSpeakingChange: (speaking) => {
-          setIsSpeaking(speaking);
-        },
-        onAudioQualityChange: (peerId, quality) => {
-          setNetworkQuality(Math.round(quality));
-        },
-        onError: (error) => {
-          console.error('WebRTC error:', error);
-          alert(`WebRTC error: ${error}`);
-        }
-      });
-      
-      setWebrtcManager(manager);
-      
-      // Initialize and start the call
-      await manager.initialize(targetUser.id);
-      await manager.startCall(targetUser.id);
-      
       setCurrentCall(targetUser);
       setCallStatus('calling');
       
+      // The offer follows once they accept
+      webrtcManager.requestCall(targetUser.id);
     } catch (error) {
       console.error('Error starting call:', error);
       alert('Failed to start call. Please try again.');
       handleCallEnd();
     }
+  }, [callStatus, webrtcManager, handleCallEnd]);
+  
+  // Accept the ringing call; the caller then sends its offer
+  const acceptIncomingCall = async () => {
+    const caller = incomingCall;
+    if (!caller || !webrtcManager) return;
+    
+    setIncomingCall(null);
+    
+    try {
+      setCurrentCall({ id: caller.id, username: caller.username });
+      setCallStatus('connecting');
+      
+      await webrtcManager.acceptCallRequest(caller.id);
+    } catch (error) {
+      console.error('Error accepting call:', error);
+      webrtcManager.rejectIncomingCall(caller.id);
+      handleCallEnd();
+    }
   };
   
-  // End the current call
+  // Decline the ringing call
+  const declineIncomingCall = () => {
+    if (incomingCall && webrtcManager) {
+      webrtcManager.rejectIncomingCall(incomingCall.id);
+    }
+    
+    setIncomingCall(null);
+  };
+  
+  // Redeem a pending invite once registered: join the room or call the person it came from
+  useEffect(() => {
+    if (!pendingInvite || !webrtcManager || !username) return;
+    
+    setPendingInvite(null);
+    clearInviteFromLocation();
+    
+    // Refusals (expired, used up, inviter offline) arrive as server errors too
+    webrtcManager.redeemInvite(pendingInvite)
+      .then((destination) => {
+        if (destination.kind === 'room') {
+          setRoomInvitation({ roomId: destination.roomId, invite: destination.invite });
+          setShowVideoChat(true);
+        } else {
+          startCall({ id: destination.userId, username: destination.username });
+        }
+      })
+      .catch(error => console.error('Error redeeming invite:', error));
+  }, [pendingInvite, webrtcManager, username, startCall]);
+  
+  // Create an invite that lets others call us
+  const createCallInvite = (maxUses) => {
+    if (!webrtcManager) {
+      return Promise.reject(new Error('Not connected to the server'));
+    }
+    
+    return webrtcManager.createInvite(maxUses);
+  };
+  
+  // End the current call, or cancel it while it is still ringing
   const endCall = () => {
-    if (!socket || !currentCall) return;
+    if (!webrtcManager || !currentCall) return;
     
-    socket.emit('callEnded', { target: currentCall.id });
+    webrtcManager.endCall();
     handleCallEnd();
   };
   
+  // Confirm the safety number was compared with the other user
+  const verifySafetyNumber = () => {
+    if (webrtcManager && currentCall) {
+      webrtcManager.markPeerVerified(currentCall.id);
+    }
+  };
+  
+  // Send a chat message to the other user
+  const sendChatMessage = (text) => {
+    if (!webrtcManager) return;
+    
+    try {
+      const message = webrtcManager.sendChatMessage(text);
+      setChatMessages(prev => [...prev, { ...message, own: true, deliveredTo: [] }]);
+    } catch (error) {
+      setErrorMessage(error.message);
+    }
+  };
+  
+  // Both sides of the call, as the recording mixes them or keeps them apart
+  const getRecordingSources = useCallback(() => {
+    const sources = [];
+    
+    if (webrtcManager && webrtcManager.localStream) {
+      sources.push({ id: 'local', label: `${username} (You)`, stream: webrtcManager.localStream });
+    }
+    
+    // Only once the other user agreed to be recorded
+    if (currentCall && remoteStream && recordingConsents[currentCall.id] === true) {
+      sources.push({ id: currentCall.id, label: currentCall.username, stream: remoteStream });
+    }
+    
+    return sources;
+  }, [webrtcManager, username, currentCall, remoteStream, recordingConsents]);
+  
+  // The recording follows the other user's answer
+  useEffect(() => {
+    if (isRecording) {
+      recordingHelperRef.current.updateSources(getRecordingSources());
+    }
+  }, [isRecording, getRecordingSources]);
+  
+  // Start recording the call, or stop and save it
+  // The other user is told before the first sample is recorded
+  const toggleRecording = async () => {
+    if (!webrtcManager || !currentCall) return;
+    
+    if (recordingHelperRef.current.isCurrentlyRecording()) {
+      finishRecording().catch(error => console.error('Error saving recording:', error));
+      return;
+    }
+    
+    try {
+      await webrtcManager.setRecording(true);
+    } catch (error) {
+      console.error('Error announcing recording:', error);
+      return;
+    }
+    
+    const success = recordingHelperRef.current.startRecording(
+      getRecordingSources(),
+      setRecordingTime,
+      undefined,
+      { mode: recordingMode, stemFormat }
+    );
+    
+    if (success) {
+      setIsRecording(true);
+    } else {
+      webrtcManager.setRecording(false).catch(console.error);
+    }
+  };
+  
+  // Answer the other user's recording
+  const answerRecordingConsent = (recorderId, consent) => {
+    if (webrtcManager) {
+      webrtcManager.setRecordingConsent(recorderId, consent);
+    }
+    
+    setConsentAnswers({ [recorderId]: consent });
+  };
+  
   // Toggle microphone
   const toggleMicrophone = () => {
     if (webrtcManager) {
@@ -400,32 +747,23 @@ function App() {
     setShowVideoChat(!showVideoChat);
   };
   
-  // Handle QR code scan result
-  const handleQRScan = (data) => {
-    try {
-      const connectionData = JSON.parse(data);
-      if (connectionData.roomId && connectionData.userId) {
-        // Start call with scanned user
-        const user = {
-          id: connectionData.userId,
-          username: connectionData.username || 'User via QR'
-        };
-        startCall(user);
-        setShowQRScanner(false);
-      }
-    } catch (error) {
-      console.error('Invalid QR code data:', error);
-      alert('Invalid QR code. Please try again.');
+  // Open the player for encrypted recordings, on its own path so it can be bookmarked
+  const openPlayer = () => {
+    window.history.pushState(null, '', PLAYER_PATH);
+    setShowPlayer(true);
+  };
+  
+  const closePlayer = () => {
+    if (window.location.pathname === PLAYER_PATH) {
+      window.history.replaceState(null, '', '/');
     }
+    setShowPlayer(false);
   };
   
-  // Generate QR code data
-  const getQRCodeData = () => {
-    return JSON.stringify({
-      roomId: socket?.id,
-      userId: socket?.id,
-      username: username
-    });
+  // Handle QR code scan result (an invite token)
+  const handleQRScan = (inviteToken) => {
+    setShowQRScanner(false);
+    setPendingInvite(inviteToken);
   };
   
   // Handle retry for microphone permissions
@@ -470,12 +808,19 @@ function App() {
           </div>
         )}
         
-        {!username ? (
-          <Login onLogin={handleLogin} connected={connected} />
+        {showPlayer ? (
+          <RecordingPlayer onClose={closePlayer} />
+        ) : !username ? (
+          <Login onLogin={handleLogin} invited={!!pendingInvite} onOpenPlayer={openPlayer} />
         ) : showVideoChat ? (
           <VideoChat 
             username={username} 
-            onBack={() => setShowVideoChat(false)} 
+            authSession={authSession}
+            invitation={roomInvitation}
+            onBack={() => {
+              setShowVideoChat(false);
+              setRoomInvitation(null);
+            }} 
           />
         ) : (
           <div className="chat-container">
@@ -484,7 +829,13 @@ function App() {
                 <h3>Your Profile</h3>
                 <p>Username: {username}</p>
                 <p>Status: {connected ? 'Connected' : 'Disconnected'}</p>
-                <ConnectionStatus connected={connected} />
+                <ConnectionStatus
+                  connected={connected}
+                  reconnecting={reconnecting}
+                  callStatus={callStatus}
+                  currentCall={currentCall}
+                  networkQuality={networkQuality}
+                />
               </div>
               
               <div className="user-list-container">
@@ -525,6 +876,14 @@ function App() {
                 >
                   Switch to Video Chat
                 </Button>
+                
+                <Button
+                  onClick={openPlayer}
+                  variant="outline"
+                  className="mt-2"
+                >
+                  Play a Recording
+                </Button>
               </div>
             </div>
             
@@ -542,12 +901,9 @@ function App() {
                     
                     {showQRCode && (
                       <div className="qr-container">
-                        <QRCodeGenerator 
-                          data={{
-                            userId: socket?.id,
-                            username,
-                            roomId: 'lobby'
-                          }}
+                        <InvitePanel
+                          onCreateInvite={createCallInvite}
+                          description="Whoever opens this invite calls you directly"
                         />
                       </div>
                     )}
@@ -565,11 +921,34 @@ function App() {
                 ) : (
                   <div className="call-container">
                     <h2>
-                      {callStatus === 'calling' 
-                        ? `Calling ${currentCall?.username}...` 
+                      {callStatus === 'calling' ? `Calling ${currentCall?.username}...`
+                        : callStatus === 'ringing' ? `Ringing ${currentCall?.username}...`
+                        : callStatus === 'connecting' ? `Connecting to ${currentCall?.username}...`
+                        : callStatus === 'reconnecting' ? `Reconnecting to ${currentCall?.username}…`
                         : `In call with ${currentCall?.username}`}
                     </h2>
                     
+                    {networkRoute && !networkRoute.local && (
+                      <div
+                        role="status"
+                        className="mx-auto mt-2 inline-flex items-center rounded-full bg-[#D15052]/20 px-3 py-1 text-xs font-medium text-[#F8B4B4]"
+                        title={`${networkRoute.localCandidate.type} → ${networkRoute.remoteCandidate.type}${networkRoute.remoteCandidate.address ? ` (${networkRoute.remoteCandidate.address})` : ''}`}
+                      >
+                        Not on your local network: media leaves it{networkRoute.localCandidate.type === 'relay' || networkRoute.remoteCandidate.type === 'relay' ? ' through a relay' : ''}
+                      </div>
+                    )}
+                    
+                    <RecordingNotice
+                      recorders={recorders}
+                      consentAnswers={consentAnswers}
+                      onAnswer={answerRecordingConsent}
+                      isRecording={isRecording}
+                      consentedCount={Object.values(recordingConsents).filter(Boolean).length}
+                      participantCount={1}
+                      names={currentCall ? { [currentCall.id]: currentCall.username } : {}}
+                      className="my-4 rounded-lg"
+                    />
+                    
                     <div className="speaking-indicators">
                       <div className={`indicator ${isSpeaking ? 'speaking' : ''}`}>
                         You {isSpeaking ? '(Speaking)' : ''}
@@ -579,6 +958,22 @@ function App() {
                       </div>
                     </div>
                     
+                    <SafetyNumber
+                      safetyNumber={safetyNumber}
+                      peerName={currentCall?.username}
+                      onVerify={verifySafetyNumber}
+                      className="my-4"
+                    />
+                    
+                    <ChatPanel
+                      messages={chatMessages}
+                      typingNames={peerTyping ? [currentCall?.username] : []}
+                      onSend={sendChatMessage}
+                      onTyping={(typing) => webrtcManager && webrtcManager.setTyping(typing)}
+                      disabled={callStatus !== 'connected'}
+                      className="my-4"
+                    />
+                    
                     <div className="call-actions">
                       <AudioControls 
                         muted={!audioEnabled}
@@ -587,6 +982,19 @@ function App() {
                         quality={networkQuality}
                       />
                       
+                      <RecordButton
+                        isRecording={isRecording}
+                        recordingTime={recordingTime}
+                        onToggleRecording={toggleRecording}
+                        disabledReason={callStatus !== 'connected' ? 'The call is not connected yet' : null}
+                        mode={recordingMode}
+                        onModeChange={setRecordingMode}
+                        modes={[RECORDING_MODES.AUDIO, RECORDING_MODES.MULTITRACK]}
+                        stemFormat={stemFormat}
+                        onStemFormatChange={setStemFormat}
+                        className="ml-2"
+                      />
+                      
                       <Button
                         onClick={() => {
                           endCall();
@@ -597,7 +1005,24 @@ function App() {
                       >
                         Switch to Video
                       </Button>
+                      
+                      <Button
+                        onClick={() => setShowDiagnostics(prev => !prev)}
+                        variant="outline"
+                        className="ml-2"
+                      >
+                        {showDiagnostics ? 'Hide Diagnostics' : 'Diagnostics'}
+                      </Button>
                     </div>
+                    
+                    {showDiagnostics && webrtcManager && currentCall && (
+                      <DiagnosticsPanel
+                        webrtcManager={webrtcManager}
+                        peerIds={[currentCall.id]}
+                        peerNames={{ [currentCall.id]: currentCall.username }}
+                        onClose={() => setShowDiagnostics(false)}
+                      />
+                    )}
                   </div>
                 )}
               </div>
@@ -605,6 +1030,16 @@ function App() {
           </div>
         )}
         
+        {incomingCall && (
+          <IncomingCallModal
+            key={incomingCall.id}
+            caller={incomingCall}
+            expiresAt={incomingCall.expiresAt}
+            onAccept={acceptIncomingCall}
+            onDecline={declineIncomingCall}
+          />
+        )}
+        
         {/* Audio elements */}
         <audio ref={localAudioRef} autoPlay muted></audio>
         <audio ref={remoteAudioRef} autoPlay></audio>
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import VideoChatRoom from './components/VideoChatRoom';
+import UnsavedRecordings from './components/UnsavedRecordings';
 import { Button } from './components/ui/button';
 import { clsx } from 'clsx';
 
@@ -8,10 +9,16 @@ import { clsx } from 'clsx';
  * 
  * Main entry point for the video chat functionality.
  * Allows users to join a video chat room or create a new one.
+ * An invitation (from an invite link or QR code) goes straight into its room.
+ * Recordings that were never saved are offered below the form.
  */
-const VideoChat = ({ username, onBack }) => {
-  const [roomId, setRoomId] = useState('');
-  const [inRoom, setInRoom] = useState(false);
+const VideoChat = ({ username, authSession, invitation = null, onBack }) => {
+  const [roomId, setRoomId] = useState(invitation ? invitation.roomId : '');
+  const [encryptionKey, setEncryptionKey] = useState('');
+  const [roomPassword, setRoomPassword] = useState('');
+  const [forbidRecording, setForbidRecording] = useState(false);
+  const [invite, setInvite] = useState(invitation ? invitation.invite : null);
+  const [inRoom, setInRoom] = useState(!!invitation);
   const [error, setError] = useState(null);
 
   // Join a room
@@ -34,8 +41,10 @@ const VideoChat = ({ username, onBack }) => {
   };
 
   // Leave the current room
+  // The invite may be used up, so rejoining needs the password or a new invite
   const handleLeaveRoom = () => {
     setInRoom(false);
+    setInvite(null);
   };
 
   return (
@@ -44,6 +53,11 @@ const VideoChat = ({ username, onBack }) => {
         <VideoChatRoom 
           roomId={roomId}
           userId={username}
+          encryptionKey={encryptionKey || null}
+          roomPassword={roomPassword || null}
+          invite={invite}
+          forbidRecording={forbidRecording}
+          authSession={authSession}
           onLeave={handleLeaveRoom}
         />
       ) : (
@@ -71,6 +85,59 @@ const VideoChat = ({ username, onBack }) => {
               />
             </div>
             
+            <div className="mb-6">
+              <label htmlFor="roomPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                Room Password (optional)
+              </label>
+              <input
+                type="password"
+                id="roomPassword"
+                value={roomPassword}
+                onChange={(e) => setRoomPassword(e.target.value)}
+                placeholder="Required to join, set when creating"
+                autoComplete="off"
+                maxLength={128}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#4A72F5] bg-white text-gray-900"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                The first person in a room sets its password; everyone after needs it or an invite.
+              </p>
+            </div>
+            
+            <div className="mb-6">
+              <label htmlFor="forbidRecording" className="flex items-center text-sm font-medium text-gray-700">
+                <input
+                  type="checkbox"
+                  id="forbidRecording"
+                  checked={forbidRecording}
+                  onChange={(e) => setForbidRecording(e.target.checked)}
+                  className="mr-2 h-4 w-4 rounded border-gray-300 accent-[#4A72F5]"
+                />
+                Forbid recording
+              </label>
+              <p className="mt-1 text-xs text-gray-500">
+                Only applies when you create the room. Nobody in it can record the call.
+              </p>
+            </div>
+            
+            <div className="mb-6">
+              <label htmlFor="encryptionKey" className="block text-sm font-medium text-gray-700 mb-1">
+                Room Key (optional)
+              </label>
+              <input
+                type="password"
+                id="encryptionKey"
+                value={encryptionKey}
+                onChange={(e) => setEncryptionKey(e.target.value)}
+                placeholder="Shared secret for end-to-end encryption"
+                autoComplete="off"
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#4A72F5] bg-white text-gray-900"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                Share it in person. Participants without the same key will not see or hear anything.
+              </p>
+            </div>
+            
             <div className="flex flex-col space-y-3">
               <button
                 onClick={handleJoinRoom}
@@ -109,6 +176,8 @@ const VideoChat = ({ username, onBack }) => {
               </button>
             </div>
           </div>
+          
+          <UnsavedRecordings className="mt-6" />
         </div>
       )}
     </div>
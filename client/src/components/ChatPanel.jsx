@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { clsx } from 'clsx';
+import { cn } from '../lib/utils';
+import { MAX_CHAT_MESSAGE_LENGTH } from '../utils/chatHelper';
+
+/**
+ * Delivery status text for one of our own messages
+ * @param {Object} message - Chat message
+ * @returns {string} Status text
+ */
+const getDeliveryStatus = ({ recipients = [], deliveredTo = [] }) => {
+  if (recipients.length === 0) {
+    return 'Nobody else is here';
+  }
+
+  if (deliveredTo.length === 0) {
+    return 'Sending…';
+  }
+
+  if (recipients.length === 1 || deliveredTo.length === recipients.length) {
+    return 'Delivered';
+  }
+
+  return `Delivered to ${deliveredTo.length}/${recipients.length}`;
+};
+
+/**
+ * Chat Panel component
+ * Peer-to-peer text chat shown next to a call
+ *
+ * @param {Object} props - Component properties
+ * @param {Array} props.messages - Messages ({ id, author, text, timestamp, own, recipients, deliveredTo })
+ * @param {Array} props.typingNames - Names of peers that are typing
+ * @param {Function} props.onSend - Called with the message text
+ * @param {Function} props.onTyping - Called with true/false as the user types
+ * @param {boolean} props.disabled - Disable the input (e.g. before anyone joined)
+ * @param {string} props.className - Additional CSS classes
+ */
+const ChatPanel = ({ messages = [], typingNames = [], onSend, onTyping, disabled = false, className }) => {
+  const [draft, setDraft] = useState('');
+  const listRef = useRef(null);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages.length]);
+
+  const handleChange = (e) => {
+    setDraft(e.target.value);
+
+    if (onTyping) {
+      onTyping(e.target.value.length > 0);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!draft.trim()) return;
+
+    onSend(draft);
+    setDraft('');
+  };
+
+  return (
+    <div className={cn('flex flex-col rounded-2xl border border-gray-700 bg-gray-800 text-white shadow-md', className)}>
+      <div className="px-4 py-2 border-b border-gray-700 text-sm font-medium">
+        Chat
+        <span className="ml-2 text-xs font-normal text-gray-400">Peer-to-peer, not stored</span>
+      </div>
+
+      <div ref={listRef} className="flex-1 min-h-[8rem] max-h-72 overflow-y-auto p-4 space-y-3" aria-live="polite">
+        {messages.length === 0 && (
+          <p className="text-xs text-gray-400 text-center">No messages yet</p>
+        )}
+
+        {messages.map(message => (
+          <div key={message.id} className={clsx('flex flex-col', message.own ? 'items-end' : 'items-start')}>
+            <span className="text-[10px] text-gray-400">
+              {message.own ? 'You' : message.author} · {new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            </span>
+            <div
+              className={clsx(
+                'max-w-[80%] rounded-2xl px-3 py-2 text-sm whitespace-pre-wrap break-words',
+                message.own ? 'bg-[#4A72F5]' : 'bg-gray-700'
+              )}
+            >
+              {message.text}
+            </div>
+            {message.own && (
+              <span className="text-[10px] text-gray-400">{getDeliveryStatus(message)}</span>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="h-5 px-4 text-xs text-gray-400">
+        {typingNames.length > 0 && `${typingNames.join(', ')} ${typingNames.length === 1 ? 'is' : 'are'} typing…`}
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex items-center gap-2 p-3 border-t border-gray-700">
+        <input
+          type="text"
+          value={draft}
+          onChange={handleChange}
+          onBlur={() => onTyping && onTyping(false)}
+          maxLength={MAX_CHAT_MESSAGE_LENGTH}
+          disabled={disabled}
+          placeholder={disabled ? 'Waiting for someone to join…' : 'Type a message'}
+          className="flex-1 rounded-full bg-gray-900 border border-gray-700 px-4 py-2 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-[#4A72F5]"
+          aria-label="Chat message"
+        />
+        <button
+          type="submit"
+          disabled={disabled || !draft.trim()}
+          className={clsx(
+            'inline-flex items-center justify-center px-4 py-[calc(--spacing(2)-1px)]',
+            'rounded-full border border-transparent bg-[#4A72F5] shadow-md',
+            'text-sm font-medium whitespace-nowrap text-white',
+            'hover:bg-opacity-90 focus:outline-none disabled:opacity-50'
+          )}
+        >
+          Send
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ChatPanel;
@@ -2,18 +2,29 @@ import React from 'react';
 
 /**
  * ConnectionStatus component displays the current connection state
- * and call status, as well as network quality indicators
+ * and call status, as well as network quality indicators.
+ * `reconnecting` is set while the socket is trying to get back to the server;
+ * a call whose media path broke has the 'reconnecting' call status.
  */
-function ConnectionStatus({ connected, callStatus, currentCall, networkQuality, isSpeaking, peerSpeaking }) {
+function ConnectionStatus({ connected, reconnecting, callStatus, currentCall, networkQuality, isSpeaking, peerSpeaking }) {
   // Determine status text based on connection and call state
   let statusText = connected ? 'Connected to server' : 'Disconnected from server';
   
-  if (connected && callStatus === 'calling') {
+  if (!connected && reconnecting) {
+    statusText = 'Reconnecting to server…';
+  } else if (connected && callStatus === 'calling') {
     statusText = `Calling ${currentCall?.username}...`;
   } else if (connected && callStatus === 'connected') {
     statusText = `In call with ${currentCall?.username}`;
+  } else if (connected && callStatus === 'reconnecting') {
+    statusText = `Reconnecting to ${currentCall?.username}…`;
   }
   
+  const isReconnecting = (!connected && reconnecting) || (connected && callStatus === 'reconnecting');
+  const indicatorClass = isReconnecting
+    ? 'status-reconnecting'
+    : connected ? 'status-connected' : 'status-disconnected';
+  
   // Determine quality color based on network quality
   let qualityColor = '#4caf50'; // Good (green)
   
@@ -26,12 +37,12 @@ function ConnectionStatus({ connected, callStatus, currentCall, networkQuality,
   return (
     <div className="connection-status">
       <div 
-        className={`status-indicator ${connected ? 'status-connected' : 'status-disconnected'}`}
-        title={connected ? 'Connected' : 'Disconnected'}
+        className={`status-indicator ${indicatorClass}`}
+        title={isReconnecting ? 'Reconnecting' : connected ? 'Connected' : 'Disconnected'}
         aria-hidden="true"
       />
       
-      <span>{statusText}</span>
+      <span role="status">{statusText}</span>
       
       {callStatus === 'connected' && (
         <>
@@ -0,0 +1,410 @@
+import React, { useState, useEffect } from 'react';
+import { clsx } from 'clsx';
+import { cn } from '../lib/utils';
+import { ALL_PEERS } from '../utils/statsEngine';
+import { describeCodec } from '../utils/codecPreferences';
+
+// Samples charted per peer: two minutes at the stats engine's interval
+const CHART_LENGTH = 60;
+
+// How often the negotiated codecs are refreshed
+const CODEC_REFRESH_INTERVAL_MS = 2000;
+
+const SERIES_COLORS = {
+  in: '#4A72F5',
+  out: '#9C5AE5'
+};
+
+/**
+ * Largest of the values that are known
+ * @param {...(number|null|undefined)} values - Values
+ * @returns {number|null} Maximum, or null if none is known
+ */
+const maxOf = (...values) => {
+  const known = values.filter(Number.isFinite);
+  return known.length > 0 ? Math.max(...known) : null;
+};
+
+/**
+ * Sum of the values that are known
+ * @param {...(number|null|undefined)} values - Values
+ * @returns {number|null} Sum, or null if none is known
+ */
+const sumOf = (...values) => {
+  const known = values.filter(Number.isFinite);
+  return known.length > 0 ? known.reduce((sum, value) => sum + value, 0) : null;
+};
+
+// Inbound and outbound value of each chart, from one stats engine sample
+const CHARTS = [
+  {
+    id: 'rtt',
+    label: 'Round trip',
+    unit: 'ms',
+    values: sample => ({ in: sample.rtt, out: null })
+  },
+  {
+    id: 'jitter',
+    label: 'Jitter',
+    unit: 'ms',
+    values: ({ audio, video }) => ({
+      in: maxOf(audio.inbound && audio.inbound.jitter, video.inbound && video.inbound.jitter),
+      out: maxOf(audio.outbound && audio.outbound.jitter, video.outbound && video.outbound.jitter)
+    })
+  },
+  {
+    id: 'loss',
+    label: 'Packet loss',
+    unit: '%',
+    values: ({ audio, video }) => {
+      const percent = value => (value === null ? null : value * 100);
+      return {
+        in: percent(maxOf(audio.inbound && audio.inbound.packetLoss, video.inbound && video.inbound.packetLoss)),
+        out: percent(maxOf(audio.outbound && audio.outbound.packetLoss, video.outbound && video.outbound.packetLoss))
+      };
+    }
+  },
+  {
+    id: 'bitrate',
+    label: 'Bitrate',
+    unit: 'kbps',
+    values: ({ audio, video }) => {
+      const kbps = value => (value === null ? null : value / 1000);
+      return {
+        in: kbps(sumOf(audio.inbound && audio.inbound.bitrate, video.inbound && video.inbound.bitrate)),
+        out: kbps(sumOf(audio.outbound && audio.outbound.bitrate, video.outbound && video.outbound.bitrate))
+      };
+    }
+  },
+  {
+    id: 'frameRate',
+    label: 'Frame rate',
+    unit: 'fps',
+    values: ({ video }) => ({
+      in: video.inbound && video.inbound.frameRate,
+      out: video.outbound && video.outbound.frameRate
+    })
+  }
+];
+
+/**
+ * Format a chart value for display
+ * @param {number|null} value - Value
+ * @returns {string} Rounded value, or a dash if unknown
+ */
+const formatValue = (value) => {
+  if (!Number.isFinite(value)) return '—';
+  return value >= 10 ? String(Math.round(value)) : value.toFixed(1);
+};
+
+/**
+ * One line of a chart, broken where values are unknown
+ * @param {Array<number|null>} values - Values, oldest first
+ * @param {number} max - Value at the top of the chart
+ * @returns {Array<string>} SVG polyline point lists
+ */
+const toSegments = (values, max) => {
+  const segments = [];
+  let current = [];
+
+  values.forEach((value, index) => {
+    if (!Number.isFinite(value)) {
+      if (current.length > 0) segments.push(current);
+      current = [];
+      return;
+    }
+
+    const x = (index / (CHART_LENGTH - 1)) * 100;
+    const y = 30 - (value / max) * 28;
+    current.push(`${x.toFixed(2)},${y.toFixed(2)}`);
+  });
+
+  if (current.length > 0) segments.push(current);
+
+  // A single point still needs two to be drawn
+  return segments.map(points => (points.length === 1 ? [points[0], points[0]] : points).join(' '));
+};
+
+/**
+ * Small time-series chart of one metric, inbound and outbound
+ */
+const MetricChart = ({ label, unit, points }) => {
+  const inbound = points.map(point => point.in);
+  const outbound = points.map(point => point.out);
+  const max = maxOf(...inbound, ...outbound) || 1;
+  const latest = points[points.length - 1] || { in: null, out: null };
+
+  // Right-align the history so the newest sample is always at the edge
+  const offset = CHART_LENGTH - points.length;
+  const pad = values => [...Array(offset).fill(null), ...values];
+
+  return (
+    <div className="rounded-lg bg-gray-900/60 p-2">
+      <div className="flex items-baseline justify-between text-xs">
+        <span className="text-gray-400">{label}</span>
+        <span className="font-mono">
+          {latest.in !== null && latest.in !== undefined && (
+            <span style={{ color: SERIES_COLORS.in }}>↓{formatValue(latest.in)}</span>
+          )}
+          {latest.out !== null && latest.out !== undefined && (
+            <span className="ml-2" style={{ color: SERIES_COLORS.out }}>↑{formatValue(latest.out)}</span>
+          )}
+          <span className="ml-1 text-gray-500">{unit}</span>
+        </span>
+      </div>
+      <svg viewBox="0 0 100 32" preserveAspectRatio="none" className="mt-1 h-10 w-full" aria-hidden="true">
+        {['in', 'out'].map(series => toSegments(pad(series === 'in' ? inbound : outbound), max).map((segment, index) => (
+          <polyline
+            key={`${series}-${index}`}
+            points={segment}
+            fill="none"
+            stroke={SERIES_COLORS[series]}
+            strokeWidth="1.5"
+            vectorEffect="non-scaling-stroke"
+          />
+        )))}
+      </svg>
+    </div>
+  );
+};
+
+/**
+ * Describe a candidate for display
+ * @param {Object|null} candidate - Candidate from a stats engine sample
+ * @returns {string} e.g. 'srflx udp 203.0.113.7:54321'
+ */
+const describeCandidate = (candidate) => {
+  if (!candidate) return '—';
+
+  const address = candidate.address ? ` ${candidate.address}${candidate.port ? `:${candidate.port}` : ''}` : '';
+  const relay = candidate.relayProtocol ? ` via ${candidate.relayProtocol} relay` : '';
+  const network = candidate.networkType ? ` (${candidate.networkType})` : '';
+
+  return `${candidate.type} ${candidate.protocol}${address}${relay}${network}`;
+};
+
+/**
+ * Diagnostics of one peer: charts, connection and codecs
+ */
+const PeerDiagnostics = ({ name, samples, codecs }) => {
+  const latest = samples[samples.length - 1];
+  const connection = latest && latest.connection;
+  const recent = samples.slice(-CHART_LENGTH);
+
+  return (
+    <section className="border-b border-gray-700 px-4 py-3">
+      <div className="flex items-center justify-between">
+        <h3 className="truncate text-sm font-medium" title={name}>{name}</h3>
+        {latest && latest.mos !== null && (
+          <span className="text-xs text-gray-400">
+            Quality {latest.score} · MOS {latest.mos.toFixed(1)}
+          </span>
+        )}
+      </div>
+
+      {!latest ? (
+        <p className="mt-2 text-xs text-gray-400">Collecting stats…</p>
+      ) : (
+        <>
+          <div className="mt-2 grid grid-cols-2 gap-2">
+            {CHARTS.map(chart => (
+              <MetricChart
+                key={chart.id}
+                label={chart.label}
+                unit={chart.unit}
+                points={recent.map(sample => chart.values(sample))}
+              />
+            ))}
+          </div>
+
+          <dl className="mt-3 grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-xs">
+            <dt className="text-gray-400">Local</dt>
+            <dd className="truncate font-mono">{describeCandidate(connection && connection.localCandidate)}</dd>
+            <dt className="text-gray-400">Remote</dt>
+            <dd className="truncate font-mono">{describeCandidate(connection && connection.remoteCandidate)}</dd>
+            <dt className="text-gray-400">Transport</dt>
+            <dd className="truncate font-mono">
+              {connection
+                ? [
+                  connection.iceState && `ICE ${connection.iceState}`,
+                  connection.dtlsState && `DTLS ${connection.dtlsState}`,
+                  connection.tlsVersion,
+                  connection.dtlsCipher,
+                  connection.srtpCipher
+                ].filter(Boolean).join(' · ') || '—'
+                : '—'}
+            </dd>
+            {latest.video.outbound && latest.video.outbound.qualityLimitation && (
+              <>
+                <dt className="text-gray-400">Limited by</dt>
+                <dd className="font-mono">{latest.video.outbound.qualityLimitation}</dd>
+              </>
+            )}
+          </dl>
+        </>
+      )}
+
+      {codecs && (
+        <table className="mt-3 w-full text-xs">
+          <thead>
+            <tr className="text-left text-gray-400">
+              <th className="font-normal">Codec</th>
+              <th className="font-normal">Sending</th>
+              <th className="font-normal">Receiving</th>
+            </tr>
+          </thead>
+          <tbody className="font-mono">
+            {['audio', 'video'].map(kind => (
+              <tr key={kind}>
+                <td className="capitalize text-gray-400">{kind}</td>
+                <td>{describeCodec(codecs[kind].send)}</td>
+                <td>{describeCodec(codecs[kind].receive)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+};
+
+/**
+ * Diagnostics Panel component
+ * Drawer with live per-peer stats, the ICE route and negotiated codecs, and
+ * an export of the stats history as JSON for bug reports
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.webrtcManager - WebRTCManager of the call or room
+ * @param {Array<string>} props.peerIds - Peers to show, in order
+ * @param {Object} props.peerNames - Display name per peer ID; the ID is shown otherwise
+ * @param {Function} props.onClose - Called when the drawer is closed
+ * @param {string} props.className - Additional CSS classes
+ */
+const DiagnosticsPanel = ({ webrtcManager, peerIds = [], peerNames = {}, onClose, className }) => {
+  const [histories, setHistories] = useState({});
+  const [codecs, setCodecs] = useState({});
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+
+  // Start from the history the engine already has, then follow new samples
+  useEffect(() => {
+    if (!webrtcManager) return;
+
+    setHistories(webrtcManager.getStatsHistory());
+
+    return webrtcManager.subscribeToStats(ALL_PEERS, (sample) => {
+      setHistories(prev => ({
+        ...prev,
+        [sample.peerId]: [...(prev[sample.peerId] || []), sample].slice(-CHART_LENGTH),
+      }));
+    });
+  }, [webrtcManager]);
+
+  // Refresh the negotiated codecs while the drawer is open
+  useEffect(() => {
+    if (!webrtcManager) return;
+
+    let cancelled = false;
+
+    const refresh = async () => {
+      const negotiated = await webrtcManager.getNegotiatedCodecs();
+
+      if (!cancelled) {
+        setCodecs(negotiated);
+      }
+    };
+
+    refresh();
+    const interval = setInterval(refresh, CODEC_REFRESH_INTERVAL_MS);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [webrtcManager]);
+
+  // Download the report as a file
+  const handleExport = async () => {
+    setIsExporting(true);
+    setExportError(null);
+
+    try {
+      const report = await webrtcManager.exportDiagnostics();
+      const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+
+      link.href = url;
+      link.download = `call-diagnostics-${report.createdAt.replace(/[:.]/g, '-')}.json`;
+      link.click();
+
+      // Give the download a moment to start before releasing the blob
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (err) {
+      console.error('Error exporting diagnostics:', err);
+      setExportError(`Could not export diagnostics: ${err.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <aside
+      className={cn(
+        'fixed inset-y-0 right-0 z-40 flex w-full max-w-md flex-col border-l border-gray-700 bg-gray-800 text-white shadow-xl',
+        className
+      )}
+      aria-label="Call diagnostics"
+    >
+      <div className="flex items-center justify-between border-b border-gray-700 px-4 py-3">
+        <div className="text-sm font-medium">
+          Diagnostics
+          <span className="ml-2 text-xs font-normal">
+            <span style={{ color: SERIES_COLORS.in }}>↓ receiving</span>
+            <span className="ml-2" style={{ color: SERIES_COLORS.out }}>↑ sending</span>
+          </span>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={handleExport}
+            disabled={!webrtcManager || isExporting}
+            className={clsx(
+              'rounded-full px-3 py-1 text-xs font-medium',
+              'bg-[#4A72F5] text-white hover:bg-opacity-90 disabled:opacity-50'
+            )}
+          >
+            {isExporting ? 'Exporting…' : 'Export JSON'}
+          </button>
+          <button
+            onClick={onClose}
+            className="rounded-full px-2 py-1 text-gray-400 hover:text-white"
+            aria-label="Close diagnostics"
+          >
+            ✕
+          </button>
+        </div>
+      </div>
+
+      {exportError && (
+        <p className="px-4 py-2 text-xs text-[#D15052]">{exportError}</p>
+      )}
+
+      <div className="flex-1 overflow-y-auto">
+        {peerIds.length === 0 ? (
+          <p className="p-4 text-sm text-gray-400">Nobody is connected yet.</p>
+        ) : (
+          peerIds.map(peerId => (
+            <PeerDiagnostics
+              key={peerId}
+              name={peerNames[peerId] || peerId}
+              samples={histories[peerId] || []}
+              codecs={codecs[peerId]}
+            />
+          ))
+        )}
+      </div>
+    </aside>
+  );
+};
+
+export default DiagnosticsPanel;
@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { clsx } from 'clsx';
+import { cn } from '../lib/utils';
+
+/**
+ * Human-readable file size
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size
+ */
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const STATUS_LABELS = {
+  pending: 'Waiting…',
+  transferring: null, // Shows the percentage instead
+  interrupted: 'Reconnecting…',
+  verifying: 'Verifying…',
+  complete: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+/**
+ * Download link for a received file
+ * Owns the object URL so it is released with the link
+ */
+const DownloadLink = ({ blob, name }) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(blob);
+    setUrl(objectUrl);
+
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [blob]);
+
+  if (!url) return null;
+
+  return (
+    <a href={url} download={name} className="text-xs font-medium text-[#4A72F5] hover:underline">
+      Save
+    </a>
+  );
+};
+
+/**
+ * File Transfer Panel component
+ * Drop zone for sending files peer-to-peer and a list of transfers
+ *
+ * @param {Object} props - Component properties
+ * @param {Array} props.transfers - Transfer snapshots, with `blob` once a received file is complete
+ * @param {Function} props.onSendFiles - Called with the dropped or selected files
+ * @param {Function} props.onCancel - Called with a transfer ID
+ * @param {boolean} props.disabled - Disable sending (e.g. before anyone joined)
+ * @param {string} props.className - Additional CSS classes
+ */
+const FileTransferPanel = ({ transfers = [], onSendFiles, onCancel, disabled = false, className }) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const inputRef = useRef(null);
+
+  const handleFiles = (fileList) => {
+    const files = Array.from(fileList || []);
+
+    if (!disabled && files.length > 0) {
+      onSendFiles(files);
+    }
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!disabled) {
+      setIsDragging(true);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
+  const handleInputChange = (e) => {
+    handleFiles(e.target.files);
+    e.target.value = '';
+  };
+
+  return (
+    <div className={cn('rounded-2xl border border-gray-700 bg-gray-800 text-white shadow-md', className)}>
+      <div className="px-4 py-2 border-b border-gray-700 text-sm font-medium">
+        Files
+        <span className="ml-2 text-xs font-normal text-gray-400">Sent directly, verified with SHA-256</span>
+      </div>
+
+      <div
+        onDragOver={handleDragOver}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => !disabled && inputRef.current && inputRef.current.click()}
+        className={clsx(
+          'm-4 flex flex-col items-center justify-center rounded-xl border-2 border-dashed p-6 text-sm',
+          disabled ? 'border-gray-700 text-gray-500 cursor-not-allowed' : 'border-gray-600 text-gray-300 cursor-pointer',
+          isDragging && 'border-[#4A72F5] bg-[#4A72F5]/10'
+        )}
+        role="button"
+        aria-disabled={disabled}
+        aria-label="Drop files here or click to choose files"
+      >
+        {disabled ? 'Waiting for someone to join…' : 'Drop files here or click to choose'}
+        <input ref={inputRef} type="file" multiple className="hidden" onChange={handleInputChange} />
+      </div>
+
+      {transfers.length > 0 && (
+        <ul className="px-4 pb-4 space-y-3">
+          {transfers.map(transfer => {
+            const percent = transfer.size ? Math.floor((transfer.bytesTransferred / transfer.size) * 100) : 100;
+            const active = ['pending', 'transferring', 'interrupted', 'verifying'].includes(transfer.status);
+
+            return (
+              <li key={transfer.id} className="text-sm">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="truncate" title={transfer.name}>
+                    {transfer.direction === 'send' ? '↑' : '↓'} {transfer.name}
+                    <span className="ml-2 text-xs text-gray-400">
+                      {formatSize(transfer.size)} {transfer.direction === 'send' ? 'to' : 'from'} {transfer.peerId}
+                    </span>
+                  </span>
+                  <span className="flex items-center gap-2 shrink-0 text-xs text-gray-400">
+                    {STATUS_LABELS[transfer.status] || `${percent}%`}
+                    {transfer.blob && <DownloadLink blob={transfer.blob} name={transfer.name} />}
+                    {active && (
+                      <button onClick={() => onCancel(transfer.id)} className="text-[#D15052] hover:underline">
+                        Cancel
+                      </button>
+                    )}
+                  </span>
+                </div>
+                <div className="mt-1 h-1.5 w-full rounded-full bg-gray-700 overflow-hidden">
+                  <div
+                    className={clsx(
+                      'h-full rounded-full transition-all duration-300',
+                      transfer.status === 'failed' || transfer.status === 'cancelled' ? 'bg-[#D15052]'
+                        : transfer.status === 'complete' ? 'bg-[#4ADE80]'
+                        : 'bg-[#4A72F5]'
+                    )}
+                    style={{ width: `${percent}%` }}
+                  />
+                </div>
+                {transfer.error && (
+                  <p className="mt-1 text-xs text-[#D15052]">{transfer.error}</p>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default FileTransferPanel;
@@ -0,0 +1,100 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { clsx } from 'clsx';
+import { Ringtone } from '../utils/ringtone';
+
+/**
+ * Incoming Call Modal component
+ * Rings while a call is waiting and lets the user accept or decline it.
+ * The server ends the call for both sides when the ring timeout passes.
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.caller - Caller ({ id, username })
+ * @param {number} props.expiresAt - When the call stops ringing (ms since the epoch)
+ * @param {Function} props.onAccept - Called when the user accepts
+ * @param {Function} props.onDecline - Called when the user declines
+ */
+const IncomingCallModal = ({ caller, expiresAt, onAccept, onDecline }) => {
+  const [secondsLeft, setSecondsLeft] = useState(() => Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000)));
+  const acceptRef = useRef(null);
+
+  // Ring for as long as the modal is shown
+  useEffect(() => {
+    const ringtone = new Ringtone();
+    ringtone.start();
+
+    return () => ringtone.stop();
+  }, []);
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setSecondsLeft(Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000)));
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [expiresAt]);
+
+  useEffect(() => {
+    if (acceptRef.current) {
+      acceptRef.current.focus();
+    }
+  }, []);
+
+  // Escape declines, like closing any other dialog
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      onDecline();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+      onKeyDown={handleKeyDown}
+    >
+      <div
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="incoming-call-title"
+        aria-describedby="incoming-call-countdown"
+        className="w-full max-w-sm rounded-2xl border border-gray-700 bg-gray-800 p-6 text-center text-white shadow-lg"
+      >
+        <div className="mx-auto mb-4 flex h-16 w-16 items-center justify-center rounded-full bg-[#4A72F5] text-2xl font-medium animate-pulse">
+          {caller.username.substring(0, 2).toUpperCase()}
+        </div>
+
+        <h2 id="incoming-call-title" className="text-lg font-semibold">
+          {caller.username} is calling
+        </h2>
+        <p id="incoming-call-countdown" className="mt-1 text-sm text-gray-400">
+          Stops ringing in {secondsLeft}s
+        </p>
+
+        <div className="mt-6 flex justify-center space-x-4">
+          <button
+            onClick={onDecline}
+            className={clsx(
+              'inline-flex items-center justify-center px-6 py-2',
+              'rounded-full border border-transparent bg-[#D15052] shadow-md',
+              'text-base font-medium text-white hover:bg-[#C04042]'
+            )}
+          >
+            Decline
+          </button>
+          <button
+            ref={acceptRef}
+            onClick={onAccept}
+            className={clsx(
+              'inline-flex items-center justify-center px-6 py-2',
+              'rounded-full border border-transparent bg-[#4ADE80] shadow-md',
+              'text-base font-medium text-gray-900 hover:bg-[#3BC46E]'
+            )}
+          >
+            Accept
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IncomingCallModal;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { Button } from './ui/button';
+import QRCodeGenerator from './QRCodeGenerator';
+import { cn, formatTime } from '../lib/utils';
+
+// How many people one invite can let in
+const USE_OPTIONS = [
+  { value: 1, label: 'Single use' },
+  { value: 5, label: 'Up to 5 people' },
+  { value: 25, label: 'Up to 25 people' }
+];
+
+/**
+ * Invite Panel component
+ * Creates a signed, expiring invite on the server and shows it as a QR code and link
+ *
+ * @param {Object} props - Component properties
+ * @param {Function} props.onCreateInvite - Called with the maximum number of uses; resolves to the `invite-created` payload
+ * @param {string} props.description - What redeeming the invite does
+ * @param {string} props.className - Additional CSS classes
+ */
+const InvitePanel = ({ onCreateInvite, description, className }) => {
+  const [maxUses, setMaxUses] = useState(USE_OPTIONS[0].value);
+  const [invite, setInvite] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleCreate = async () => {
+    setIsCreating(true);
+    setError(null);
+
+    try {
+      setInvite(await onCreateInvite(maxUses));
+    } catch (err) {
+      console.error('Error creating invite:', err);
+      setError(err.message);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  return (
+    <div className={cn('flex flex-col items-center p-4 bg-card rounded-lg shadow-sm space-y-3', className)}>
+      {description && (
+        <p className="text-sm text-muted-foreground text-center">{description}</p>
+      )}
+
+      <div className="flex w-full space-x-2">
+        <select
+          value={maxUses}
+          onChange={(e) => setMaxUses(Number(e.target.value))}
+          className="flex-1 p-2 rounded-md border border-input bg-background text-sm"
+          aria-label="How many people can use the invite"
+          disabled={isCreating}
+        >
+          {USE_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+
+        <Button onClick={handleCreate} disabled={isCreating}>
+          {isCreating ? 'Creating…' : invite ? 'New Invite' : 'Create Invite'}
+        </Button>
+      </div>
+
+      {error && (
+        <p className="text-sm text-destructive">{error}</p>
+      )}
+
+      {invite && (
+        <>
+          <QRCodeGenerator inviteToken={invite.token} className="shadow-none p-0" />
+          <p className="text-xs text-muted-foreground text-center">
+            {invite.maxUses === 1 ? 'Single use' : `Up to ${invite.maxUses} people`}, expires at {formatTime(invite.expiresAt)}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default InvitePanel;
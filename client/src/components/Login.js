@@ -1,51 +1,36 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 
 /**
  * Login component for user registration
- * Allows users to enter a username to join the chat
+ * Exchanges a username and the server's access code for a join token
+ * When opened from an invite link, the invite stands in for the access code
+ * Encrypted recordings can be played without logging in (`onOpenPlayer`)
  */
-function Login({ onLogin, connected }) {
+function Login({ onLogin, invited = false, onOpenPlayer = null }) {
   const [username, setUsername] = useState('');
+  const [accessCode, setAccessCode] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState('');
 
-  // Reset error when connection status changes
-  useEffect(() => {
-    if (connected) {
-      setError('');
-    } else {
-      setError('Waiting for server connection...');
-    }
-  }, [connected]);
-
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    
+
     const trimmedUsername = username.trim();
     if (!trimmedUsername) {
       setError('Please enter a username');
       return;
     }
-    
-    if (!connected) {
-      setError('Not connected to server. Please wait...');
-      return;
-    }
-    
+
     console.log('Submitting username:', trimmedUsername);
     setIsSubmitting(true);
     setError('');
-    
+
     try {
-      onLogin(trimmedUsername);
-      
-      // Reset submission state after a delay
-      setTimeout(() => {
-        setIsSubmitting(false);
-      }, 1000);
+      await onLogin(trimmedUsername, accessCode);
     } catch (err) {
       console.error('Error during login:', err);
-      setError('Error during login. Please try again.');
+      setError(err.message || 'Error during login. Please try again.');
+    } finally {
       setIsSubmitting(false);
     }
   };
@@ -54,18 +39,16 @@ function Login({ onLogin, connected }) {
     <div className="login-container">
       <h2>Join Secure Voice Chat</h2>
       
-      {!connected && (
-        <div className="connection-warning">
-          <p>Connecting to server...</p>
-        </div>
+      {invited && (
+        <p className="invite-notice">You have been invited. Pick a username to continue.</p>
       )}
-      
+
       {error && (
         <div className="error-message">
           <p>{error}</p>
         </div>
       )}
-      
+
       <form className="login-form" onSubmit={handleSubmit}>
         <label htmlFor="username">Enter your username:</label>
         <input
@@ -78,20 +61,42 @@ function Login({ onLogin, connected }) {
           autoComplete="off"
           required
           aria-label="Username"
-          disabled={!connected || isSubmitting}
+          disabled={isSubmitting}
         />
-        
-        <button 
-          type="submit" 
-          disabled={!connected || !username.trim() || isSubmitting}
+
+        {!invited && (
+          <>
+            <label htmlFor="accessCode">Access code (if the server requires one):</label>
+            <input
+              type="password"
+              id="accessCode"
+              value={accessCode}
+              onChange={(e) => setAccessCode(e.target.value)}
+              placeholder="Access code"
+              autoComplete="off"
+              aria-label="Access code"
+              disabled={isSubmitting}
+            />
+          </>
+        )}
+
+        <button
+          type="submit"
+          disabled={!username.trim() || isSubmitting}
         >
           {isSubmitting ? 'Joining...' : 'Join'}
         </button>
       </form>
-      
+
       <div className="security-info">
         <p>End-to-end encrypted • Zero persistence • Local network only</p>
       </div>
+
+      {onOpenPlayer && (
+        <button type="button" className="player-link" onClick={onOpenPlayer}>
+          Play an encrypted recording
+        </button>
+      )}
     </div>
   );
 }
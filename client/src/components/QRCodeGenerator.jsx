@@ -2,36 +2,38 @@ import React, { useEffect, useState } from 'react';
 import QRCode from 'qrcode.react';
 import { Button } from './ui/button';
 import { cn } from '../lib/utils';
+import { buildInviteLink } from '../utils/inviteLinks';
 
 /**
  * QR Code Generator Component
  * 
- * Generates a QR code for easy connection between devices on the local network.
+ * Renders an invite as a QR code of its deep link (`/join/<token>`), so any
+ * camera app can open it, plus the link itself for copying.
  * Includes accessibility features and responsive design.
  * 
  * @param {Object} props - Component properties
- * @param {string} props.connectionData - Data to encode in the QR code (typically room ID or connection details)
+ * @param {string} props.inviteToken - Signed invite token from the server
  * @param {string} props.className - Optional CSS class names
  * @param {Function} props.onDownload - Optional callback when QR code is downloaded
  */
-const QRCodeGenerator = ({ connectionData, className, onDownload }) => {
+const QRCodeGenerator = ({ inviteToken, className, onDownload }) => {
   const [qrValue, setQrValue] = useState('');
+  const [copied, setCopied] = useState(false);
   
   useEffect(() => {
-    // Format the connection data for QR code
-    // This could be a JSON string with room ID and any other necessary connection details
-    if (connectionData) {
-      try {
-        const formattedData = typeof connectionData === 'string' 
-          ? connectionData 
-          : JSON.stringify(connectionData);
-        setQrValue(formattedData);
-      } catch (error) {
-        console.error('Error formatting QR code data:', error);
-        setQrValue('');
-      }
+    setQrValue(inviteToken ? buildInviteLink(inviteToken) : '');
+    setCopied(false);
+  }, [inviteToken]);
+  
+  // Copy the invite link for sending it some other way
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(qrValue);
+      setCopied(true);
+    } catch (error) {
+      console.error('Error copying invite link:', error);
     }
-  }, [connectionData]);
+  };
 
   // Handle QR code download
   const handleDownload = () => {
@@ -65,11 +67,29 @@ const QRCodeGenerator = ({ connectionData, className, onDownload }) => {
           level="H" // High error correction for better scanning
           includeMargin={true}
           renderAs="canvas"
-          aria-label="QR code for secure connection"
+          aria-label="QR code with an invite link"
         />
       </div>
       
       <div className="space-y-2 w-full">
+        <input
+          type="text"
+          value={qrValue}
+          readOnly
+          onFocus={(e) => e.target.select()}
+          className="w-full p-2 rounded-md border border-input bg-background text-xs"
+          aria-label="Invite link"
+        />
+        
+        <Button 
+          onClick={handleCopy}
+          variant="outline"
+          className="w-full"
+          aria-label="Copy invite link"
+        >
+          {copied ? 'Link Copied' : 'Copy Link'}
+        </Button>
+        
         <Button 
           onClick={handleDownload}
           variant="outline"
@@ -80,7 +100,7 @@ const QRCodeGenerator = ({ connectionData, className, onDownload }) => {
         </Button>
         
         <p className="text-sm text-muted-foreground text-center">
-          Scan this code with another device to connect securely
+          Scan this code or open the link on another device to join
         </p>
       </div>
     </div>
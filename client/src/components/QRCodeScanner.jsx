@@ -2,15 +2,17 @@ import React, { useState, useEffect } from 'react';
 import { Html5Qrcode } from 'html5-qrcode';
 import { Button } from './ui/button';
 import { cn } from '../lib/utils';
+import { parseInviteToken } from '../utils/inviteLinks';
 
 /**
  * QR Code Scanner Component
  * 
- * Scans QR codes using device camera to facilitate easy connection between devices.
+ * Scans invite QR codes using the device camera. Codes that are not
+ * invite links are ignored and scanning continues.
  * Includes accessibility features and responsive design.
  * 
  * @param {Object} props - Component properties
- * @param {Function} props.onScan - Callback when QR code is successfully scanned
+ * @param {Function} props.onScan - Called with the invite token once an invite code is scanned
  * @param {Function} props.onError - Optional callback when scanning encounters an error
  * @param {Function} props.onClose - Optional callback when scanner is closed
  * @param {string} props.className - Optional CSS class names
@@ -21,6 +23,7 @@ const QRCodeScanner = ({ onScan, onError, onClose, className }) => {
   const [cameras, setCameras] = useState([]);
   const [selectedCamera, setSelectedCamera] = useState(null);
   const [permissionDenied, setPermissionDenied] = useState(false);
+  const [unknownCode, setUnknownCode] = useState(false);
 
   // Initialize scanner on component mount
   useEffect(() => {
@@ -62,6 +65,7 @@ const QRCodeScanner = ({ onScan, onError, onClose, className }) => {
 
     setScanning(true);
     setPermissionDenied(false);
+    setUnknownCode(false);
 
     const config = {
       fps: 10,
@@ -75,22 +79,21 @@ const QRCodeScanner = ({ onScan, onError, onClose, className }) => {
       (decodedText) => {
         // Handle successful scan
         try {
-          let connectionData;
+          const inviteToken = parseInviteToken(decodedText);
           
-          // Try to parse as JSON if possible
-          try {
-            connectionData = JSON.parse(decodedText);
-          } catch {
-            // If not JSON, use as string
-            connectionData = decodedText;
+          // Keep looking until the camera finds an invite
+          if (!inviteToken) {
+            setUnknownCode(true);
+            return;
           }
           
           // Stop scanning after successful scan
           html5QrCode.stop()
             .then(() => {
               setScanning(false);
+              setUnknownCode(false);
               if (onScan) {
-                onScan(connectionData);
+                onScan(inviteToken);
               }
             })
             .catch(err => {
@@ -173,6 +176,12 @@ const QRCodeScanner = ({ onScan, onError, onClose, className }) => {
         </div>
       )}
       
+      {unknownCode && (
+        <div className="mt-4 p-3 bg-muted rounded-md text-sm">
+          This QR code is not a Secure Voice Chat invite.
+        </div>
+      )}
+      
       {cameras.length > 1 && (
         <div className="mt-4 w-full">
           <label htmlFor="camera-select" className="block text-sm font-medium mb-1">
@@ -228,7 +237,7 @@ const QRCodeScanner = ({ onScan, onError, onClose, className }) => {
       </div>
       
       <p className="mt-4 text-sm text-muted-foreground text-center">
-        Point your camera at a Secure Voice Chat QR code to connect
+        Point your camera at a Secure Voice Chat invite code to join
       </p>
     </div>
   );
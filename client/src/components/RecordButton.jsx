@@ -1,18 +1,68 @@
 import React, { useState } from 'react';
 import { clsx } from 'clsx';
+import { RECORDING_LAYOUTS } from '../utils/recordingCompositor';
+import { MIN_PASSPHRASE_LENGTH } from '../utils/recordingCipher';
+import { RECORDING_MODES, STEM_FORMATS } from '../utils/recordingHelper';
+
+const MODE_LABELS = {
+  [RECORDING_MODES.VIDEO]: 'Video',
+  [RECORDING_MODES.AUDIO]: 'Audio',
+  [RECORDING_MODES.MULTITRACK]: 'Stems'
+};
+
+const MODE_DESCRIPTIONS = {
+  [RECORDING_MODES.VIDEO]: 'everyone in one video',
+  [RECORDING_MODES.AUDIO]: 'everyone mixed into one audio file',
+  [RECORDING_MODES.MULTITRACK]: 'each participant as a separate audio file, in a zip'
+};
 
 /**
  * RecordButton Component
  * 
- * Provides UI for toggling video recording functionality
+ * Provides UI for toggling video recording functionality.
+ * With `onLayoutChange`, a second button switches the recording between a
+ * grid of everyone and the active speaker. `disabledReason` greys the button
+ * out, e.g. in rooms that forbid recording. With `onEncryptionChange`, a lock
+ * button sets a passphrase the next recordings are encrypted with.
+ * With `onModeChange`, a button cycles through `modes` (see RECORDING_MODES);
+ * in multitrack mode `onStemFormatChange` switches the stems between Opus
+ * and WAV. The layout button only shows for video.
  */
 const RecordButton = ({ 
   isRecording = false, 
   onToggleRecording,
   className = '',
-  recordingTime = 0
+  recordingTime = 0,
+  layout = RECORDING_LAYOUTS.GRID,
+  onLayoutChange = null,
+  disabledReason = null,
+  encrypted = false,
+  onEncryptionChange = null,
+  mode = RECORDING_MODES.VIDEO,
+  onModeChange = null,
+  modes = Object.values(RECORDING_MODES),
+  stemFormat = STEM_FORMATS.OPUS,
+  onStemFormatChange = null
 }) => {
   const [isHovered, setIsHovered] = useState(false);
+  const [showEncryption, setShowEncryption] = useState(false);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  
+  const passphraseError = passphrase.length < MIN_PASSPHRASE_LENGTH
+    ? `At least ${MIN_PASSPHRASE_LENGTH} characters`
+    : passphrase !== confirmation ? 'The passphrases do not match' : null;
+  
+  // The passphrase only lives in memory; it is asked for again next time
+  const closeEncryption = (nextPassphrase) => {
+    if (nextPassphrase !== undefined) {
+      onEncryptionChange(nextPassphrase);
+    }
+    
+    setPassphrase('');
+    setConfirmation('');
+    setShowEncryption(false);
+  };
   
   // Format recording time (seconds to MM:SS)
   const formatTime = (seconds) => {
@@ -21,46 +71,194 @@ const RecordButton = ({
     return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
   };
   
+  const nextLayout = layout === RECORDING_LAYOUTS.GRID ? RECORDING_LAYOUTS.SPEAKER : RECORDING_LAYOUTS.GRID;
+  const nextMode = modes[(modes.indexOf(mode) + 1) % modes.length];
+  const nextStemFormat = stemFormat === STEM_FORMATS.OPUS ? STEM_FORMATS.WAV : STEM_FORMATS.OPUS;
+  
   return (
-    <button
-      onClick={onToggleRecording}
-      onMouseEnter={() => setIsHovered(true)}
-      onMouseLeave={() => setIsHovered(false)}
-      className={clsx(
-        className,
-        'inline-flex items-center justify-center px-4 py-[calc(--spacing(2)-1px)]',
-        'rounded-full border border-transparent shadow-md',
-        'text-base font-medium whitespace-nowrap',
-        isRecording ? 
-          'bg-[#D15052] text-white hover:bg-opacity-90' : 
-          'bg-gray-800 text-white hover:bg-gray-700'
+    <div className="relative inline-flex items-center gap-2">
+      <button
+        onClick={onToggleRecording}
+        disabled={!!disabledReason && !isRecording}
+        title={!isRecording && disabledReason ? disabledReason : undefined}
+        onMouseEnter={() => setIsHovered(true)}
+        onMouseLeave={() => setIsHovered(false)}
+        className={clsx(
+          className,
+          'inline-flex items-center justify-center px-4 py-[calc(--spacing(2)-1px)]',
+          'rounded-full border border-transparent shadow-md',
+          'text-base font-medium whitespace-nowrap',
+          isRecording ? 
+            'bg-[#D15052] text-white hover:bg-opacity-90' : 
+            'bg-gray-800 text-white hover:bg-gray-700',
+          'disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-gray-800'
+        )}
+        aria-label={isRecording ? "Stop recording" : "Start recording"}
+      >
+        {isRecording ? (
+          <>
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="w-5 h-5 mr-2">
+              <rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect>
+            </svg>
+            {formatTime(recordingTime)}
+          </>
+        ) : (
+          <>
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="w-5 h-5 mr-2">
+              <circle cx="12" cy="12" r="10"></circle>
+              <circle cx="12" cy="12" r="3" fill="currentColor"></circle>
+            </svg>
+            Record
+          </>
+        )}
+        
+        {/* Tooltip */}
+        {isHovered && (
+          <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-2 py-1 bg-gray-900 text-white text-xs rounded whitespace-nowrap">
+            {isRecording ? "Stop recording" : disabledReason || "Record this call"}
+          </div>
+        )}
+      </button>
+      
+      {/* Recording mode */}
+      {onModeChange && modes.length > 1 && (
+        <button
+          onClick={() => onModeChange(nextMode)}
+          disabled={isRecording}
+          className={clsx(
+            'inline-flex items-center justify-center px-3 py-[calc(--spacing(2)-1px)]',
+            'rounded-full border border-transparent shadow-md',
+            'text-sm font-medium whitespace-nowrap bg-gray-800 text-white hover:bg-gray-700',
+            'disabled:opacity-50 disabled:cursor-not-allowed'
+          )}
+          aria-label={`Record ${MODE_DESCRIPTIONS[nextMode]}`}
+          title={`Recording: ${MODE_DESCRIPTIONS[mode]}`}
+        >
+          {MODE_LABELS[mode]}
+        </button>
       )}
-      aria-label={isRecording ? "Stop recording" : "Start recording"}
-    >
-      {isRecording ? (
-        <>
-          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="w-5 h-5 mr-2">
-            <rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect>
-          </svg>
-          {formatTime(recordingTime)}
-        </>
-      ) : (
-        <>
-          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="w-5 h-5 mr-2">
-            <circle cx="12" cy="12" r="10"></circle>
-            <circle cx="12" cy="12" r="3" fill="currentColor"></circle>
+      
+      {/* Stem format */}
+      {onStemFormatChange && mode === RECORDING_MODES.MULTITRACK && (
+        <button
+          onClick={() => onStemFormatChange(nextStemFormat)}
+          disabled={isRecording}
+          className={clsx(
+            'inline-flex items-center justify-center px-3 py-[calc(--spacing(2)-1px)]',
+            'rounded-full border border-transparent shadow-md',
+            'text-sm font-medium whitespace-nowrap bg-gray-800 text-white hover:bg-gray-700',
+            'disabled:opacity-50 disabled:cursor-not-allowed'
+          )}
+          aria-label={`Save stems as ${nextStemFormat === STEM_FORMATS.WAV ? 'WAV' : 'Opus'}`}
+          title={stemFormat === STEM_FORMATS.WAV ? 'Stems are uncompressed WAV' : 'Stems are compressed Opus'}
+        >
+          {stemFormat === STEM_FORMATS.WAV ? 'WAV' : 'Opus'}
+        </button>
+      )}
+      
+      {/* Recording layout */}
+      {onLayoutChange && mode === RECORDING_MODES.VIDEO && (
+        <button
+          onClick={() => onLayoutChange(nextLayout)}
+          className={clsx(
+            'inline-flex items-center justify-center px-3 py-[calc(--spacing(2)-1px)]',
+            'rounded-full border border-transparent shadow-md',
+            'text-sm font-medium whitespace-nowrap bg-gray-800 text-white hover:bg-gray-700'
+          )}
+          aria-label={`Record in ${nextLayout} layout`}
+          title={`Recording layout: ${layout === RECORDING_LAYOUTS.GRID ? 'everyone in a grid' : 'active speaker'}`}
+        >
+          {layout === RECORDING_LAYOUTS.GRID ? 'Grid' : 'Speaker'}
+        </button>
+      )}
+      
+      {/* Recording encryption */}
+      {onEncryptionChange && (
+        <button
+          onClick={() => setShowEncryption(!showEncryption)}
+          disabled={isRecording}
+          className={clsx(
+            'inline-flex items-center justify-center px-3 py-[calc(--spacing(2)-1px)]',
+            'rounded-full border border-transparent shadow-md',
+            'text-sm font-medium whitespace-nowrap text-white',
+            encrypted ? 'bg-[#4A72F5] hover:bg-opacity-90' : 'bg-gray-800 hover:bg-gray-700',
+            'disabled:opacity-50 disabled:cursor-not-allowed'
+          )}
+          aria-label={encrypted ? 'Recordings are encrypted' : 'Encrypt recordings'}
+          aria-expanded={showEncryption}
+          title={encrypted ? 'Recordings are encrypted with your passphrase' : 'Recordings are saved unencrypted'}
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="w-4 h-4 mr-1">
+            <rect x="3" y="11" width="18" height="11" rx="2" ry="2"></rect>
+            <path d={encrypted ? 'M7 11V7a5 5 0 0 1 10 0v4' : 'M7 11V7a5 5 0 0 1 9.9-1'}></path>
           </svg>
-          Record
-        </>
+          {encrypted ? 'Encrypted' : 'Unencrypted'}
+        </button>
       )}
       
-      {/* Tooltip */}
-      {isHovered && (
-        <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-2 py-1 bg-gray-900 text-white text-xs rounded whitespace-nowrap">
-          {isRecording ? "Stop recording" : "Record this call"}
-        </div>
+      {showEncryption && (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (!passphraseError) {
+              closeEncryption(passphrase);
+            }
+          }}
+          className="absolute bottom-full right-0 mb-2 w-72 rounded-md shadow-lg bg-gray-800 border border-gray-700 z-10 p-4 space-y-3 text-sm text-gray-300"
+        >
+          <p>
+            Recordings are encrypted in the browser and can only be played in this app's
+            player with the passphrase. There is no way to recover a forgotten passphrase.
+          </p>
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            placeholder="Passphrase"
+            autoComplete="new-password"
+            aria-label="Recording passphrase"
+            className="w-full px-3 py-2 rounded-md bg-gray-900 border border-gray-700 text-white focus:outline-none focus:ring-2 focus:ring-[#4A72F5]"
+          />
+          <input
+            type="password"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+            placeholder="Repeat passphrase"
+            autoComplete="new-password"
+            aria-label="Repeat recording passphrase"
+            className="w-full px-3 py-2 rounded-md bg-gray-900 border border-gray-700 text-white focus:outline-none focus:ring-2 focus:ring-[#4A72F5]"
+          />
+          {passphrase && passphraseError && (
+            <p className="text-xs text-[#F59E0B]">{passphraseError}</p>
+          )}
+          <div className="flex justify-end gap-2">
+            {encrypted && (
+              <button
+                type="button"
+                onClick={() => closeEncryption(null)}
+                className="px-3 py-1 rounded-full bg-gray-700 text-white text-xs font-medium hover:bg-gray-600"
+              >
+                Turn off
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => closeEncryption()}
+              className="px-3 py-1 rounded-full bg-gray-700 text-white text-xs font-medium hover:bg-gray-600"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={!!passphraseError}
+              className="px-3 py-1 rounded-full bg-[#4A72F5] text-white text-xs font-medium hover:bg-opacity-90 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Encrypt
+            </button>
+          </div>
+        </form>
       )}
-    </button>
+    </div>
   );
 };
 
@@ -0,0 +1,97 @@
+import React from 'react';
+import { clsx } from 'clsx';
+import { cn } from '../lib/utils';
+
+/**
+ * Recording notice
+ * Stays on screen while anyone in the room records. Each recorder gets a consent
+ * prompt; the answer can be changed for as long as they record. When we record
+ * ourselves, it says how many participants agreed to be in the recording.
+ *
+ * @param {Object} props - Component properties
+ * @param {string[]} props.recorders - Other participants who are recording
+ * @param {Object} props.consentAnswers - Our answer per recorder (true, false, or missing while unanswered)
+ * @param {Function} props.onAnswer - Called with (recorderId, consent)
+ * @param {boolean} props.isRecording - Whether we are recording
+ * @param {number} props.consentedCount - Participants in our recording
+ * @param {number} props.participantCount - Participants in the room besides us
+ * @param {Object} props.names - Display name per recorder, where it is not their ID
+ * @param {string} props.className - Additional CSS classes
+ */
+const RecordingNotice = ({
+  recorders = [],
+  consentAnswers = {},
+  onAnswer,
+  isRecording = false,
+  consentedCount = 0,
+  participantCount = 0,
+  names = {},
+  className
+}) => {
+  if (recorders.length === 0 && !isRecording) {
+    return null;
+  }
+
+  return (
+    <div
+      role="status"
+      className={cn('flex flex-col gap-2 px-4 py-3 bg-[#D15052]/15 border-b border-[#D15052]/40 text-sm text-white', className)}
+    >
+      {isRecording && (
+        <div className="flex items-center">
+          <span className="w-2 h-2 mr-2 rounded-full bg-[#D15052] animate-pulse" aria-hidden="true"></span>
+          <span>
+            You are recording. {consentedCount} of {participantCount} participants agreed to be in it;
+            the others are left out.
+          </span>
+        </div>
+      )}
+
+      {recorders.map(recorderId => {
+        const answer = consentAnswers[recorderId];
+
+        return (
+          <div key={recorderId} className="flex flex-wrap items-center gap-2">
+            <span className="w-2 h-2 rounded-full bg-[#D15052] animate-pulse" aria-hidden="true"></span>
+            <span className="flex-1 min-w-0">
+              <strong>{names[recorderId] || recorderId}</strong> is recording this call.{' '}
+              {answer === undefined
+                ? 'Do you agree to be in the recording?'
+                : answer
+                  ? 'You are in the recording.'
+                  : 'You are left out of the recording.'}
+            </span>
+            {answer !== true && (
+              <button
+                onClick={() => onAnswer(recorderId, true)}
+                className={clsx(
+                  'inline-flex items-center justify-center px-3 py-1',
+                  'rounded-full border border-transparent bg-[#4A72F5] shadow-sm',
+                  'text-xs font-medium whitespace-nowrap text-white',
+                  'hover:bg-opacity-90 transition-colors'
+                )}
+              >
+                Allow
+              </button>
+            )}
+            {answer !== false && (
+              <button
+                onClick={() => onAnswer(recorderId, false)}
+                className={clsx(
+                  'inline-flex items-center justify-center px-3 py-1',
+                  'rounded-full border border-gray-600 bg-gray-800 shadow-sm',
+                  'text-xs font-medium whitespace-nowrap text-white',
+                  'hover:bg-gray-700 transition-colors'
+                )}
+              >
+                {answer === undefined ? 'Decline' : 'Leave me out'}
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RecordingNotice;
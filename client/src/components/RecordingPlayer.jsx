@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { clsx } from 'clsx';
+import { cn } from '../lib/utils';
+import { decryptRecording, RECORDING_FILE_EXTENSION } from '../utils/recordingCipher';
+import { fixRecordedMedia } from '../utils/mediaFixup';
+
+/**
+ * Path the player is opened on, so it can be bookmarked
+ */
+export const PLAYER_PATH = '/player';
+
+/**
+ * Recording player
+ * Decrypts an encrypted recording with its passphrase and plays it. Everything
+ * happens in this tab: the decrypted video only exists in memory, and is gone
+ * once another file is opened or the player is closed.
+ *
+ * @param {Object} props - Component properties
+ * @param {Function} props.onClose - Called when the user leaves the player
+ * @param {string} props.className - Additional CSS classes
+ */
+const RecordingPlayer = ({ onClose, className }) => {
+  const [file, setFile] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [isDecrypting, setIsDecrypting] = useState(false);
+  const [error, setError] = useState(null);
+  const [video, setVideo] = useState(null); // { url, name, complete }
+
+  // Release the decrypted video when it is replaced or the player closes
+  useEffect(() => {
+    return () => {
+      if (video) {
+        URL.revokeObjectURL(video.url);
+      }
+    };
+  }, [video]);
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setError(null);
+  };
+
+  const handleDecrypt = async (e) => {
+    e.preventDefault();
+
+    if (!file || !passphrase) {
+      return;
+    }
+
+    setIsDecrypting(true);
+    setError(null);
+
+    try {
+      const { mimeType, chunks, complete } = await decryptRecording(await file.arrayBuffer(), passphrase);
+      // Encrypted recordings are stored as recorded; make them seekable here
+      const blob = new Blob(fixRecordedMedia(mimeType, chunks), { type: mimeType });
+
+      setVideo({ url: URL.createObjectURL(blob), name: file.name, complete });
+      setPassphrase('');
+    } catch (err) {
+      console.error('Error decrypting recording:', err);
+      setError(err.message);
+    } finally {
+      setIsDecrypting(false);
+    }
+  };
+
+  return (
+    <div className={cn('flex flex-col items-center p-6', className)}>
+      <div className="w-full max-w-3xl p-6 bg-white rounded-xl shadow-md text-gray-900">
+        <div className="flex items-center justify-between mb-4">
+          <h1 className="text-2xl font-bold">Play a recording</h1>
+          <button
+            onClick={onClose}
+            className={clsx(
+              'inline-flex items-center justify-center px-4 py-2',
+              'rounded-lg border border-gray-300 bg-white shadow-sm',
+              'text-sm font-medium whitespace-nowrap text-gray-800',
+              'hover:bg-gray-50 transition-colors'
+            )}
+          >
+            Back
+          </button>
+        </div>
+
+        <p className="mb-6 text-sm text-gray-500">
+          Open an encrypted recording ({RECORDING_FILE_EXTENSION}) and enter the passphrase it was
+          recorded with. It is decrypted and played in this browser; nothing is uploaded.
+        </p>
+
+        <form onSubmit={handleDecrypt} className="space-y-4">
+          <input
+            type="file"
+            accept={`${RECORDING_FILE_EXTENSION},application/octet-stream`}
+            onChange={handleFileChange}
+            aria-label="Encrypted recording"
+            className="block w-full text-sm text-gray-700 file:mr-4 file:px-4 file:py-2 file:rounded-full file:border-0 file:bg-gray-800 file:text-white hover:file:bg-gray-700"
+          />
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            placeholder="Passphrase"
+            autoComplete="off"
+            aria-label="Recording passphrase"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-[#4A72F5] bg-white text-gray-900"
+          />
+          <button
+            type="submit"
+            disabled={!file || !passphrase || isDecrypting}
+            className={clsx(
+              'inline-flex items-center justify-center px-4 py-2',
+              'rounded-full border border-transparent bg-[#4A72F5] shadow-md',
+              'text-base font-medium whitespace-nowrap text-white',
+              'hover:bg-opacity-90 transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+            )}
+          >
+            {isDecrypting ? 'Decrypting...' : 'Decrypt and play'}
+          </button>
+        </form>
+
+        {error && (
+          <div role="alert" className="mt-4 p-3 bg-red-50 text-red-700 rounded-lg">
+            {error}
+          </div>
+        )}
+
+        {video && (
+          <div className="mt-6">
+            <p className="mb-2 text-sm font-medium">{video.name}</p>
+            {!video.complete && (
+              <p className="mb-2 text-sm text-[#F59E0B]">
+                This recording was cut off before it ended; it plays up to where it stops.
+              </p>
+            )}
+            <video
+              key={video.url}
+              src={video.url}
+              controls
+              autoPlay
+              className="w-full rounded-lg bg-black"
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecordingPlayer;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { clsx } from 'clsx';
+import { cn } from '../lib/utils';
+
+/**
+ * Safety Number component
+ * Shows the emoji both call participants compare to rule out a
+ * man-in-the-middle, with a "mark verified" action
+ *
+ * @param {Object} props - Component properties
+ * @param {Object} props.safetyNumber - Safety number from WebRTCManager ({ emoji, words, verified, mismatch })
+ * @param {string} props.peerName - Name of the other participant
+ * @param {Function} props.onVerify - Called when the user marks the safety number as verified
+ * @param {string} props.className - Additional CSS classes
+ */
+const SafetyNumber = ({ safetyNumber, peerName, onVerify, className }) => {
+  if (!safetyNumber) {
+    return null;
+  }
+
+  const { emoji, words, verified, mismatch } = safetyNumber;
+
+  return (
+    <div
+      className={cn(
+        'rounded-2xl border p-4 shadow-md bg-gray-800 text-white',
+        mismatch ? 'border-[#D15052]' : verified ? 'border-[#4ADE80]' : 'border-gray-700',
+        className
+      )}
+    >
+      {mismatch && (
+        <div role="alert" className="mb-3 rounded-lg bg-[#D15052]/20 p-3 text-sm text-[#F8B4B4]">
+          <strong className="block text-[#D15052]">Safety number changed</strong>
+          The connection to {peerName} was renegotiated with different certificates.
+          Someone may be intercepting the call. Compare the new safety number again before continuing.
+        </div>
+      )}
+
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm font-medium">Safety number with {peerName}</span>
+        {verified && (
+          <span className="text-xs font-medium text-[#4ADE80]">✓ Verified</span>
+        )}
+      </div>
+
+      <div className="flex flex-wrap justify-center gap-3" aria-label={words}>
+        {emoji.map((item, index) => (
+          <div key={index} className="flex flex-col items-center w-14">
+            <span className="text-2xl" aria-hidden="true">{item.symbol}</span>
+            <span className="text-[10px] text-gray-400">{item.name}</span>
+          </div>
+        ))}
+      </div>
+
+      {!verified && (
+        <div className="mt-3 flex flex-col items-center">
+          <p className="text-xs text-gray-400 text-center mb-2">
+            Read these out loud. If {peerName} sees the same emoji, nobody is listening in.
+          </p>
+          <button
+            onClick={onVerify}
+            className={clsx(
+              'inline-flex items-center justify-center px-4 py-[calc(--spacing(2)-1px)]',
+              'rounded-full border border-transparent bg-[#4A72F5] shadow-md',
+              'text-sm font-medium whitespace-nowrap text-white',
+              'hover:bg-opacity-90 focus:outline-none'
+            )}
+          >
+            Mark verified
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SafetyNumber;
@@ -0,0 +1,157 @@
+import React, { useState, useEffect } from 'react';
+import { clsx } from 'clsx';
+import { cn } from '../lib/utils';
+import {
+  listStoredRecordings,
+  removeStoredRecording,
+  recoverStoredRecording,
+  saveRecording,
+  getRecordingExtension
+} from '../utils/recordingStorage';
+
+/**
+ * Human-readable file size
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size
+ */
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Unsaved recordings
+ * Lists recordings that are still on disk because they were never saved,
+ * e.g. because the tab crashed or the room was left while recording, and
+ * lets the user save or discard each one. Renders nothing if there are none.
+ *
+ * @param {Object} props - Component properties
+ * @param {string} props.className - Additional CSS classes
+ */
+const UnsavedRecordings = ({ className }) => {
+  const [recordings, setRecordings] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    listStoredRecordings()
+      .then(list => {
+        if (!cancelled) {
+          setRecordings(list);
+        }
+      })
+      .catch(err => console.warn('Cannot list unsaved recordings:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const forget = (id) => {
+    setRecordings(prev => prev.filter(recording => recording.id !== id));
+  };
+
+  const handleSave = async (recording) => {
+    setBusyId(recording.id);
+    setError(null);
+
+    try {
+      const blob = await recoverStoredRecording(recording);
+      const date = new Date(recording.createdAt).toISOString().slice(0, 19).replace(/:/g, '-');
+
+      if (await saveRecording(blob, `video-chat-${date}${getRecordingExtension(blob.type)}`, [recording])) {
+        forget(recording.id);
+      }
+    } catch (err) {
+      console.error('Error saving recording:', err);
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDiscard = async (recording) => {
+    if (!window.confirm('Delete this recording? It cannot be brought back.')) {
+      return;
+    }
+
+    setBusyId(recording.id);
+    setError(null);
+
+    try {
+      await removeStoredRecording(recording.id);
+      forget(recording.id);
+    } catch (err) {
+      console.error('Error deleting recording:', err);
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (recordings.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={cn('w-full max-w-md p-6 bg-white rounded-xl shadow-md text-gray-900', className)}>
+      <h2 className="text-lg font-semibold mb-1">Unsaved recordings</h2>
+      <p className="mb-4 text-sm text-gray-500">
+        These recordings were never saved. Recordings that were cut off are repaired when saved.
+      </p>
+
+      {error && (
+        <div role="alert" className="mb-4 p-3 bg-red-50 text-red-700 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      <ul className="space-y-3">
+        {recordings.map(recording => (
+          <li key={recording.id} className="flex items-center gap-3">
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-medium truncate">
+                {new Date(recording.createdAt).toLocaleString()}
+                {recording.label && <span className="font-normal text-gray-500"> · {recording.label}</span>}
+              </p>
+              <p className="text-xs text-gray-500">
+                {formatSize(recording.size)}
+                {recording.encrypted && ' · encrypted'}
+                {!recording.finished && <span className="text-[#F59E0B]"> · cut off</span>}
+              </p>
+            </div>
+            <button
+              onClick={() => handleSave(recording)}
+              disabled={busyId !== null}
+              className={clsx(
+                'inline-flex items-center justify-center px-3 py-1',
+                'rounded-full border border-transparent bg-[#4A72F5] shadow-sm',
+                'text-xs font-medium whitespace-nowrap text-white',
+                'hover:bg-opacity-90 transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+              )}
+            >
+              {busyId === recording.id ? 'Working...' : 'Save'}
+            </button>
+            <button
+              onClick={() => handleDiscard(recording)}
+              disabled={busyId !== null}
+              className={clsx(
+                'inline-flex items-center justify-center px-3 py-1',
+                'rounded-full border border-gray-300 bg-white shadow-sm',
+                'text-xs font-medium whitespace-nowrap text-gray-800',
+                'hover:bg-gray-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed'
+              )}
+            >
+              Discard
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default UnsavedRecordings;
@@ -63,7 +63,7 @@ const UserList = ({ users = [], onCallUser, currentCall, callStatus = 'idle' })
             
             {currentCall && currentCall.id === user.id && (
               <span className="text-xs px-2 py-1 rounded-full bg-primary text-primary-foreground">
-                {callStatus === 'calling' ? 'Calling...' : 'In Call'}
+                {callStatus === 'connected' ? 'In Call' : 'Calling...'}
               </span>
             )}
           </li>
@@ -1,17 +1,27 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { io } from 'socket.io-client';
-import { WebRTCManager } from '../utils/webrtcManager';
+import { WebRTCManager, PEER_STATES } from '../utils/webrtcManager';
+import { MEDIA_MODES } from '../utils/sfuClient';
+import { pickVideoLayer } from '../utils/simulcast';
+import { DEFAULT_CODEC_PREFERENCES } from '../utils/codecPreferences';
+import { ALL_PEERS } from '../utils/statsEngine';
+import { getProtocolHandshake, SESSION_EVENTS } from '../utils/signalingProtocol';
 import { clsx } from 'clsx';
 import { cn } from '../lib/utils';
-import QRCodeGenerator from './QRCodeGenerator';
+import InvitePanel from './InvitePanel';
 import VideoContainer from './VideoContainer';
-import VideoControls from './VideoControls';
 import CameraPermissionGuide from './CameraPermissionGuide';
 import VideoQualityControls from './VideoQualityControls';
 import NetworkQualityIndicator from './NetworkQualityIndicator';
 import ScreenShareButton from './ScreenShareButton';
 import RecordButton from './RecordButton';
-import RecordingHelper from './../utils/recordingHelper';
+import RecordingNotice from './RecordingNotice';
+import SafetyNumber from './SafetyNumber';
+import ChatPanel from './ChatPanel';
+import FileTransferPanel from './FileTransferPanel';
+import DiagnosticsPanel from './DiagnosticsPanel';
+import RecordingHelper, { RECORDING_MODES, STEM_FORMATS } from './../utils/recordingHelper';
+import { RECORDING_LAYOUTS } from './../utils/recordingCompositor';
 import { getOptimalLayout, addOrientationChangeListener } from './../utils/responsiveHelper';
 import { cleanupWebRTCResources, cleanupRecordingResources } from './../utils/resourceCleanupHelper';
 
@@ -21,30 +31,49 @@ import { cleanupWebRTCResources, cleanupRecordingResources } from './../utils/re
  * Main component for the video/voice chat room functionality.
  * Handles WebRTC connections, audio/video processing, and UI for the chat.
  */
-const VideoChatRoom = ({ roomId, userId, onLeave }) => {
+const VideoChatRoom = ({ roomId, userId, encryptionKey = null, roomPassword = null, invite = null, forbidRecording = false, authSession = null, onLeave }) => {
   const [socket, setSocket] = useState(null);
   const [webrtcManager, setWebrtcManager] = useState(null);
   const [connectedPeers, setConnectedPeers] = useState([]);
   const [isMuted, setIsMuted] = useState(false);
   const [isSpeaking, setIsSpeaking] = useState(false);
   const [peerSpeaking, setPeerSpeaking] = useState({});
-  const [audioLevels, setAudioLevels] = useState({});
   const [connectionQualities, setConnectionQualities] = useState({});
+  const [peerStates, setPeerStates] = useState({}); // PEER_STATES per peer, e.g. reconnecting during a network change
+  const [mediaMode, setMediaMode] = useState(MEDIA_MODES.MESH); // Large rooms switch to forwarding through the server
+  const [isAudioOnly, setIsAudioOnly] = useState(false); // Our video is paused while the uplink cannot carry it
   const [error, setError] = useState(null);
   const [isConnecting, setIsConnecting] = useState(true);
   const [showQRCode, setShowQRCode] = useState(false);
   
+  // Safety numbers per peer, shown for verification
+  const [safetyNumbers, setSafetyNumbers] = useState({});
+  const [showSafetyNumbers, setShowSafetyNumbers] = useState(false);
+  
+  // Peer-to-peer chat, kept in memory only
+  const [chatMessages, setChatMessages] = useState([]);
+  const [typingPeers, setTypingPeers] = useState({});
+  const [showChat, setShowChat] = useState(false);
+  
+  // Peer-to-peer file transfers by transfer ID
+  const [fileTransfers, setFileTransfers] = useState({});
+  const [showFiles, setShowFiles] = useState(false);
+  
+  // Live per-peer stats drawer
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+  
   // Video-related state
   const [isVideoEnabled, setIsVideoEnabled] = useState(false);
-  const [videoDevices, setVideoDevices] = useState([]);
   const [cameraStatus, setCameraStatus] = useState(null);
   const [localVideoStream, setLocalVideoStream] = useState(null);
   const [remoteVideoStreams, setRemoteVideoStreams] = useState({});
+  const [tileSizes, setTileSizes] = useState({}); // Size of each remote video tile, to pick a simulcast layer
   
   // Phase 2 features - Video quality and network monitoring
   const [currentVideoQuality, setCurrentVideoQuality] = useState('high');
+  const [codecPreferences, setCodecPreferences] = useState(DEFAULT_CODEC_PREFERENCES);
+  const codecPreferencesRef = useRef(DEFAULT_CODEC_PREFERENCES); // Kept across manager restarts
   const [networkQuality, setNetworkQuality] = useState(100);
-  const [networkMetrics, setNetworkMetrics] = useState(null);
   
   // Phase 3 features - Screen sharing
   const [isScreenSharing, setIsScreenSharing] = useState(false);
@@ -53,20 +82,29 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
   // Phase 3 features - Recording
   const [isRecording, setIsRecording] = useState(false);
   const [recordingTime, setRecordingTime] = useState(0);
+  const [recordingLayout, setRecordingLayout] = useState(RECORDING_LAYOUTS.GRID);
+  const [recordingMode, setRecordingMode] = useState(RECORDING_MODES.VIDEO);
+  const [stemFormat, setStemFormat] = useState(STEM_FORMATS.OPUS);
+  const [isRecordingEncrypted, setIsRecordingEncrypted] = useState(false);
+  const [recordingForbidden, setRecordingForbidden] = useState(false); // Room policy, set by whoever created the room
+  const [recorders, setRecorders] = useState([]); // Others recording the room
+  const [consentAnswers, setConsentAnswers] = useState({}); // Our answer per recorder
+  const [recordingConsents, setRecordingConsents] = useState({}); // Each peer's answer to our recording
   
   // Layout state for responsive design
   const [layout, setLayout] = useState(getOptimalLayout());
   
   // References
-  const audioRefs = useRef({});
-  const animationFrameRef = useRef(null);
+  const sessionIdRef = useRef(null); // Lets a reconnect resume the signaling session
   const webrtcManagerRef = useRef(null);
   const recordingHelperRef = useRef(null);
+  const recordingPassphraseRef = useRef(null); // Kept in memory only, never rendered
   
   // Initialize socket and WebRTC manager
   useEffect(() => {
     // Create socket connection to signaling server
     const newSocket = io(process.env.REACT_APP_SIGNALING_SERVER || window.location.origin, {
+      ...getProtocolHandshake(authSession, () => sessionIdRef.current),
       path: '/socket.io',
       transports: ['websocket'],
       secure: window.location.protocol === 'https:',
@@ -82,6 +120,10 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
       console.log('Connected to signaling server');
     });
     
+    newSocket.on(SESSION_EVENTS.SESSION, ({ sessionId }) => {
+      sessionIdRef.current = sessionId;
+    });
+    
     newSocket.on('connect_error', (err) => {
       console.error('Connection error:', err);
       setError('Failed to connect to the signaling server. Please try again.');
@@ -89,13 +131,9 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
     
     // Clean up on unmount
     return () => {
-      if (animationFrameRef.current) {
-        cancelAnimationFrame(animationFrameRef.current);
-      }
-      
       newSocket.disconnect();
     };
-  }, []);
+  }, [authSession]);
 
   // Handle device orientation changes
   useEffect(() => {
@@ -114,33 +152,45 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
     
     const manager = new WebRTCManager(socket, {
       userId,
+      encryptionKey,
       onPeerConnect: handlePeerConnect,
       onPeerDisconnect: handlePeerDisconnect,
       onSpeakingChange: handleSpeakingChange,
-      onAudioQualityChange: handleAudioQualityChange,
       onError: (errorMsg) => setError(errorMsg),
       onMicrophoneStatus: handleMicrophoneStatus,
       onCameraStatus: handleCameraStatus,
       onLocalVideo: handleLocalVideo,
-      onRemoteVideo: handleRemoteVideo,
+      onRemoteStreamAdded: handleRemoteVideo,
+      onPeerDisconnected: handlePeerDisconnect,
+      onPeerStateChange: handlePeerStateChange,
+      onMediaModeChange: setMediaMode,
+      onAudioOnlyChange: setIsAudioOnly,
+      onRecordingStateChange: handleRecordingStateChange,
+      onRecordingConsent: handleRecordingConsent,
+      codecPreferences: codecPreferencesRef.current,
       onVideoStatusChange: handleVideoStatusChange,
       onNetworkQualityChange: handleNetworkQualityChange, // Phase 2 - Network quality monitoring
       onScreenSharingChange: handleScreenSharingChange, // Phase 3 - Screen sharing
+      onSafetyNumberChange: handleSafetyNumberChange,
+      onChatMessage: handleChatMessage,
+      onChatDelivery: handleChatDelivery,
+      onChatTyping: handleChatTyping,
+      onFileTransferUpdate: handleFileTransferUpdate,
+      onFileReceived: handleFileReceived,
     });
     
     setWebrtcManager(manager);
     webrtcManagerRef.current = manager;
     
     // Initialize WebRTC and join room
-    manager.initialize(roomId)
+    manager.initialize(roomId, {
+      password: roomPassword || undefined,
+      invite: invite || undefined,
+      forbidRecording
+    })
       .then(() => {
         setIsConnecting(false);
-        startAudioLevelMonitoring(manager);
-        
-        // Get available video devices
-        manager.getVideoDevices().then(devices => {
-          setVideoDevices(devices);
-        });
+        setRecordingForbidden(manager.isRecordingForbidden());
         
         // Set initial video quality (Phase 2)
         if (manager.setVideoQuality) {
@@ -152,7 +202,9 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
       })
       .catch((err) => {
         console.error('Failed to initialize WebRTC:', err);
-        setError('Failed to initialize video chat. Please try again.');
+        setError(encryptionKey
+          ? `Failed to start encrypted video chat: ${err.message}`
+          : `Failed to join the room: ${err.message}`);
       });
     
     // Clean up on unmount
@@ -161,7 +213,7 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
         manager.dispose();
       }
     };
-  }, [socket, roomId, userId, currentVideoQuality]);
+  }, [socket, roomId, userId, encryptionKey, roomPassword, invite, forbidRecording, currentVideoQuality]);
   
   // Handle peer connect
   const handlePeerConnect = (peerId) => {
@@ -179,15 +231,14 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
       return newState;
     });
     
-    // Remove peer audio level
-    setAudioLevels(prev => {
+    // Remove peer video stream
+    setRemoteVideoStreams(prev => {
       const newState = { ...prev };
       delete newState[peerId];
       return newState;
     });
     
-    // Remove peer video stream
-    setRemoteVideoStreams(prev => {
+    setTileSizes(prev => {
       const newState = { ...prev };
       delete newState[peerId];
       return newState;
@@ -199,26 +250,36 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
       delete newState[peerId];
       return newState;
     });
+    
+    // Remove peer safety number
+    setSafetyNumbers(prev => {
+      const newState = { ...prev };
+      delete newState[peerId];
+      return newState;
+    });
+    
+    // Remove peer connection state
+    setPeerStates(prev => {
+      const newState = { ...prev };
+      delete newState[peerId];
+      return newState;
+    });
   };
   
-  // Handle speaking change
-  const handleSpeakingChange = (speaking) => {
-    setIsSpeaking(speaking);
-  };
-  
-  // Handle peer speaking change
-  const handlePeerSpeakingChange = (peerId, speaking) => {
-    setPeerSpeaking(prev => ({
+  // Handle peer connection state (the manager restarts ICE while reconnecting)
+  const handlePeerStateChange = (peerId, state) => {
+    setPeerStates(prev => ({
       ...prev,
-      [peerId]: speaking,
+      [peerId]: state,
     }));
   };
   
-  // Handle audio quality change
-  const handleAudioQualityChange = (quality) => {
-    // Update audio quality
+  // Handle speaking change
+  const handleSpeakingChange = (speaking) => {
+    setIsSpeaking(speaking);
   };
   
+  // Handle audio quality change
   // Handle microphone status
   const handleMicrophoneStatus = (status) => {
     // Update microphone status
@@ -235,6 +296,37 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
     setIsVideoEnabled(!!stream);
   };
   
+  // Connection quality of each peer, for the indicator on their tile
+  useEffect(() => {
+    if (!webrtcManager) return;
+    
+    return webrtcManager.subscribeToStats(ALL_PEERS, (sample) => {
+      if (sample.score === null) return;
+      
+      setConnectionQualities(prev => ({
+        ...prev,
+        [sample.peerId]: sample.score,
+      }));
+    });
+  }, [webrtcManager]);
+  
+  // Ask each peer for the video layer its tile and our network need
+  useEffect(() => {
+    if (!webrtcManager) return;
+    
+    Object.entries(tileSizes).forEach(([peerId, size]) => {
+      webrtcManager.requestVideoLayer(peerId, pickVideoLayer(size, networkQuality));
+    });
+  }, [webrtcManager, tileSizes, networkQuality]);
+  
+  // Handle remote video tile resize
+  const handleTileResize = (peerId, size) => {
+    setTileSizes(prev => ({
+      ...prev,
+      [peerId]: size,
+    }));
+  };
+  
   // Handle remote video
   const handleRemoteVideo = (peerId, stream) => {
     setRemoteVideoStreams(prev => ({
@@ -243,15 +335,125 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
     }));
   };
   
+  // Handle safety number change
+  const handleSafetyNumberChange = (peerId, safetyNumber) => {
+    setSafetyNumbers(prev => ({
+      ...prev,
+      [peerId]: safetyNumber,
+    }));
+  };
+  
+  // Handle incoming chat message
+  const handleChatMessage = (peerId, message) => {
+    setChatMessages(prev => [...prev, { ...message, author: peerId, own: false }]);
+  };
+  
+  // Handle chat delivery acknowledgement
+  const handleChatDelivery = (messageId, peerId) => {
+    setChatMessages(prev => prev.map(message => (
+      message.id === messageId
+        ? { ...message, deliveredTo: [...message.deliveredTo, peerId] }
+        : message
+    )));
+  };
+  
+  // Handle peer typing indicator
+  const handleChatTyping = (peerId, typing) => {
+    setTypingPeers(prev => {
+      const newState = { ...prev };
+      if (typing) {
+        newState[peerId] = true;
+      } else {
+        delete newState[peerId];
+      }
+      return newState;
+    });
+  };
+  
+  // Send a chat message to everyone in the room
+  const handleSendChatMessage = (text) => {
+    if (!webrtcManager) return;
+    
+    try {
+      const message = webrtcManager.sendChatMessage(text);
+      setChatMessages(prev => [...prev, { ...message, own: true, deliveredTo: [] }]);
+    } catch (err) {
+      console.error('Error sending chat message:', err);
+    }
+  };
+  
+  // Handle local typing
+  const handleChatInputTyping = (typing) => {
+    if (webrtcManager) {
+      webrtcManager.setTyping(typing);
+    }
+  };
+  
+  // Toggle chat panel
+  const handleToggleChat = () => {
+    setShowChat((prev) => !prev);
+  };
+  
+  // Handle file transfer progress
+  const handleFileTransferUpdate = (transfer) => {
+    setFileTransfers(prev => ({
+      ...prev,
+      [transfer.id]: { ...prev[transfer.id], ...transfer },
+    }));
+  };
+  
+  // Handle a received and verified file
+  const handleFileReceived = (peerId, file) => {
+    setFileTransfers(prev => ({
+      ...prev,
+      [file.id]: { ...prev[file.id], blob: file.blob },
+    }));
+  };
+  
+  // Send dropped or selected files to everyone in the room
+  const handleSendFiles = (files) => {
+    if (!webrtcManager) return;
+    
+    files.forEach(file => {
+      webrtcManager.sendFile(file).catch(err => {
+        console.error('Error sending file:', err);
+        alert(`Could not send ${file.name}: ${err.message}`);
+      });
+    });
+  };
+  
+  // Cancel a file transfer
+  const handleCancelTransfer = (transferId) => {
+    if (webrtcManager) {
+      webrtcManager.cancelFileTransfer(transferId);
+    }
+  };
+  
+  // Toggle file transfer panel
+  const handleToggleFiles = () => {
+    setShowFiles((prev) => !prev);
+  };
+  
+  // Toggle diagnostics drawer
+  const handleToggleDiagnostics = () => {
+    setShowDiagnostics((prev) => !prev);
+  };
+  
+  // Mark a peer's safety number as verified
+  const handleVerifyPeer = (peerId) => {
+    if (webrtcManager) {
+      webrtcManager.markPeerVerified(peerId);
+    }
+  };
+  
   // Handle video status change
   const handleVideoStatusChange = (enabled) => {
     setIsVideoEnabled(enabled);
   };
   
   // Handle network quality change (Phase 2)
-  const handleNetworkQualityChange = (quality, metrics) => {
+  const handleNetworkQualityChange = (quality) => {
     setNetworkQuality(quality);
-    setNetworkMetrics(metrics);
     
     // Update connection quality for the peer
     setConnectionQualities(prev => ({
@@ -268,27 +470,27 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
     }
   };
   
-  // Start monitoring audio levels
-  const startAudioLevelMonitoring = (manager) => {
-    const updateAudioLevels = () => {
-      if (!manager) return;
-      
-      // Update local audio level
-      const localLevel = manager.getAudioLevel();
-      
-      setAudioLevels((prevLevels) => ({
-        ...prevLevels,
-        local: localLevel,
-      }));
-      
-      // Continue monitoring
-      animationFrameRef.current = requestAnimationFrame(updateAudioLevels);
+  // Handle codec preference change from the advanced panel
+  const handleCodecPreferencesChange = (change) => {
+    const preferences = {
+      video: change.video || codecPreferences.video,
+      opus: { ...codecPreferences.opus, ...change.opus }
     };
     
-    // Start monitoring
-    updateAudioLevels();
+    codecPreferencesRef.current = preferences;
+    setCodecPreferences(preferences);
+    
+    if (webrtcManager) {
+      webrtcManager.setCodecPreferences(preferences);
+    }
   };
   
+  // Codecs negotiated with each peer, for the advanced panel
+  const getNegotiatedCodecs = useCallback(
+    () => (webrtcManager ? webrtcManager.getNegotiatedCodecs() : Promise.resolve({})),
+    [webrtcManager]
+  );
+  
   // Toggle mute
   const handleToggleMute = () => {
     if (webrtcManager) {
@@ -305,13 +507,6 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
     }
   };
   
-  // Switch camera
-  const handleSwitchCamera = async (deviceId) => {
-    if (webrtcManager) {
-      await webrtcManager.switchCamera(deviceId);
-    }
-  };
-  
   // Retry camera access
   const handleRetryCameraAccess = async () => {
     if (webrtcManager) {
@@ -352,12 +547,23 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
     setShowQRCode((prev) => !prev);
   };
   
-  // Generate connection data for QR code
-  const getConnectionData = () => {
-    return JSON.stringify({
-      roomId,
-      server: window.location.origin,
-    });
+  // Toggle safety number display
+  const handleToggleSafetyNumbers = () => {
+    setShowSafetyNumbers((prev) => !prev);
+  };
+  
+  // Mismatches are always shown, even with the panel closed
+  const visibleSafetyNumbers = Object.entries(safetyNumbers).filter(
+    ([, safetyNumber]) => showSafetyNumbers || safetyNumber.mismatch
+  );
+  
+  // Create an invite into this room
+  const handleCreateInvite = (maxUses) => {
+    if (!webrtcManager) {
+      return Promise.reject(new Error('Not connected to the room'));
+    }
+    
+    return webrtcManager.createInvite(maxUses);
   };
   
   // Calculate grid columns based on number of participants
@@ -398,21 +604,107 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
     setRecordingTime(time);
   };
 
+  // Everyone on the call, as the recording draws and mixes them
+  const getRecordingSources = useCallback(() => {
+    const micTracks = webrtcManager && webrtcManager.localStream ? webrtcManager.localStream.getAudioTracks() : [];
+    const cameraTracks = localVideoStream ? localVideoStream.getVideoTracks() : [];
+    const sources = [
+      { id: 'local', label: `${userId} (You)`, stream: new MediaStream([...micTracks, ...cameraTracks]) },
+    ];
+    
+    if (isScreenSharing && screenStream) {
+      sources.push({ id: 'screen', label: `${userId} (screen)`, stream: screenStream, isScreen: true });
+    }
+    
+    // Only those who agreed to be recorded; until they answer they are left out
+    Object.entries(remoteVideoStreams).forEach(([peerId, stream]) => {
+      if (stream && recordingConsents[peerId] === true) {
+        sources.push({ id: peerId, label: peerId, stream });
+      }
+    });
+    
+    return sources;
+  }, [webrtcManager, userId, localVideoStream, isScreenSharing, screenStream, remoteVideoStreams, recordingConsents]);
+  
+  // The recording follows joins, leaves and screen sharing
+  useEffect(() => {
+    if (isRecording && recordingHelperRef.current) {
+      recordingHelperRef.current.updateSources(getRecordingSources());
+    }
+  }, [isRecording, getRecordingSources]);
+  
+  // Switch the recording layout, also while recording
+  const handleRecordingLayoutChange = (layout) => {
+    setRecordingLayout(layout);
+    
+    if (recordingHelperRef.current) {
+      recordingHelperRef.current.setLayout(layout);
+    }
+  };
+  
+  // Encrypt the next recordings with a passphrase, or stop encrypting them (null)
+  const handleRecordingEncryptionChange = (passphrase) => {
+    recordingPassphraseRef.current = passphrase;
+    setIsRecordingEncrypted(!!passphrase);
+  };
+  
+  // Another participant started or stopped recording
+  const handleRecordingStateChange = (peerId, recording) => {
+    setRecorders(prev => recording
+      ? [...prev.filter(id => id !== peerId), peerId]
+      : prev.filter(id => id !== peerId));
+    
+    if (!recording) {
+      setConsentAnswers(prev => {
+        const newState = { ...prev };
+        delete newState[peerId];
+        return newState;
+      });
+    }
+  };
+  
+  // A participant answered our recording (null when the answer no longer counts)
+  const handleRecordingConsent = (peerId, consent) => {
+    setRecordingConsents(prev => {
+      const newState = { ...prev };
+      
+      if (consent === null) {
+        delete newState[peerId];
+      } else {
+        newState[peerId] = consent;
+      }
+      
+      return newState;
+    });
+  };
+  
+  // Answer another participant's recording
+  const handleRecordingConsentAnswer = (recorderId, consent) => {
+    if (webrtcManager) {
+      webrtcManager.setRecordingConsent(recorderId, consent);
+    }
+    
+    setConsentAnswers(prev => ({
+      ...prev,
+      [recorderId]: consent,
+    }));
+  };
+  
   // Handle toggle recording
+  // Everyone in the room is told before the first frame is recorded
   const handleToggleRecording = async () => {
     const recordingHelper = recordingHelperRef.current;
     
-    if (!recordingHelper) {
+    if (!recordingHelper || !webrtcManager) {
       return;
     }
     
     if (recordingHelper.isCurrentlyRecording()) {
+      let recordedBlob = null;
+      
       try {
         // Stop recording
-        const recordedBlob = await recordingHelper.stopRecording();
-        
-        // Download the recording
-        recordingHelper.downloadRecording(recordedBlob, `video-chat-${roomId}`);
+        recordedBlob = await recordingHelper.stopRecording();
         
         // Update state
         setIsRecording(false);
@@ -420,30 +712,34 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
       } catch (error) {
         console.error('Error stopping recording:', error);
       }
-    } else {
-      // Start recording
-      const streamsToRecord = [localVideoStream];
       
-      // Add remote streams
-      Object.values(remoteVideoStreams).forEach(stream => {
-        if (stream) {
-          streamsToRecord.push(stream);
-        }
-      });
+      webrtcManager.setRecording(false).catch(console.error);
       
-      // Add screen sharing stream if active
-      if (isScreenSharing && screenStream) {
-        streamsToRecord.push(screenStream);
+      // Save the recording; if that is cancelled, the lobby offers it again
+      if (recordedBlob) {
+        recordingHelper.downloadRecording(recordedBlob, `video-chat-${roomId}`)
+          .catch(error => console.error('Error saving recording:', error));
+      }
+    } else {
+      try {
+        await webrtcManager.setRecording(true);
+      } catch (error) {
+        console.error('Error announcing recording:', error);
+        return;
       }
       
       // Start recording
       const success = recordingHelper.startRecording(
-        streamsToRecord.filter(Boolean),
-        handleRecordingTimeUpdate
+        getRecordingSources(),
+        handleRecordingTimeUpdate,
+        recordingLayout,
+        { passphrase: recordingPassphraseRef.current, mode: recordingMode, stemFormat }
       );
       
       if (success) {
         setIsRecording(true);
+      } else {
+        webrtcManager.setRecording(false).catch(console.error);
       }
     }
   };
@@ -456,6 +752,30 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
           <div>
             <h2 className="text-lg font-semibold text-white">Room: {roomId}</h2>
             <p className="text-sm text-gray-400">Connected as {userId}</p>
+            {encryptionKey && (
+              <p className="mt-1 inline-flex items-center text-xs font-medium text-[#4ADE80]" title="Media frames are encrypted with the room key">
+                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="w-3 h-3 mr-1">
+                  <rect x="3" y="11" width="18" height="11" rx="2" ry="2"></rect>
+                  <path d="M7 11V7a5 5 0 0 1 10 0v4"></path>
+                </svg>
+                End-to-end encrypted
+              </p>
+            )}
+            {mediaMode === MEDIA_MODES.SFU && (
+              <p
+                className="mt-1 block text-xs text-gray-400"
+                title={encryptionKey
+                  ? 'The server forwards encrypted frames it cannot read'
+                  : 'The server can read forwarded media; join with a room key to encrypt it end to end'}
+              >
+                Media is forwarded by the server
+              </p>
+            )}
+            {isAudioOnly && (isVideoEnabled || isScreenSharing) && (
+              <p role="status" className="mt-1 block text-xs text-[#F59E0B]">
+                Your connection is too slow for video. Others still hear you; your video resumes when it recovers.
+              </p>
+            )}
           </div>
           <div className="flex items-center space-x-2">
             <button
@@ -474,6 +794,18 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
         </div>
       </div>
       
+      {/* Recording indicator and consent prompts */}
+      {!isConnecting && !error && (
+        <RecordingNotice
+          recorders={recorders}
+          consentAnswers={consentAnswers}
+          onAnswer={handleRecordingConsentAnswer}
+          isRecording={isRecording}
+          consentedCount={Object.values(recordingConsents).filter(Boolean).length}
+          participantCount={new Set(connectedPeers).size}
+        />
+      )}
+      
       {/* Main content */}
       <div className="flex-1 p-6 overflow-auto bg-gradient-to-b from-gray-950 to-gray-900">
         {isConnecting ? (
@@ -501,16 +833,28 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
           </div>
         ) : (
           <div className="flex flex-col space-y-6">
-            {/* QR Code */}
+            {/* Invite QR Code */}
             {showQRCode && (
               <div className="bg-gray-800 p-6 rounded-2xl shadow-lg mx-auto max-w-xs border border-gray-700">
-                <QRCodeGenerator
-                  connectionData={getConnectionData()}
+                <InvitePanel
+                  onCreateInvite={handleCreateInvite}
+                  description="Scan or open the link to join this room, no password needed"
                   className="mx-auto"
                 />
-                <p className="text-center mt-4 text-sm text-gray-300">
-                  Scan to join this room
-                </p>
+              </div>
+            )}
+            
+            {/* Safety numbers */}
+            {visibleSafetyNumbers.length > 0 && (
+              <div className="grid gap-4 md:grid-cols-2">
+                {visibleSafetyNumbers.map(([peerId, safetyNumber]) => (
+                  <SafetyNumber
+                    key={peerId}
+                    safetyNumber={safetyNumber}
+                    peerName={peerId}
+                    onVerify={() => handleVerifyPeer(peerId)}
+                  />
+                ))}
               </div>
             )}
             
@@ -549,10 +893,36 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
                   isMuted={false}
                   isLocal={false}
                   isSpeaking={peerSpeaking[peerId]}
+                  isReconnecting={peerStates[peerId] === PEER_STATES.RECONNECTING}
+                  connectionQuality={connectionQualities[peerId]}
+                  onResize={(size) => handleTileResize(peerId, size)}
                   label={peerId}
                 />
               ))}
             </div>
+            
+            {/* File transfer */}
+            {showFiles && (
+              <FileTransferPanel
+                transfers={Object.values(fileTransfers)}
+                onSendFiles={handleSendFiles}
+                onCancel={handleCancelTransfer}
+                disabled={connectedPeers.length === 0}
+                className="w-full max-w-2xl mx-auto"
+              />
+            )}
+            
+            {/* Chat */}
+            {showChat && (
+              <ChatPanel
+                messages={chatMessages}
+                typingNames={Object.keys(typingPeers)}
+                onSend={handleSendChatMessage}
+                onTyping={handleChatInputTyping}
+                disabled={connectedPeers.length === 0}
+                className="w-full max-w-2xl mx-auto"
+              />
+            )}
           </div>
         )}
       </div>
@@ -599,13 +969,26 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
             <RecordButton
               isRecording={isRecording}
               recordingTime={recordingTime}
-              onToggle={handleToggleRecording}
+              onToggleRecording={handleToggleRecording}
+              layout={recordingLayout}
+              onLayoutChange={handleRecordingLayoutChange}
+              mode={recordingMode}
+              onModeChange={setRecordingMode}
+              stemFormat={stemFormat}
+              onStemFormatChange={setStemFormat}
+              disabledReason={recordingForbidden ? 'Recording is not allowed in this room' : null}
+              encrypted={isRecordingEncrypted}
+              onEncryptionChange={handleRecordingEncryptionChange}
             />
             
             {/* Video quality controls (Phase 2) */}
             <VideoQualityControls
               currentQuality={currentVideoQuality}
               onQualityChange={handleVideoQualityChange}
+              codecPreferences={codecPreferences}
+              onCodecPreferencesChange={handleCodecPreferencesChange}
+              getNegotiatedCodecs={getNegotiatedCodecs}
+              encrypted={!!encryptionKey}
             />
             
             {/* QR Code toggle */}
@@ -621,6 +1004,62 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
             >
               {showQRCode ? 'Hide QR Code' : 'Show QR Code'}
             </button>
+            
+            {/* Chat toggle */}
+            <button
+              onClick={handleToggleChat}
+              className={clsx(
+                'inline-flex items-center justify-center px-4 py-[calc(--spacing(2)-1px)]',
+                'rounded-full border border-transparent shadow-md',
+                showChat ? 'bg-[#9C5AE5] text-white' : 'bg-gray-800 text-white',
+                'hover:bg-opacity-90 focus:outline-none'
+              )}
+              aria-label={showChat ? 'Hide Chat' : 'Show Chat'}
+            >
+              {showChat ? 'Hide Chat' : 'Show Chat'}
+            </button>
+            
+            {/* File transfer toggle */}
+            <button
+              onClick={handleToggleFiles}
+              className={clsx(
+                'inline-flex items-center justify-center px-4 py-[calc(--spacing(2)-1px)]',
+                'rounded-full border border-transparent shadow-md',
+                showFiles ? 'bg-[#9C5AE5] text-white' : 'bg-gray-800 text-white',
+                'hover:bg-opacity-90 focus:outline-none'
+              )}
+              aria-label={showFiles ? 'Hide Files' : 'Share Files'}
+            >
+              {showFiles ? 'Hide Files' : 'Share Files'}
+            </button>
+            
+            {/* Safety number toggle */}
+            <button
+              onClick={handleToggleSafetyNumbers}
+              className={clsx(
+                'inline-flex items-center justify-center px-4 py-[calc(--spacing(2)-1px)]',
+                'rounded-full border border-transparent shadow-md',
+                showSafetyNumbers ? 'bg-[#9C5AE5] text-white' : 'bg-gray-800 text-white',
+                'hover:bg-opacity-90 focus:outline-none'
+              )}
+              aria-label={showSafetyNumbers ? 'Hide Safety Numbers' : 'Verify Participants'}
+            >
+              {showSafetyNumbers ? 'Hide Safety Numbers' : 'Verify Participants'}
+            </button>
+            
+            {/* Diagnostics toggle */}
+            <button
+              onClick={handleToggleDiagnostics}
+              className={clsx(
+                'inline-flex items-center justify-center px-4 py-[calc(--spacing(2)-1px)]',
+                'rounded-full border border-transparent shadow-md',
+                showDiagnostics ? 'bg-[#9C5AE5] text-white' : 'bg-gray-800 text-white',
+                'hover:bg-opacity-90 focus:outline-none'
+              )}
+              aria-label={showDiagnostics ? 'Hide Diagnostics' : 'Show Diagnostics'}
+            >
+              {showDiagnostics ? 'Hide Diagnostics' : 'Diagnostics'}
+            </button>
           </div>
           
           {/* Network quality indicator (Phase 2) */}
@@ -629,6 +1068,15 @@ const VideoChatRoom = ({ roomId, userId, onLeave }) => {
           </div>
         </div>
       )}
+      
+      {/* Diagnostics drawer */}
+      {showDiagnostics && webrtcManager && (
+        <DiagnosticsPanel
+          webrtcManager={webrtcManager}
+          peerIds={Array.from(new Set(connectedPeers))}
+          onClose={() => setShowDiagnostics(false)}
+        />
+      )}
     </div>
   );
 };
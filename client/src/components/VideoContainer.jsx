@@ -5,7 +5,11 @@ import NetworkQualityIndicator from './NetworkQualityIndicator';
 /**
  * VideoContainer Component
  * 
- * Displays a video stream with Radiant-TS styling
+ * Displays a video stream with Radiant-TS styling.
+ * While `isReconnecting` is set the last frame stays visible under a
+ * "Reconnecting…" overlay, so a peer does not vanish during a network change.
+ * `onResize` gets the tile's size, so the stream can be requested at a
+ * resolution that fills it.
  */
 const VideoContainer = ({ 
   stream, 
@@ -15,9 +19,32 @@ const VideoContainer = ({
   isSpeaking = false,
   isVideoEnabled = true,
   connectionQuality = 100, 
+  isReconnecting = false,
+  onResize = null,
   className = ''
 }) => {
   const videoRef = useRef(null);
+  const containerRef = useRef(null);
+  const onResizeRef = useRef(onResize);
+  onResizeRef.current = onResize;
+  
+  // Report the tile's size in CSS pixels whenever the grid changes
+  useEffect(() => {
+    if (!containerRef.current || typeof ResizeObserver === 'undefined') {
+      return;
+    }
+    
+    const observer = new ResizeObserver(([entry]) => {
+      if (onResizeRef.current) {
+        const { width, height } = entry.contentRect;
+        onResizeRef.current({ width, height });
+      }
+    });
+    
+    observer.observe(containerRef.current);
+    
+    return () => observer.disconnect();
+  }, []);
   
   // Connect stream to video element when stream changes
   useEffect(() => {
@@ -34,6 +61,7 @@ const VideoContainer = ({
   
   return (
     <div 
+      ref={containerRef}
       className={clsx(
         className,
         'relative rounded-2xl overflow-hidden shadow-lg',
@@ -66,6 +94,17 @@ const VideoContainer = ({
         </div>
       )}
       
+      {/* Reconnecting overlay */}
+      {isReconnecting && (
+        <div
+          role="status"
+          className="absolute inset-0 flex flex-col items-center justify-center bg-black/60 text-white"
+        >
+          <div className="w-8 h-8 mb-2 rounded-full border-2 border-white/30 border-t-white animate-spin" />
+          <span className="text-sm font-medium">Reconnecting…</span>
+        </div>
+      )}
+      
       {/* User info overlay */}
       <div className="absolute bottom-0 left-0 right-0 p-3 bg-gradient-to-t from-black/80 to-transparent">
         <div className="flex items-center justify-between">
@@ -1,17 +1,41 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { clsx } from 'clsx';
+import {
+  VIDEO_CODECS,
+  OPUS_PTIMES,
+  DEFAULT_CODEC_PREFERENCES,
+  getVideoCodec,
+  isCodecSupported,
+  describeCodec
+} from '../utils/codecPreferences';
+
+// How often the advanced panel refreshes the negotiated codecs
+const CODEC_REFRESH_INTERVAL_MS = 2000;
 
 /**
  * VideoQualityControls Component
  * 
- * Provides controls for video quality settings with Radiant-TS styling
+ * Provides controls for video quality settings with Radiant-TS styling.
+ * The advanced panel picks the preferred video codec and the Opus options,
+ * and shows the codecs negotiated with each peer. Encrypted calls only offer
+ * the codecs that carry encrypted frames.
  */
 const VideoQualityControls = ({ 
   currentQuality = 'auto',
   onQualityChange,
+  codecPreferences = DEFAULT_CODEC_PREFERENCES,
+  onCodecPreferencesChange,
+  getNegotiatedCodecs,
+  encrypted = false,
   className = ''
 }) => {
   const [showQualityMenu, setShowQualityMenu] = useState(false);
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [negotiatedCodecs, setNegotiatedCodecs] = useState({});
+  
+  // Only offer codecs this browser can both send and receive
+  const videoCodecs = VIDEO_CODECS.filter(codec => (codec.encryptable || !encrypted) &&
+    (!codec.mimeType || isCodecSupported('video', codec.mimeType)));
   
   // Quality presets
   const qualityPresets = [
@@ -43,6 +67,42 @@ const VideoQualityControls = ({
     setShowQualityMenu(false);
   };
   
+  // Refresh the negotiated codecs while the advanced panel is open
+  useEffect(() => {
+    if (!showAdvanced || !getNegotiatedCodecs) return;
+    
+    let cancelled = false;
+    
+    const refresh = async () => {
+      const codecs = await getNegotiatedCodecs();
+      
+      if (!cancelled) {
+        setNegotiatedCodecs(codecs);
+      }
+    };
+    
+    refresh();
+    const interval = setInterval(refresh, CODEC_REFRESH_INTERVAL_MS);
+    
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [showAdvanced, getNegotiatedCodecs]);
+  
+  // Open the advanced panel instead of the menu
+  const handleAdvancedOpen = () => {
+    setShowQualityMenu(false);
+    setShowAdvanced(true);
+  };
+  
+  // Change one Opus option
+  const handleOpusChange = (option, value) => {
+    if (onCodecPreferencesChange) {
+      onCodecPreferencesChange({ opus: { ...codecPreferences.opus, [option]: value } });
+    }
+  };
+  
   // Close menu when clicking outside
   React.useEffect(() => {
     const handleClickOutside = () => {
@@ -100,6 +160,99 @@ const VideoQualityControls = ({
                 {preset.label}
               </button>
             ))}
+            {onCodecPreferencesChange && (
+              <button
+                onClick={handleAdvancedOpen}
+                className="block w-full text-left px-4 py-2 text-sm text-gray-300 hover:bg-gray-700 border-t border-gray-700"
+                role="menuitem"
+              >
+                Advanced…
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+      
+      {/* Advanced codec panel */}
+      {showAdvanced && (
+        <div
+          className="absolute right-0 mt-2 w-80 rounded-md shadow-lg bg-gray-800 border border-gray-700 z-10 p-4 space-y-4 text-sm text-gray-300"
+          role="dialog"
+          aria-label="Codec settings"
+        >
+          <div className="flex items-center justify-between">
+            <span className="font-medium text-white">Codecs</span>
+            <button
+              onClick={() => setShowAdvanced(false)}
+              className="text-gray-400 hover:text-white"
+              aria-label="Close codec settings"
+            >
+              ✕
+            </button>
+          </div>
+          
+          <label className="flex items-center justify-between">
+            <span>Preferred video codec</span>
+            <select
+              value={getVideoCodec(codecPreferences.video, encrypted).id}
+              onChange={(e) => onCodecPreferencesChange({ video: e.target.value })}
+              className="rounded bg-gray-700 border border-gray-600 px-2 py-1 text-white"
+            >
+              {videoCodecs.map(codec => (
+                <option key={codec.id} value={codec.id}>{codec.label}</option>
+              ))}
+            </select>
+          </label>
+          
+          <fieldset className="space-y-2">
+            <legend className="mb-1 text-gray-400">Opus (voice)</legend>
+            {[
+              ['fec', 'In-band FEC (repairs lost packets)'],
+              ['dtx', 'DTX (silence uses no bandwidth)'],
+              ['stereo', 'Stereo']
+            ].map(([option, label]) => (
+              <label key={option} className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={!!codecPreferences.opus[option]}
+                  onChange={(e) => handleOpusChange(option, e.target.checked)}
+                />
+                <span>{label}</span>
+              </label>
+            ))}
+            <label className="flex items-center justify-between">
+              <span>Packet length</span>
+              <select
+                value={codecPreferences.opus.ptime}
+                onChange={(e) => handleOpusChange('ptime', Number(e.target.value))}
+                className="rounded bg-gray-700 border border-gray-600 px-2 py-1 text-white"
+              >
+                {OPUS_PTIMES.map(ptime => (
+                  <option key={ptime} value={ptime}>{ptime} ms</option>
+                ))}
+              </select>
+            </label>
+          </fieldset>
+          
+          <div>
+            <div className="mb-1 text-gray-400">Negotiated (sending / receiving)</div>
+            {Object.keys(negotiatedCodecs).length === 0 ? (
+              <p className="text-xs text-gray-500">No peers connected</p>
+            ) : (
+              <table className="w-full text-xs">
+                <tbody>
+                  {Object.entries(negotiatedCodecs).map(([peerId, codecs]) => (
+                    <tr key={peerId} className="align-top">
+                      <td className="pr-2 py-1 font-medium text-white truncate max-w-[6rem]">{peerId}</td>
+                      <td className="py-1">
+                        <div>{describeCodec(codecs.audio.send)} / {describeCodec(codecs.audio.receive)}</div>
+                        <div>{describeCodec(codecs.video.send)} / {describeCodec(codecs.video.receive)}</div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
           </div>
         </div>
       )}
@@ -1,8 +1,11 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { io } from 'socket.io-client';
 import { WebRTCManager } from '../utils/webrtcManager';
+import { ALL_PEERS } from '../utils/statsEngine';
+import { getProtocolHandshake, SESSION_EVENTS } from '../utils/signalingProtocol';
 import { Button } from './ui/button';
-import QRCodeGenerator from './QRCodeGenerator';
+import InvitePanel from './InvitePanel';
+import NetworkQualityIndicator from './NetworkQualityIndicator';
 import { cn } from '../lib/utils';
 
 /**
@@ -11,7 +14,7 @@ import { cn } from '../lib/utils';
  * Main component for the voice chat room functionality.
  * Handles WebRTC connections, audio processing, and UI for the voice chat.
  */
-const VoiceChatRoom = ({ roomId, userId, onLeave }) => {
+const VoiceChatRoom = ({ roomId, userId, authSession = null, onLeave }) => {
   const [socket, setSocket] = useState(null);
   const [webrtcManager, setWebrtcManager] = useState(null);
   const [connectedPeers, setConnectedPeers] = useState([]);
@@ -27,11 +30,13 @@ const VoiceChatRoom = ({ roomId, userId, onLeave }) => {
   // References
   const audioRefs = useRef({});
   const animationFrameRef = useRef(null);
+  const sessionIdRef = useRef(null); // Lets a reconnect resume the signaling session
   
   // Initialize socket and WebRTC manager
   useEffect(() => {
     // Create socket connection to signaling server
     const newSocket = io(process.env.REACT_APP_SIGNALING_SERVER || window.location.origin, {
+      ...getProtocolHandshake(authSession, () => sessionIdRef.current),
       path: '/socket.io',
       transports: ['websocket'],
       secure: window.location.protocol === 'https:',
@@ -47,6 +52,10 @@ const VoiceChatRoom = ({ roomId, userId, onLeave }) => {
       console.log('Connected to signaling server');
     });
     
+    newSocket.on(SESSION_EVENTS.SESSION, ({ sessionId }) => {
+      sessionIdRef.current = sessionId;
+    });
+    
     newSocket.on('connect_error', (err) => {
       console.error('Connection error:', err);
       setError('Failed to connect to the signaling server. Please try again.');
@@ -60,7 +69,7 @@ const VoiceChatRoom = ({ roomId, userId, onLeave }) => {
       
       newSocket.disconnect();
     };
-  }, []);
+  }, [authSession]);
   
   // Initialize WebRTC manager when socket is ready
   useEffect(() => {
@@ -71,12 +80,14 @@ const VoiceChatRoom = ({ roomId, userId, onLeave }) => {
       onPeerConnect: handlePeerConnect,
       onPeerDisconnect: handlePeerDisconnect,
       onSpeakingChange: handleSpeakingChange,
-      onAudioQualityChange: handleAudioQualityChange,
       onError: (errorMsg) => setError(errorMsg),
     });
     
     setWebrtcManager(manager);
     
+    // Connection quality of each peer
+    manager.subscribeToStats(ALL_PEERS, handleConnectionStats);
+    
     // Initialize WebRTC and join room
     manager.initialize(roomId)
       .then(() => {
@@ -177,11 +188,13 @@ const VoiceChatRoom = ({ roomId, userId, onLeave }) => {
     }
   };
   
-  // Handle audio quality change
-  const handleAudioQualityChange = (peerId, quality, metrics) => {
+  // Handle connection stats of a peer
+  const handleConnectionStats = (sample) => {
+    if (sample.score === null) return;
+    
     setConnectionQualities((prevQualities) => ({
       ...prevQualities,
-      [peerId]: { quality, metrics },
+      [sample.peerId]: sample,
     }));
   };
   
@@ -231,12 +244,13 @@ const VoiceChatRoom = ({ roomId, userId, onLeave }) => {
     setShowQRCode((prev) => !prev);
   };
   
-  // Generate connection data for QR code
-  const getConnectionData = () => {
-    return JSON.stringify({
-      roomId,
-      server: window.location.origin,
-    });
+  // Create an invite into this room
+  const handleCreateInvite = (maxUses) => {
+    if (!webrtcManager) {
+      return Promise.reject(new Error('Not connected to the room'));
+    }
+    
+    return webrtcManager.createInvite(maxUses);
   };
   
   return (
@@ -300,8 +314,9 @@ const VoiceChatRoom = ({ roomId, userId, onLeave }) => {
             {/* QR Code */}
             {showQRCode && (
               <div className="col-span-1 md:col-span-2">
-                <QRCodeGenerator
-                  connectionData={getConnectionData()}
+                <InvitePanel
+                  onCreateInvite={handleCreateInvite}
+                  description="Scan or open the link to join this room"
                   className="mx-auto max-w-xs"
                 />
               </div>
@@ -370,9 +385,16 @@ const VoiceChatRoom = ({ roomId, userId, onLeave }) => {
                 
                 {/* Connection quality indicator */}
                 <div className="flex items-center space-x-2 mb-2">
-                  <span className="text-xs text-muted-foreground">
-                    {connectionQualities[peerId]?.quality || 'unknown'}
-                  </span>
+                  {connectionQualities[peerId] ? (
+                    <>
+                      <NetworkQualityIndicator quality={connectionQualities[peerId].score} />
+                      <span className="text-xs text-muted-foreground">
+                        MOS {connectionQualities[peerId].mos.toFixed(1)}
+                      </span>
+                    </>
+                  ) : (
+                    <span className="text-xs text-muted-foreground">unknown</span>
+                  )}
                 </div>
               </div>
             ))}
@@ -381,7 +403,7 @@ const VoiceChatRoom = ({ roomId, userId, onLeave }) => {
               <div className="col-span-1 md:col-span-2 flex flex-col items-center justify-center p-8 border border-dashed border-border rounded-lg">
                 <div className="text-lg font-medium mb-2">No one else is here</div>
                 <div className="text-sm text-muted-foreground mb-4">
-                  Share the QR code or room ID to invite others
+                  Share an invite QR code or the room ID to invite others
                 </div>
                 <Button onClick={handleToggleQRCode}>
                   Show QR Code
@@ -6,7 +6,8 @@
  * - Echo cancellation
  * - Volume normalization
  * - Speaking detection
- * - Audio quality monitoring
+ *
+ * Connection quality is measured by the stats engine (statsEngine.js).
  */
 
 /**
@@ -208,152 +209,3 @@ export class SpeakingDetector {
     }
   }
 }
-
-/**
- * Audio quality monitor for adaptive streaming
- */
-export class AudioQualityMonitor {
-  constructor(peerConnection, options = {}) {
-    this.peerConnection = peerConnection;
-    this.interval = options.interval || 2000; // Check interval in ms
-    this.onQualityChange = options.onQualityChange || null;
-    this.qualityThresholds = {
-      excellent: { packetLoss: 0.01, jitter: 10 },
-      good: { packetLoss: 0.03, jitter: 30 },
-      fair: { packetLoss: 0.08, jitter: 50 },
-      poor: { packetLoss: 0.15, jitter: 100 },
-      // Anything worse is considered "bad"
-    };
-    
-    this.currentQuality = 'unknown';
-    this.intervalId = null;
-  }
-  
-  /**
-   * Start monitoring audio quality
-   */
-  start() {
-    if (this.intervalId) return;
-    
-    this.intervalId = setInterval(() => this.checkQuality(), this.interval);
-  }
-  
-  /**
-   * Stop monitoring audio quality
-   */
-  stop() {
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
-      this.intervalId = null;
-    }
-  }
-  
-  /**
-   * Check current audio quality
-   */
-  async checkQuality() {
-    if (!this.peerConnection) return;
-    
-    try {
-      const stats = await this.peerConnection.getStats();
-      let audioInboundStats = null;
-      
-      // Find audio inbound-rtp stats
-      stats.forEach(stat => {
-        if (stat.type === 'inbound-rtp' && stat.kind === 'audio') {
-          audioInboundStats = stat;
-        }
-      });
-      
-      if (!audioInboundStats) return;
-      
-      // Calculate packet loss
-      const packetsLost = audioInboundStats.packetsLost || 0;
-      const packetsReceived = audioInboundStats.packetsReceived || 1; // Avoid division by zero
-      const packetLossRate = packetsLost / (packetsLost + packetsReceived);
-      
-      // Get jitter (in milliseconds)
-      const jitter = (audioInboundStats.jitter || 0) * 1000;
-      
-      // Determine quality level
-      let quality = 'bad';
-      if (packetLossRate <= this.qualityThresholds.excellent.packetLoss && 
-          jitter <= this.qualityThresholds.excellent.jitter) {
-        quality = 'excellent';
-      } else if (packetLossRate <= this.qualityThresholds.good.packetLoss && 
-                jitter <= this.qualityThresholds.good.jitter) {
-        quality = 'good';
-      } else if (packetLossRate <= this.qualityThresholds.fair.packetLoss && 
-                jitter <= this.qualityThresholds.fair.jitter) {
-        quality = 'fair';
-      } else if (packetLossRate <= this.qualityThresholds.poor.packetLoss && 
-                jitter <= this.qualityThresholds.poor.jitter) {
-        quality = 'poor';
-      }
-      
-      // Notify if quality changed
-      if (quality !== this.currentQuality) {
-        this.currentQuality = quality;
-        if (this.onQualityChange) {
-          this.onQualityChange(quality, { packetLossRate, jitter });
-        }
-      }
-      
-    } catch (error) {
-      console.error('Error checking audio quality:', error);
-    }
-  }
-  
-  /**
-   * Get current quality metrics
-   * @returns {Promise<Object>} Quality metrics
-   */
-  async getQualityMetrics() {
-    if (!this.peerConnection) {
-      return { quality: 'unknown', metrics: {} };
-    }
-    
-    try {
-      const stats = await this.peerConnection.getStats();
-      let audioInboundStats = null;
-      let audioOutboundStats = null;
-      
-      // Find audio stats
-      stats.forEach(stat => {
-        if (stat.type === 'inbound-rtp' && stat.kind === 'audio') {
-          audioInboundStats = stat;
-        }
-        if (stat.type === 'outbound-rtp' && stat.kind === 'audio') {
-          audioOutboundStats = stat;
-        }
-      });
-      
-      const metrics = {
-        inbound: audioInboundStats ? {
-          packetsReceived: audioInboundStats.packetsReceived || 0,
-          packetsLost: audioInboundStats.packetsLost || 0,
-          jitter: (audioInboundStats.jitter || 0) * 1000, // ms
-          bytesReceived: audioInboundStats.bytesReceived || 0,
-        } : null,
-        outbound: audioOutboundStats ? {
-          packetsSent: audioOutboundStats.packetsSent || 0,
-          bytesSent: audioOutboundStats.bytesSent || 0,
-        } : null,
-        quality: this.currentQuality,
-      };
-      
-      return metrics;
-    } catch (error) {
-      console.error('Error getting quality metrics:', error);
-      return { quality: 'unknown', metrics: {} };
-    }
-  }
-  
-  /**
-   * Clean up resources
-   */
-  dispose() {
-    this.stop();
-    this.peerConnection = null;
-  }
-}
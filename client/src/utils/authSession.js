@@ -0,0 +1,118 @@
+/**
+ * Authentication session for the signaling server
+ *
+ * Exchanges the username and access code for a short-lived join token
+ * (POST /auth/token) and renews it shortly before it expires, so a socket
+ * that reconnects later still has one. Someone who opened an invite link can
+ * use the invite instead of the access code; renewing needs only the current
+ * token, so a single-use invite is not presented again. Credentials are kept
+ * in memory only.
+ */
+
+// Renew the token this long before it expires
+const TOKEN_REFRESH_MARGIN_MS = 30000;
+
+export class AuthSession {
+  /**
+   * @param {string} serverUrl - Signaling server base URL
+   * @param {string} username - Username to authenticate as
+   * @param {string} [accessCode] - Access code configured on the server
+   * @param {string} [invite] - Invite token accepted in place of the access code
+   */
+  constructor(serverUrl, username, accessCode = '', invite = null) {
+    this.serverUrl = serverUrl;
+    this.username = username;
+    this.accessCode = accessCode;
+    this.invite = invite;
+    this.token = null;
+    this.expiresAt = 0;
+    this.pendingRequest = null;
+    this.renewTimer = null;
+  }
+
+  /**
+   * Get a valid join token, requesting a new one if needed
+   * @returns {Promise<string>} Join token
+   */
+  async getToken() {
+    if (this.token && Date.now() < this.expiresAt - TOKEN_REFRESH_MARGIN_MS) {
+      return this.token;
+    }
+
+    // Share one request between concurrent callers
+    if (!this.pendingRequest) {
+      this.pendingRequest = this._requestToken().finally(() => {
+        this.pendingRequest = null;
+      });
+    }
+
+    return this.pendingRequest;
+  }
+
+  /**
+   * Stop renewing the token
+   */
+  dispose() {
+    clearTimeout(this.renewTimer);
+    this.renewTimer = null;
+  }
+
+  /**
+   * Renew the current token while it is valid, otherwise use the credentials
+   * @returns {Promise<string>} Join token
+   * @private
+   */
+  async _requestToken() {
+    if (this.token && Date.now() < this.expiresAt) {
+      try {
+        return await this._fetchToken({ username: this.username, token: this.token });
+      } catch (error) {
+        console.warn('Could not renew the join token:', error.message);
+      }
+    }
+
+    return this._fetchToken({
+      username: this.username,
+      accessCode: this.accessCode,
+      ...(this.invite ? { invite: this.invite } : {})
+    });
+  }
+
+  /**
+   * Request a join token from the server and schedule its renewal
+   * @param {Object} body - Credentials, or the token to renew
+   * @returns {Promise<string>} Join token
+   * @private
+   */
+  async _fetchToken(body) {
+    const response = await fetch(`${this.serverUrl}/auth/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(data.error || `Authentication failed (${response.status})`);
+    }
+
+    this.token = data.token;
+    this.expiresAt = data.expiresAt;
+    this.username = data.username;
+
+    // Tokens shorter-lived than the margin are renewed halfway through instead
+    const lifetime = this.expiresAt - Date.now();
+
+    clearTimeout(this.renewTimer);
+    this.renewTimer = setTimeout(() => {
+      this.getToken().catch(error => {
+        console.warn('Error renewing the join token:', error.message);
+      });
+    }, Math.max(lifetime - TOKEN_REFRESH_MARGIN_MS, lifetime / 2));
+
+    return this.token;
+  }
+}
+
+export default AuthSession;
@@ -0,0 +1,116 @@
+/**
+ * @jest-environment node
+ */
+import { AuthSession } from './authSession';
+
+const SERVER_URL = 'http://localhost:3001';
+const TTL_MS = 300000;
+
+// Answer each token request with a new token valid for TTL_MS
+const tokenServer = () => {
+  let issued = 0;
+
+  return jest.fn(async (url, { body }) => {
+    const { username, token } = JSON.parse(body);
+
+    if (token === 'revoked') {
+      return { ok: false, status: 401, json: async () => ({ error: 'Join token expired or invalid' }) };
+    }
+
+    issued += 1;
+    return { ok: true, json: async () => ({ token: `token-${issued}`, expiresAt: Date.now() + TTL_MS, username }) };
+  });
+};
+
+const requestBodies = () => global.fetch.mock.calls.map(([, { body }]) => JSON.parse(body));
+
+// Let pending fetches settle
+const flush = async () => {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+};
+
+describe('AuthSession', () => {
+  let session;
+
+  beforeEach(() => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(new Date('2026-01-01T12:00:00Z'));
+    global.fetch = tokenServer();
+    session = new AuthSession(SERVER_URL, 'bob', '', 'invite-token');
+  });
+
+  afterEach(() => {
+    session.dispose();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  test('exchanges the invite for a token once', async () => {
+    const [first, second] = await Promise.all([session.getToken(), session.getToken()]);
+
+    expect(first).toBe('token-1');
+    expect(second).toBe('token-1');
+    expect(global.fetch).toHaveBeenCalledWith(`${SERVER_URL}/auth/token`, expect.objectContaining({ method: 'POST' }));
+    expect(requestBodies()).toEqual([{ username: 'bob', accessCode: '', invite: 'invite-token' }]);
+  });
+
+  test('renews the token with the token itself before it expires', async () => {
+    await session.getToken();
+
+    jest.advanceTimersByTime(TTL_MS - 30000);
+    await flush();
+
+    expect(requestBodies()[1]).toEqual({ username: 'bob', token: 'token-1' });
+    expect(await session.getToken()).toBe('token-2');
+
+    // And again for the renewed token, without the invite
+    jest.advanceTimersByTime(TTL_MS - 30000);
+    await flush();
+
+    expect(requestBodies()[2]).toEqual({ username: 'bob', token: 'token-2' });
+  });
+
+  test('falls back to the credentials once the token expired', async () => {
+    await session.getToken();
+    session.dispose();
+
+    jest.setSystemTime(Date.now() + TTL_MS);
+
+    expect(await session.getToken()).toBe('token-2');
+    expect(requestBodies()[1]).toEqual({ username: 'bob', accessCode: '', invite: 'invite-token' });
+  });
+
+  test('falls back to the credentials when the renewal is refused', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await session.getToken();
+    session.token = 'revoked';
+
+    jest.advanceTimersByTime(TTL_MS - 30000);
+    await flush();
+
+    expect(requestBodies().slice(1)).toEqual([
+      { username: 'bob', token: 'revoked' },
+      { username: 'bob', accessCode: '', invite: 'invite-token' }
+    ]);
+    expect(await session.getToken()).toBe('token-2');
+  });
+
+  test('stops renewing once disposed', async () => {
+    await session.getToken();
+    session.dispose();
+
+    jest.advanceTimersByTime(TTL_MS);
+    await flush();
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects with the server error', async () => {
+    global.fetch = jest.fn(async () => ({ ok: false, status: 401, json: async () => ({ error: 'Invalid access code' }) }));
+
+    await expect(session.getToken()).rejects.toThrow('Invalid access code');
+  });
+});
@@ -0,0 +1,302 @@
+/**
+ * Chat helper for WebRTCManager
+ *
+ * Peer-to-peer text chat over one RTCDataChannel per peer. Messages never
+ * touch the signaling server. Each message carries a per-peer sequence
+ * number so the receiver delivers in order and drops duplicates, and is
+ * kept in an outbox until the peer acknowledges it.
+ */
+
+// Negotiated channel, created by both sides with the same ID
+export const CHAT_CHANNEL_ID = 0;
+export const CHAT_CHANNEL_LABEL = 'chat';
+
+export const MAX_CHAT_MESSAGE_LENGTH = 2000;
+
+// Resend "typing" while the user keeps typing; expire it if that stops
+const TYPING_REFRESH_MS = 3000;
+const TYPING_TIMEOUT_MS = 5000;
+
+/**
+ * Create a message ID that is unique across peers
+ * @param {string} userId - Sender ID
+ * @returns {string} Message ID
+ * @private
+ */
+const createMessageId = (userId) =>
+  `${userId}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+export class ChatHelper {
+  /**
+   * @param {Object} options - Chat options
+   * @param {string} options.userId - Local user ID
+   * @param {Function} [options.onMessage] - Called with (peerId, message) for each message in order
+   * @param {Function} [options.onDelivery] - Called with (messageId, peerId) when a peer acknowledges
+   * @param {Function} [options.onTyping] - Called with (peerId, typing)
+   */
+  constructor(options = {}) {
+    this.userId = options.userId;
+    this.onMessage = options.onMessage;
+    this.onDelivery = options.onDelivery;
+    this.onTyping = options.onTyping;
+
+    // Per-peer channel and sequencing state
+    this.peers = new Map();
+
+    this.typing = false;
+    this.lastTypingSent = 0;
+  }
+
+  /**
+   * Open the chat channel on a new peer connection
+   * @param {string} peerId - Peer ID
+   * @param {RTCPeerConnection} peerConnection - Peer connection
+   */
+  attach(peerId, peerConnection) {
+    this.detach(peerId);
+
+    const channel = peerConnection.createDataChannel(CHAT_CHANNEL_LABEL, {
+      negotiated: true,
+      id: CHAT_CHANNEL_ID,
+      ordered: true
+    });
+
+    const peer = {
+      channel,
+      nextSeq: 1, // Next sequence number we send
+      lastSeq: 0, // Last sequence number we delivered
+      outbox: new Map(), // Unacknowledged messages by sequence number
+      inbox: new Map(), // Messages received ahead of a gap
+      typingTimer: null
+    };
+
+    channel.onopen = () => {
+      // Send whatever was queued before the channel opened
+      for (const packet of peer.outbox.values()) {
+        this._send(peer, packet);
+      }
+    };
+
+    channel.onmessage = (event) => {
+      this._handlePacket(peerId, peer, event.data);
+    };
+
+    channel.onerror = (event) => {
+      console.warn(`Chat channel error with ${peerId}:`, event.error || event);
+    };
+
+    this.peers.set(peerId, peer);
+  }
+
+  /**
+   * Forget a peer and close its channel
+   * @param {string} peerId - Peer ID
+   */
+  detach(peerId) {
+    const peer = this.peers.get(peerId);
+
+    if (!peer) {
+      return;
+    }
+
+    clearTimeout(peer.typingTimer);
+    peer.channel.onopen = null;
+    peer.channel.onmessage = null;
+    peer.channel.close();
+    this.peers.delete(peerId);
+
+    if (this.onTyping) {
+      this.onTyping(peerId, false);
+    }
+  }
+
+  /**
+   * Send a message to every connected peer
+   * @param {string} text - Message text
+   * @returns {Object} The sent message ({ id, from, text, timestamp, recipients })
+   */
+  send(text) {
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+
+    if (!trimmed) {
+      throw new Error('Message is empty');
+    }
+
+    if (trimmed.length > MAX_CHAT_MESSAGE_LENGTH) {
+      throw new Error(`Message is longer than ${MAX_CHAT_MESSAGE_LENGTH} characters`);
+    }
+
+    const message = {
+      id: createMessageId(this.userId),
+      from: this.userId,
+      text: trimmed,
+      timestamp: Date.now()
+    };
+
+    // Fan out over each peer's channel, each with its own sequence number
+    const recipients = [];
+
+    for (const [peerId, peer] of this.peers.entries()) {
+      const packet = { type: 'message', seq: peer.nextSeq++, ...message };
+
+      peer.outbox.set(packet.seq, packet);
+      this._send(peer, packet);
+      recipients.push(peerId);
+    }
+
+    this.typing = false;
+
+    return { ...message, recipients };
+  }
+
+  /**
+   * Tell peers whether the local user is typing
+   * Repeated calls while typing are throttled
+   * @param {boolean} typing - Typing status
+   */
+  setTyping(typing) {
+    const now = Date.now();
+
+    if (typing === this.typing && (!typing || now - this.lastTypingSent < TYPING_REFRESH_MS)) {
+      return;
+    }
+
+    this.typing = typing;
+    this.lastTypingSent = now;
+
+    for (const peer of this.peers.values()) {
+      this._send(peer, { type: 'typing', typing });
+    }
+  }
+
+  /**
+   * Close every channel
+   */
+  dispose() {
+    for (const peerId of Array.from(this.peers.keys())) {
+      this.detach(peerId);
+    }
+  }
+
+  /**
+   * Send a packet if the channel is open; queued messages go out on open
+   * @param {Object} peer - Peer state
+   * @param {Object} packet - Packet to send
+   * @private
+   */
+  _send(peer, packet) {
+    if (peer.channel.readyState !== 'open') {
+      return;
+    }
+
+    try {
+      peer.channel.send(JSON.stringify(packet));
+    } catch (error) {
+      console.warn('Error sending chat packet:', error);
+    }
+  }
+
+  /**
+   * Handle a packet from a peer
+   * @param {string} peerId - Peer ID
+   * @param {Object} peer - Peer state
+   * @param {string} data - Raw packet
+   * @private
+   */
+  _handlePacket(peerId, peer, data) {
+    let packet;
+
+    try {
+      packet = JSON.parse(data);
+    } catch (error) {
+      console.warn(`Ignoring malformed chat packet from ${peerId}`);
+      return;
+    }
+
+    switch (packet.type) {
+      case 'message':
+        this._handleMessage(peerId, peer, packet);
+        break;
+      case 'ack':
+        if (peer.outbox.has(packet.seq)) {
+          const { id } = peer.outbox.get(packet.seq);
+          peer.outbox.delete(packet.seq);
+
+          if (this.onDelivery) {
+            this.onDelivery(id, peerId);
+          }
+        }
+        break;
+      case 'typing':
+        this._handleTyping(peerId, peer, !!packet.typing);
+        break;
+      default:
+        console.warn(`Unknown chat packet from ${peerId}:`, packet.type);
+    }
+  }
+
+  /**
+   * Acknowledge a message and deliver it, and any it unblocks, in order
+   * @param {string} peerId - Peer ID
+   * @param {Object} peer - Peer state
+   * @param {Object} packet - Message packet
+   * @private
+   */
+  _handleMessage(peerId, peer, packet) {
+    if (!Number.isInteger(packet.seq) || typeof packet.text !== 'string' ||
+        packet.text.length > MAX_CHAT_MESSAGE_LENGTH) {
+      return;
+    }
+
+    // Acknowledge duplicates too; the first ack may have been lost
+    this._send(peer, { type: 'ack', seq: packet.seq });
+
+    if (packet.seq <= peer.lastSeq) {
+      return;
+    }
+
+    peer.inbox.set(packet.seq, packet);
+
+    while (peer.inbox.has(peer.lastSeq + 1)) {
+      const next = peer.inbox.get(peer.lastSeq + 1);
+      peer.inbox.delete(next.seq);
+      peer.lastSeq = next.seq;
+
+      // A message implies the sender stopped typing
+      if (peer.typingTimer) {
+        this._handleTyping(peerId, peer, false);
+      }
+
+      if (this.onMessage) {
+        this.onMessage(peerId, {
+          id: next.id,
+          from: peerId,
+          text: next.text,
+          timestamp: next.timestamp
+        });
+      }
+    }
+  }
+
+  /**
+   * Update a peer's typing status, expiring it if no refresh arrives
+   * @param {string} peerId - Peer ID
+   * @param {Object} peer - Peer state
+   * @param {boolean} typing - Typing status
+   * @private
+   */
+  _handleTyping(peerId, peer, typing) {
+    clearTimeout(peer.typingTimer);
+    peer.typingTimer = null;
+
+    if (typing) {
+      peer.typingTimer = setTimeout(() => this._handleTyping(peerId, peer, false), TYPING_TIMEOUT_MS);
+    }
+
+    if (this.onTyping) {
+      this.onTyping(peerId, typing);
+    }
+  }
+}
+
+export default ChatHelper;
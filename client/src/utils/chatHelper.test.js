@@ -0,0 +1,177 @@
+/**
+ * @jest-environment node
+ */
+import { CHAT_CHANNEL_ID, ChatHelper, MAX_CHAT_MESSAGE_LENGTH } from './chatHelper';
+
+const fakeChannel = () => ({
+  readyState: 'connecting',
+  send: jest.fn(),
+  close: jest.fn(),
+  // Packets sent so far, parsed
+  sent() {
+    return this.send.mock.calls.map(([data]) => JSON.parse(data));
+  }
+});
+
+const fakePeerConnection = () => {
+  const channel = fakeChannel();
+
+  return {
+    channel,
+    createDataChannel: jest.fn(() => channel)
+  };
+};
+
+const open = (channel) => {
+  channel.readyState = 'open';
+  channel.onopen();
+};
+
+const receive = (channel, packet) => channel.onmessage({ data: JSON.stringify(packet) });
+
+const message = (seq, text = `message ${seq}`) => ({ type: 'message', seq, id: `bob-${seq}`, text, timestamp: seq });
+
+describe('ChatHelper', () => {
+  let chat;
+  let onMessage;
+  let onDelivery;
+  let onTyping;
+
+  beforeEach(() => {
+    onMessage = jest.fn();
+    onDelivery = jest.fn();
+    onTyping = jest.fn();
+    chat = new ChatHelper({ userId: 'alice', onMessage, onDelivery, onTyping });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('opens a negotiated, ordered channel', () => {
+    const pc = fakePeerConnection();
+    chat.attach('bob', pc);
+
+    expect(pc.createDataChannel).toHaveBeenCalledWith('chat', { negotiated: true, id: CHAT_CHANNEL_ID, ordered: true });
+  });
+
+  test('numbers messages per peer and sends queued ones on open', () => {
+    const bob = fakePeerConnection();
+    const carol = fakePeerConnection();
+    chat.attach('bob', bob);
+    chat.attach('carol', carol);
+    open(carol.channel);
+
+    chat.send('first');
+    const sent = chat.send('  second  ');
+
+    expect(sent).toMatchObject({ from: 'alice', text: 'second', recipients: ['bob', 'carol'] });
+    expect(carol.channel.sent().map(packet => [packet.seq, packet.text])).toEqual([[1, 'first'], [2, 'second']]);
+    expect(bob.channel.send).not.toHaveBeenCalled();
+
+    open(bob.channel);
+    expect(bob.channel.sent().map(packet => packet.seq)).toEqual([1, 2]);
+  });
+
+  test('rejects empty and overlong messages', () => {
+    expect(() => chat.send('   ')).toThrow('empty');
+    expect(() => chat.send('x'.repeat(MAX_CHAT_MESSAGE_LENGTH + 1))).toThrow('longer');
+  });
+
+  test('reports delivery once the peer acknowledges', () => {
+    const pc = fakePeerConnection();
+    chat.attach('bob', pc);
+    open(pc.channel);
+
+    const { id } = chat.send('hello');
+    receive(pc.channel, { type: 'ack', seq: 1 });
+    receive(pc.channel, { type: 'ack', seq: 1 });
+
+    expect(onDelivery).toHaveBeenCalledTimes(1);
+    expect(onDelivery).toHaveBeenCalledWith(id, 'bob');
+
+    // Acknowledged messages are not resent when the channel reopens
+    pc.channel.send.mockClear();
+    pc.channel.onopen();
+    expect(pc.channel.send).not.toHaveBeenCalled();
+  });
+
+  test('delivers in order, acknowledging and dropping duplicates', () => {
+    const pc = fakePeerConnection();
+    chat.attach('bob', pc);
+    open(pc.channel);
+
+    receive(pc.channel, message(2));
+    expect(onMessage).not.toHaveBeenCalled();
+
+    receive(pc.channel, message(1));
+    receive(pc.channel, message(1));
+
+    expect(onMessage.mock.calls.map(([peerId, { text }]) => [peerId, text])).toEqual([
+      ['bob', 'message 1'],
+      ['bob', 'message 2']
+    ]);
+    expect(pc.channel.sent()).toEqual([
+      { type: 'ack', seq: 2 },
+      { type: 'ack', seq: 1 },
+      { type: 'ack', seq: 1 }
+    ]);
+  });
+
+  test('ignores malformed packets', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const pc = fakePeerConnection();
+    chat.attach('bob', pc);
+    open(pc.channel);
+
+    pc.channel.onmessage({ data: 'not json' });
+    receive(pc.channel, { type: 'message', seq: 'one', text: 'hi' });
+    receive(pc.channel, message(1, 'x'.repeat(MAX_CHAT_MESSAGE_LENGTH + 1)));
+
+    expect(onMessage).not.toHaveBeenCalled();
+    expect(pc.channel.send).not.toHaveBeenCalled();
+    console.warn.mockRestore();
+  });
+
+  test('throttles typing updates and expires remote typing', () => {
+    jest.useFakeTimers();
+    const pc = fakePeerConnection();
+    chat.attach('bob', pc);
+    open(pc.channel);
+
+    chat.setTyping(true);
+    chat.setTyping(true);
+    jest.advanceTimersByTime(3000);
+    chat.setTyping(true);
+    chat.setTyping(false);
+
+    expect(pc.channel.sent().map(packet => packet.typing)).toEqual([true, true, false]);
+
+    receive(pc.channel, { type: 'typing', typing: true });
+    expect(onTyping).toHaveBeenLastCalledWith('bob', true);
+
+    jest.advanceTimersByTime(5000);
+    expect(onTyping).toHaveBeenLastCalledWith('bob', false);
+  });
+
+  test('clears typing when a message arrives', () => {
+    const pc = fakePeerConnection();
+    chat.attach('bob', pc);
+    open(pc.channel);
+
+    receive(pc.channel, { type: 'typing', typing: true });
+    receive(pc.channel, message(1));
+
+    expect(onTyping).toHaveBeenLastCalledWith('bob', false);
+  });
+
+  test('closes channels on dispose', () => {
+    const pc = fakePeerConnection();
+    chat.attach('bob', pc);
+    chat.dispose();
+
+    expect(pc.channel.close).toHaveBeenCalled();
+    expect(chat.peers.size).toBe(0);
+    expect(onTyping).toHaveBeenCalledWith('bob', false);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Codec preferences
+ *
+ * The preferred video codec is moved to the front of each transceiver's list
+ * with setCodecPreferences, which tells the other side what to send us. Opus
+ * options have no API: they go into the remote description's `fmtp` and
+ * `ptime` lines before it is applied, which is what our own encoder follows.
+ * Defaults keep voice usable on slow links: in-band FEC repairs lost packets
+ * and DTX stops sending during silence.
+ *
+ * End-to-end encrypted calls only use codecs whose packetizer copes with
+ * encrypted frames: the frame cipher's clear header covers the VP8 payload
+ * header, and VP9 is packetized from the encoder's metadata, but the AV1 and
+ * H.264 packetizers parse the frame itself.
+ */
+
+export const VIDEO_CODECS = [
+  { id: 'auto', label: 'Browser default', mimeType: null, encryptable: true },
+  { id: 'vp9', label: 'VP9', mimeType: 'video/VP9', encryptable: true },
+  { id: 'av1', label: 'AV1', mimeType: 'video/AV1', encryptable: false },
+  { id: 'h264', label: 'H.264', mimeType: 'video/H264', encryptable: false },
+  { id: 'vp8', label: 'VP8', mimeType: 'video/VP8', encryptable: true }
+];
+
+// Milliseconds of audio per packet; longer means less overhead but more delay
+export const OPUS_PTIMES = [10, 20, 40, 60];
+
+export const DEFAULT_CODEC_PREFERENCES = {
+  video: 'auto',
+  opus: {
+    fec: true,
+    dtx: true,
+    stereo: false,
+    ptime: 20
+  }
+};
+
+/**
+ * Find a video codec option by ID
+ * @param {string} id - Codec ID from VIDEO_CODECS
+ * @param {boolean} [encrypted=false] - Whether media is end-to-end encrypted
+ * @returns {Object} The option, or the browser default if it is unknown or cannot be encrypted
+ */
+export const getVideoCodec = (id, encrypted = false) => {
+  const codec = VIDEO_CODECS.find(option => option.id === id);
+  return codec && (codec.encryptable || !encrypted) ? codec : VIDEO_CODECS[0];
+};
+
+/**
+ * Check whether a codec can carry end-to-end encrypted frames
+ * @param {string} mimeType - e.g. 'video/H264'
+ * @returns {boolean} False for the video codecs listed as not encryptable
+ */
+export const isEncryptableCodec = (mimeType) => !VIDEO_CODECS.some(codec =>
+  !codec.encryptable && codec.mimeType.toLowerCase() === mimeType.toLowerCase());
+
+/**
+ * Check whether this browser can send and receive a codec
+ * @param {string} kind - 'audio' or 'video'
+ * @param {string} mimeType - e.g. 'video/VP9'
+ * @returns {boolean} True if both directions are supported
+ */
+export const isCodecSupported = (kind, mimeType) => {
+  const matches = (capabilities) => !!capabilities &&
+    capabilities.codecs.some(codec => codec.mimeType.toLowerCase() === mimeType.toLowerCase());
+
+  return typeof RTCRtpSender !== 'undefined' && typeof RTCRtpReceiver !== 'undefined' &&
+    !!RTCRtpSender.getCapabilities && !!RTCRtpReceiver.getCapabilities &&
+    matches(RTCRtpSender.getCapabilities(kind)) && matches(RTCRtpReceiver.getCapabilities(kind));
+};
+
+/**
+ * Put a transceiver's preferred codec first
+ * Keeps every other codec, including RTX, RED and FEC, in the browser's order.
+ * @param {RTCRtpTransceiver} transceiver - Transceiver to update
+ * @param {string|null} mimeType - Preferred codec, or null for the browser default
+ * @param {boolean} [encrypted=false] - Leave out the codecs that cannot be encrypted
+ */
+export const applyCodecPreference = (transceiver, mimeType, encrypted = false) => {
+  const kind = transceiver.receiver.track && transceiver.receiver.track.kind;
+
+  if (!kind || transceiver.stopped || !transceiver.setCodecPreferences || !RTCRtpReceiver.getCapabilities) {
+    return;
+  }
+
+  const { codecs } = RTCRtpReceiver.getCapabilities(kind);
+  const allowed = encrypted ? codecs.filter(codec => isEncryptableCodec(codec.mimeType)) : codecs;
+  const preferred = mimeType && kind === mimeType.split('/')[0]
+    ? allowed.filter(codec => codec.mimeType.toLowerCase() === mimeType.toLowerCase())
+    : [];
+
+  // An empty list resets to the browser default
+  transceiver.setCodecPreferences(preferred.length > 0 || allowed.length < codecs.length
+    ? [...preferred, ...allowed.filter(codec => !preferred.includes(codec))]
+    : []);
+};
+
+/**
+ * Parse an fmtp parameter list
+ * @param {string} line - e.g. 'minptime=10;useinbandfec=1'
+ * @returns {Map<string, string>} Parameters in their original order
+ */
+const parseFmtp = (line) => new Map(line.split(';')
+  .map(pair => pair.trim())
+  .filter(Boolean)
+  .map(pair => {
+    const [key, ...value] = pair.split('=');
+    return [key.trim(), value.join('=').trim()];
+  }));
+
+/**
+ * Write Opus options into an SDP
+ * Applied to the remote description, so they configure the encoder that sends to that peer.
+ * @param {string} sdp - Session description
+ * @param {Object} opus - `{ fec, dtx, stereo, ptime }`
+ * @returns {string} The SDP with updated Opus parameters
+ */
+export const applyOpusSettings = (sdp, opus) => {
+  const [session, ...media] = sdp.split(/\r\n(?=m=)/);
+
+  const sections = media.map(section => {
+    const lines = section.split('\r\n');
+    const rtpmap = section.match(/^a=rtpmap:(\d+) opus\/48000/im);
+
+    if (!lines[0].startsWith('m=audio') || !rtpmap) {
+      return section;
+    }
+
+    const payloadType = rtpmap[1];
+    const fmtpPrefix = `a=fmtp:${payloadType} `;
+    let fmtpIndex = lines.findIndex(line => line.startsWith(fmtpPrefix));
+
+    if (fmtpIndex === -1) {
+      fmtpIndex = lines.findIndex(line => line.startsWith(`a=rtpmap:${payloadType} `)) + 1;
+      lines.splice(fmtpIndex, 0, fmtpPrefix);
+    }
+
+    const parameters = parseFmtp(lines[fmtpIndex].slice(fmtpPrefix.length));
+    parameters.set('useinbandfec', opus.fec ? '1' : '0');
+    parameters.set('usedtx', opus.dtx ? '1' : '0');
+    parameters.set('stereo', opus.stereo ? '1' : '0');
+    parameters.set('sprop-stereo', opus.stereo ? '1' : '0');
+
+    lines[fmtpIndex] = fmtpPrefix + Array.from(parameters, ([key, value]) => `${key}=${value}`).join(';');
+
+    // One ptime for the whole section, right after the Opus parameters
+    const withoutPtime = lines.filter(line => !line.startsWith('a=ptime:'));
+    const insertAt = withoutPtime.indexOf(lines[fmtpIndex]) + 1;
+    withoutPtime.splice(insertAt, 0, `a=ptime:${opus.ptime}`);
+
+    return withoutPtime.join('\r\n');
+  });
+
+  return [session, ...sections].join('\r\n');
+};
+
+/**
+ * Short description of a negotiated codec for display
+ * @param {Object|null} codec - `{ mimeType, sdpFmtpLine }` from getStats or the SFU
+ * @returns {string} e.g. 'Opus · FEC · DTX' or 'VP9'
+ */
+export const describeCodec = (codec) => {
+  if (!codec) {
+    return '—';
+  }
+
+  const name = codec.mimeType.split('/')[1] || codec.mimeType;
+
+  if (name.toLowerCase() !== 'opus') {
+    return name;
+  }
+
+  const parameters = parseFmtp(codec.sdpFmtpLine || '');
+  const flags = [
+    parameters.get('stereo') === '1' && 'Stereo',
+    parameters.get('useinbandfec') === '1' && 'FEC',
+    parameters.get('usedtx') === '1' && 'DTX'
+  ].filter(Boolean);
+
+  return ['Opus', ...flags].join(' · ');
+};
+
+const codecPreferences = {
+  VIDEO_CODECS,
+  OPUS_PTIMES,
+  DEFAULT_CODEC_PREFERENCES,
+  getVideoCodec,
+  isEncryptableCodec,
+  isCodecSupported,
+  applyCodecPreference,
+  applyOpusSettings,
+  describeCodec
+};
+
+export default codecPreferences;
@@ -0,0 +1,78 @@
+/**
+ * @jest-environment node
+ */
+import { getVideoCodec, isEncryptableCodec, applyCodecPreference } from './codecPreferences';
+
+const CAPABILITIES = [
+  { mimeType: 'video/VP8' },
+  { mimeType: 'video/rtx' },
+  { mimeType: 'video/VP9' },
+  { mimeType: 'video/AV1' },
+  { mimeType: 'video/H264' },
+  { mimeType: 'video/red' }
+];
+
+const fakeTransceiver = () => ({
+  receiver: { track: { kind: 'video' } },
+  stopped: false,
+  setCodecPreferences: jest.fn()
+});
+
+const appliedMimeTypes = (transceiver) =>
+  transceiver.setCodecPreferences.mock.calls[0][0].map(codec => codec.mimeType);
+
+describe('codecPreferences', () => {
+  beforeEach(() => {
+    global.RTCRtpReceiver = { getCapabilities: () => ({ codecs: CAPABILITIES }) };
+  });
+
+  afterEach(() => {
+    delete global.RTCRtpReceiver;
+  });
+
+  test('falls back to the browser default for codecs that cannot be encrypted', () => {
+    expect(getVideoCodec('h264').id).toBe('h264');
+    expect(getVideoCodec('h264', true).id).toBe('auto');
+    expect(getVideoCodec('av1', true).id).toBe('auto');
+    expect(getVideoCodec('vp9', true).id).toBe('vp9');
+    expect(getVideoCodec('unknown').id).toBe('auto');
+  });
+
+  test('only rules out the listed video codecs', () => {
+    expect(isEncryptableCodec('video/h264')).toBe(false);
+    expect(isEncryptableCodec('video/AV1')).toBe(false);
+    expect(isEncryptableCodec('video/VP8')).toBe(true);
+    expect(isEncryptableCodec('video/rtx')).toBe(true);
+    expect(isEncryptableCodec('audio/opus')).toBe(true);
+  });
+
+  test('puts the preferred codec first', () => {
+    const transceiver = fakeTransceiver();
+    applyCodecPreference(transceiver, 'video/H264');
+
+    expect(appliedMimeTypes(transceiver)).toEqual([
+      'video/H264', 'video/VP8', 'video/rtx', 'video/VP9', 'video/AV1', 'video/red'
+    ]);
+  });
+
+  test('resets to the browser default without a preference', () => {
+    const transceiver = fakeTransceiver();
+    applyCodecPreference(transceiver, null);
+
+    expect(transceiver.setCodecPreferences).toHaveBeenCalledWith([]);
+  });
+
+  test('leaves out AV1 and H.264 when encrypted', () => {
+    const transceiver = fakeTransceiver();
+    applyCodecPreference(transceiver, null, true);
+
+    expect(appliedMimeTypes(transceiver)).toEqual(['video/VP8', 'video/rtx', 'video/VP9', 'video/red']);
+  });
+
+  test('puts an encryptable preference first when encrypted', () => {
+    const transceiver = fakeTransceiver();
+    applyCodecPreference(transceiver, 'video/VP9', true);
+
+    expect(appliedMimeTypes(transceiver)).toEqual(['video/VP9', 'video/VP8', 'video/rtx', 'video/red']);
+  });
+});
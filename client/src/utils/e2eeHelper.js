@@ -0,0 +1,115 @@
+/**
+ * End-to-end encryption helper for WebRTCManager
+ *
+ * Attaches encoded transforms to RTP senders and receivers so every media
+ * frame is encrypted with the room key before it leaves the browser. Uses
+ * RTCRtpScriptTransform where available and falls back to Chrome's
+ * insertable streams (createEncodedStreams).
+ */
+import { deriveFrameKeySlot } from './frameCipher';
+
+/**
+ * Check for RTCRtpScriptTransform support
+ * @returns {boolean} True if supported
+ */
+export const supportsScriptTransform = () =>
+  typeof window !== 'undefined' && 'RTCRtpScriptTransform' in window;
+
+/**
+ * Check for insertable streams support
+ * @returns {boolean} True if supported
+ */
+export const supportsInsertableStreams = () =>
+  typeof window !== 'undefined' &&
+  !!window.RTCRtpSender &&
+  'createEncodedStreams' in window.RTCRtpSender.prototype;
+
+export class E2EEHelper {
+  /**
+   * Check whether this browser can encrypt media frames
+   * @returns {boolean} True if supported
+   */
+  static isSupported() {
+    return supportsScriptTransform() || supportsInsertableStreams();
+  }
+
+  constructor() {
+    this.useScriptTransform = supportsScriptTransform();
+    this.worker = new Worker(new URL('./e2eeWorker.js', import.meta.url));
+
+    // Senders and receivers that already have a transform
+    this.attached = new WeakSet();
+  }
+
+  /**
+   * Extra RTCPeerConnection configuration needed for the fallback path
+   * @returns {Object} Configuration to merge into the RTCPeerConnection options
+   */
+  getPeerConnectionConfig() {
+    return this.useScriptTransform ? {} : { encodedInsertableStreams: true };
+  }
+
+  /**
+   * Derive a new frame key and make it current
+   * Earlier keys stay in the worker's keyring so in-flight frames still decrypt.
+   * The slot comes from the passphrase, so peers agree on it without a message.
+   * @param {string} passphrase - Room key shared out of band
+   * @param {string} salt - Context the key is bound to
+   * @returns {Promise<void>}
+   */
+  async setKey(passphrase, salt) {
+    const { key, keyIndex } = await deriveFrameKeySlot(passphrase, salt);
+
+    this.worker.postMessage({ type: 'setKey', key, keyIndex });
+  }
+
+  /**
+   * Encrypt everything a sender transmits
+   * @param {RTCRtpSender} sender - RTP sender
+   */
+  attachToSender(sender) {
+    this._attach(sender, 'encode');
+  }
+
+  /**
+   * Decrypt everything a receiver gets
+   * @param {RTCRtpReceiver} receiver - RTP receiver
+   */
+  attachToReceiver(receiver) {
+    this._attach(receiver, 'decode');
+  }
+
+  /**
+   * Stop the worker
+   */
+  dispose() {
+    this.worker.terminate();
+  }
+
+  /**
+   * Attach a transform to a sender or receiver once
+   * @param {RTCRtpSender|RTCRtpReceiver} endpoint - Sender or receiver
+   * @param {string} operation - 'encode' or 'decode'
+   * @private
+   */
+  _attach(endpoint, operation) {
+    if (!endpoint || this.attached.has(endpoint)) {
+      return;
+    }
+
+    this.attached.add(endpoint);
+
+    if (this.useScriptTransform) {
+      endpoint.transform = new window.RTCRtpScriptTransform(this.worker, { operation });
+      return;
+    }
+
+    const { readable, writable } = endpoint.createEncodedStreams();
+    this.worker.postMessage(
+      { type: 'transform', operation, readable, writable },
+      [readable, writable]
+    );
+  }
+}
+
+export default E2EEHelper;
@@ -0,0 +1,75 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * End-to-end encryption worker
+ *
+ * Runs the frame cipher on encoded audio/video frames, off the main thread.
+ * Works with RTCRtpScriptTransform (`rtctransform` events) and with the
+ * insertable streams fallback (streams posted in a `transform` message).
+ */
+import { encryptFrame, decryptFrame, KEYRING_SIZE } from './frameCipher';
+
+const keyring = new Array(KEYRING_SIZE).fill(null);
+let currentKeyIndex = -1;
+
+/**
+ * Create a transform stream that encrypts or decrypts frames
+ * Frames that cannot be processed are dropped, never passed through in clear
+ * @param {string} operation - 'encode' (outgoing) or 'decode' (incoming)
+ * @returns {TransformStream} Frame transform
+ */
+function createFrameTransform(operation) {
+  return new TransformStream({
+    async transform(frame, controller) {
+      let data = null;
+
+      if (operation === 'encode') {
+        const key = keyring[currentKeyIndex];
+
+        if (key) {
+          data = await encryptFrame(key, frame.data, frame.type, currentKeyIndex);
+        }
+      } else {
+        data = await decryptFrame(keyring, frame.data, frame.type);
+      }
+
+      if (data) {
+        frame.data = data;
+        controller.enqueue(frame);
+      }
+    }
+  });
+}
+
+/**
+ * Pipe an encoded stream pair through the frame transform
+ * @param {ReadableStream} readable - Encoded frames in
+ * @param {WritableStream} writable - Encoded frames out
+ * @param {string} operation - 'encode' or 'decode'
+ */
+function pipeFrames(readable, writable, operation) {
+  readable
+    .pipeThrough(createFrameTransform(operation))
+    .pipeTo(writable)
+    .catch(error => console.warn('E2EE frame pipeline closed:', error));
+}
+
+// RTCRtpScriptTransform
+self.onrtctransform = (event) => {
+  const { readable, writable, options } = event.transformer;
+  pipeFrames(readable, writable, options.operation);
+};
+
+// Key updates and the insertable streams fallback
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'setKey':
+      keyring[data.keyIndex] = data.key;
+      currentKeyIndex = data.keyIndex;
+      break;
+    case 'transform':
+      pipeFrames(data.readable, data.writable, data.operation);
+      break;
+    default:
+      console.warn('Unknown E2EE worker message:', data.type);
+  }
+};
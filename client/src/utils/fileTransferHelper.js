@@ -0,0 +1,728 @@
+/**
+ * File transfer helper for WebRTCManager
+ *
+ * Sends files peer-to-peer over a dedicated RTCDataChannel, so file contents
+ * never reach the signaling server. Files are split into chunks, sending
+ * pauses while the channel buffer is full, and the receiver checks a SHA-256
+ * hash of the whole file before handing it over. If the channel drops (e.g.
+ * the connection is re-established after an ICE restart) the transfer
+ * resumes from the last chunk the receiver has.
+ *
+ * Control messages are JSON strings. Chunks are binary frames:
+ *
+ *   | handle (uint32) | chunk index (uint32) | payload |
+ */
+
+// Negotiated channel, created by both sides with the same ID
+export const FILE_CHANNEL_ID = 1;
+export const FILE_CHANNEL_LABEL = 'file';
+
+export const FILE_CHUNK_SIZE = 16 * 1024;
+export const MAX_FILE_SIZE = 256 * 1024 * 1024;
+
+// Stop sending above the high mark, continue once drained to the low mark
+const BUFFERED_AMOUNT_HIGH = 1024 * 1024;
+const BUFFERED_AMOUNT_LOW = 256 * 1024;
+
+// How long an interrupted transfer waits for the peer to come back
+const RESUME_TIMEOUT_MS = 60000;
+
+const FRAME_HEADER_LENGTH = 8;
+const MAX_CHUNK_SIZE = 64 * 1024;
+const MAX_FILE_NAME_LENGTH = 255;
+
+// States in which a transfer is finished and forgotten
+const FINAL_STATES = ['complete', 'failed', 'cancelled'];
+
+/**
+ * Hex SHA-256 of a buffer
+ * @param {ArrayBuffer} buffer - Data to hash
+ * @returns {Promise<string>} Lowercase hex digest
+ * @private
+ */
+const sha256Hex = async (buffer) => {
+  if (!window.crypto || !window.crypto.subtle) {
+    throw new Error('File transfer needs a secure context (HTTPS)');
+  }
+
+  const digest = new Uint8Array(await window.crypto.subtle.digest('SHA-256', buffer));
+  return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Create a transfer ID
+ * @returns {string} Transfer ID
+ * @private
+ */
+const createTransferId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Wait until a channel's buffer drains or the channel closes
+ * @param {RTCDataChannel} channel - Data channel
+ * @returns {Promise<void>}
+ * @private
+ */
+const waitForBufferedAmountLow = (channel) => new Promise(resolve => {
+  const done = () => {
+    channel.removeEventListener('bufferedamountlow', done);
+    channel.removeEventListener('close', done);
+    resolve();
+  };
+
+  channel.addEventListener('bufferedamountlow', done);
+  channel.addEventListener('close', done);
+});
+
+export class FileTransferHelper {
+  /**
+   * @param {Object} options - Transfer options
+   * @param {Function} [options.onTransferUpdate] - Called with a transfer snapshot on every change
+   * @param {Function} [options.onFileReceived] - Called with (peerId, { id, name, size, mimeType, blob })
+   */
+  constructor(options = {}) {
+    this.onTransferUpdate = options.onTransferUpdate;
+    this.onFileReceived = options.onFileReceived;
+
+    // Per-peer channel state
+    this.peers = new Map();
+
+    // Unfinished transfers in both directions, by transfer ID
+    this.transfers = new Map();
+
+    // Verification results of received files, in case the sender missed them
+    this.receivedResults = new Map();
+  }
+
+  /**
+   * Open the file channel on a new peer connection
+   * Interrupted transfers with this peer resume once it opens
+   * @param {string} peerId - Peer ID
+   * @param {RTCPeerConnection} peerConnection - Peer connection
+   */
+  attach(peerId, peerConnection) {
+    this.detach(peerId);
+
+    const channel = peerConnection.createDataChannel(FILE_CHANNEL_LABEL, {
+      negotiated: true,
+      id: FILE_CHANNEL_ID,
+      ordered: true
+    });
+
+    channel.binaryType = 'arraybuffer';
+    channel.bufferedAmountLowThreshold = BUFFERED_AMOUNT_LOW;
+
+    const peer = {
+      channel,
+      nextHandle: 1,
+      incoming: new Map() // Transfer ID by handle
+    };
+
+    channel.onopen = () => {
+      this._resumeTransfers(peerId);
+    };
+
+    channel.onmessage = (event) => {
+      if (typeof event.data === 'string') {
+        this._handleControl(peerId, peer, event.data);
+      } else {
+        this._handleChunk(peer, event.data);
+      }
+    };
+
+    channel.onclose = () => {
+      if (this.peers.get(peerId) === peer) {
+        this._interruptTransfers(peerId);
+      }
+    };
+
+    this.peers.set(peerId, peer);
+  }
+
+  /**
+   * Close a peer's channel; its transfers wait for the peer to come back
+   * @param {string} peerId - Peer ID
+   */
+  detach(peerId) {
+    const peer = this.peers.get(peerId);
+
+    if (!peer) {
+      return;
+    }
+
+    peer.channel.onopen = null;
+    peer.channel.onmessage = null;
+    peer.channel.onclose = null;
+    peer.channel.close();
+    this.peers.delete(peerId);
+
+    this._interruptTransfers(peerId);
+  }
+
+  /**
+   * Fail every transfer with a peer that left for good
+   * @param {string} peerId - Peer ID
+   */
+  abortPeer(peerId) {
+    for (const transfer of Array.from(this.transfers.values())) {
+      if (transfer.peerId === peerId) {
+        this._finish(transfer, 'failed', 'Peer left');
+      }
+    }
+  }
+
+  /**
+   * Send a file to one or more peers
+   * @param {File} file - File to send
+   * @param {Array<string>} peerIds - Recipients
+   * @returns {Promise<Array<Object>>} Snapshots of the new transfers
+   */
+  async sendFile(file, peerIds) {
+    if (!file) {
+      throw new Error('No file selected');
+    }
+
+    if (file.size > MAX_FILE_SIZE) {
+      throw new Error(`Files larger than ${MAX_FILE_SIZE / (1024 * 1024)} MB cannot be sent`);
+    }
+
+    if (!peerIds.length) {
+      throw new Error('Nobody to send the file to');
+    }
+
+    // Hash once for every recipient
+    const sha256 = await sha256Hex(await file.arrayBuffer());
+
+    return peerIds.map(peerId => {
+      const transfer = {
+        id: createTransferId(),
+        peerId,
+        direction: 'send',
+        name: file.name || 'file',
+        size: file.size,
+        mimeType: file.type || 'application/octet-stream',
+        chunkSize: FILE_CHUNK_SIZE,
+        totalChunks: Math.ceil(file.size / FILE_CHUNK_SIZE),
+        sha256,
+        file,
+        handle: null,
+        nextChunk: 0,
+        status: 'pending',
+        error: null,
+        resumeTimer: null,
+        lastReported: -1
+      };
+
+      this.transfers.set(transfer.id, transfer);
+      this._offer(transfer);
+      this._report(transfer);
+
+      return this._snapshot(transfer);
+    });
+  }
+
+  /**
+   * Cancel a transfer in either direction
+   * @param {string} transferId - Transfer ID
+   */
+  cancel(transferId) {
+    const transfer = this.transfers.get(transferId);
+
+    if (!transfer) {
+      return;
+    }
+
+    this._sendControl(transfer.peerId, { type: 'cancel', id: transfer.id });
+    this._finish(transfer, 'cancelled');
+  }
+
+  /**
+   * Cancel every transfer and close every channel
+   */
+  dispose() {
+    for (const transferId of Array.from(this.transfers.keys())) {
+      this.cancel(transferId);
+    }
+
+    for (const peerId of Array.from(this.peers.keys())) {
+      this.detach(peerId);
+    }
+
+    this.receivedResults.clear();
+  }
+
+  /**
+   * Offer an outgoing transfer, or resume it, if the channel is open
+   * @param {Object} transfer - Outgoing transfer
+   * @private
+   */
+  _offer(transfer) {
+    const peer = this.peers.get(transfer.peerId);
+
+    if (!peer || peer.channel.readyState !== 'open') {
+      return;
+    }
+
+    // A new handle makes chunks still in flight for the old one obsolete
+    transfer.handle = peer.nextHandle++;
+
+    this._sendControl(transfer.peerId, {
+      type: 'offer',
+      id: transfer.id,
+      handle: transfer.handle,
+      name: transfer.name,
+      size: transfer.size,
+      mimeType: transfer.mimeType,
+      chunkSize: transfer.chunkSize,
+      sha256: transfer.sha256
+    });
+  }
+
+  /**
+   * Re-offer outgoing transfers to a peer whose channel (re)opened
+   * @param {string} peerId - Peer ID
+   * @private
+   */
+  _resumeTransfers(peerId) {
+    for (const transfer of this.transfers.values()) {
+      if (transfer.peerId === peerId && transfer.direction === 'send') {
+        this._offer(transfer);
+      }
+    }
+  }
+
+  /**
+   * Pause a peer's transfers and fail them if it does not come back in time
+   * @param {string} peerId - Peer ID
+   * @private
+   */
+  _interruptTransfers(peerId) {
+    for (const transfer of this.transfers.values()) {
+      if (transfer.peerId !== peerId || transfer.status === 'verifying' || transfer.resumeTimer) {
+        continue;
+      }
+
+      transfer.status = 'interrupted';
+      transfer.resumeTimer = setTimeout(() => {
+        this._finish(transfer, 'failed', 'Connection lost');
+      }, RESUME_TIMEOUT_MS);
+
+      this._report(transfer, true);
+    }
+  }
+
+  /**
+   * Handle a control message
+   * @param {string} peerId - Peer ID
+   * @param {Object} peer - Peer state
+   * @param {string} data - Raw message
+   * @private
+   */
+  _handleControl(peerId, peer, data) {
+    let message;
+
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.warn(`Ignoring malformed file message from ${peerId}`);
+      return;
+    }
+
+    const transfer = this.transfers.get(message.id);
+
+    // Messages about another peer's transfer are ignored
+    if (transfer && transfer.peerId !== peerId) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'offer':
+        this._handleOffer(peerId, peer, transfer, message);
+        break;
+      case 'ready':
+        if (transfer && transfer.direction === 'send') {
+          this._handleReady(transfer, message);
+        }
+        break;
+      case 'complete':
+        if (transfer && transfer.direction === 'send') {
+          if (message.ok) {
+            this._finish(transfer, 'complete');
+          } else {
+            this._finish(transfer, 'failed', 'The received file did not match its hash');
+          }
+        }
+        break;
+      case 'cancel':
+        if (transfer) {
+          this._finish(transfer, 'cancelled', 'Cancelled by the other side');
+        }
+        break;
+      default:
+        console.warn(`Unknown file message from ${peerId}:`, message.type);
+    }
+  }
+
+  /**
+   * Accept a new incoming transfer, or tell the sender where to resume
+   * @param {string} peerId - Peer ID
+   * @param {Object} peer - Peer state
+   * @param {Object|undefined} existing - Known transfer with this ID
+   * @param {Object} offer - Offer message
+   * @private
+   */
+  _handleOffer(peerId, peer, existing, offer) {
+    const error = this._validateOffer(offer);
+
+    if (error) {
+      console.warn(`Rejecting file offer from ${peerId}: ${error}`);
+      this._sendControl(peerId, { type: 'cancel', id: offer.id });
+      return;
+    }
+
+    let transfer = existing;
+
+    if (transfer && transfer.direction !== 'receive') {
+      return;
+    }
+
+    // The sender resumed after we finished; repeat the result
+    const result = this.receivedResults.get(offer.id);
+    if (!transfer && result) {
+      if (result.peerId === peerId) {
+        this._sendControl(peerId, { type: 'complete', id: offer.id, ok: result.ok });
+      }
+      return;
+    }
+
+    // Everything arrived already; the result follows once the hash is checked
+    if (transfer && transfer.status === 'verifying') {
+      this._sendControl(peerId, { type: 'ready', id: transfer.id, offset: transfer.totalChunks });
+      return;
+    }
+
+    if (!transfer) {
+      transfer = {
+        id: offer.id,
+        peerId,
+        direction: 'receive',
+        name: offer.name,
+        size: offer.size,
+        mimeType: offer.mimeType || 'application/octet-stream',
+        chunkSize: offer.chunkSize,
+        totalChunks: Math.ceil(offer.size / offer.chunkSize),
+        sha256: offer.sha256.toLowerCase(),
+        chunks: [],
+        handle: null,
+        nextChunk: 0,
+        status: 'pending',
+        error: null,
+        resumeTimer: null,
+        lastReported: -1
+      };
+
+      this.transfers.set(transfer.id, transfer);
+    }
+
+    clearTimeout(transfer.resumeTimer);
+    transfer.resumeTimer = null;
+
+    peer.incoming.delete(transfer.handle);
+    peer.incoming.set(offer.handle, transfer.id);
+    transfer.handle = offer.handle;
+    transfer.status = 'transferring';
+
+    this._sendControl(peerId, { type: 'ready', id: transfer.id, offset: transfer.nextChunk });
+    this._report(transfer, true);
+
+    if (transfer.nextChunk === transfer.totalChunks) {
+      this._verify(transfer);
+    }
+  }
+
+  /**
+   * Check an offer before accepting any data for it
+   * @param {Object} offer - Offer message
+   * @returns {string|null} Reason the offer is invalid, or null
+   * @private
+   */
+  _validateOffer(offer) {
+    if (typeof offer.id !== 'string' || !offer.id || offer.id.length > 64) {
+      return 'invalid transfer ID';
+    }
+    if (!Number.isInteger(offer.handle) || offer.handle < 1 || offer.handle > 0xffffffff) {
+      return 'invalid handle';
+    }
+    if (typeof offer.name !== 'string' || !offer.name || offer.name.length > MAX_FILE_NAME_LENGTH) {
+      return 'invalid file name';
+    }
+    if (!Number.isInteger(offer.size) || offer.size < 0 || offer.size > MAX_FILE_SIZE) {
+      return 'invalid file size';
+    }
+    if (!Number.isInteger(offer.chunkSize) || offer.chunkSize < 1 || offer.chunkSize > MAX_CHUNK_SIZE) {
+      return 'invalid chunk size';
+    }
+    if (typeof offer.sha256 !== 'string' || !/^[0-9a-f]{64}$/i.test(offer.sha256)) {
+      return 'invalid hash';
+    }
+    if (offer.mimeType !== undefined && typeof offer.mimeType !== 'string') {
+      return 'invalid MIME type';
+    }
+    return null;
+  }
+
+  /**
+   * Start or resume sending from the offset the receiver asked for
+   * @param {Object} transfer - Outgoing transfer
+   * @param {Object} message - Ready message
+   * @private
+   */
+  _handleReady(transfer, message) {
+    if (!Number.isInteger(message.offset) || message.offset < 0 || message.offset > transfer.totalChunks) {
+      this._finish(transfer, 'failed', 'Invalid resume offset');
+      return;
+    }
+
+    clearTimeout(transfer.resumeTimer);
+    transfer.resumeTimer = null;
+    transfer.nextChunk = message.offset;
+    transfer.status = 'transferring';
+    this._report(transfer, true);
+
+    this._pump(transfer);
+  }
+
+  /**
+   * Send chunks until done, pausing while the channel buffer is full
+   * Stops when the transfer is re-offered under a new handle
+   * @param {Object} transfer - Outgoing transfer
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _pump(transfer) {
+    const peer = this.peers.get(transfer.peerId);
+
+    if (!peer) {
+      return;
+    }
+
+    const { channel } = peer;
+    const handle = transfer.handle;
+    const isCurrent = () =>
+      transfer.handle === handle && transfer.status === 'transferring' && channel.readyState === 'open';
+
+    while (isCurrent() && transfer.nextChunk < transfer.totalChunks) {
+      if (channel.bufferedAmount > BUFFERED_AMOUNT_HIGH) {
+        await waitForBufferedAmountLow(channel);
+        continue;
+      }
+
+      const index = transfer.nextChunk;
+      const start = index * transfer.chunkSize;
+      const payload = await transfer.file.slice(start, start + transfer.chunkSize).arrayBuffer();
+
+      if (!isCurrent()) {
+        return;
+      }
+
+      const frame = new Uint8Array(FRAME_HEADER_LENGTH + payload.byteLength);
+      const view = new DataView(frame.buffer);
+      view.setUint32(0, handle);
+      view.setUint32(4, index);
+      frame.set(new Uint8Array(payload), FRAME_HEADER_LENGTH);
+
+      try {
+        channel.send(frame.buffer);
+      } catch (error) {
+        // The channel closed under us; onclose interrupts the transfer
+        console.warn('Error sending file chunk:', error);
+        return;
+      }
+
+      transfer.nextChunk = index + 1;
+      this._report(transfer);
+    }
+  }
+
+  /**
+   * Store an incoming chunk
+   * @param {Object} peer - Peer state
+   * @param {ArrayBuffer} data - Binary frame
+   * @private
+   */
+  _handleChunk(peer, data) {
+    if (data.byteLength < FRAME_HEADER_LENGTH) {
+      return;
+    }
+
+    const view = new DataView(data);
+    const transfer = this.transfers.get(peer.incoming.get(view.getUint32(0)));
+    const index = view.getUint32(4);
+
+    // Chunks for an old handle or a finished transfer are stale
+    if (!transfer || transfer.status !== 'transferring' || index !== transfer.nextChunk) {
+      return;
+    }
+
+    const payloadLength = data.byteLength - FRAME_HEADER_LENGTH;
+    const expectedLength = index === transfer.totalChunks - 1
+      ? transfer.size - index * transfer.chunkSize
+      : transfer.chunkSize;
+
+    if (payloadLength !== expectedLength) {
+      this._sendControl(transfer.peerId, { type: 'cancel', id: transfer.id });
+      this._finish(transfer, 'failed', 'Received a malformed chunk');
+      return;
+    }
+
+    transfer.chunks.push(data.slice(FRAME_HEADER_LENGTH));
+    transfer.nextChunk = index + 1;
+    this._report(transfer);
+
+    if (transfer.nextChunk === transfer.totalChunks) {
+      this._verify(transfer);
+    }
+  }
+
+  /**
+   * Check the hash of a fully received file and hand it over
+   * @param {Object} transfer - Incoming transfer
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _verify(transfer) {
+    transfer.status = 'verifying';
+    this._report(transfer, true);
+
+    const blob = new Blob(transfer.chunks, { type: transfer.mimeType });
+    transfer.chunks = [];
+
+    let ok = false;
+
+    try {
+      ok = await sha256Hex(await blob.arrayBuffer()) === transfer.sha256;
+    } catch (error) {
+      console.error('Error verifying file:', error);
+    }
+
+    if (transfer.status !== 'verifying') {
+      return;
+    }
+
+    this.receivedResults.set(transfer.id, { peerId: transfer.peerId, ok });
+    this._sendControl(transfer.peerId, { type: 'complete', id: transfer.id, ok });
+
+    if (!ok) {
+      this._finish(transfer, 'failed', 'Integrity check failed');
+      return;
+    }
+
+    transfer.blob = blob;
+    this._finish(transfer, 'complete');
+
+    if (this.onFileReceived) {
+      this.onFileReceived(transfer.peerId, {
+        id: transfer.id,
+        name: transfer.name,
+        size: transfer.size,
+        mimeType: transfer.mimeType,
+        blob
+      });
+    }
+  }
+
+  /**
+   * Move a transfer to a final state and forget it
+   * @param {Object} transfer - Transfer
+   * @param {string} status - 'complete', 'failed' or 'cancelled'
+   * @param {string} [error] - Reason for failure
+   * @private
+   */
+  _finish(transfer, status, error = null) {
+    if (FINAL_STATES.includes(transfer.status)) {
+      return;
+    }
+
+    clearTimeout(transfer.resumeTimer);
+    transfer.resumeTimer = null;
+    transfer.status = status;
+    transfer.error = error;
+
+    this._report(transfer, true);
+
+    // Release file data held for sending or receiving
+    transfer.file = null;
+    transfer.chunks = [];
+    transfer.blob = null;
+    this.transfers.delete(transfer.id);
+
+    const peer = this.peers.get(transfer.peerId);
+    if (peer && transfer.direction === 'receive') {
+      peer.incoming.delete(transfer.handle);
+    }
+  }
+
+  /**
+   * Send a control message if the peer's channel is open
+   * @param {string} peerId - Peer ID
+   * @param {Object} message - Control message
+   * @private
+   */
+  _sendControl(peerId, message) {
+    const peer = this.peers.get(peerId);
+
+    if (!peer || peer.channel.readyState !== 'open') {
+      return;
+    }
+
+    try {
+      peer.channel.send(JSON.stringify(message));
+    } catch (error) {
+      console.warn('Error sending file message:', error);
+    }
+  }
+
+  /**
+   * Report progress, at most once per percent unless forced
+   * @param {Object} transfer - Transfer
+   * @param {boolean} [force=false] - Report even if progress did not move
+   * @private
+   */
+  _report(transfer, force = false) {
+    if (!this.onTransferUpdate) {
+      return;
+    }
+
+    const snapshot = this._snapshot(transfer);
+    const percent = transfer.size ? Math.floor((snapshot.bytesTransferred / transfer.size) * 100) : 100;
+
+    if (!force && percent === transfer.lastReported) {
+      return;
+    }
+
+    transfer.lastReported = percent;
+    this.onTransferUpdate(snapshot);
+  }
+
+  /**
+   * Public view of a transfer
+   * @param {Object} transfer - Transfer
+   * @returns {Object} Snapshot ({ id, peerId, direction, name, size, mimeType, bytesTransferred, status, error })
+   * @private
+   */
+  _snapshot(transfer) {
+    return {
+      id: transfer.id,
+      peerId: transfer.peerId,
+      direction: transfer.direction,
+      name: transfer.name,
+      size: transfer.size,
+      mimeType: transfer.mimeType,
+      bytesTransferred: Math.min(transfer.nextChunk * transfer.chunkSize, transfer.size),
+      status: transfer.status,
+      error: transfer.error
+    };
+  }
+}
+
+export default FileTransferHelper;
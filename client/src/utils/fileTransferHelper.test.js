@@ -0,0 +1,273 @@
+/**
+ * @jest-environment node
+ */
+import { Blob } from 'buffer';
+import { createHash, webcrypto } from 'crypto';
+import { FILE_CHANNEL_ID, FILE_CHUNK_SIZE, FileTransferHelper, MAX_FILE_SIZE } from './fileTransferHelper';
+
+const bytes = (length) => Uint8Array.from({ length }, (_, i) => (i * 31 + 7) & 0xFF);
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+
+const fakeFile = (data, name = 'notes.bin') =>
+  Object.assign(new Blob([data], { type: 'application/octet-stream' }), { name });
+
+const fakeChannel = () => ({
+  readyState: 'connecting',
+  bufferedAmount: 0,
+  send: jest.fn(),
+  close: jest.fn(),
+  addEventListener: jest.fn(),
+  removeEventListener: jest.fn()
+});
+
+const attach = (helper, peerId) => {
+  const channel = fakeChannel();
+  const createDataChannel = jest.fn(() => channel);
+
+  helper.attach(peerId, { createDataChannel });
+  return { channel, createDataChannel };
+};
+
+/**
+ * Connect two helpers with a pair of channels that deliver synchronously
+ * Frames after `dropAfterChunks` binary frames close the link instead
+ */
+const connect = (alice, bob, { dropAfterChunks = Infinity } = {}) => {
+  const { channel: aliceChannel } = attach(alice, 'bob');
+  const { channel: bobChannel } = attach(bob, 'alice');
+  const chunkIndexes = [];
+
+  const close = () => {
+    for (const channel of [aliceChannel, bobChannel]) {
+      channel.readyState = 'closed';
+      if (channel.onclose) {
+        channel.onclose();
+      }
+    }
+  };
+
+  const wire = (from, to) => {
+    from.send.mockImplementation((data) => {
+      if (from.readyState !== 'open') {
+        throw new Error('closed');
+      }
+
+      if (typeof data !== 'string') {
+        if (chunkIndexes.length >= dropAfterChunks) {
+          close();
+          return;
+        }
+        chunkIndexes.push(new DataView(data).getUint32(4));
+      }
+
+      to.onmessage({ data });
+    });
+  };
+
+  wire(aliceChannel, bobChannel);
+  wire(bobChannel, aliceChannel);
+
+  bobChannel.readyState = 'open';
+  bobChannel.onopen();
+  aliceChannel.readyState = 'open';
+  aliceChannel.onopen();
+
+  return { aliceChannel, bobChannel, chunkIndexes };
+};
+
+// Let pending reads and hashing finish, which take a trip through the thread pool
+const settle = async (done = () => false) => {
+  for (let i = 0; i < 200 && !done(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+const controlMessages = (channel) => channel.send.mock.calls
+  .filter(([data]) => typeof data === 'string')
+  .map(([data]) => JSON.parse(data));
+
+describe('FileTransferHelper', () => {
+  let alice;
+  let bob;
+  let aliceUpdates;
+  let received;
+
+  beforeAll(() => {
+    global.window = { crypto: webcrypto };
+    global.Blob = Blob;
+  });
+
+  afterAll(() => {
+    delete global.window;
+    delete global.Blob;
+  });
+
+  beforeEach(() => {
+    aliceUpdates = [];
+    received = [];
+    alice = new FileTransferHelper({ onTransferUpdate: update => aliceUpdates.push(update) });
+    bob = new FileTransferHelper({ onFileReceived: (peerId, file) => received.push({ peerId, file }) });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const lastStatus = (updates) => updates[updates.length - 1].status;
+
+  test('opens a negotiated channel for binary frames', () => {
+    const { channel, createDataChannel } = attach(alice, 'bob');
+
+    expect(createDataChannel).toHaveBeenCalledWith('file', { negotiated: true, id: FILE_CHANNEL_ID, ordered: true });
+    expect(channel.binaryType).toBe('arraybuffer');
+  });
+
+  test('sends a file in chunks and verifies its hash', async () => {
+    const data = bytes(FILE_CHUNK_SIZE * 2 + 100);
+    const { chunkIndexes } = connect(alice, bob);
+
+    const [transfer] = await alice.sendFile(fakeFile(data), ['bob']);
+    await settle(() => received.length > 0);
+
+    expect(transfer).toMatchObject({ peerId: 'bob', direction: 'send', name: 'notes.bin', size: data.length });
+    expect(chunkIndexes).toEqual([0, 1, 2]);
+    expect(received).toHaveLength(1);
+    expect(received[0].peerId).toBe('alice');
+    expect(received[0].file).toMatchObject({ name: 'notes.bin', size: data.length });
+    expect(new Uint8Array(await received[0].file.blob.arrayBuffer())).toEqual(data);
+    expect(lastStatus(aliceUpdates)).toBe('complete');
+    expect(alice.transfers.size).toBe(0);
+    expect(bob.transfers.size).toBe(0);
+  });
+
+  test('resumes from the last received chunk after the channel drops', async () => {
+    const data = bytes(FILE_CHUNK_SIZE * 3);
+    const first = connect(alice, bob, { dropAfterChunks: 1 });
+
+    await alice.sendFile(fakeFile(data), ['bob']);
+    await settle(() => lastStatus(aliceUpdates) === 'interrupted');
+
+    expect(first.chunkIndexes).toEqual([0]);
+    expect(lastStatus(aliceUpdates)).toBe('interrupted');
+
+    const second = connect(alice, bob);
+    await settle(() => received.length > 0);
+
+    // The new channel starts where the receiver left off
+    expect(controlMessages(second.bobChannel)).toContainEqual(expect.objectContaining({ type: 'ready', offset: 1 }));
+    expect(second.chunkIndexes).toEqual([1, 2]);
+    expect(received).toHaveLength(1);
+    expect(new Uint8Array(await received[0].file.blob.arrayBuffer())).toEqual(data);
+    expect(lastStatus(aliceUpdates)).toBe('complete');
+  });
+
+  test('fails a transfer whose peer does not come back', async () => {
+    const [transfer] = await alice.sendFile(fakeFile(bytes(10)), ['bob']);
+
+    jest.useFakeTimers();
+    const { channel } = attach(alice, 'bob');
+    channel.onclose();
+    expect(lastStatus(aliceUpdates)).toBe('interrupted');
+
+    jest.advanceTimersByTime(59999);
+    expect(lastStatus(aliceUpdates)).toBe('interrupted');
+
+    jest.advanceTimersByTime(1);
+    expect(lastStatus(aliceUpdates)).toBe('failed');
+    expect(aliceUpdates[aliceUpdates.length - 1]).toMatchObject({ id: transfer.id, error: 'Connection lost' });
+  });
+
+  describe('receiving', () => {
+    let channel;
+
+    const deliver = (message) => channel.onmessage({ data: JSON.stringify(message) });
+
+    const frame = (handle, index, payload) => {
+      const data = new Uint8Array(8 + payload.length);
+      const view = new DataView(data.buffer);
+      view.setUint32(0, handle);
+      view.setUint32(4, index);
+      data.set(payload, 8);
+      return data.buffer;
+    };
+
+    const offer = (data, extra = {}) => ({
+      type: 'offer',
+      id: 'transfer-1',
+      handle: 1,
+      name: 'notes.bin',
+      size: data.length,
+      chunkSize: FILE_CHUNK_SIZE,
+      sha256: sha256(data),
+      ...extra
+    });
+
+    beforeEach(() => {
+      ({ channel } = attach(bob, 'alice'));
+      channel.readyState = 'open';
+      channel.onopen();
+    });
+
+    test('reports a file that does not match its hash', async () => {
+      const data = bytes(100);
+      deliver(offer(data, { sha256: sha256(bytes(99)) }));
+      channel.onmessage({ data: frame(1, 0, data) });
+      await settle(() => controlMessages(channel).some(message => message.type === 'complete'));
+
+      expect(received).toEqual([]);
+      expect(controlMessages(channel)).toContainEqual({ type: 'complete', id: 'transfer-1', ok: false });
+
+      // A resumed offer gets the same answer
+      channel.send.mockClear();
+      deliver(offer(data, { handle: 2 }));
+      expect(controlMessages(channel)).toEqual([{ type: 'complete', id: 'transfer-1', ok: false }]);
+    });
+
+    test('rejects invalid offers', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      deliver(offer(bytes(10), { size: MAX_FILE_SIZE + 1 }));
+      deliver(offer(bytes(10), { id: 'transfer-2', sha256: 'nope' }));
+      deliver(offer(bytes(10), { id: 'transfer-3', name: '' }));
+
+      expect(controlMessages(channel)).toEqual([
+        { type: 'cancel', id: 'transfer-1' },
+        { type: 'cancel', id: 'transfer-2' },
+        { type: 'cancel', id: 'transfer-3' }
+      ]);
+      expect(bob.transfers.size).toBe(0);
+    });
+
+    test('fails on a chunk of the wrong length', () => {
+      const data = bytes(100);
+      deliver(offer(data));
+      channel.onmessage({ data: frame(1, 0, data.subarray(0, 50)) });
+
+      expect(controlMessages(channel)).toContainEqual({ type: 'cancel', id: 'transfer-1' });
+      expect(bob.transfers.size).toBe(0);
+    });
+
+    test('ignores chunks for an old handle', () => {
+      const data = bytes(100);
+      deliver(offer(data));
+      deliver(offer(data, { handle: 2 }));
+      channel.onmessage({ data: frame(1, 0, data) });
+
+      expect(bob.transfers.get('transfer-1').nextChunk).toBe(0);
+    });
+
+    test('stops when the sender cancels', () => {
+      deliver(offer(bytes(100)));
+      deliver({ type: 'cancel', id: 'transfer-1' });
+
+      expect(bob.transfers.size).toBe(0);
+    });
+  });
+
+  test('refuses files it cannot send', async () => {
+    await expect(alice.sendFile(null, ['bob'])).rejects.toThrow('No file');
+    await expect(alice.sendFile(fakeFile(bytes(10)), [])).rejects.toThrow('Nobody');
+    await expect(alice.sendFile({ size: MAX_FILE_SIZE + 1 }, ['bob'])).rejects.toThrow('cannot be sent');
+  });
+});
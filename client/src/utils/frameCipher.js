@@ -0,0 +1,208 @@
+/* global globalThis */
+/**
+ * Frame cipher for end-to-end media encryption
+ *
+ * Encrypts and decrypts encoded audio/video frames with AES-GCM. The module
+ * has no DOM dependencies so it runs in the encoded-transform worker and
+ * under Jest (pass Node's `webcrypto` as the crypto implementation).
+ *
+ * Encrypted frame layout:
+ *
+ *   | clear header | AES-GCM ciphertext + tag | IV (12 bytes) | key index (1 byte) |
+ *
+ * The clear header keeps the first codec bytes readable so the RTP
+ * packetizer and depacketizer still work; it is authenticated as
+ * additional data. Sizes follow the VP8 and Opus payload headers.
+ *
+ * The key index is derived along with the key, so everyone holding the same
+ * passphrase puts it in the same keyring slot, however often they rotated.
+ */
+
+export const IV_LENGTH = 12;
+export const KEYRING_SIZE = 16;
+export const TRAILER_LENGTH = IV_LENGTH + 1;
+
+// Bytes left unencrypted per frame type (audio frames have no type)
+export const UNENCRYPTED_BYTES = {
+  key: 10,
+  delta: 3,
+  empty: 0,
+  audio: 1
+};
+
+const PBKDF2_ITERATIONS = 100000;
+const KEY_SALT_PREFIX = 'secure-voice-chat/e2ee/';
+
+/**
+ * Get the default WebCrypto implementation
+ * @returns {Crypto} WebCrypto object
+ * @private
+ */
+const defaultCrypto = () => globalThis.crypto;
+
+/**
+ * Number of leading bytes that stay unencrypted for a frame type
+ * @param {string} [frameType] - Encoded video frame type, undefined for audio
+ * @returns {number} Byte count
+ */
+export function getUnencryptedByteCount(frameType) {
+  const count = UNENCRYPTED_BYTES[frameType || 'audio'];
+  return count === undefined ? 0 : count;
+}
+
+/**
+ * Derive an AES-GCM frame key and its keyring slot from a shared passphrase
+ * One PBKDF2 run gives 32 bytes: the first 16 are the key, the next one picks
+ * the slot. Two keys in a row can land in the same slot, which only costs the
+ * frames still in flight under the older one.
+ * @param {string} passphrase - Room key shared out of band
+ * @param {string} salt - Context the key is bound to (e.g. the room ID)
+ * @param {Crypto} [cryptoImpl] - WebCrypto implementation
+ * @returns {Promise<Object>} `{ key, keyIndex }`: non-extractable frame key and its slot
+ */
+export async function deriveFrameKeySlot(passphrase, salt, cryptoImpl = defaultCrypto()) {
+  if (!passphrase || typeof passphrase !== 'string') {
+    throw new Error('Encryption key must be a non-empty string');
+  }
+
+  const encoder = new TextEncoder();
+  const baseKey = await cryptoImpl.subtle.importKey(
+    'raw',
+    encoder.encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+
+  const bits = new Uint8Array(await cryptoImpl.subtle.deriveBits(
+    {
+      name: 'PBKDF2',
+      salt: encoder.encode(`${KEY_SALT_PREFIX}${salt || ''}`),
+      iterations: PBKDF2_ITERATIONS,
+      hash: 'SHA-256'
+    },
+    baseKey,
+    256
+  ));
+
+  const key = await cryptoImpl.subtle.importKey(
+    'raw',
+    bits.slice(0, 16),
+    { name: 'AES-GCM' },
+    false,
+    ['encrypt', 'decrypt']
+  );
+
+  return { key, keyIndex: bits[16] % KEYRING_SIZE };
+}
+
+/**
+ * Derive an AES-GCM frame key from a shared passphrase
+ * @param {string} passphrase - Room key shared out of band
+ * @param {string} salt - Context the key is bound to (e.g. the room ID)
+ * @param {Crypto} [cryptoImpl] - WebCrypto implementation
+ * @returns {Promise<CryptoKey>} Non-extractable frame key
+ */
+export async function deriveFrameKey(passphrase, salt, cryptoImpl = defaultCrypto()) {
+  return (await deriveFrameKeySlot(passphrase, salt, cryptoImpl)).key;
+}
+
+/**
+ * Encrypt an encoded frame
+ * @param {CryptoKey} key - Frame key
+ * @param {ArrayBuffer} data - Encoded frame payload
+ * @param {string} [frameType] - Encoded video frame type, undefined for audio
+ * @param {number} keyIndex - Keyring slot of the key (0-15)
+ * @param {Crypto} [cryptoImpl] - WebCrypto implementation
+ * @returns {Promise<ArrayBuffer>} Encrypted payload
+ */
+export async function encryptFrame(key, data, frameType, keyIndex, cryptoImpl = defaultCrypto()) {
+  const bytes = new Uint8Array(data);
+
+  if (bytes.length === 0) {
+    return data;
+  }
+
+  const headerLength = Math.min(getUnencryptedByteCount(frameType), bytes.length);
+  const header = bytes.slice(0, headerLength);
+  const iv = cryptoImpl.getRandomValues(new Uint8Array(IV_LENGTH));
+
+  const ciphertext = new Uint8Array(await cryptoImpl.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: header },
+    key,
+    bytes.slice(headerLength)
+  ));
+
+  const output = new Uint8Array(headerLength + ciphertext.length + TRAILER_LENGTH);
+  output.set(header, 0);
+  output.set(ciphertext, headerLength);
+  output.set(iv, headerLength + ciphertext.length);
+  output[output.length - 1] = keyIndex % KEYRING_SIZE;
+
+  return output.buffer;
+}
+
+/**
+ * Decrypt an encoded frame
+ * @param {Array<CryptoKey|null>} keyring - Keys by keyring slot
+ * @param {ArrayBuffer} data - Encrypted payload
+ * @param {string} [frameType] - Encoded video frame type, undefined for audio
+ * @param {Crypto} [cryptoImpl] - WebCrypto implementation
+ * @returns {Promise<ArrayBuffer|null>} Decrypted payload, or null if it cannot be decrypted
+ */
+export async function decryptFrame(keyring, data, frameType, cryptoImpl = defaultCrypto()) {
+  const bytes = new Uint8Array(data);
+
+  if (bytes.length === 0) {
+    return data;
+  }
+
+  // Frames shorter than the clear header were encrypted with a shorter one
+  const headerLength = Math.min(getUnencryptedByteCount(frameType), bytes.length - 16 - TRAILER_LENGTH);
+
+  // Too short to hold the GCM tag and the trailer
+  if (headerLength < 0) {
+    return null;
+  }
+
+  const key = keyring[bytes[bytes.length - 1]];
+
+  if (!key) {
+    return null;
+  }
+
+  const ivStart = bytes.length - TRAILER_LENGTH;
+  const header = bytes.slice(0, headerLength);
+  const iv = bytes.slice(ivStart, ivStart + IV_LENGTH);
+
+  try {
+    const plaintext = new Uint8Array(await cryptoImpl.subtle.decrypt(
+      { name: 'AES-GCM', iv, additionalData: header },
+      key,
+      bytes.slice(headerLength, ivStart)
+    ));
+
+    const output = new Uint8Array(headerLength + plaintext.length);
+    output.set(header, 0);
+    output.set(plaintext, headerLength);
+
+    return output.buffer;
+  } catch (error) {
+    // Wrong key or tampered frame
+    return null;
+  }
+}
+
+const frameCipher = {
+  IV_LENGTH,
+  KEYRING_SIZE,
+  TRAILER_LENGTH,
+  UNENCRYPTED_BYTES,
+  getUnencryptedByteCount,
+  deriveFrameKeySlot,
+  deriveFrameKey,
+  encryptFrame,
+  decryptFrame
+};
+
+export default frameCipher;
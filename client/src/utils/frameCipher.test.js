@@ -0,0 +1,100 @@
+/**
+ * @jest-environment node
+ */
+import { webcrypto } from 'crypto';
+import {
+  KEYRING_SIZE,
+  TRAILER_LENGTH,
+  UNENCRYPTED_BYTES,
+  deriveFrameKeySlot,
+  deriveFrameKey,
+  encryptFrame,
+  decryptFrame
+} from './frameCipher';
+
+const frame = (length) => Uint8Array.from({ length }, (_, i) => (i * 7 + 1) & 0xFF).buffer;
+
+describe('frameCipher', () => {
+  let key;
+  let keyring;
+
+  beforeAll(async () => {
+    key = await deriveFrameKey('correct horse battery staple', 'room-1', webcrypto);
+    keyring = new Array(KEYRING_SIZE).fill(null);
+    keyring[3] = key;
+  });
+
+  const roundTrip = async (data, frameType) => {
+    const encrypted = await encryptFrame(key, data, frameType, 3, webcrypto);
+    return { encrypted, decrypted: await decryptFrame(keyring, encrypted, frameType, webcrypto) };
+  };
+
+  test.each([
+    ['key', 'key', 1000],
+    ['delta', 'delta', 400],
+    ['audio', undefined, 80],
+    ['short key', 'key', 4],
+    ['short delta', 'delta', 2],
+    ['one-byte key', 'key', 1],
+    ['one-byte audio', undefined, 1]
+  ])('round-trips a %s frame', async (name, frameType, length) => {
+    const data = frame(length);
+    const { encrypted, decrypted } = await roundTrip(data, frameType);
+
+    expect(encrypted.byteLength).toBe(length + 16 + TRAILER_LENGTH);
+    expect(new Uint8Array(decrypted)).toEqual(new Uint8Array(data));
+  });
+
+  test('keeps the codec header readable', async () => {
+    const data = frame(100);
+    const { encrypted } = await roundTrip(data, 'key');
+    const header = UNENCRYPTED_BYTES.key;
+
+    expect(new Uint8Array(encrypted).slice(0, header)).toEqual(new Uint8Array(data).slice(0, header));
+    expect(new Uint8Array(encrypted)[encrypted.byteLength - 1]).toBe(3);
+  });
+
+  test('passes empty frames through', async () => {
+    const empty = new ArrayBuffer(0);
+
+    expect(await encryptFrame(key, empty, 'delta', 3, webcrypto)).toBe(empty);
+    expect(await decryptFrame(keyring, empty, 'delta', webcrypto)).toBe(empty);
+  });
+
+  test('drops frames it cannot decrypt', async () => {
+    const encrypted = new Uint8Array(await encryptFrame(key, frame(50), 'delta', 3, webcrypto));
+    const otherKey = await deriveFrameKey('another passphrase', 'room-1', webcrypto);
+    const otherKeyring = new Array(KEYRING_SIZE).fill(null);
+    otherKeyring[3] = otherKey;
+
+    // Wrong key, empty slot, tampered header, too short
+    expect(await decryptFrame(otherKeyring, encrypted.buffer, 'delta', webcrypto)).toBeNull();
+    expect(await decryptFrame(new Array(KEYRING_SIZE).fill(null), encrypted.buffer, 'delta', webcrypto)).toBeNull();
+
+    const tampered = encrypted.slice();
+    tampered[0] ^= 1;
+    expect(await decryptFrame(keyring, tampered.buffer, 'delta', webcrypto)).toBeNull();
+    expect(await decryptFrame(keyring, encrypted.slice(0, 20).buffer, 'delta', webcrypto)).toBeNull();
+  });
+
+  test('derives the same key slot for the same passphrase', async () => {
+    const first = await deriveFrameKeySlot('correct horse battery staple', 'room-1', webcrypto);
+    const again = await deriveFrameKeySlot('correct horse battery staple', 'room-1', webcrypto);
+
+    expect(first.keyIndex).toBe(again.keyIndex);
+    expect(first.keyIndex).toBeGreaterThanOrEqual(0);
+    expect(first.keyIndex).toBeLessThan(KEYRING_SIZE);
+
+    // Keys derived separately decrypt each other's frames
+    const otherKeyring = new Array(KEYRING_SIZE).fill(null);
+    otherKeyring[again.keyIndex] = again.key;
+    const encrypted = await encryptFrame(first.key, frame(60), 'delta', first.keyIndex, webcrypto);
+
+    expect(new Uint8Array(await decryptFrame(otherKeyring, encrypted, 'delta', webcrypto)))
+      .toEqual(new Uint8Array(frame(60)));
+  });
+
+  test('rejects an empty passphrase', async () => {
+    await expect(deriveFrameKey('', 'room-1', webcrypto)).rejects.toThrow('non-empty');
+  });
+});
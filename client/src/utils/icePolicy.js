@@ -0,0 +1,139 @@
+/**
+ * ICE candidate policy
+ *
+ * Mirrors server/src/icePolicy.js. In strict-local mode only host candidates
+ * with local network addresses (private, link-local, loopback or mDNS) are
+ * signaled, and the server rejects anything else.
+ */
+
+export const ICE_POLICIES = {
+  DEFAULT: 'default',
+  STRICT_LOCAL: 'strict-local'
+};
+
+// [network, prefix length]
+const LOCAL_IPV4_RANGES = [
+  ['10.0.0.0', 8],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local
+  ['100.64.0.0', 10] // shared address space, also used by Tailscale
+];
+
+/**
+ * Parse a dotted IPv4 address
+ * @param {string} address - Address to parse
+ * @returns {number|null} Address as an unsigned integer, or null if it is not IPv4
+ */
+const ipv4ToInt = (address) => {
+  const parts = address.split('.');
+
+  if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+    return null;
+  }
+
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+};
+
+/**
+ * Check whether an address is only reachable on the local network
+ * @param {string} address - IPv4, IPv6 or mDNS (`*.local`) address
+ * @returns {boolean} True for private, link-local, loopback and mDNS addresses
+ */
+export const isLocalAddress = (address) => {
+  if (typeof address !== 'string' || !address) {
+    return false;
+  }
+
+  const normalized = address.toLowerCase();
+
+  // Browsers hide host addresses behind random mDNS names
+  if (normalized.endsWith('.local')) {
+    return true;
+  }
+
+  const mapped = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  const ipv4 = ipv4ToInt(mapped ? mapped[1] : normalized);
+
+  if (ipv4 !== null) {
+    return LOCAL_IPV4_RANGES.some(([network, bits]) => {
+      const size = 2 ** (32 - bits);
+      return Math.floor(ipv4 / size) === Math.floor(ipv4ToInt(network) / size);
+    });
+  }
+
+  if (normalized === '::1') {
+    return true;
+  }
+
+  // fe80::/10 link-local and fc00::/7 unique local
+  return /^fe[89ab][0-9a-f]:/.test(normalized) || /^f[cd][0-9a-f]{2}:/.test(normalized);
+};
+
+/**
+ * Parse an ICE candidate line
+ * @param {string} candidate - `candidate:...` attribute, with or without `a=`
+ * @returns {{ address: string, type: string }|null} Connection address and candidate type
+ */
+export const parseCandidate = (candidate) => {
+  const fields = String(candidate).replace(/^a=/, '').trim().split(/\s+/);
+
+  if (!fields[0].startsWith('candidate:') || fields.length < 8 || fields[6] !== 'typ') {
+    return null;
+  }
+
+  return { address: fields[4], type: fields[7] };
+};
+
+/**
+ * Check whether a candidate only uses the local network
+ * Server-reflexive and relay candidates route through a STUN or TURN server
+ * even when their address is private (e.g. behind carrier-grade NAT), so
+ * only host candidates count.
+ * @param {string} candidate - Candidate line
+ * @returns {boolean} True for a host candidate with a local address
+ */
+export const isLocalCandidate = (candidate) => {
+  const parsed = parseCandidate(candidate);
+  return !!parsed && parsed.type === 'host' && isLocalAddress(parsed.address);
+};
+
+/**
+ * Remove non-local candidates from an SDP
+ * Candidates gathered before an offer or answer is created end up in its SDP
+ * @param {string} sdp - Session description
+ * @returns {string} The SDP with only local candidates
+ */
+export const stripNonLocalCandidates = (sdp) => sdp
+  .split('\r\n')
+  .filter(line => !line.startsWith('a=candidate:') || isLocalCandidate(line))
+  .join('\r\n');
+
+/**
+ * Check whether a candidate from getStats() is on the local network
+ * Server-reflexive and relay candidates never are. Browsers may leave out the
+ * address of a remote mDNS host candidate; peer-reflexive ones are judged by
+ * the address the connectivity checks came from.
+ * @param {Object} stats - `local-candidate` or `remote-candidate` stats
+ * @returns {boolean} True if the candidate is local
+ */
+export const isLocalCandidateStats = (stats) => {
+  if (stats.candidateType === 'srflx' || stats.candidateType === 'relay') {
+    return false;
+  }
+
+  const address = stats.address || stats.ip;
+  return address ? isLocalAddress(address) : stats.candidateType === 'host';
+};
+
+const icePolicy = {
+  ICE_POLICIES,
+  isLocalAddress,
+  parseCandidate,
+  isLocalCandidate,
+  stripNonLocalCandidates,
+  isLocalCandidateStats
+};
+
+export default icePolicy;
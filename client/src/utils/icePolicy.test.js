@@ -0,0 +1,77 @@
+/**
+ * @jest-environment node
+ */
+import {
+  isLocalAddress,
+  parseCandidate,
+  isLocalCandidate,
+  stripNonLocalCandidates,
+  isLocalCandidateStats
+} from './icePolicy';
+
+const candidate = (address, type = 'host') =>
+  `candidate:842163049 1 udp 1677729535 ${address} 54400 typ ${type} generation 0`;
+
+describe('icePolicy', () => {
+  test('treats private, link-local, loopback and mDNS addresses as local', () => {
+    ['10.1.2.3', '172.16.0.1', '192.168.1.20', '127.0.0.1', '169.254.10.10', '100.64.0.1',
+      '::ffff:192.168.1.20', '::1', 'fe80::1c2b:3d4e', 'fd12:3456::1', 'b5f3c2a1.local']
+      .forEach(address => expect(isLocalAddress(address)).toBe(true));
+  });
+
+  test('treats everything else as public', () => {
+    ['8.8.8.8', '172.32.0.1', '100.128.0.1', '::ffff:8.8.8.8', '2001:db8::1', '999.1.1.1', '', null]
+      .forEach(address => expect(isLocalAddress(address)).toBe(false));
+  });
+
+  test('parses candidate lines', () => {
+    expect(parseCandidate(`a=${candidate('192.168.1.20', 'srflx')}`)).toEqual({ address: '192.168.1.20', type: 'srflx' });
+    expect(parseCandidate('candidate:1 1 udp')).toBeNull();
+  });
+
+  test('classifies host candidates by their address', () => {
+    expect(isLocalCandidate(candidate('192.168.1.20'))).toBe(true);
+    expect(isLocalCandidate(candidate('8.8.8.8'))).toBe(false);
+  });
+
+  test('treats anything but host candidates as leaving the local network', () => {
+    ['srflx', 'prflx', 'relay'].forEach(type => {
+      expect(isLocalCandidate(candidate('192.168.1.20', type))).toBe(false);
+      expect(isLocalCandidate(candidate('100.64.0.1', type))).toBe(false);
+    });
+  });
+
+  test('strips non-local candidates from an SDP', () => {
+    const sdp = [
+      'v=0',
+      'm=audio 9 UDP/TLS/RTP/SAVPF 111',
+      `a=${candidate('192.168.1.20')}`,
+      `a=${candidate('8.8.8.8')}`,
+      `a=${candidate('100.64.0.1', 'srflx')}`,
+      `a=${candidate('10.0.0.2', 'relay')}`,
+      'a=end-of-candidates',
+      ''
+    ].join('\r\n');
+
+    expect(stripNonLocalCandidates(sdp)).toBe([
+      'v=0',
+      'm=audio 9 UDP/TLS/RTP/SAVPF 111',
+      `a=${candidate('192.168.1.20')}`,
+      'a=end-of-candidates',
+      ''
+    ].join('\r\n'));
+  });
+
+  test('classifies candidate stats, trusting host candidates without an address', () => {
+    expect(isLocalCandidateStats({ address: '192.168.1.20', candidateType: 'host' })).toBe(true);
+    expect(isLocalCandidateStats({ ip: '8.8.8.8', candidateType: 'srflx' })).toBe(false);
+    expect(isLocalCandidateStats({ candidateType: 'host' })).toBe(true);
+    expect(isLocalCandidateStats({ candidateType: 'relay' })).toBe(false);
+  });
+
+  test('never treats reflexive or relay candidate stats as local', () => {
+    expect(isLocalCandidateStats({ address: '100.64.0.1', candidateType: 'srflx' })).toBe(false);
+    expect(isLocalCandidateStats({ address: '10.0.0.2', candidateType: 'relay' })).toBe(false);
+    expect(isLocalCandidateStats({ address: '192.168.1.30', candidateType: 'prflx' })).toBe(true);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Invite deep links
+ *
+ * Invites are shared as `<origin>/join/<token>` links (also inside QR codes).
+ * Opening one loads the app on the join route, which redeems the token once
+ * the user is logged in. The token itself is signed and checked by the server.
+ */
+
+const INVITE_PATH = '/join/';
+
+// Signed tokens are two base64url parts joined by a dot
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+
+/**
+ * Build the deep link for an invite token
+ * @param {string} token - Invite token from the server
+ * @param {string} [origin] - Origin the app is served from
+ * @returns {string} Invite link
+ */
+export const buildInviteLink = (token, origin = window.location.origin) => (
+  `${origin}${INVITE_PATH}${encodeURIComponent(token)}`
+);
+
+/**
+ * Extract an invite token from a link, a `/join/...` path or a bare token
+ * @param {*} value - Scanned or pasted text
+ * @returns {string|null} Invite token, or null if the value is not an invite
+ */
+export const parseInviteToken = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  let candidate = value.trim();
+
+  try {
+    candidate = new URL(candidate).pathname;
+  } catch (error) {
+    // Not an absolute URL; may still be a path or a bare token
+  }
+
+  const index = candidate.indexOf(INVITE_PATH);
+
+  if (index !== -1) {
+    try {
+      candidate = decodeURIComponent(candidate.slice(index + INVITE_PATH.length)).replace(/\/+$/, '');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return TOKEN_PATTERN.test(candidate) ? candidate : null;
+};
+
+/**
+ * Invite token from the current URL, if the app was opened on the join route
+ * @param {Location} [location] - Location to read
+ * @returns {string|null} Invite token
+ */
+export const getInviteFromLocation = (location = window.location) => (
+  location.pathname.startsWith(INVITE_PATH) ? parseInviteToken(location.pathname) : null
+);
+
+/**
+ * Leave the join route so a reload does not redeem the invite again
+ */
+export const clearInviteFromLocation = () => {
+  if (window.location.pathname.startsWith(INVITE_PATH)) {
+    window.history.replaceState(null, '', '/');
+  }
+};
+
+const inviteLinks = {
+  buildInviteLink,
+  parseInviteToken,
+  getInviteFromLocation,
+  clearInviteFromLocation
+};
+
+export default inviteLinks;
@@ -0,0 +1,64 @@
+/**
+ * Fix-ups for recorded media
+ *
+ * Picks the fix-up for a recording's MIME type: WebmFixup makes WebM
+ * seekable, WavFixup writes the WAV sizes. Both pass bytes through while
+ * recording and return `{ length, tail, patches }` at the end, so storage and
+ * the player treat them the same.
+ *
+ * The module has no DOM dependencies.
+ */
+
+import { WebmFixup, applyWebmFixup, isWebmType } from './webmFixup';
+import { WavFixup, isWavType } from './wavFormat';
+
+/**
+ * Create the fix-up for a recording
+ * @param {string} mimeType - MIME type the recorder used
+ * @returns {WebmFixup|WavFixup|null} Fix-up, or null if the format needs none
+ */
+export function createMediaFixup(mimeType) {
+  if (isWebmType(mimeType)) {
+    return new WebmFixup();
+  }
+  if (isWavType(mimeType)) {
+    return new WavFixup();
+  }
+  return null;
+}
+
+/**
+ * Fix up a recording held in memory
+ * @param {string} mimeType - MIME type the recorder used
+ * @param {Uint8Array[]} chunks - Recorded bytes, in order
+ * @returns {Uint8Array[]} Fixed-up recording, or the chunks unchanged
+ */
+export function fixRecordedMedia(mimeType, chunks) {
+  const fixup = createMediaFixup(mimeType);
+
+  if (!fixup) {
+    return chunks;
+  }
+
+  const pieces = chunks.flatMap(chunk => fixup.push(chunk));
+  const result = fixup.finish();
+
+  if (!result) {
+    return chunks;
+  }
+
+  const bytes = new Uint8Array(pieces.reduce((length, piece) => length + piece.length, 0));
+  pieces.reduce((offset, piece) => {
+    bytes.set(piece, offset);
+    return offset + piece.length;
+  }, 0);
+
+  return [applyWebmFixup(bytes, result)];
+}
+
+const mediaFixup = {
+  createMediaFixup,
+  fixRecordedMedia
+};
+
+export default mediaFixup;
@@ -0,0 +1,259 @@
+/**
+ * PCM recorder
+ *
+ * Records an audio node as 16-bit mono WAV. It stands in for MediaRecorder
+ * (same `start`, `stop`, `ondataavailable`, `onstop` and `mimeType`), so WAV
+ * stems go through the same encryption and storage as everything else. An
+ * AudioWorklet copies the samples off the audio thread; the first chunk is
+ * the WAV header, with sizes that WavFixup fills in at the end.
+ *
+ * `startTime` is the audio context time of the first recorded sample, which
+ * lines stems up exactly when they share a context.
+ */
+
+import { WAV_TYPE, encodeWavHeader, encodePcm16 } from './wavFormat';
+
+const PROCESSOR_NAME = 'pcm-recorder';
+const BATCH_FRAMES = 4096; // Frames the worklet collects before posting them
+const STOP_TIMEOUT = 1000; // Milliseconds to wait for the worklet's last samples
+
+// Loaded from a blob, so the worklet needs no separate build step
+const PROCESSOR_SOURCE = `
+class PcmRecorderProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.batch = new Float32Array(${BATCH_FRAMES});
+    this.length = 0;
+    this.startFrame = null;
+    this.stopping = false;
+    this.port.onmessage = ({ data }) => {
+      if (data === 'stop') {
+        this.stopping = true;
+      }
+    };
+  }
+
+  flush() {
+    if (this.length > 0) {
+      const samples = this.batch.slice(0, this.length);
+      this.port.postMessage({ samples }, [samples.buffer]);
+      this.length = 0;
+    }
+  }
+
+  process(inputs) {
+    if (this.stopping) {
+      this.flush();
+      this.port.postMessage({ done: true });
+      return false;
+    }
+
+    if (this.startFrame === null) {
+      this.startFrame = currentFrame;
+      this.port.postMessage({ startFrame: currentFrame });
+    }
+
+    // Mono, already mixed down by the node; silence while nothing is connected
+    const channel = inputs[0] && inputs[0][0];
+
+    for (let i = 0; i < 128; i++) {
+      this.batch[this.length++] = channel ? channel[i] : 0;
+
+      if (this.length === this.batch.length) {
+        this.flush();
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('${PROCESSOR_NAME}', PcmRecorderProcessor);
+`;
+
+// AudioContext -> Promise of the loaded module
+const loadedContexts = new WeakMap();
+
+/**
+ * Load the recorder worklet into an audio context once
+ * @param {AudioContext} audioContext - Audio context
+ * @returns {Promise<void>}
+ * @private
+ */
+function loadProcessor(audioContext) {
+  if (!loadedContexts.has(audioContext)) {
+    const url = URL.createObjectURL(new Blob([PROCESSOR_SOURCE], { type: 'text/javascript' }));
+
+    loadedContexts.set(audioContext, audioContext.audioWorklet.addModule(url).finally(() => URL.revokeObjectURL(url)));
+  }
+
+  return loadedContexts.get(audioContext);
+}
+
+/**
+ * Check whether PCM recording is possible
+ * @returns {boolean} True if AudioWorklet is available
+ */
+export const isPcmRecordingSupported = () =>
+  typeof window !== 'undefined' && typeof window.AudioWorkletNode === 'function';
+
+export class PcmRecorder {
+  /**
+   * @param {AudioNode} source - Node whose output is recorded
+   */
+  constructor(source) {
+    this.source = source;
+    this.audioContext = source.context;
+    this.mimeType = WAV_TYPE;
+    this.state = 'inactive';
+    this.startTime = null;
+    this.node = null;
+    this.samples = [];
+    this.timer = null;
+    this.stopTimer = null;
+    this.ondataavailable = null;
+    this.onstop = null;
+    this.onerror = null;
+  }
+
+  /**
+   * Start recording
+   * @param {number} [timeslice=1000] - Milliseconds between `dataavailable` events
+   */
+  start(timeslice = 1000) {
+    if (this.state !== 'inactive') {
+      throw new Error('The recorder is already started');
+    }
+
+    this.state = 'recording';
+
+    loadProcessor(this.audioContext).then(() => {
+      if (this.state !== 'recording') {
+        this._finish();
+        return;
+      }
+
+      this.node = new AudioWorkletNode(this.audioContext, PROCESSOR_NAME, {
+        numberOfInputs: 1,
+        numberOfOutputs: 0,
+        channelCount: 1,
+        channelCountMode: 'explicit',
+        channelInterpretation: 'speakers'
+      });
+      this.node.port.onmessage = ({ data }) => this._handleMessage(data);
+      this.source.connect(this.node);
+
+      this._emit(encodeWavHeader({ sampleRate: this.audioContext.sampleRate }));
+      this.timer = setInterval(() => this._flush(), timeslice);
+    }).catch(error => {
+      console.error('Error starting the PCM recorder:', error);
+      this.state = 'inactive';
+
+      if (this.onerror) {
+        this.onerror(error);
+      }
+    });
+  }
+
+  /**
+   * Stop recording; `onstop` follows the last `dataavailable`
+   * The worklet only answers while the audio context runs, so a suspended or
+   * closed context, or one that never answers, finishes with what arrived.
+   */
+  stop() {
+    if (this.state !== 'recording') {
+      return;
+    }
+
+    this.state = 'stopping';
+
+    if (!this.node) {
+      return;
+    }
+
+    if (this.audioContext.state !== 'running') {
+      this._finish();
+      return;
+    }
+
+    this.node.port.postMessage('stop');
+    this.stopTimer = setTimeout(() => this._finish(), STOP_TIMEOUT);
+  }
+
+  /**
+   * Take a message from the worklet
+   * @param {Object} data - `{ startFrame }`, `{ samples }` or `{ done }`
+   * @private
+   */
+  _handleMessage(data) {
+    if (data.startFrame !== undefined) {
+      this.startTime = data.startFrame / this.audioContext.sampleRate;
+    } else if (data.samples) {
+      this.samples.push(data.samples);
+    } else if (data.done) {
+      this._finish();
+    }
+  }
+
+  /**
+   * Hand the samples collected so far over as a chunk
+   * @private
+   */
+  _flush() {
+    if (this.samples.length === 0) {
+      return;
+    }
+
+    const length = this.samples.reduce((total, samples) => total + samples.length, 0);
+    const joined = new Float32Array(length);
+
+    this.samples.reduce((offset, samples) => {
+      joined.set(samples, offset);
+      return offset + samples.length;
+    }, 0);
+
+    this.samples = [];
+    this._emit(encodePcm16(joined));
+  }
+
+  /**
+   * Fire `dataavailable`
+   * @param {Uint8Array} bytes - Chunk
+   * @private
+   */
+  _emit(bytes) {
+    if (this.ondataavailable) {
+      this.ondataavailable({ data: new Blob([bytes], { type: WAV_TYPE }) });
+    }
+  }
+
+  /**
+   * Flush, disconnect and fire `onstop`
+   * @private
+   */
+  _finish() {
+    clearInterval(this.timer);
+    clearTimeout(this.stopTimer);
+    this.timer = null;
+    this.stopTimer = null;
+    this._flush();
+
+    if (this.node) {
+      try {
+        this.source.disconnect(this.node);
+      } catch (error) {
+        // Already disconnected along with the source
+      }
+      this.node.port.onmessage = null;
+      this.node = null;
+    }
+
+    this.state = 'inactive';
+
+    if (this.onstop) {
+      this.onstop();
+    }
+  }
+}
+
+export default PcmRecorder;
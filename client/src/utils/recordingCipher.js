@@ -0,0 +1,333 @@
+/* global globalThis */
+/**
+ * Recording cipher for passphrase-encrypted recordings
+ *
+ * Encrypts recordings in the browser as they are recorded, so the plain
+ * video never leaves memory, and decrypts them again for the player. Like
+ * frameCipher.js the module has no DOM dependencies; pass Node's `webcrypto`
+ * as the crypto implementation to run it under Jest.
+ *
+ * Container format, version 1 (all integers big-endian):
+ *
+ *   | magic "SVCR" (4) | version (1) | KDF (1) | iterations (4) | salt (16) |
+ *   | MIME type length (1) | MIME type (UTF-8) | chunk records... |
+ *
+ *   chunk record: | ciphertext length (4) | AES-GCM ciphertext + tag |
+ *
+ * KDF 1 is PBKDF2-HMAC-SHA-256 with the stored iteration count and salt; it
+ * derives a 256-bit AES-GCM key. The salt is random per recording, so every
+ * recording has its own key and chunks can use their index as IV (12 bytes,
+ * index in the last four). Each chunk authenticates the whole header, its
+ * index and whether it is the last chunk as additional data, so chunks
+ * cannot be reordered, moved between recordings or cut off unnoticed.
+ */
+
+export const RECORDING_MAGIC = 'SVCR';
+export const RECORDING_FORMAT_VERSION = 1;
+export const RECORDING_FILE_EXTENSION = '.svcr';
+export const ENCRYPTED_RECORDING_TYPE = 'application/vnd.secure-voice-chat.recording';
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const KDF_PBKDF2_SHA256 = 1;
+const PBKDF2_ITERATIONS = 600000;
+const MAX_PBKDF2_ITERATIONS = 10000000; // Refuse files that would take minutes to open
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const FIXED_HEADER_LENGTH = 27; // Up to and including the MIME type length
+const RECORD_PREFIX_LENGTH = 4;
+
+/**
+ * Get the default WebCrypto implementation
+ * @returns {Crypto} WebCrypto object
+ * @private
+ */
+const defaultCrypto = () => globalThis.crypto;
+
+/**
+ * Derive the AES-GCM key of a recording from its passphrase
+ * @param {string} passphrase - Passphrase chosen by whoever recorded
+ * @param {Uint8Array} salt - Salt from the recording header
+ * @param {number} [iterations] - PBKDF2 iterations from the recording header
+ * @param {Crypto} [cryptoImpl] - WebCrypto implementation
+ * @returns {Promise<CryptoKey>} Non-extractable recording key
+ */
+export async function deriveRecordingKey(passphrase, salt, iterations = PBKDF2_ITERATIONS, cryptoImpl = defaultCrypto()) {
+  if (!passphrase || typeof passphrase !== 'string') {
+    throw new Error('Passphrase must be a non-empty string');
+  }
+
+  const baseKey = await cryptoImpl.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return cryptoImpl.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Build a recording header
+ * @param {Object} fields - Header fields
+ * @param {string} fields.mimeType - MIME type of the recorded media
+ * @param {Uint8Array} fields.salt - Key derivation salt
+ * @param {number} fields.iterations - PBKDF2 iterations
+ * @returns {Uint8Array} Encoded header
+ */
+export function encodeRecordingHeader({ mimeType, salt, iterations }) {
+  const type = new TextEncoder().encode(mimeType || '');
+
+  if (type.length > 255) {
+    throw new Error('MIME type is too long');
+  }
+
+  const header = new Uint8Array(FIXED_HEADER_LENGTH + type.length);
+  const view = new DataView(header.buffer);
+
+  header.set(new TextEncoder().encode(RECORDING_MAGIC), 0);
+  header[4] = RECORDING_FORMAT_VERSION;
+  header[5] = KDF_PBKDF2_SHA256;
+  view.setUint32(6, iterations);
+  header.set(salt, 10);
+  header[26] = type.length;
+  header.set(type, FIXED_HEADER_LENGTH);
+
+  return header;
+}
+
+/**
+ * Read the header of an encrypted recording
+ * @param {Uint8Array} bytes - Start of the file (at least the whole header)
+ * @returns {Object} `{ version, iterations, salt, mimeType, header }`, where `header` holds the raw header bytes
+ */
+export function parseRecordingHeader(bytes) {
+  const magic = new TextDecoder().decode(bytes.subarray(0, 4));
+
+  if (bytes.length < FIXED_HEADER_LENGTH || magic !== RECORDING_MAGIC) {
+    throw new Error('Not an encrypted recording');
+  }
+
+  if (bytes[4] !== RECORDING_FORMAT_VERSION || bytes[5] !== KDF_PBKDF2_SHA256) {
+    throw new Error('This recording was made by a newer version of the app');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const iterations = view.getUint32(6);
+  const headerLength = FIXED_HEADER_LENGTH + bytes[26];
+
+  if (iterations < 1 || iterations > MAX_PBKDF2_ITERATIONS || bytes.length < headerLength) {
+    throw new Error('The recording header is damaged');
+  }
+
+  return {
+    version: bytes[4],
+    iterations,
+    salt: bytes.slice(10, 10 + SALT_LENGTH),
+    mimeType: new TextDecoder().decode(bytes.subarray(FIXED_HEADER_LENGTH, headerLength)),
+    header: bytes.slice(0, headerLength)
+  };
+}
+
+/**
+ * IV and additional data of a chunk
+ * @param {Uint8Array} header - Raw recording header
+ * @param {number} index - Chunk index
+ * @param {boolean} final - Whether this is the last chunk
+ * @returns {Object} `{ iv, additionalData }`
+ * @private
+ */
+function chunkParameters(header, index, final) {
+  const iv = new Uint8Array(IV_LENGTH);
+  new DataView(iv.buffer).setUint32(IV_LENGTH - 4, index);
+
+  const additionalData = new Uint8Array(header.length + 5);
+  additionalData.set(header, 0);
+  new DataView(additionalData.buffer).setUint32(header.length, index);
+  additionalData[header.length + 4] = final ? 1 : 0;
+
+  return { iv, additionalData };
+}
+
+/**
+ * Streaming encryptor for one recording
+ * Takes the recorder's chunks in order; `header` goes first in the file,
+ * followed by every returned record and finally the one from `finish()`.
+ */
+export class RecordingEncryptor {
+  /**
+   * @param {CryptoKey} key - Recording key
+   * @param {Uint8Array} header - Encoded header the key belongs to
+   * @param {Crypto} [cryptoImpl] - WebCrypto implementation
+   */
+  constructor(key, header, cryptoImpl = defaultCrypto()) {
+    this.key = key;
+    this.header = header;
+    this.cryptoImpl = cryptoImpl;
+    this.index = 0;
+    this.finished = false;
+  }
+
+  /**
+   * Start an encrypted recording with a fresh salt
+   * @param {string} passphrase - Passphrase to encrypt with
+   * @param {string} mimeType - MIME type of the recorded media
+   * @param {Object} [options] - Options
+   * @param {number} [options.iterations] - PBKDF2 iterations
+   * @param {Crypto} [options.cryptoImpl] - WebCrypto implementation
+   * @returns {Promise<RecordingEncryptor>} Encryptor
+   */
+  static async create(passphrase, mimeType, { iterations = PBKDF2_ITERATIONS, cryptoImpl = defaultCrypto() } = {}) {
+    const salt = cryptoImpl.getRandomValues(new Uint8Array(SALT_LENGTH));
+    const header = encodeRecordingHeader({ mimeType, salt, iterations });
+    const key = await deriveRecordingKey(passphrase, salt, iterations, cryptoImpl);
+
+    return new RecordingEncryptor(key, header, cryptoImpl);
+  }
+
+  /**
+   * Encrypt the next chunk
+   * Calls must not overlap; each one takes the next chunk index.
+   * @param {ArrayBuffer|Uint8Array} data - Recorded bytes
+   * @returns {Promise<Uint8Array>} Chunk record
+   */
+  encrypt(data) {
+    return this._encrypt(data, false);
+  }
+
+  /**
+   * Close the recording with an empty last chunk
+   * @returns {Promise<Uint8Array>} Final chunk record
+   */
+  finish() {
+    return this._encrypt(new Uint8Array(0), true);
+  }
+
+  /**
+   * Encrypt a chunk into a length-prefixed record
+   * @param {ArrayBuffer|Uint8Array} data - Plain bytes
+   * @param {boolean} final - Whether this is the last chunk
+   * @returns {Promise<Uint8Array>} Chunk record
+   * @private
+   */
+  async _encrypt(data, final) {
+    if (this.finished) {
+      throw new Error('The recording is already finished');
+    }
+
+    const index = this.index++;
+    this.finished = final;
+
+    const { iv, additionalData } = chunkParameters(this.header, index, final);
+    const ciphertext = new Uint8Array(await this.cryptoImpl.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData },
+      this.key,
+      data
+    ));
+
+    const record = new Uint8Array(RECORD_PREFIX_LENGTH + ciphertext.length);
+    new DataView(record.buffer).setUint32(0, ciphertext.length);
+    record.set(ciphertext, RECORD_PREFIX_LENGTH);
+
+    return record;
+  }
+}
+
+/**
+ * Decrypt a whole recording
+ * A recording that stops before its last chunk (e.g. the tab crashed) still
+ * decrypts up to where it stops, with `complete` false.
+ * @param {ArrayBuffer|Uint8Array} data - Encrypted file contents
+ * @param {string} passphrase - Passphrase it was encrypted with
+ * @param {Crypto} [cryptoImpl] - WebCrypto implementation
+ * @returns {Promise<Object>} `{ mimeType, chunks: Uint8Array[], complete }`
+ */
+export async function decryptRecording(data, passphrase, cryptoImpl = defaultCrypto()) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const { iterations, salt, mimeType, header } = parseRecordingHeader(bytes);
+  const key = await deriveRecordingKey(passphrase, salt, iterations, cryptoImpl);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  const chunks = [];
+  let offset = header.length;
+  let complete = false;
+
+  while (!complete && offset + RECORD_PREFIX_LENGTH <= bytes.length) {
+    const length = view.getUint32(offset);
+    const start = offset + RECORD_PREFIX_LENGTH;
+
+    // A record cut off mid-write
+    if (length < TAG_LENGTH || start + length > bytes.length) {
+      break;
+    }
+
+    const ciphertext = bytes.subarray(start, start + length);
+    const index = chunks.length;
+    let plaintext = null;
+
+    // The last chunk says so in its additional data; try the common case first
+    for (const final of [false, true]) {
+      const { iv, additionalData } = chunkParameters(header, index, final);
+
+      try {
+        plaintext = new Uint8Array(await cryptoImpl.subtle.decrypt(
+          { name: 'AES-GCM', iv, additionalData },
+          key,
+          ciphertext
+        ));
+        complete = final;
+        break;
+      } catch (error) {
+        // Not this variant
+      }
+    }
+
+    if (!plaintext) {
+      if (index === 0) {
+        throw new Error('Wrong passphrase, or the recording is damaged');
+      }
+      throw new Error(`The recording is damaged after ${index} chunks`);
+    }
+
+    chunks.push(plaintext);
+    offset = start + length;
+  }
+
+  if (complete && offset !== bytes.length) {
+    throw new Error('The recording has unexpected data after its end');
+  }
+
+  return { mimeType, chunks: chunks.filter(chunk => chunk.length > 0), complete };
+}
+
+/**
+ * Check whether a file looks like an encrypted recording
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {boolean} True if it starts with the recording magic
+ */
+export function isEncryptedRecording(bytes) {
+  return bytes.length >= 4 && new TextDecoder().decode(bytes.subarray(0, 4)) === RECORDING_MAGIC;
+}
+
+const recordingCipher = {
+  RECORDING_MAGIC,
+  RECORDING_FORMAT_VERSION,
+  RECORDING_FILE_EXTENSION,
+  ENCRYPTED_RECORDING_TYPE,
+  MIN_PASSPHRASE_LENGTH,
+  deriveRecordingKey,
+  encodeRecordingHeader,
+  parseRecordingHeader,
+  RecordingEncryptor,
+  decryptRecording,
+  isEncryptedRecording
+};
+
+export default recordingCipher;
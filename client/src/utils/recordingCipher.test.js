@@ -0,0 +1,106 @@
+/**
+ * @jest-environment node
+ */
+import { webcrypto } from 'crypto';
+import {
+  RecordingEncryptor,
+  decryptRecording,
+  parseRecordingHeader,
+  isEncryptedRecording
+} from './recordingCipher';
+
+const PASSPHRASE = 'correct horse battery staple';
+const MIME_TYPE = 'video/webm;codecs=vp8,opus';
+const options = { iterations: 1000, cryptoImpl: webcrypto };
+
+const chunk = (length, seed) => Uint8Array.from({ length }, (_, i) => (i * 13 + seed) & 0xFF);
+
+const join = (parts) => {
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  parts.reduce((offset, part) => {
+    output.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return output;
+};
+
+// Encrypt chunks the way the recorder does: header, one record per chunk, final record
+const encrypt = async (chunks) => {
+  const encryptor = await RecordingEncryptor.create(PASSPHRASE, MIME_TYPE, options);
+  const records = [];
+
+  for (const data of chunks) {
+    records.push(await encryptor.encrypt(data));
+  }
+
+  return { header: encryptor.header, records, finalRecord: await encryptor.finish() };
+};
+
+describe('recordingCipher', () => {
+  const chunks = [chunk(1000, 1), chunk(1, 2), chunk(4096, 3)];
+  let file;
+  let parts;
+
+  beforeAll(async () => {
+    parts = await encrypt(chunks);
+    file = join([parts.header, ...parts.records, parts.finalRecord]);
+  });
+
+  test('round-trips a recording', async () => {
+    const result = await decryptRecording(file, PASSPHRASE, webcrypto);
+
+    expect(result.mimeType).toBe(MIME_TYPE);
+    expect(result.complete).toBe(true);
+    expect(result.chunks).toEqual(chunks);
+  });
+
+  test('writes a header it can read back', () => {
+    const header = parseRecordingHeader(file);
+
+    expect(isEncryptedRecording(file)).toBe(true);
+    expect(header.iterations).toBe(options.iterations);
+    expect(header.mimeType).toBe(MIME_TYPE);
+    expect(header.header).toEqual(parts.header);
+  });
+
+  test('decrypts a recording cut off before its end as incomplete', async () => {
+    // Without the final record, and cut in the middle of the last chunk
+    const withoutEnd = join([parts.header, ...parts.records]);
+    const torn = withoutEnd.subarray(0, withoutEnd.length - 100);
+
+    const unfinished = await decryptRecording(withoutEnd, PASSPHRASE, webcrypto);
+    expect(unfinished.complete).toBe(false);
+    expect(unfinished.chunks).toEqual(chunks);
+
+    const cut = await decryptRecording(torn, PASSPHRASE, webcrypto);
+    expect(cut.complete).toBe(false);
+    expect(cut.chunks).toEqual(chunks.slice(0, 2));
+  });
+
+  test('rejects a wrong passphrase', async () => {
+    await expect(decryptRecording(file, 'not the passphrase', webcrypto))
+      .rejects.toThrow('Wrong passphrase');
+  });
+
+  test('rejects reordered chunks and data after the end', async () => {
+    const reordered = join([parts.header, parts.records[1], parts.records[0], parts.records[2], parts.finalRecord]);
+    const extended = join([file, chunk(20, 4)]);
+
+    await expect(decryptRecording(reordered, PASSPHRASE, webcrypto)).rejects.toThrow();
+    await expect(decryptRecording(extended, PASSPHRASE, webcrypto)).rejects.toThrow('after its end');
+  });
+
+  test('refuses to encrypt after finishing', async () => {
+    const encryptor = await RecordingEncryptor.create(PASSPHRASE, MIME_TYPE, options);
+    await encryptor.finish();
+
+    await expect(encryptor.encrypt(chunk(10, 5))).rejects.toThrow('already finished');
+  });
+
+  test('rejects files that are not encrypted recordings', async () => {
+    const plain = chunk(100, 6);
+
+    expect(isEncryptedRecording(plain)).toBe(false);
+    expect(() => parseRecordingHeader(plain)).toThrow('Not an encrypted recording');
+  });
+});
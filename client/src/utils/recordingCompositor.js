@@ -0,0 +1,462 @@
+/**
+ * Recording compositor
+ *
+ * Turns everyone on a call into one stream a MediaRecorder can take: video is
+ * drawn into a grid or speaker layout on an OffscreenCanvas, and every audio
+ * track is mixed through a WebAudio graph. Sources can be added, removed and
+ * changed while recording, so the recording follows joins, leaves and screen
+ * sharing. The speaker layout follows whoever is loudest in the mix.
+ * Audio-only compositors skip the video, and every source's own audio is
+ * available separately for recording per-participant stems.
+ */
+
+export const RECORDING_LAYOUTS = {
+  GRID: 'grid',
+  SPEAKER: 'speaker'
+};
+
+const DEFAULT_WIDTH = 1280;
+const DEFAULT_HEIGHT = 720;
+const DEFAULT_FRAME_RATE = 30;
+
+const TILE_GAP = 8;
+const SPEAKER_STRIP_RATIO = 0.2; // Share of the height for the other participants in the speaker layout
+
+// RMS level above which a source counts as speaking
+const SPEAKING_LEVEL = 0.02;
+
+// How long the speaker layout stays on someone before switching
+const SPEAKER_HOLD_MS = 1500;
+
+// Aspect ratios this close to the tile fill it, cropping the edges; others are letterboxed
+const COVER_ASPECT_TOLERANCE = 1.34;
+
+const COLORS = {
+  background: '#030712',
+  tile: '#1F2937',
+  avatar: '#374151',
+  text: '#FFFFFF',
+  label: 'rgba(0, 0, 0, 0.6)',
+  speaking: '#4ADE80'
+};
+
+/**
+ * RecordingCompositor class
+ * Draws and mixes a changing set of sources into `stream`
+ */
+export class RecordingCompositor {
+  /**
+   * @param {Object} [options] - Compositor options
+   * @param {number} [options.width=1280] - Output width
+   * @param {number} [options.height=720] - Output height
+   * @param {number} [options.frameRate=30] - Output frame rate
+   * @param {string} [options.layout='grid'] - One of RECORDING_LAYOUTS
+   * @param {boolean} [options.audioOnly=false] - Only mix audio; `stream` has no video
+   */
+  constructor(options = {}) {
+    this.width = options.width || DEFAULT_WIDTH;
+    this.height = options.height || DEFAULT_HEIGHT;
+    this.frameRate = options.frameRate || DEFAULT_FRAME_RATE;
+    this.layout = options.layout || RECORDING_LAYOUTS.GRID;
+    this.audioOnly = !!options.audioOnly;
+
+    // id -> { id, label, isScreen, stream, video, videoTrackId, audioNodes, mix, stemDestination, analyser, speaking, onTrackChange }
+    this.sources = new Map();
+    this.activeSpeakerId = null;
+    this.activeSpeakerSince = 0;
+
+    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    this.destination = this.audioContext.createMediaStreamDestination();
+    this.levelSamples = null;
+
+    // Started from a click, but some browsers still create the context suspended
+    this.audioContext.resume().catch(() => {});
+
+    if (this.audioOnly) {
+      this.canvas = null;
+      this.context = null;
+      this.timer = null;
+      this.stream = new MediaStream(this.destination.stream.getAudioTracks());
+      return;
+    }
+
+    // The element only carries frames to captureStream; drawing happens on the OffscreenCanvas
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.width;
+    this.canvas.height = this.height;
+
+    const offscreen = typeof this.canvas.transferControlToOffscreen === 'function'
+      ? this.canvas.transferControlToOffscreen()
+      : null;
+    this.context = (offscreen || this.canvas).getContext('2d');
+
+    const videoTrack = this.canvas.captureStream(this.frameRate).getVideoTracks()[0];
+    this.stream = new MediaStream([videoTrack, ...this.destination.stream.getAudioTracks()]);
+
+    // A timer rather than requestAnimationFrame, which stops in background tabs
+    this.timer = setInterval(() => this._draw(), 1000 / this.frameRate);
+  }
+
+  /**
+   * Replace the set of sources
+   * Sources already present keep their audio nodes and video elements; their
+   * tracks are re-read, so a stream that gained or lost a track is followed.
+   * @param {Array<Object>} sources - `{ id, label, stream, isScreen }` per participant or screen share
+   */
+  setSources(sources) {
+    const ids = new Set(sources.map(source => source.id));
+
+    Array.from(this.sources.keys())
+      .filter(id => !ids.has(id))
+      .forEach(id => this._removeSource(id));
+
+    sources.forEach(source => this._updateSource(source));
+  }
+
+  /**
+   * Switch between the grid and speaker layouts
+   * @param {string} layout - One of RECORDING_LAYOUTS
+   */
+  setLayout(layout) {
+    this.layout = layout;
+  }
+
+  /**
+   * A source's own audio, before it is mixed with the others
+   * @param {string} id - Source ID
+   * @returns {AudioNode|null} Node carrying the source's audio, silent while it has none
+   */
+  getSourceNode(id) {
+    const source = this.sources.get(id);
+    return source ? source.mix : null;
+  }
+
+  /**
+   * A source's own audio as a stream, e.g. for a MediaRecorder
+   * @param {string} id - Source ID
+   * @returns {MediaStream|null} Stream with one audio track
+   */
+  getSourceStream(id) {
+    const source = this.sources.get(id);
+
+    if (!source) {
+      return null;
+    }
+
+    if (!source.stemDestination) {
+      source.stemDestination = this.audioContext.createMediaStreamDestination();
+      source.mix.connect(source.stemDestination);
+    }
+
+    return source.stemDestination.stream;
+  }
+
+  /**
+   * Stop drawing and mixing, and release every source
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    Array.from(this.sources.keys()).forEach(id => this._removeSource(id));
+    this.stream.getTracks().forEach(track => track.stop());
+    this.audioContext.close().catch(() => {});
+  }
+
+  /**
+   * Add a source or follow its changes
+   * @param {Object} options - `{ id, label, stream, isScreen }`
+   * @private
+   */
+  _updateSource({ id, label, stream, isScreen = false }) {
+    let source = this.sources.get(id);
+
+    if (!source) {
+      const video = this.audioOnly ? null : document.createElement('video');
+      if (video) {
+        video.muted = true;
+        video.playsInline = true;
+      }
+
+      const analyser = this.audioContext.createAnalyser();
+      analyser.fftSize = 512;
+
+      // All of the source's audio tracks meet here before the mix
+      const mix = this.audioContext.createGain();
+      mix.connect(this.destination);
+      mix.connect(analyser);
+
+      source = {
+        id,
+        video,
+        analyser,
+        mix,
+        stemDestination: null,
+        stream: null,
+        videoTrackId: null,
+        audioNodes: new Map(), // trackId -> MediaStreamAudioSourceNode
+        speaking: false
+      };
+      source.onTrackChange = () => this._syncTracks(source);
+
+      this.sources.set(id, source);
+    }
+
+    source.label = label || id;
+    source.isScreen = isScreen;
+
+    if (source.stream !== stream) {
+      if (source.stream) {
+        source.stream.removeEventListener('addtrack', source.onTrackChange);
+        source.stream.removeEventListener('removetrack', source.onTrackChange);
+      }
+
+      // Remote streams gain and lose tracks without being replaced
+      if (stream) {
+        stream.addEventListener('addtrack', source.onTrackChange);
+        stream.addEventListener('removetrack', source.onTrackChange);
+      }
+
+      source.stream = stream;
+    }
+
+    this._syncTracks(source);
+  }
+
+  /**
+   * Point a source's video element and audio nodes at its current tracks
+   * @param {Object} source - Source entry
+   * @private
+   */
+  _syncTracks(source) {
+    const live = track => track.readyState === 'live';
+    const videoTrack = source.stream && source.video ? source.stream.getVideoTracks().find(live) : null;
+    const videoTrackId = videoTrack ? videoTrack.id : null;
+
+    if (videoTrackId !== source.videoTrackId) {
+      source.videoTrackId = videoTrackId;
+      source.video.srcObject = videoTrack ? new MediaStream([videoTrack]) : null;
+
+      if (videoTrack) {
+        source.video.play().catch(error => console.warn('Could not play a recording source:', error));
+      }
+    }
+
+    const audioTracks = source.stream ? source.stream.getAudioTracks().filter(live) : [];
+    const audioTrackIds = new Set(audioTracks.map(track => track.id));
+
+    source.audioNodes.forEach((node, trackId) => {
+      if (!audioTrackIds.has(trackId)) {
+        node.disconnect();
+        source.audioNodes.delete(trackId);
+      }
+    });
+
+    audioTracks
+      .filter(track => !source.audioNodes.has(track.id))
+      .forEach(track => {
+        const node = this.audioContext.createMediaStreamSource(new MediaStream([track]));
+        node.connect(source.mix);
+        source.audioNodes.set(track.id, node);
+      });
+  }
+
+  /**
+   * Release a source
+   * @param {string} id - Source ID
+   * @private
+   */
+  _removeSource(id) {
+    const source = this.sources.get(id);
+
+    if (!source) {
+      return;
+    }
+
+    if (source.stream) {
+      source.stream.removeEventListener('addtrack', source.onTrackChange);
+      source.stream.removeEventListener('removetrack', source.onTrackChange);
+    }
+
+    source.audioNodes.forEach(node => node.disconnect());
+    source.mix.disconnect();
+    source.analyser.disconnect();
+    if (source.video) {
+      source.video.srcObject = null;
+    }
+    this.sources.delete(id);
+
+    if (this.activeSpeakerId === id) {
+      this.activeSpeakerId = null;
+    }
+  }
+
+  /**
+   * Draw one frame
+   * @private
+   */
+  _draw() {
+    const ctx = this.context;
+
+    ctx.fillStyle = COLORS.background;
+    ctx.fillRect(0, 0, this.width, this.height);
+
+    this._updateSpeakers();
+
+    this._layoutTiles().forEach(tile => this._drawTile(tile));
+  }
+
+  /**
+   * Measure every source's level and pick the active speaker
+   * @private
+   */
+  _updateSpeakers() {
+    const now = Date.now();
+    let loudest = null;
+
+    this.sources.forEach(source => {
+      if (!this.levelSamples || this.levelSamples.length !== source.analyser.fftSize) {
+        this.levelSamples = new Float32Array(source.analyser.fftSize);
+      }
+
+      source.analyser.getFloatTimeDomainData(this.levelSamples);
+
+      const level = Math.sqrt(this.levelSamples.reduce((sum, sample) => sum + sample * sample, 0) / this.levelSamples.length);
+      source.speaking = level > SPEAKING_LEVEL;
+
+      if (source.speaking && (!loudest || level > loudest.level)) {
+        loudest = { id: source.id, level };
+      }
+    });
+
+    if (loudest && loudest.id !== this.activeSpeakerId && now - this.activeSpeakerSince >= SPEAKER_HOLD_MS) {
+      this.activeSpeakerId = loudest.id;
+      this.activeSpeakerSince = now;
+    }
+  }
+
+  /**
+   * Place every source for the current layout
+   * @returns {Array<Object>} `{ source, x, y, width, height }` per tile
+   * @private
+   */
+  _layoutTiles() {
+    const sources = Array.from(this.sources.values());
+
+    if (sources.length === 0) {
+      return [];
+    }
+
+    // A screen share takes the stage, otherwise whoever spoke last
+    if (this.layout === RECORDING_LAYOUTS.SPEAKER && sources.length > 1) {
+      const main = sources.find(source => source.isScreen) || this.sources.get(this.activeSpeakerId) || sources[0];
+      const others = sources.filter(source => source !== main);
+      const stripHeight = Math.round(this.height * SPEAKER_STRIP_RATIO);
+      const tileWidth = Math.min(stripHeight * 16 / 9, (this.width - TILE_GAP * (others.length - 1)) / others.length);
+      const left = (this.width - (tileWidth * others.length + TILE_GAP * (others.length - 1))) / 2;
+
+      return [
+        { source: main, x: 0, y: 0, width: this.width, height: this.height - stripHeight - TILE_GAP },
+        ...others.map((source, index) => ({
+          source,
+          x: left + index * (tileWidth + TILE_GAP),
+          y: this.height - stripHeight,
+          width: tileWidth,
+          height: stripHeight
+        }))
+      ];
+    }
+
+    const columns = Math.ceil(Math.sqrt(sources.length));
+    const rows = Math.ceil(sources.length / columns);
+    const width = (this.width - TILE_GAP * (columns - 1)) / columns;
+    const height = (this.height - TILE_GAP * (rows - 1)) / rows;
+
+    return sources.map((source, index) => {
+      const row = Math.floor(index / columns);
+
+      // Center the last row when it is not full
+      const inRow = row === rows - 1 ? sources.length - row * columns : columns;
+      const left = (this.width - (inRow * width + (inRow - 1) * TILE_GAP)) / 2;
+
+      return {
+        source,
+        x: left + (index % columns) * (width + TILE_GAP),
+        y: row * (height + TILE_GAP),
+        width,
+        height
+      };
+    });
+  }
+
+  /**
+   * Draw a source's video, or its initial while it has none, with its name
+   * @param {Object} tile - `{ source, x, y, width, height }`
+   * @private
+   */
+  _drawTile({ source, x, y, width, height }) {
+    const ctx = this.context;
+    const { video } = source;
+    const track = video.srcObject && video.srcObject.getVideoTracks()[0];
+
+    ctx.fillStyle = COLORS.tile;
+    ctx.fillRect(x, y, width, height);
+
+    // A muted track is paused by the sender, e.g. while its uplink is too slow for video
+    const hasVideo = track && track.readyState === 'live' && !track.muted &&
+      video.readyState >= video.HAVE_CURRENT_DATA && video.videoWidth > 0;
+
+    if (hasVideo) {
+      const aspect = (video.videoWidth / video.videoHeight) / (width / height);
+      const cover = !source.isScreen && aspect < COVER_ASPECT_TOLERANCE && aspect > 1 / COVER_ASPECT_TOLERANCE;
+      const scale = (cover ? Math.max : Math.min)(width / video.videoWidth, height / video.videoHeight);
+      const drawWidth = video.videoWidth * scale;
+      const drawHeight = video.videoHeight * scale;
+
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(x, y, width, height);
+      ctx.clip();
+      ctx.drawImage(video, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+      ctx.restore();
+    } else {
+      const radius = Math.min(width, height) * 0.15;
+
+      ctx.fillStyle = COLORS.avatar;
+      ctx.beginPath();
+      ctx.arc(x + width / 2, y + height / 2, radius, 0, 2 * Math.PI);
+      ctx.fill();
+
+      ctx.fillStyle = COLORS.text;
+      ctx.font = `${Math.round(radius)}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(source.label.charAt(0).toUpperCase(), x + width / 2, y + height / 2);
+    }
+
+    const fontSize = Math.max(12, Math.round(height * 0.05));
+    const padding = fontSize / 2;
+
+    ctx.font = `${fontSize}px sans-serif`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+
+    const labelWidth = Math.min(ctx.measureText(source.label).width + padding * 2, width - padding * 2);
+    const labelHeight = fontSize * 1.5;
+
+    ctx.fillStyle = COLORS.label;
+    ctx.fillRect(x + padding, y + height - padding - labelHeight, labelWidth, labelHeight);
+    ctx.fillStyle = COLORS.text;
+    ctx.fillText(source.label, x + padding * 2, y + height - padding - labelHeight / 2, labelWidth - padding * 2);
+
+    if (source.speaking && this.sources.size > 1) {
+      ctx.strokeStyle = COLORS.speaking;
+      ctx.lineWidth = 4;
+      ctx.strokeRect(x + 2, y + 2, width - 4, height - 4);
+    }
+  }
+}
+
+export default RecordingCompositor;
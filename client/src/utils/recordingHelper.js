@@ -1,12 +1,50 @@
 /**
- * Recording helper for WebRTC video chat
- * Provides functionality to record video streams
+ * Recording helper for WebRTC calls
+ * Records everyone on the call in one of three modes:
+ * - video: the compositor draws all participants into a single picture and
+ *   mixes all of their audio
+ * - audio: only the mixed audio
+ * - multitrack: each participant's audio as its own file (a stem), started
+ *   and stopped as they come and go, bundled into a zip with a manifest that
+ *   says where each stem starts on the recording's timeline
+ * With a passphrase, every chunk is encrypted as soon as the recorder hands
+ * it over (see recordingCipher.js), so only encrypted files are kept.
+ * Chunks are written to disk as they arrive (see recordingTrack.js), so a
+ * long recording does not fill up memory and survives the tab crashing.
  */
 
+import { RecordingCompositor, RECORDING_LAYOUTS } from './recordingCompositor';
+import { RecordingTrack } from './recordingTrack';
+import { PcmRecorder, isPcmRecordingSupported } from './pcmRecorder';
+import { buildZip, crc32, crc32Blob } from './zipArchive';
+import { getRecordingExtension, saveRecording } from './recordingStorage';
+
+export const RECORDING_MODES = {
+  VIDEO: 'video',
+  AUDIO: 'audio',
+  MULTITRACK: 'multitrack'
+};
+
+export const STEM_FORMATS = {
+  OPUS: 'opus',
+  WAV: 'wav'
+};
+
+export const MULTITRACK_TYPE = 'application/zip';
+export const MULTITRACK_MANIFEST_FORMAT = 'secure-voice-chat-multitrack';
+
 class RecordingHelper {
   constructor() {
-    this.mediaRecorder = null;
-    this.recordedChunks = [];
+    this.compositor = null;
+    this.mode = RECORDING_MODES.VIDEO;
+    this.stemFormat = STEM_FORMATS.OPUS;
+    this.passphrase = null;
+    this.track = null; // RecordingTrack of the mixed recording
+    this.stems = new Map(); // Source ID -> stem being recorded, in multitrack mode
+    this.finishedStems = []; // Promises of stems that stopped, in the order they started
+    this.stemCount = 0;
+    this.timelineStart = 0; // Audio context time the multitrack timeline starts at
+    this.storedRecordings = []; // Metadata of the stopped recording's files until they are saved
     this.isRecording = false;
     this.startTime = 0;
     this.recordingTimer = null;
@@ -14,36 +52,55 @@ class RecordingHelper {
   }
 
   /**
-   * Start recording video streams
-   * @param {MediaStream[]} streams - Array of media streams to record
+   * Start recording the call
+   * @param {Array<Object>} sources - `{ id, label, stream, isScreen }` per participant or screen share
    * @param {Function} onTimeUpdate - Callback for recording time updates
-   * @returns {Promise<boolean>} Success status
+   * @param {string} [layout='grid'] - One of RECORDING_LAYOUTS, for video
+   * @param {Object} [options] - Recording options
+   * @param {string} [options.passphrase] - Encrypt the recording with this passphrase
+   * @param {string} [options.mode='video'] - One of RECORDING_MODES
+   * @param {string} [options.stemFormat='opus'] - One of STEM_FORMATS, for multitrack
+   * @returns {boolean} Success status
    */
-  startRecording(streams, onTimeUpdate = null) {
+  startRecording(sources, onTimeUpdate = null, layout = RECORDING_LAYOUTS.GRID, options = {}) {
     if (this.isRecording) {
       return false;
     }
 
     try {
-      // Combine all streams into one
-      const combinedStream = this._combineStreams(streams);
+      if (sources.length === 0) {
+        throw new Error('No valid streams to record');
+      }
       
-      // Create media recorder
-      this.mediaRecorder = new MediaRecorder(combinedStream, {
-        mimeType: this._getSupportedMimeType(),
-        videoBitsPerSecond: 2500000 // 2.5 Mbps
-      });
+      this.mode = options.mode || RECORDING_MODES.VIDEO;
+      this.stemFormat = options.stemFormat || STEM_FORMATS.OPUS;
+      this.passphrase = options.passphrase || null;
+      this.storedRecordings = [];
       
-      // Set up event handlers
-      this.recordedChunks = [];
-      this.mediaRecorder.ondataavailable = (event) => {
-        if (event.data.size > 0) {
-          this.recordedChunks.push(event.data);
-        }
-      };
+      this.compositor = new RecordingCompositor({ layout, audioOnly: this.mode !== RECORDING_MODES.VIDEO });
+      this.compositor.setSources(sources);
+      
+      if (this.mode === RECORDING_MODES.MULTITRACK) {
+        this.stems = new Map();
+        this.finishedStems = [];
+        this.stemCount = 0;
+        this.timelineStart = this.compositor.audioContext.currentTime;
+        this._syncStems(sources);
+      } else {
+        const video = this.mode === RECORDING_MODES.VIDEO;
+        const recorder = new MediaRecorder(this.compositor.stream, video ? {
+          mimeType: this._getSupportedMimeType(),
+          videoBitsPerSecond: 2500000, // 2.5 Mbps
+          audioBitsPerSecond: 128000
+        } : {
+          mimeType: this._getSupportedAudioMimeType(),
+          audioBitsPerSecond: 128000
+        });
+        
+        this.track = new RecordingTrack(recorder, { passphrase: this.passphrase });
+        this.track.start(1000); // Collect data every second
+      }
       
-      // Start recording
-      this.mediaRecorder.start(1000); // Collect data every second
       this.isRecording = true;
       this.startTime = Date.now();
       this.onRecordingTimeUpdate = onTimeUpdate;
@@ -54,69 +111,93 @@ class RecordingHelper {
       return true;
     } catch (error) {
       console.error('Error starting recording:', error);
+      this.track = null;
+      this.stems.forEach(stem => stem.track.stop().catch(() => {}));
+      this.stems = new Map();
+      this._stopCompositor();
       return false;
     }
   }
 
+  /**
+   * Follow who is on the call while recording
+   * In multitrack mode a participant who joins gets a new stem, and the stem of
+   * one who leaves ends; if they come back, they get another one.
+   * @param {Array<Object>} sources - `{ id, label, stream, isScreen }` per participant or screen share
+   */
+  updateSources(sources) {
+    if (this.compositor) {
+      this.compositor.setSources(sources);
+
+      if (this.mode === RECORDING_MODES.MULTITRACK) {
+        this._syncStems(sources);
+      }
+    }
+  }
+
+  /**
+   * Switch the recording between the grid and speaker layouts
+   * @param {string} layout - One of RECORDING_LAYOUTS
+   */
+  setLayout(layout) {
+    if (this.compositor) {
+      this.compositor.setLayout(layout);
+    }
+  }
+
   /**
    * Stop recording
-   * @returns {Promise<Blob>} Recorded video blob
+   * Files on disk stay there until they are saved with downloadRecording.
+   * @returns {Promise<Blob>} Recorded video or audio, of type ENCRYPTED_RECORDING_TYPE
+   * when encrypted, or a MULTITRACK_TYPE zip of the stems
    */
   async stopRecording() {
-    return new Promise((resolve, reject) => {
-      if (!this.isRecording || !this.mediaRecorder) {
-        reject(new Error('No active recording'));
-        return;
-      }
+    if (!this.isRecording) {
+      throw new Error('No active recording');
+    }
 
-      // Stop the recording timer
-      this._stopRecordingTimer();
-      
-      // Handle recording completion
-      this.mediaRecorder.onstop = () => {
-        try {
-          // Create blob from recorded chunks
-          const blob = new Blob(this.recordedChunks, {
-            type: this._getSupportedMimeType()
-          });
-          
-          this.isRecording = false;
-          this.recordedChunks = [];
-          this.mediaRecorder = null;
-          
-          resolve(blob);
-        } catch (error) {
-          reject(error);
-        }
-      };
+    // Stop the recording timer
+    this._stopRecordingTimer();
+    
+    try {
+      if (this.mode === RECORDING_MODES.MULTITRACK) {
+        const duration = this._timelineTime();
+        
+        Array.from(this.stems.keys()).forEach(id => this._endStem(id));
+        
+        // PCM stems need the audio graph until their last samples are in
+        const stems = await Promise.all(this.finishedStems);
+        
+        return await this._bundleStems(stems, duration);
+      }
       
-      // Stop the media recorder
-      this.mediaRecorder.stop();
-    });
+      const { blob, stored } = await this.track.stop();
+      this.storedRecordings = stored ? [stored] : [];
+      return blob;
+    } finally {
+      // Whatever reached the disk can be recovered from the lobby
+      this.isRecording = false;
+      this.track = null;
+      this.stems = new Map();
+      this.finishedStems = [];
+      this._stopCompositor();
+    }
   }
 
   /**
-   * Download recorded video
-   * @param {Blob} blob - Video blob to download
-   * @param {string} filename - Name for the downloaded file
+   * Save the recording
+   * Encrypted recordings get their own extension; they play in the app's player.
+   * @param {Blob} blob - Recording from stopRecording
+   * @param {string} filename - Name for the saved file
+   * @returns {Promise<boolean>} False if the user cancelled saving
    */
-  downloadRecording(blob, filename = 'recorded-video') {
-    // Create download link
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    document.body.appendChild(a);
-    a.style.display = 'none';
-    a.href = url;
-    a.download = `${filename}-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.webm`;
+  async downloadRecording(blob, filename = 'recorded-video') {
+    const stored = this.storedRecordings;
+    const name = `${filename}-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}${getRecordingExtension(blob.type)}`;
     
-    // Trigger download
-    a.click();
+    this.storedRecordings = [];
     
-    // Clean up
-    setTimeout(() => {
-      document.body.removeChild(a);
-      window.URL.revokeObjectURL(url);
-    }, 100);
+    return saveRecording(blob, name, stored);
   }
 
   /**
@@ -163,33 +244,157 @@ class RecordingHelper {
   }
 
   /**
-   * Combine multiple media streams into one
-   * @param {MediaStream[]} streams - Array of media streams
-   * @returns {MediaStream} Combined stream
+   * Release the compositor's canvas, audio graph and sources
    * @private
    */
-  _combineStreams(streams) {
-    // Filter out null or undefined streams
-    const validStreams = streams.filter(stream => stream);
-    
-    if (validStreams.length === 0) {
-      throw new Error('No valid streams to record');
+  _stopCompositor() {
+    if (this.compositor) {
+      this.compositor.stop();
+      this.compositor = null;
     }
-    
-    if (validStreams.length === 1) {
-      return validStreams[0];
+  }
+
+  /**
+   * Seconds since the multitrack timeline started
+   * Stems share the compositor's audio clock, so their times line up.
+   * @returns {number} Time on the recording's timeline
+   * @private
+   */
+  _timelineTime() {
+    return this.compositor.audioContext.currentTime - this.timelineStart;
+  }
+
+  /**
+   * Start and end stems to match the sources
+   * @param {Array<Object>} sources - `{ id, label, stream, isScreen }` per participant or screen share
+   * @private
+   */
+  _syncStems(sources) {
+    const ids = new Set(sources.map(source => source.id));
+
+    Array.from(this.stems.keys())
+      .filter(id => !ids.has(id))
+      .forEach(id => this._endStem(id));
+
+    sources
+      .filter(source => !this.stems.has(source.id))
+      .forEach(source => this._startStem(source));
+  }
+
+  /**
+   * Start recording a source's audio into its own file
+   * @param {Object} source - `{ id, label, isScreen }`
+   * @private
+   */
+  _startStem({ id, label, isScreen = false }) {
+    let recorder;
+
+    if (this.stemFormat === STEM_FORMATS.WAV && isPcmRecordingSupported()) {
+      recorder = new PcmRecorder(this.compositor.getSourceNode(id));
+    } else {
+      recorder = new MediaRecorder(this.compositor.getSourceStream(id), {
+        mimeType: this._getSupportedAudioMimeType(),
+        audioBitsPerSecond: 128000
+      });
     }
-    
-    // Combine audio and video tracks from all streams
-    const combinedTracks = [];
-    
-    validStreams.forEach(stream => {
-      stream.getTracks().forEach(track => {
-        combinedTracks.push(track);
+
+    const stem = {
+      index: ++this.stemCount,
+      participant: id,
+      label: label || id,
+      isScreen,
+      start: this._timelineTime(),
+      end: null,
+      track: new RecordingTrack(recorder, { passphrase: this.passphrase, label: label || id })
+    };
+
+    // MediaRecorder starts a moment later; PcmRecorder knows its first sample exactly
+    if (recorder instanceof MediaRecorder) {
+      recorder.onstart = () => {
+        if (this.compositor) {
+          stem.start = this._timelineTime();
+        }
+      };
+    }
+
+    stem.track.start(1000);
+    this.stems.set(id, stem);
+  }
+
+  /**
+   * Stop recording a source's stem
+   * @param {string} id - Source ID
+   * @private
+   */
+  _endStem(id) {
+    const stem = this.stems.get(id);
+    const { recorder } = stem.track;
+
+    this.stems.delete(id);
+    stem.end = this._timelineTime();
+
+    // A stem that fails is left out of the zip; its file can still be recovered
+    this.finishedStems.push(stem.track.stop().then(
+      result => ({
+        ...stem,
+        start: recorder.startTime != null ? recorder.startTime - this.timelineStart : stem.start,
+        result
+      }),
+      error => {
+        console.error(`Error finishing the recording of ${stem.label}:`, error);
+        return null;
+      }
+    ));
+  }
+
+  /**
+   * Bundle the stems into a zip with their manifest
+   * The stems are added as they are, so the zip is made of the files on disk
+   * rather than copies in memory.
+   * @param {Array<Object|null>} stems - Finished stems, in the order they started
+   * @param {number} duration - Length of the timeline in seconds
+   * @returns {Promise<Blob>} Zip of type MULTITRACK_TYPE
+   * @private
+   */
+  async _bundleStems(stems, duration) {
+    const modified = new Date();
+    const round = (seconds) => Math.round(seconds * 1000) / 1000;
+    const entries = [];
+    const tracks = [];
+
+    for (const stem of stems.filter(Boolean)) {
+      const { blob, stored } = stem.result;
+      const safeLabel = stem.label.replace(/[^\w.-]+/g, '_').slice(0, 40);
+      const file = `tracks/${String(stem.index).padStart(2, '0')}-${safeLabel}${getRecordingExtension(blob.type)}`;
+
+      entries.push({ name: file, data: blob, size: blob.size, crc: await crc32Blob(blob), modified });
+      tracks.push({
+        file,
+        participant: stem.participant,
+        label: stem.label,
+        screen: stem.isScreen,
+        start: round(Math.max(0, stem.start)),
+        end: round(stem.end),
+        mimeType: stem.track.mimeType,
+        encrypted: !!this.passphrase
       });
-    });
-    
-    return new MediaStream(combinedTracks);
+
+      if (stored) {
+        this.storedRecordings.push(stored);
+      }
+    }
+
+    const manifest = new TextEncoder().encode(JSON.stringify({
+      format: MULTITRACK_MANIFEST_FORMAT,
+      version: 1,
+      createdAt: new Date(this.startTime).toISOString(),
+      duration: round(duration),
+      tracks
+    }, null, 2));
+
+    entries.unshift({ name: 'manifest.json', data: manifest, size: manifest.length, crc: crc32(manifest), modified });
+
+    return new Blob(buildZip(entries), { type: MULTITRACK_TYPE });
   }
 
   /**
@@ -213,6 +418,28 @@ class RecordingHelper {
     
     return 'video/webm'; // Default fallback
   }
+
+  /**
+   * Get supported MIME type for recording audio only
+   * @returns {string} Supported MIME type
+   * @private
+   */
+  _getSupportedAudioMimeType() {
+    const types = [
+      'audio/webm;codecs=opus',
+      'audio/ogg;codecs=opus',
+      'audio/webm',
+      'audio/mp4'
+    ];
+    
+    for (const type of types) {
+      if (MediaRecorder.isTypeSupported(type)) {
+        return type;
+      }
+    }
+    
+    return 'audio/webm'; // Default fallback
+  }
 }
 
 export default RecordingHelper;
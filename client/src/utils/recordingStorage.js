@@ -0,0 +1,585 @@
+/**
+ * Recording storage
+ *
+ * Keeps recordings on disk while they are made instead of in memory: every
+ * chunk goes to a file in the Origin Private File System as soon as the
+ * recorder hands it over (see recordingWriterWorker.js). Each recording has
+ * two files in the `recordings` directory:
+ *
+ *   <id>.media - the recorded (or encrypted) bytes
+ *   <id>.json  - `{ id, createdAt, mimeType, encrypted, label, finished, saved }`
+ *
+ * A tab holds the Web Lock `recording:<id>` for as long as it writes a
+ * recording. A recording that is neither locked nor saved was left behind,
+ * for example by a crash, and can be recovered: WebM is fixed up in place so
+ * it becomes seekable, WAV gets its sizes, and encrypted recordings play up
+ * to where they stop. A multitrack recording keeps one recording per stem.
+ * Saving uses the File System Access API's save dialog where there is one.
+ */
+
+import { createMediaFixup } from './mediaFixup';
+import { ENCRYPTED_RECORDING_TYPE, RECORDING_FILE_EXTENSION } from './recordingCipher';
+
+export const RECORDINGS_DIRECTORY = 'recordings';
+
+const MEDIA_SUFFIX = '.media';
+const METADATA_SUFFIX = '.json';
+const LOCK_PREFIX = 'recording:';
+const READ_SIZE = 4 * 1024 * 1024; // Bytes read at a time when fixing up a recording
+
+/**
+ * Check whether recordings can be written to disk
+ * @returns {boolean} True if the origin private file system is available
+ */
+export const isRecordingStorageSupported = () =>
+  typeof navigator !== 'undefined' &&
+  !!navigator.storage &&
+  typeof navigator.storage.getDirectory === 'function' &&
+  typeof Worker !== 'undefined';
+
+/**
+ * Check whether files can be saved through a save dialog
+ * @returns {boolean} True if the File System Access API is available
+ */
+export const supportsSaveFilePicker = () =>
+  typeof window !== 'undefined' && typeof window.showSaveFilePicker === 'function';
+
+/**
+ * Get the recordings directory
+ * @returns {Promise<FileSystemDirectoryHandle>} Directory handle
+ * @private
+ */
+async function getRecordingsDirectory() {
+  const root = await navigator.storage.getDirectory();
+  return root.getDirectoryHandle(RECORDINGS_DIRECTORY, { create: true });
+}
+
+/**
+ * Remove a file, if it is there
+ * @param {FileSystemDirectoryHandle} directory - Directory handle
+ * @param {string} name - File name
+ * @private
+ */
+async function removeFile(directory, name) {
+  try {
+    await directory.removeEntry(name);
+  } catch (error) {
+    if (error.name !== 'NotFoundError') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Take the lock of a recording
+ * @param {string} id - Recording ID
+ * @param {boolean} ifAvailable - Give up instead of waiting if another tab holds it
+ * @returns {Promise<Function|null>} Releases the lock; null if it is held elsewhere
+ * @private
+ */
+function acquireLock(id, ifAvailable) {
+  if (!navigator.locks) {
+    return Promise.resolve(() => {});
+  }
+
+  return new Promise((resolve, reject) => {
+    navigator.locks.request(`${LOCK_PREFIX}${id}`, { ifAvailable }, lock => {
+      if (!lock) {
+        resolve(null);
+        return undefined;
+      }
+
+      // Held until released
+      return new Promise(release => resolve(release));
+    }).catch(reject);
+  });
+}
+
+/**
+ * MIME type a stored recording is saved and played with
+ * @param {Object} meta - Recording metadata
+ * @returns {string} MIME type
+ */
+export const getRecordingType = (meta) => meta.encrypted ? ENCRYPTED_RECORDING_TYPE : meta.mimeType;
+
+/**
+ * File extension a recording is saved with
+ * @param {string} type - MIME type from getRecordingType
+ * @returns {string} Extension including the dot
+ */
+export const getRecordingExtension = (type) => {
+  if (type === ENCRYPTED_RECORDING_TYPE) {
+    return RECORDING_FILE_EXTENSION;
+  }
+
+  const extensions = {
+    'video/mp4': '.mp4',
+    'audio/mp4': '.m4a',
+    'audio/ogg': '.ogg',
+    'audio/wav': '.wav',
+    'application/zip': '.zip'
+  };
+
+  return extensions[(type || '').split(';')[0]] || '.webm';
+};
+
+/**
+ * One recording on disk
+ * Writes go through a worker of its own, one after another. Only the tab
+ * holding the lock opens the file.
+ */
+export class RecordingFile {
+  /**
+   * @param {Object} meta - Recording metadata
+   */
+  constructor(meta) {
+    this.meta = meta;
+    this.worker = null;
+    this.requests = new Map(); // Request ID -> { resolve, reject }
+    this.nextRequestId = 1;
+    this.releaseLock = null;
+    this.isOpen = false;
+    this.size = 0;
+  }
+
+  /**
+   * Start a new recording on disk
+   * @param {Object} options - Recording details
+   * @param {string} options.mimeType - MIME type of the recorded media
+   * @param {boolean} [options.encrypted=false] - Whether the bytes are an encrypted recording
+   * @param {string} [options.label] - What the recording is, e.g. whose stem it is
+   * @returns {Promise<RecordingFile>} Recording file, open for writing
+   */
+  static async create({ mimeType, encrypted = false, label = null }) {
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    const file = await RecordingFile._take({
+      id,
+      createdAt: Date.now(),
+      mimeType,
+      encrypted,
+      label,
+      finished: false,
+      saved: false
+    }, false);
+
+    try {
+      await file._openMedia(true);
+      await file._saveMeta();
+    } catch (error) {
+      await file.remove().catch(() => {});
+      file.release();
+      throw error;
+    }
+
+    return file;
+  }
+
+  /**
+   * Take over a recording left behind by an earlier session
+   * @param {Object} meta - Metadata from listStoredRecordings
+   * @returns {Promise<RecordingFile>} Recording file
+   */
+  static open(meta) {
+    return RecordingFile._take(meta, true);
+  }
+
+  /**
+   * Take a recording's lock and start its worker
+   * @param {Object} meta - Recording metadata
+   * @param {boolean} ifAvailable - Fail instead of waiting if another tab holds the lock
+   * @returns {Promise<RecordingFile>} Recording file
+   * @private
+   */
+  static async _take(meta, ifAvailable) {
+    const file = new RecordingFile(meta);
+
+    file.releaseLock = await acquireLock(meta.id, ifAvailable);
+
+    if (!file.releaseLock) {
+      throw new Error('The recording is in use in another tab');
+    }
+
+    file.worker = new Worker(new URL('./recordingWriterWorker.js', import.meta.url));
+    file.worker.onmessage = ({ data }) => file._handleReply(data);
+
+    return file;
+  }
+
+  get id() {
+    return this.meta.id;
+  }
+
+  /**
+   * Append recorded bytes
+   * @param {Uint8Array[]} pieces - Bytes to append, in order
+   * @returns {Promise<void>}
+   */
+  async write(pieces) {
+    await this._openMedia(false);
+
+    for (const data of pieces) {
+      // Posting a view copies its whole buffer, so send only the bytes it covers
+      const bytes = data.byteLength === data.buffer.byteLength ? data : data.slice();
+      this.size = await this._call('write', { name: this._mediaName(), data: bytes });
+    }
+  }
+
+  /**
+   * Finish the recording: apply a fix-up if there is one, mark it finished
+   * and close the file
+   * @param {Object|null} fixup - Result of the fix-up's `finish()` (see mediaFixup.js)
+   * @returns {Promise<void>}
+   */
+  async finalize(fixup = null) {
+    const name = this._mediaName();
+
+    await this._openMedia(false);
+
+    if (fixup) {
+      await this._call('truncate', { name, size: fixup.length });
+      this.size = await this._call('write', { name, data: fixup.tail, at: fixup.length });
+
+      for (const patch of fixup.patches) {
+        await this._call('write', { name, data: patch.bytes, at: patch.position });
+      }
+    }
+
+    await this._call('close', { name });
+    this.isOpen = false;
+
+    this.meta.finished = true;
+    await this._saveMeta();
+  }
+
+  /**
+   * Fix up a recording that was cut off, as far as that is possible
+   * @returns {Promise<void>}
+   */
+  async repair() {
+    if (this.meta.finished) {
+      return;
+    }
+
+    let fixup = null;
+
+    // Encrypted recordings are fixed up by the player once decrypted
+    const mediaFixup = this.meta.encrypted ? null : createMediaFixup(this.meta.mimeType);
+
+    if (mediaFixup) {
+      const file = await this.getFile();
+      let passedThrough = 0;
+
+      for (let offset = 0; offset < file.size; offset += READ_SIZE) {
+        const chunk = new Uint8Array(await file.slice(offset, offset + READ_SIZE).arrayBuffer());
+        for (const piece of mediaFixup.push(chunk)) {
+          passedThrough += piece.length;
+        }
+      }
+
+      // Fixing up in place only works if the file was prepared while recording
+      fixup = mediaFixup.finish();
+      if (fixup && passedThrough + mediaFixup.pending.length !== file.size) {
+        fixup = null;
+      }
+    }
+
+    await this.finalize(fixup);
+  }
+
+  /**
+   * Read the recording
+   * @returns {Promise<File>} Recorded bytes, read from disk as needed
+   */
+  async getFile() {
+    if (this.isOpen) {
+      await this._call('close', { name: this._mediaName() });
+      this.isOpen = false;
+    }
+
+    const directory = await getRecordingsDirectory();
+    const handle = await directory.getFileHandle(this._mediaName());
+
+    return handle.getFile();
+  }
+
+  /**
+   * Note that the recording was saved, so it is cleared away later
+   * @returns {Promise<void>}
+   */
+  async markSaved() {
+    this.meta.saved = true;
+    await this._saveMeta();
+  }
+
+  /**
+   * Delete the recording from disk
+   * @returns {Promise<void>}
+   */
+  async remove() {
+    if (this.isOpen) {
+      await this._call('close', { name: this._mediaName() });
+      this.isOpen = false;
+    }
+
+    await removeStoredRecording(this.meta.id);
+  }
+
+  /**
+   * Stop the worker and release the lock; the files stay
+   */
+  release() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    this.requests.forEach(({ reject }) => reject(new Error('The recording file was released')));
+    this.requests.clear();
+    this.isOpen = false;
+
+    if (this.releaseLock) {
+      this.releaseLock();
+      this.releaseLock = null;
+    }
+  }
+
+  /**
+   * Open the media file for writing once
+   * @param {boolean} create - Create it if it is missing
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _openMedia(create) {
+    if (!this.isOpen) {
+      this.size = await this._call('open', { name: this._mediaName(), create });
+      this.isOpen = true;
+    }
+  }
+
+  /**
+   * Write the metadata file
+   * @returns {Promise<void>}
+   * @private
+   */
+  _saveMeta() {
+    return this._call('replace', {
+      name: `${this.meta.id}${METADATA_SUFFIX}`,
+      data: new TextEncoder().encode(JSON.stringify(this.meta))
+    });
+  }
+
+  /**
+   * Name of the media file
+   * @returns {string} File name
+   * @private
+   */
+  _mediaName() {
+    return `${this.meta.id}${MEDIA_SUFFIX}`;
+  }
+
+  /**
+   * Send a request to the worker
+   * @param {string} op - Operation
+   * @param {Object} params - Operation parameters
+   * @returns {Promise<*>} Operation result
+   * @private
+   */
+  _call(op, params) {
+    if (!this.worker) {
+      return Promise.reject(new Error('The recording file was released'));
+    }
+
+    const id = this.nextRequestId++;
+
+    return new Promise((resolve, reject) => {
+      this.requests.set(id, { resolve, reject });
+      this.worker.postMessage({ id, op, directory: RECORDINGS_DIRECTORY, ...params });
+    });
+  }
+
+  /**
+   * Settle a request the worker answered
+   * @param {Object} reply - `{ id, result }` or `{ id, error }`
+   * @private
+   */
+  _handleReply({ id, result, error }) {
+    const request = this.requests.get(id);
+
+    if (!request) {
+      return;
+    }
+
+    this.requests.delete(id);
+
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  }
+}
+
+/**
+ * List recordings left behind that were never saved
+ * Recordings another tab is still writing are skipped, and saved ones are
+ * cleared away.
+ * @returns {Promise<Array<Object>>} Metadata with the file `size`, oldest first
+ */
+export async function listStoredRecordings() {
+  if (!isRecordingStorageSupported()) {
+    return [];
+  }
+
+  const directory = await getRecordingsDirectory();
+  const held = navigator.locks
+    ? new Set(((await navigator.locks.query()).held || []).map(lock => lock.name))
+    : new Set();
+  const recordings = [];
+
+  for await (const [name, handle] of directory.entries()) {
+    if (handle.kind !== 'file' || !name.endsWith(METADATA_SUFFIX)) {
+      continue;
+    }
+
+    let meta;
+
+    try {
+      meta = JSON.parse(await (await handle.getFile()).text());
+    } catch (error) {
+      console.warn(`Skipping unreadable recording metadata ${name}:`, error);
+      continue;
+    }
+
+    if (held.has(`${LOCK_PREFIX}${meta.id}`)) {
+      continue;
+    }
+
+    if (meta.saved) {
+      await removeStoredRecording(meta.id).catch(console.warn);
+      continue;
+    }
+
+    try {
+      const media = await directory.getFileHandle(`${meta.id}${MEDIA_SUFFIX}`);
+      recordings.push({ ...meta, size: (await media.getFile()).size });
+    } catch (error) {
+      // Nothing was recorded
+      await removeStoredRecording(meta.id).catch(console.warn);
+    }
+  }
+
+  return recordings.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Delete a stored recording
+ * @param {string} id - Recording ID
+ * @returns {Promise<void>}
+ */
+export async function removeStoredRecording(id) {
+  const directory = await getRecordingsDirectory();
+
+  await removeFile(directory, `${id}${MEDIA_SUFFIX}`);
+  await removeFile(directory, `${id}${METADATA_SUFFIX}`);
+}
+
+/**
+ * Make a recording left behind ready to save
+ * A recording that was cut off is fixed up first, as far as possible.
+ * @param {Object} meta - Metadata from listStoredRecordings
+ * @returns {Promise<Blob>} Recording, read from disk as needed
+ */
+export async function recoverStoredRecording(meta) {
+  const file = await RecordingFile.open(meta);
+
+  try {
+    await file.repair();
+    return new Blob([await file.getFile()], { type: getRecordingType(file.meta) });
+  } finally {
+    file.release();
+  }
+}
+
+/**
+ * Save a recording where the user wants it
+ * Shows a save dialog where the File System Access API is available and
+ * streams the file into it; elsewhere the browser downloads it. Stored
+ * recordings are deleted once written to the chosen file; after a download
+ * they are only marked saved, and cleared away by the next listStoredRecordings.
+ * @param {Blob} blob - Recording
+ * @param {string} fileName - Suggested file name, including the extension
+ * @param {Array<Object>} [stored] - Metadata of the stored recordings the blob is made of
+ * @returns {Promise<boolean>} False if the user cancelled the save dialog
+ */
+export async function saveRecording(blob, fileName, stored = []) {
+  if (supportsSaveFilePicker()) {
+    const extension = fileName.slice(fileName.lastIndexOf('.'));
+    let handle = null;
+
+    try {
+      handle = await window.showSaveFilePicker({
+        suggestedName: fileName,
+        types: [{
+          description: 'Recording',
+          accept: { [blob.type.split(';')[0] || 'application/octet-stream']: [extension] }
+        }]
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return false;
+      }
+      // E.g. no longer handling a click; download instead
+      console.warn('Save dialog unavailable, downloading the recording:', error);
+    }
+
+    if (handle) {
+      await blob.stream().pipeTo(await handle.createWritable());
+
+      for (const meta of stored) {
+        await removeStoredRecording(meta.id);
+      }
+      return true;
+    }
+  }
+
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  document.body.appendChild(a);
+  a.style.display = 'none';
+  a.href = url;
+  a.download = fileName;
+  a.click();
+
+  setTimeout(() => {
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, 100);
+
+  // The download may still be reading the files
+  for (const meta of stored) {
+    const file = await RecordingFile.open(meta);
+
+    try {
+      await file.markSaved();
+    } finally {
+      file.release();
+    }
+  }
+
+  return true;
+}
+
+const recordingStorage = {
+  RECORDINGS_DIRECTORY,
+  isRecordingStorageSupported,
+  supportsSaveFilePicker,
+  getRecordingType,
+  getRecordingExtension,
+  RecordingFile,
+  listStoredRecordings,
+  removeStoredRecording,
+  recoverStoredRecording,
+  saveRecording
+};
+
+export default recordingStorage;
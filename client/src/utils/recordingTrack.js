@@ -0,0 +1,170 @@
+/**
+ * Recording track
+ *
+ * One recorded file. Takes a recorder's chunks (a MediaRecorder, or a
+ * PcmRecorder for WAV) in order, encrypts them when there is a passphrase or
+ * fixes them up otherwise (see mediaFixup.js), and writes them to disk as
+ * they arrive (see recordingStorage.js). Browsers without the origin private
+ * file system keep the chunks in memory instead. A recording made of one
+ * file per participant uses one track per file.
+ */
+
+import { RecordingEncryptor, ENCRYPTED_RECORDING_TYPE } from './recordingCipher';
+import { createMediaFixup } from './mediaFixup';
+import { applyWebmFixup } from './webmFixup';
+import { RecordingFile, isRecordingStorageSupported } from './recordingStorage';
+
+export class RecordingTrack {
+  /**
+   * @param {MediaRecorder|PcmRecorder} recorder - Recorder, not started yet
+   * @param {Object} [options] - Track options
+   * @param {string} [options.passphrase] - Encrypt the file with this passphrase
+   * @param {string} [options.label] - Stored with the file, e.g. whose audio it is
+   */
+  constructor(recorder, { passphrase = null, label = null } = {}) {
+    this.recorder = recorder;
+    this.mimeType = recorder.mimeType;
+    this.type = passphrase ? ENCRYPTED_RECORDING_TYPE : recorder.mimeType; // Type of the saved file
+    this.passphrase = passphrase;
+    this.label = label;
+    this.pipeline = null; // Promise chained through every chunk, in recording order
+    this.encryptor = null;
+    this.fixup = passphrase ? null : createMediaFixup(recorder.mimeType); // Encrypted files are fixed up by the player
+    this.file = null; // RecordingFile on disk, or null to keep chunks in memory
+    this.chunks = [];
+  }
+
+  /**
+   * Start recording into the file
+   * @param {number} [timeslice=1000] - Milliseconds between chunks
+   */
+  start(timeslice = 1000) {
+    // The key is derived and the file opened while the first chunk is being recorded
+    this.pipeline = Promise.all([
+      this.passphrase ? RecordingEncryptor.create(this.passphrase, this.mimeType) : null,
+      this._openFile()
+    ]).then(([encryptor, file]) => {
+      this.encryptor = encryptor;
+      this.file = file;
+      return encryptor ? this._store([encryptor.header]) : undefined;
+    });
+
+    this.recorder.ondataavailable = (event) => {
+      if (event.data.size === 0) {
+        return;
+      }
+
+      // Chunks are processed one after another, in recording order
+      this.pipeline = this.pipeline.then(async () => {
+        const data = new Uint8Array(await event.data.arrayBuffer());
+
+        if (this.encryptor) {
+          await this._store([await this.encryptor.encrypt(data)]);
+        } else {
+          await this._store(this.fixup ? this.fixup.push(data) : [data]);
+        }
+      });
+    };
+
+    this.recorder.start(timeslice);
+  }
+
+  /**
+   * Stop recording and finish the file
+   * A file on disk stays there until it is saved; if finishing fails, what
+   * reached the disk can be recovered from the lobby.
+   * @returns {Promise<Object>} `{ blob, stored }`: the recording (read from disk
+   * as needed) and its storage metadata, or null if it was kept in memory
+   */
+  stop() {
+    return new Promise((resolve, reject) => {
+      const finish = () => this._finish().then(resolve, reject);
+
+      // The last chunk arrives just before the recorder stops
+      if (this.recorder.state === 'inactive') {
+        finish();
+      } else {
+        this.recorder.onstop = finish;
+        this.recorder.stop();
+      }
+    });
+  }
+
+  /**
+   * Close the file once the recorder stopped
+   * @returns {Promise<Object>} `{ blob, stored }`
+   * @private
+   */
+  async _finish() {
+    try {
+      await this.pipeline;
+
+      let fixup = null;
+
+      if (this.encryptor) {
+        await this._store([await this.encryptor.finish()]);
+      } else if (this.fixup) {
+        fixup = this.fixup.finish();
+      }
+
+      if (this.file) {
+        await this.file.finalize(fixup);
+
+        return {
+          blob: new Blob([await this.file.getFile()], { type: this.type }),
+          stored: this.file.meta
+        };
+      }
+
+      if (fixup) {
+        const bytes = new Uint8Array(await new Blob(this.chunks).arrayBuffer());
+        return { blob: new Blob([applyWebmFixup(bytes, fixup)], { type: this.type }), stored: null };
+      }
+
+      return { blob: new Blob(this.chunks, { type: this.type }), stored: null };
+    } finally {
+      if (this.file) {
+        this.file.release();
+        this.file = null;
+      }
+
+      this.chunks = [];
+      this.pipeline = null;
+      this.encryptor = null;
+    }
+  }
+
+  /**
+   * Open a file on disk for the track
+   * @returns {Promise<RecordingFile|null>} Recording file, or null to record into memory
+   * @private
+   */
+  async _openFile() {
+    if (!isRecordingStorageSupported()) {
+      return null;
+    }
+
+    try {
+      return await RecordingFile.create({ mimeType: this.mimeType, encrypted: !!this.passphrase, label: this.label });
+    } catch (error) {
+      console.warn('Cannot write the recording to disk, keeping it in memory:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Keep recorded bytes
+   * @param {Uint8Array[]} pieces - Bytes in recording order
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _store(pieces) {
+    if (this.file) {
+      await this.file.write(pieces);
+    } else {
+      this.chunks.push(...pieces);
+    }
+  }
+}
+
+export default RecordingTrack;
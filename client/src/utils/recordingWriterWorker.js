@@ -0,0 +1,125 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * Recording writer worker
+ *
+ * Writes recordings into the Origin Private File System through sync access
+ * handles, which only exist in workers. Unlike a writable stream, every write
+ * lands in the file right away, so a recording survives the tab crashing.
+ *
+ * Messages are `{ id, op, name, ... }` and are answered with `{ id, result }`
+ * or `{ id, error }`. Files live in the directory named in each message.
+ */
+
+const handles = new Map(); // File name -> FileSystemSyncAccessHandle
+
+/**
+ * Get a recording file handle
+ * @param {string} directory - Directory in the origin private file system
+ * @param {string} name - File name
+ * @param {boolean} create - Create the file if it is missing
+ * @returns {Promise<FileSystemFileHandle>} File handle
+ */
+async function getFileHandle(directory, name, create) {
+  const root = await navigator.storage.getDirectory();
+  const dir = await root.getDirectoryHandle(directory, { create: true });
+
+  return dir.getFileHandle(name, { create });
+}
+
+/**
+ * Get the open sync access handle of a file
+ * @param {string} name - File name
+ * @returns {FileSystemSyncAccessHandle} Access handle
+ */
+function getAccessHandle(name) {
+  const handle = handles.get(name);
+
+  if (!handle) {
+    throw new Error(`${name} is not open`);
+  }
+
+  return handle;
+}
+
+/**
+ * Write bytes completely
+ * @param {FileSystemSyncAccessHandle} handle - Access handle
+ * @param {Uint8Array} data - Bytes to write
+ * @param {number} at - File offset
+ */
+function writeAll(handle, data, at) {
+  let written = 0;
+
+  while (written < data.length) {
+    written += handle.write(data.subarray(written), { at: at + written });
+  }
+}
+
+const operations = {
+  // Open a file for writing; returns its size
+  async open({ directory, name, create }) {
+    if (!handles.has(name)) {
+      const fileHandle = await getFileHandle(directory, name, create);
+      handles.set(name, await fileHandle.createSyncAccessHandle());
+    }
+    return handles.get(name).getSize();
+  },
+
+  // Write at `at`, or append; returns the new size
+  write({ name, data, at }) {
+    const handle = getAccessHandle(name);
+    writeAll(handle, data, at === undefined ? handle.getSize() : at);
+    return handle.getSize();
+  },
+
+  truncate({ name, size }) {
+    getAccessHandle(name).truncate(size);
+  },
+
+  flush({ name }) {
+    getAccessHandle(name).flush();
+  },
+
+  close({ name }) {
+    const handle = handles.get(name);
+
+    if (handle) {
+      handle.flush();
+      handle.close();
+      handles.delete(name);
+    }
+  },
+
+  // Replace a small file, such as a recording's metadata, in one go
+  async replace({ directory, name, data }) {
+    const fileHandle = await getFileHandle(directory, name, true);
+    const handle = await fileHandle.createSyncAccessHandle();
+
+    try {
+      handle.truncate(0);
+      writeAll(handle, data, 0);
+      handle.flush();
+    } finally {
+      handle.close();
+    }
+  }
+};
+
+// Requests are handled one at a time, in order
+let queue = Promise.resolve();
+
+self.onmessage = ({ data }) => {
+  const { id, op } = data;
+
+  queue = queue.then(async () => {
+    try {
+      if (!operations[op]) {
+        throw new Error(`Unknown recording writer operation: ${op}`);
+      }
+
+      self.postMessage({ id, result: await operations[op](data) });
+    } catch (error) {
+      self.postMessage({ id, error: error.message || String(error) });
+    }
+  });
+};
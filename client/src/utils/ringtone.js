@@ -0,0 +1,105 @@
+/**
+ * Ringtone for incoming calls
+ *
+ * Synthesized with Web Audio (a two-tone "ring-ring" every few seconds), so
+ * there is no audio file to download or cache. Phones also vibrate along.
+ */
+
+// Dual-tone ring, as used by telephone networks
+const RING_FREQUENCIES = [440, 480];
+const RING_VOLUME = 0.15;
+
+// One ring: two bursts, repeated every RING_INTERVAL_MS
+const BURST_DURATION = 0.4; // seconds
+const BURST_GAP = 0.2; // seconds
+const RING_INTERVAL_MS = 3000;
+const VIBRATION_PATTERN = [400, 200, 400];
+
+export class Ringtone {
+  constructor() {
+    this.context = null;
+    this.timer = null;
+  }
+
+  /**
+   * Start ringing until stop() is called
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+
+    if (AudioContextClass) {
+      this.context = new AudioContextClass();
+
+      // Browsers keep the context suspended until the page had a user gesture
+      this.context.resume().catch(error => console.warn('Ringtone blocked:', error));
+    }
+
+    this._ring();
+    this.timer = setInterval(() => this._ring(), RING_INTERVAL_MS);
+  }
+
+  /**
+   * Stop ringing and release the audio context
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (navigator.vibrate) {
+      navigator.vibrate(0);
+    }
+
+    if (this.context) {
+      this.context.close().catch(() => {});
+      this.context = null;
+    }
+  }
+
+  /**
+   * Play one ring
+   * @private
+   */
+  _ring() {
+    if (navigator.vibrate) {
+      navigator.vibrate(VIBRATION_PATTERN);
+    }
+
+    if (!this.context) {
+      return;
+    }
+
+    const now = this.context.currentTime;
+    this._burst(now);
+    this._burst(now + BURST_DURATION + BURST_GAP);
+  }
+
+  /**
+   * Play one burst of both tones with short fades to avoid clicks
+   * @param {number} startTime - Audio context time to start at
+   * @private
+   */
+  _burst(startTime) {
+    const endTime = startTime + BURST_DURATION;
+    const gain = this.context.createGain();
+
+    gain.gain.setValueAtTime(0, startTime);
+    gain.gain.linearRampToValueAtTime(RING_VOLUME, startTime + 0.02);
+    gain.gain.setValueAtTime(RING_VOLUME, endTime - 0.02);
+    gain.gain.linearRampToValueAtTime(0, endTime);
+    gain.connect(this.context.destination);
+
+    RING_FREQUENCIES.forEach(frequency => {
+      const oscillator = this.context.createOscillator();
+      oscillator.frequency.value = frequency;
+      oscillator.connect(gain);
+      oscillator.start(startTime);
+      oscillator.stop(endTime);
+    });
+  }
+}
+
+export default Ringtone;
@@ -0,0 +1,124 @@
+/* global globalThis */
+/**
+ * Safety number (short authentication string) for call participants
+ *
+ * Both peers hash the DTLS certificate fingerprints from the negotiated SDP
+ * and render the result as emoji. If the signaling server swapped in its own
+ * certificates, the two users see different emoji when they compare them
+ * out loud. The module has no DOM dependencies and runs under Jest with
+ * Node's `webcrypto`.
+ */
+
+// Number of emoji shown; 7 x 6 bits = 42 bits of the hash
+export const SAS_LENGTH = 7;
+
+const SAS_CONTEXT = 'secure-voice-chat/sas/v1';
+
+// 64 emoji that are easy to tell apart and to say out loud
+export const SAS_EMOJI = [
+  { symbol: '🐶', name: 'Dog' }, { symbol: '🐱', name: 'Cat' },
+  { symbol: '🦁', name: 'Lion' }, { symbol: '🐎', name: 'Horse' },
+  { symbol: '🦄', name: 'Unicorn' }, { symbol: '🐷', name: 'Pig' },
+  { symbol: '🐘', name: 'Elephant' }, { symbol: '🐰', name: 'Rabbit' },
+  { symbol: '🐼', name: 'Panda' }, { symbol: '🐓', name: 'Rooster' },
+  { symbol: '🐧', name: 'Penguin' }, { symbol: '🐢', name: 'Turtle' },
+  { symbol: '🐟', name: 'Fish' }, { symbol: '🐙', name: 'Octopus' },
+  { symbol: '🦋', name: 'Butterfly' }, { symbol: '🌷', name: 'Flower' },
+  { symbol: '🌳', name: 'Tree' }, { symbol: '🌵', name: 'Cactus' },
+  { symbol: '🍄', name: 'Mushroom' }, { symbol: '🌏', name: 'Globe' },
+  { symbol: '🌙', name: 'Moon' }, { symbol: '☁️', name: 'Cloud' },
+  { symbol: '🔥', name: 'Fire' }, { symbol: '🍌', name: 'Banana' },
+  { symbol: '🍎', name: 'Apple' }, { symbol: '🍓', name: 'Strawberry' },
+  { symbol: '🌽', name: 'Corn' }, { symbol: '🍕', name: 'Pizza' },
+  { symbol: '🎂', name: 'Cake' }, { symbol: '❤️', name: 'Heart' },
+  { symbol: '😀', name: 'Smiley' }, { symbol: '🤖', name: 'Robot' },
+  { symbol: '🎩', name: 'Hat' }, { symbol: '👓', name: 'Glasses' },
+  { symbol: '🔧', name: 'Spanner' }, { symbol: '🎅', name: 'Santa' },
+  { symbol: '👍', name: 'Thumbs Up' }, { symbol: '☂️', name: 'Umbrella' },
+  { symbol: '⌛', name: 'Hourglass' }, { symbol: '⏰', name: 'Clock' },
+  { symbol: '🎁', name: 'Gift' }, { symbol: '💡', name: 'Light Bulb' },
+  { symbol: '📕', name: 'Book' }, { symbol: '✏️', name: 'Pencil' },
+  { symbol: '📎', name: 'Paperclip' }, { symbol: '✂️', name: 'Scissors' },
+  { symbol: '🔒', name: 'Lock' }, { symbol: '🔑', name: 'Key' },
+  { symbol: '🔨', name: 'Hammer' }, { symbol: '☎️', name: 'Telephone' },
+  { symbol: '🏁', name: 'Flag' }, { symbol: '🚂', name: 'Train' },
+  { symbol: '🚲', name: 'Bicycle' }, { symbol: '✈️', name: 'Aeroplane' },
+  { symbol: '🚀', name: 'Rocket' }, { symbol: '🏆', name: 'Trophy' },
+  { symbol: '⚽', name: 'Ball' }, { symbol: '🎸', name: 'Guitar' },
+  { symbol: '🎺', name: 'Trumpet' }, { symbol: '🔔', name: 'Bell' },
+  { symbol: '⚓', name: 'Anchor' }, { symbol: '🎧', name: 'Headphones' },
+  { symbol: '📁', name: 'Folder' }, { symbol: '📌', name: 'Pin' }
+];
+
+/**
+ * Extract the DTLS certificate fingerprints from an SDP
+ * @param {string} sdp - Session description
+ * @returns {Array<string>} Unique fingerprints as "algorithm VALUE", sorted
+ */
+export function extractFingerprints(sdp) {
+  if (!sdp) {
+    return [];
+  }
+
+  const fingerprints = new Set();
+  const pattern = /^a=fingerprint:(\S+)\s+([0-9A-Fa-f:]+)\s*$/gm;
+  let match;
+
+  while ((match = pattern.exec(sdp)) !== null) {
+    fingerprints.add(`${match[1].toLowerCase()} ${match[2].toUpperCase()}`);
+  }
+
+  return Array.from(fingerprints).sort();
+}
+
+/**
+ * Compute the safety number for a pair of peers
+ * The result does not depend on which side is local, so both peers get the
+ * same emoji for the same pair of certificates.
+ * @param {Array<string>} localFingerprints - Fingerprints from our SDP
+ * @param {Array<string>} remoteFingerprints - Fingerprints from the peer's SDP
+ * @param {Crypto} [cryptoImpl] - WebCrypto implementation
+ * @returns {Promise<{emoji: Array<{symbol: string, name: string}>, words: string, fingerprints: string}>}
+ */
+export async function computeSafetyNumber(localFingerprints, remoteFingerprints, cryptoImpl = globalThis.crypto) {
+  if (!localFingerprints.length || !remoteFingerprints.length) {
+    throw new Error('Both descriptions must contain a DTLS fingerprint');
+  }
+
+  // Canonical, order-independent form of both certificate sets
+  const fingerprints = [localFingerprints.join(','), remoteFingerprints.join(',')]
+    .sort()
+    .join('|');
+
+  const digest = new Uint8Array(await cryptoImpl.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(`${SAS_CONTEXT}|${fingerprints}`)
+  ));
+
+  // Read the digest as a bit string, 6 bits per emoji
+  const emoji = [];
+
+  for (let i = 0; i < SAS_LENGTH; i++) {
+    const bit = i * 6;
+    const byte = bit >> 3;
+    const word = (digest[byte] << 8) | digest[byte + 1];
+    const index = (word >> (10 - (bit & 7))) & 0x3f;
+
+    emoji.push(SAS_EMOJI[index]);
+  }
+
+  return {
+    emoji,
+    words: emoji.map(item => item.name).join(' '),
+    fingerprints
+  };
+}
+
+const safetyNumber = {
+  SAS_LENGTH,
+  SAS_EMOJI,
+  extractFingerprints,
+  computeSafetyNumber
+};
+
+export default safetyNumber;
@@ -0,0 +1,55 @@
+/**
+ * @jest-environment node
+ */
+import { webcrypto } from 'crypto';
+import { SAS_LENGTH, SAS_EMOJI, extractFingerprints, computeSafetyNumber } from './safetyNumber';
+
+const ALICE = 'sha-256 12:34:56:78:9A:BC:DE:F0:12:34:56:78:9A:BC:DE:F0:12:34:56:78:9A:BC:DE:F0:12:34:56:78:9A:BC:DE:F0';
+const BOB = 'sha-256 AB:CD:EF:01:23:45:67:89:AB:CD:EF:01:23:45:67:89:AB:CD:EF:01:23:45:67:89:AB:CD:EF:01:23:45:67:89';
+const MALLORY = 'sha-256 FF:EE:DD:CC:BB:AA:99:88:77:66:55:44:33:22:11:00:FF:EE:DD:CC:BB:AA:99:88:77:66:55:44:33:22:11:00';
+
+const sdp = (...fingerprints) => [
+  'v=0',
+  'o=- 4611731400430051336 2 IN IP4 127.0.0.1',
+  's=-',
+  ...fingerprints.map(fingerprint => `a=fingerprint:${fingerprint}`),
+  'm=audio 9 UDP/TLS/RTP/SAVPF 111',
+  ''
+].join('\r\n');
+
+describe('safetyNumber', () => {
+  test('has one emoji per six bits', () => {
+    expect(SAS_EMOJI).toHaveLength(64);
+    expect(new Set(SAS_EMOJI.map(item => item.name)).size).toBe(64);
+  });
+
+  test('extracts unique, normalised fingerprints', () => {
+    const lowercase = 'SHA-256 ab:cd:ef:01:23:45:67:89:ab:cd:ef:01:23:45:67:89:ab:cd:ef:01:23:45:67:89:ab:cd:ef:01:23:45:67:89';
+
+    expect(extractFingerprints(sdp(BOB, ALICE, lowercase))).toEqual([ALICE, BOB]);
+    expect(extractFingerprints('v=0\r\n')).toEqual([]);
+    expect(extractFingerprints(null)).toEqual([]);
+  });
+
+  test('gives both sides the same emoji', async () => {
+    const alice = await computeSafetyNumber([ALICE], [BOB], webcrypto);
+    const bob = await computeSafetyNumber([BOB], [ALICE], webcrypto);
+
+    expect(alice.emoji).toHaveLength(SAS_LENGTH);
+    expect(alice.emoji.every(item => SAS_EMOJI.includes(item))).toBe(true);
+    expect(bob).toEqual(alice);
+    expect(alice.words).toBe(alice.emoji.map(item => item.name).join(' '));
+  });
+
+  test('differs when a certificate is swapped', async () => {
+    const genuine = await computeSafetyNumber([ALICE], [BOB], webcrypto);
+    const intercepted = await computeSafetyNumber([ALICE], [MALLORY], webcrypto);
+
+    expect(intercepted.words).not.toBe(genuine.words);
+  });
+
+  test('needs a fingerprint on both sides', async () => {
+    await expect(computeSafetyNumber([], [BOB], webcrypto)).rejects.toThrow('DTLS fingerprint');
+    await expect(computeSafetyNumber([ALICE], [], webcrypto)).rejects.toThrow('DTLS fingerprint');
+  });
+});
@@ -0,0 +1,583 @@
+/**
+ * SFU helper for WebRTCManager
+ *
+ * Rooms that outgrow the mesh send each local track once to the server's
+ * selective forwarding unit and receive everyone else's tracks from it
+ * (mediasoup on the server, mediasoup-client here). The peer connections to
+ * the other members stay for chat and files; only media moves. Frames
+ * encrypted with a room key pass through the server untouched.
+ *
+ * Mirrors server/src/sfu.js.
+ */
+
+import { Device } from 'mediasoup-client';
+import { SFU_EVENTS } from './signalingProtocol';
+import { isLocalAddress } from './icePolicy';
+
+// How a room's media flows
+export const MEDIA_MODES = {
+  MESH: 'mesh', // Every member connects to every other member
+  SFU: 'sfu' // Every member sends once to the server, which forwards to the others
+};
+
+// Transport recovery, like the mesh's ICE restarts
+const TRANSPORT_DISCONNECTED_GRACE_MS = 2000;
+const TRANSPORT_RESTART_BASE_DELAY_MS = 1000; // Doubled after every attempt
+const TRANSPORT_RESTART_MAX_DELAY_MS = 16000;
+const TRANSPORT_RESTART_MAX_ATTEMPTS = 6;
+
+export class SfuClient {
+  /**
+   * @param {Object} options - Forwarding options
+   * @param {Object} options.socket - Signaling socket
+   * @param {string} options.roomId - Room whose media is forwarded
+   * @param {Function} options.request - Sends a request and resolves with the reply (WebRTCManager's `_request`)
+   * @param {Array<Object>} [options.iceServers] - STUN/TURN servers for the transports
+   * @param {boolean} [options.strictLocal] - Only use the server's local network candidates
+   * @param {Object} [options.peerConnectionConfig] - Extra RTCPeerConnection settings, e.g. for frame encryption
+   * @param {Function} [options.onSender] - Called with each RTCRtpSender before it sends
+   * @param {Function} [options.onReceiver] - Called with each RTCRtpReceiver before it receives
+   * @param {Function} [options.onRemoteStream] - Called with (userId, stream) whenever a member's tracks change; stream is null once none are left
+   * @param {Function} [options.onStateChange] - Called with true when media flows, false while the transports recover
+   * @param {Function} [options.onError] - Called with a message when forwarding gives up
+   */
+  constructor(options) {
+    this.socket = options.socket;
+    this.roomId = options.roomId;
+    this.request = options.request;
+    this.iceServers = options.iceServers || [];
+    this.strictLocal = !!options.strictLocal;
+    this.peerConnectionConfig = options.peerConnectionConfig || {};
+    this.onSender = options.onSender;
+    this.onReceiver = options.onReceiver;
+    this.onRemoteStream = options.onRemoteStream;
+    this.onStateChange = options.onStateChange;
+    this.onError = options.onError;
+
+    this.device = new Device();
+    this.sendTransport = null;
+    this.recvTransport = null;
+    this.producers = new Map(); // kind -> Producer
+    this.consumers = new Map(); // consumerId -> { consumer, userId }
+    this.streams = new Map(); // userId -> MediaStream of forwarded tracks
+    this.preferredLayers = new Map(); // userId -> simulcast layer we want of their video
+    this.recoveries = new Map(); // transportId -> { attempts, timer }
+    this.closed = false;
+
+    // Requests are answered in order, so only one may be in flight
+    this.queue = Promise.resolve();
+
+    this._handleNewProducer = ({ roomId, producerId, userId }) => {
+      if (roomId === this.roomId) {
+        this._enqueue(() => this._consume(producerId, userId));
+      }
+    };
+
+    this._handleConsumerClosed = ({ roomId, consumerId }) => {
+      if (roomId === this.roomId) {
+        this._closeConsumer(consumerId);
+      }
+    };
+
+    this.socket.on(SFU_EVENTS.NEW_PRODUCER, this._handleNewProducer);
+    this.socket.on(SFU_EVENTS.CONSUMER_CLOSED, this._handleConsumerClosed);
+  }
+
+  /**
+   * Load the room's codecs, open both transports and receive what the others already send
+   * @returns {Promise<void>}
+   */
+  start() {
+    return this._enqueue(async () => {
+      const { rtpCapabilities, producers } = await this.request(
+        SFU_EVENTS.GET_CAPABILITIES,
+        { roomId: this.roomId },
+        SFU_EVENTS.CAPABILITIES,
+        'Timed out loading the media server capabilities'
+      );
+
+      await this.device.load({ routerRtpCapabilities: rtpCapabilities });
+
+      this.sendTransport = await this._createTransport('send');
+      this.recvTransport = await this._createTransport('recv');
+
+      for (const { producerId, userId } of producers) {
+        await this._consume(producerId, userId);
+      }
+    });
+  }
+
+  /**
+   * Send a local track, or switch the track already sent for its kind
+   * Switching (camera to screen and back) needs no new producer, and keeps its encodings and codec
+   * @param {MediaStreamTrack} track - Local audio or video track
+   * @param {Object} [options] - Settings for a new producer
+   * @param {Array<Object>} [options.encodings] - Simulcast encodings for video, lowest layer first
+   * @param {string} [options.mimeType] - Preferred codec, used if the room supports it
+   * @param {Object} [options.codecOptions] - mediasoup codec options, e.g. Opus FEC and DTX
+   * @returns {Promise<void>}
+   */
+  produce(track, { encodings, mimeType, codecOptions } = {}) {
+    return this._enqueue(async () => {
+      const existing = this.producers.get(track.kind);
+
+      if (existing && !existing.closed) {
+        await existing.replaceTrack({ track });
+        return;
+      }
+
+      const codec = mimeType && this.device.rtpCapabilities.codecs
+        .find(candidate => candidate.mimeType.toLowerCase() === mimeType.toLowerCase());
+
+      const producer = await this.sendTransport.produce({
+        track,
+        ...(encodings ? { encodings } : {}),
+        ...(codec ? { codec } : {}),
+        codecOptions: {
+          ...(track.kind === 'video' ? { videoGoogleStartBitrate: 1000 } : {}),
+          ...codecOptions
+        },
+        stopTracks: false, // WebRTCManager owns the tracks
+        onRtpSender: (sender) => this.onSender && this.onSender(sender)
+      });
+
+      this.producers.set(track.kind, producer);
+    });
+  }
+
+  /**
+   * Change a producer's encodings, e.g. to follow the quality preset
+   * The browser keeps sending on the same sender, so nothing is renegotiated.
+   * @param {string} kind - 'audio' or 'video'
+   * @param {Array<Object>} encodings - Encoding fields to apply, lowest layer first
+   * @param {string} [degradationPreference] - What the encoder gives up first under load
+   * @returns {Promise<void>}
+   */
+  updateEncodings(kind, encodings, degradationPreference) {
+    return this._enqueue(async () => {
+      const producer = this.producers.get(kind);
+
+      if (!producer || producer.closed || !producer.rtpSender) {
+        return;
+      }
+
+      const parameters = producer.rtpSender.getParameters();
+
+      parameters.encodings.forEach((encoding, index) => {
+        // RIDs cannot change after negotiation
+        const { rid, ...fields } = encodings[index] || {};
+        Object.assign(encoding, fields);
+      });
+
+      if (degradationPreference) {
+        parameters.degradationPreference = degradationPreference;
+      }
+
+      await producer.rtpSender.setParameters(parameters);
+    });
+  }
+
+  /**
+   * Stop sending a kind of track
+   * @param {string} kind - 'audio' or 'video'
+   * @returns {Promise<void>}
+   */
+  stopProducing(kind) {
+    return this._enqueue(async () => {
+      const producer = this.producers.get(kind);
+
+      if (!producer) {
+        return;
+      }
+
+      this.producers.delete(kind);
+      producer.close();
+      this.socket.emit(SFU_EVENTS.CLOSE_PRODUCER, { roomId: this.roomId, producerId: producer.id });
+    });
+  }
+
+  /**
+   * Choose the simulcast layer of a member's video the server forwards to us
+   * Kept for video they start sending later
+   * @param {string} userId - Member's user ID
+   * @param {number} layer - Layer index, lowest first
+   */
+  setPreferredLayer(userId, layer) {
+    this.preferredLayers.set(userId, layer);
+
+    this.consumers.forEach(({ consumer, userId: owner }) => {
+      if (owner === userId && consumer.kind === 'video') {
+        this._sendPreferredLayer(consumer.id, layer);
+      }
+    });
+  }
+
+  /**
+   * Codecs in use, for display
+   * @returns {Object} `{ send: { audio, video }, receive: { [userId]: { audio, video } } }`
+   *   with `{ mimeType, sdpFmtpLine }` per codec
+   */
+  getCodecs() {
+    const describe = (rtpParameters) => {
+      const codec = rtpParameters.codecs[0];
+      const parameters = Object.entries(codec.parameters || {}).map(([key, value]) => `${key}=${value}`);
+      return { mimeType: codec.mimeType, sdpFmtpLine: parameters.join(';') };
+    };
+
+    const send = {};
+    this.producers.forEach((producer, kind) => {
+      send[kind] = describe(producer.rtpParameters);
+    });
+
+    const receive = {};
+    this.consumers.forEach(({ consumer, userId }) => {
+      receive[userId] = { ...receive[userId], [consumer.kind]: describe(consumer.rtpParameters) };
+    });
+
+    return { send, receive };
+  }
+
+  /**
+   * Stats of what we send and of what we receive from one member
+   * @param {string} userId - Member's user ID
+   * @returns {Promise<Array<RTCStatsReport>>} One report per producer and per consumer
+   */
+  getStats(userId) {
+    const producers = Array.from(this.producers.values());
+    const consumers = Array.from(this.consumers.values())
+      .filter(({ userId: owner }) => owner === userId)
+      .map(({ consumer }) => consumer);
+
+    return Promise.all([...producers, ...consumers]
+      .filter(entity => !entity.closed)
+      .map(entity => entity.getStats()));
+  }
+
+  /**
+   * Forget a member who left; the server closes their consumers too
+   * @param {string} userId - Member's user ID
+   */
+  removeUser(userId) {
+    this.consumers.forEach(({ consumer, userId: owner }, consumerId) => {
+      if (owner === userId) {
+        consumer.close();
+        this.consumers.delete(consumerId);
+      }
+    });
+
+    this.streams.delete(userId);
+    this.preferredLayers.delete(userId);
+  }
+
+  /**
+   * Restart ICE on both transports, e.g. after the device changed networks
+   */
+  restartIce() {
+    [this.sendTransport, this.recvTransport].filter(Boolean).forEach(transport => {
+      this._scheduleRestart(transport, 0, true);
+    });
+  }
+
+  /**
+   * Close the transports and stop listening
+   * The server drops our producers and consumers when we leave the room.
+   */
+  close() {
+    this.closed = true;
+    this.socket.off(SFU_EVENTS.NEW_PRODUCER, this._handleNewProducer);
+    this.socket.off(SFU_EVENTS.CONSUMER_CLOSED, this._handleConsumerClosed);
+
+    this.recoveries.forEach(recovery => clearTimeout(recovery.timer));
+    this.recoveries.clear();
+
+    [this.sendTransport, this.recvTransport].filter(Boolean).forEach(transport => transport.close());
+    this.sendTransport = null;
+    this.recvTransport = null;
+    this.producers.clear();
+    this.consumers.clear();
+    this.streams.clear();
+    this.preferredLayers.clear();
+  }
+
+  /**
+   * Run forwarding work after any work already queued
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Result of the task
+   * @private
+   */
+  _enqueue(task) {
+    const next = this.queue.catch(() => {}).then(() => {
+      if (this.closed) {
+        throw new Error('Media forwarding was closed');
+      }
+
+      return task();
+    });
+
+    this.queue = next;
+    return next;
+  }
+
+  /**
+   * Create a transport on the server and its local counterpart
+   * @param {string} direction - 'send' or 'recv'
+   * @returns {Promise<Object>} mediasoup-client transport
+   * @private
+   */
+  async _createTransport(direction) {
+    const { id, iceParameters, iceCandidates, dtlsParameters } = await this.request(
+      SFU_EVENTS.CREATE_TRANSPORT,
+      { roomId: this.roomId, direction },
+      SFU_EVENTS.TRANSPORT_CREATED,
+      'Timed out creating a media transport'
+    );
+
+    const options = {
+      id,
+      iceParameters,
+      // The server filters too; a local copy keeps the policy in one place on this side
+      iceCandidates: this.strictLocal
+        ? iceCandidates.filter(candidate => isLocalAddress(candidate.address || candidate.ip))
+        : iceCandidates,
+      dtlsParameters,
+      iceServers: this.strictLocal ? [] : this.iceServers,
+      additionalSettings: this.peerConnectionConfig
+    };
+
+    const transport = direction === 'send'
+      ? this.device.createSendTransport(options)
+      : this.device.createRecvTransport(options);
+
+    transport.on('connect', ({ dtlsParameters: localDtlsParameters }, callback, errback) => {
+      this.request(
+        SFU_EVENTS.CONNECT_TRANSPORT,
+        { roomId: this.roomId, transportId: transport.id, dtlsParameters: localDtlsParameters },
+        SFU_EVENTS.TRANSPORT_CONNECTED,
+        'Timed out connecting a media transport'
+      ).then(() => callback(), errback);
+    });
+
+    if (direction === 'send') {
+      transport.on('produce', ({ kind, rtpParameters }, callback, errback) => {
+        this.request(
+          SFU_EVENTS.PRODUCE,
+          { roomId: this.roomId, transportId: transport.id, kind, rtpParameters },
+          SFU_EVENTS.PRODUCED,
+          'Timed out sending media'
+        ).then(({ producerId }) => callback({ id: producerId }), errback);
+      });
+    }
+
+    transport.on('connectionstatechange', (state) => {
+      switch (state) {
+        case 'connected':
+          this._finishRecovery(transport);
+          this._reportState();
+          break;
+        case 'disconnected':
+          this._reportState();
+          this._scheduleRestart(transport, TRANSPORT_DISCONNECTED_GRACE_MS);
+          break;
+        case 'failed':
+          this._reportState();
+          this._scheduleRestart(transport, 0);
+          break;
+        default:
+          break;
+      }
+    });
+
+    return transport;
+  }
+
+  /**
+   * Receive a member's track through the server
+   * @param {string} producerId - Producer to consume
+   * @param {string} userId - Member who sends it
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _consume(producerId, userId) {
+    const { id, kind, rtpParameters } = await this.request(
+      SFU_EVENTS.CONSUME,
+      { roomId: this.roomId, producerId, rtpCapabilities: this.device.rtpCapabilities },
+      SFU_EVENTS.CONSUMED,
+      'Timed out receiving media'
+    );
+
+    const consumer = await this.recvTransport.consume({
+      id,
+      producerId,
+      kind,
+      rtpParameters,
+      onRtpReceiver: (receiver) => this.onReceiver && this.onReceiver(receiver)
+    });
+
+    this.consumers.set(consumer.id, { consumer, userId });
+    this._updateStream(userId);
+
+    // Consumers start paused so no packet arrives before the track is wired up
+    this.socket.emit(SFU_EVENTS.RESUME_CONSUMER, { roomId: this.roomId, consumerId: consumer.id });
+
+    if (kind === 'video' && this.preferredLayers.has(userId)) {
+      this._sendPreferredLayer(consumer.id, this.preferredLayers.get(userId));
+    }
+  }
+
+  /**
+   * Ask the server to forward one layer of a video consumer
+   * @param {string} consumerId - Consumer ID
+   * @param {number} layer - Layer index, lowest first
+   * @private
+   */
+  _sendPreferredLayer(consumerId, layer) {
+    this.socket.emit(SFU_EVENTS.SET_PREFERRED_LAYER, { roomId: this.roomId, consumerId, layer });
+  }
+
+  /**
+   * Drop a consumer whose producer went away
+   * @param {string} consumerId - Consumer ID
+   * @private
+   */
+  _closeConsumer(consumerId) {
+    const entry = this.consumers.get(consumerId);
+
+    if (!entry) {
+      return;
+    }
+
+    entry.consumer.close();
+    this.consumers.delete(consumerId);
+    this._updateStream(entry.userId);
+  }
+
+  /**
+   * Rebuild a member's stream from their current consumers
+   * A new MediaStream each time, so media elements notice the change
+   * @param {string} userId - Member's user ID
+   * @private
+   */
+  _updateStream(userId) {
+    const tracks = Array.from(this.consumers.values())
+      .filter(entry => entry.userId === userId)
+      .map(entry => entry.consumer.track);
+
+    const stream = tracks.length > 0 ? new MediaStream(tracks) : null;
+
+    if (stream) {
+      this.streams.set(userId, stream);
+    } else {
+      this.streams.delete(userId);
+    }
+
+    if (this.onRemoteStream) {
+      this.onRemoteStream(userId, stream);
+    }
+  }
+
+  /**
+   * Schedule an ICE restart for a transport whose path broke
+   * @param {Object} transport - mediasoup-client transport
+   * @param {number} delay - Milliseconds to wait first
+   * @param {boolean} [replace=false] - Replace an already scheduled attempt
+   * @private
+   */
+  _scheduleRestart(transport, delay, replace = false) {
+    const recovery = this.recoveries.get(transport.id) || { attempts: 0, timer: null };
+
+    if (recovery.timer) {
+      if (!replace) {
+        return;
+      }
+
+      clearTimeout(recovery.timer);
+    }
+
+    recovery.timer = setTimeout(() => {
+      recovery.timer = null;
+      this._restart(transport, recovery);
+    }, delay);
+
+    this.recoveries.set(transport.id, recovery);
+  }
+
+  /**
+   * Restart ICE on a transport, backing off while it does not recover
+   * @param {Object} transport - mediasoup-client transport
+   * @param {Object} recovery - Restart progress
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _restart(transport, recovery) {
+    if (this.closed || transport.closed || transport.connectionState === 'connected') {
+      this._finishRecovery(transport);
+      return;
+    }
+
+    // Wait for a network and a signaling connection to restart over
+    if (!navigator.onLine || !this.socket.connected) {
+      this._scheduleRestart(transport, TRANSPORT_RESTART_BASE_DELAY_MS);
+      return;
+    }
+
+    if (recovery.attempts >= TRANSPORT_RESTART_MAX_ATTEMPTS) {
+      this._finishRecovery(transport);
+
+      if (this.onError) {
+        this.onError('Lost the connection to the media server');
+      }
+      return;
+    }
+
+    const attempt = recovery.attempts++;
+
+    try {
+      const { iceParameters } = await this._enqueue(() => this.request(
+        SFU_EVENTS.RESTART_ICE,
+        { roomId: this.roomId, transportId: transport.id },
+        SFU_EVENTS.ICE_RESTARTED,
+        'Timed out restarting the media transport'
+      ));
+
+      await transport.restartIce({ iceParameters });
+    } catch (error) {
+      console.warn('Media transport ICE restart failed:', error);
+    }
+
+    // Check again later; a successful restart clears this through 'connected'
+    const delay = Math.min(TRANSPORT_RESTART_BASE_DELAY_MS * 2 ** attempt, TRANSPORT_RESTART_MAX_DELAY_MS);
+    this._scheduleRestart(transport, delay);
+  }
+
+  /**
+   * Stop recovering a transport
+   * @param {Object} transport - mediasoup-client transport
+   * @private
+   */
+  _finishRecovery(transport) {
+    const recovery = this.recoveries.get(transport.id);
+
+    if (recovery) {
+      clearTimeout(recovery.timer);
+      this.recoveries.delete(transport.id);
+    }
+  }
+
+  /**
+   * Tell the manager whether forwarded media currently flows
+   * @private
+   */
+  _reportState() {
+    if (!this.onStateChange) {
+      return;
+    }
+
+    // A transport nothing was sent or received on yet never connects, so only broken ones count
+    const broken = [this.sendTransport, this.recvTransport]
+      .some(transport => transport && ['disconnected', 'failed'].includes(transport.connectionState));
+
+    this.onStateChange(!broken);
+  }
+}
+
+export default SfuClient;
@@ -0,0 +1,160 @@
+/**
+ * Signaling protocol constants
+ *
+ * Mirrors server/src/protocol.js. PROTOCOL.md at the repository root
+ * documents every message; keep the version in sync with the server.
+ */
+
+export const PROTOCOL_VERSION = 12;
+
+/**
+ * Socket.IO handshake options with this client's protocol version and join token
+ * The token is fetched again on every (re)connect, so an expired one is replaced;
+ * the session ID, once known, lets the server resume the session after a drop
+ * @param {AuthSession} [authSession] - Session that provides the join token
+ * @param {Function} [getSessionId] - Returns the current signaling session ID, if any
+ * @returns {Object} Options to merge into the `io()` call
+ */
+export const getProtocolHandshake = (authSession = null, getSessionId = () => null) => ({
+  auth: (callback) => {
+    const sessionId = getSessionId();
+    const base = sessionId
+      ? { protocolVersion: PROTOCOL_VERSION, session: sessionId }
+      : { protocolVersion: PROTOCOL_VERSION };
+
+    if (!authSession) {
+      callback(base);
+      return;
+    }
+
+    authSession.getToken().then(
+      token => callback({ ...base, token }),
+      // Connect anyway; the server's refusal surfaces as connect_error
+      () => callback(base)
+    );
+  }
+});
+
+/**
+ * 1:1 call messages (sent with `target`, received with `from`)
+ * A call rings (`ring`) until it is accepted, declined, cancelled or times out;
+ * the server only relays offers, answers and candidates within an accepted call.
+ */
+export const CALL_EVENTS = {
+  RING: 'ring',
+  RINGING: 'ringing',
+  ACCEPT: 'accept',
+  CANCEL: 'cancel',
+  RING_TIMEOUT: 'ringTimeout',
+  OFFER: 'offer',
+  ANSWER: 'answer',
+  ICE_CANDIDATE: 'iceCandidate',
+  BUSY: 'busy',
+  REJECT: 'reject',
+  CALL_ENDED: 'callEnded',
+  SPEAKING: 'speaking',
+  RECORDING: 'recording',
+  RECORDING_CONSENT: 'recordingConsent'
+};
+
+/**
+ * Room messages
+ * `room-joined` and `room-mode` carry how the room's media flows (see sfuClient.js);
+ * `room-joined` also carries the recording policy and who is recording. A recorder
+ * announces itself with `set-recording` (answered with `recording-set`, the others
+ * get `recording-state`), and every member answers it with `recording-consent`.
+ */
+export const ROOM_EVENTS = {
+  JOIN: 'join-room',
+  JOINED: 'room-joined',
+  MODE: 'room-mode',
+  LEAVE: 'leave-room',
+  USER_CONNECTED: 'user-connected',
+  USER_DISCONNECTED: 'user-disconnected',
+  SEND_SIGNAL: 'send-signal',
+  RECEIVE_SIGNAL: 'receive-signal',
+  REQUEST_VIDEO_LAYER: 'request-video-layer',
+  VIDEO_LAYER_REQUESTED: 'video-layer-requested',
+  SET_RECORDING: 'set-recording',
+  RECORDING_SET: 'recording-set',
+  RECORDING_STATE: 'recording-state',
+  RECORDING_CONSENT: 'recording-consent'
+};
+
+/**
+ * Invite messages (room invites, and call invites when no room is given)
+ */
+export const INVITE_EVENTS = {
+  CREATE: 'create-invite',
+  CREATED: 'invite-created',
+  REDEEM: 'redeem-invite',
+  REDEEMED: 'invite-redeemed'
+};
+
+/**
+ * Connectivity messages
+ * `ice-servers` carries the server's STUN/TURN URLs with short-lived relay credentials,
+ * and the ICE policy (see icePolicy.js)
+ */
+export const ICE_EVENTS = {
+  GET_SERVERS: 'get-ice-servers',
+  SERVERS: 'ice-servers'
+};
+
+/**
+ * Media forwarding messages, for rooms the server switched to its SFU
+ * Requests carry `roomId` and are answered in order, like every other request
+ */
+export const SFU_EVENTS = {
+  GET_CAPABILITIES: 'sfu-get-capabilities',
+  CAPABILITIES: 'sfu-capabilities',
+  CREATE_TRANSPORT: 'sfu-create-transport',
+  TRANSPORT_CREATED: 'sfu-transport-created',
+  CONNECT_TRANSPORT: 'sfu-connect-transport',
+  TRANSPORT_CONNECTED: 'sfu-transport-connected',
+  RESTART_ICE: 'sfu-restart-ice',
+  ICE_RESTARTED: 'sfu-ice-restarted',
+  PRODUCE: 'sfu-produce',
+  PRODUCED: 'sfu-produced',
+  CLOSE_PRODUCER: 'sfu-close-producer',
+  NEW_PRODUCER: 'sfu-new-producer',
+  CONSUME: 'sfu-consume',
+  CONSUMED: 'sfu-consumed',
+  RESUME_CONSUMER: 'sfu-resume-consumer',
+  SET_PREFERRED_LAYER: 'sfu-set-preferred-layer',
+  CONSUMER_CLOSED: 'sfu-consumer-closed'
+};
+
+/**
+ * Session messages
+ * `session` follows every (re)connect with the session ID to resume with and the
+ * peer ID other users address this client by; `resumed` says whether the
+ * registration, rooms and call from before the reconnect are still there
+ */
+export const SESSION_EVENTS = {
+  SESSION: 'session'
+};
+
+/**
+ * Presence messages
+ */
+export const PRESENCE_EVENTS = {
+  REGISTER: 'register',
+  REGISTERED: 'registered',
+  USER_LIST: 'userList',
+  ERROR: 'error'
+};
+
+const signalingProtocol = {
+  PROTOCOL_VERSION,
+  getProtocolHandshake,
+  CALL_EVENTS,
+  ROOM_EVENTS,
+  INVITE_EVENTS,
+  ICE_EVENTS,
+  SFU_EVENTS,
+  SESSION_EVENTS,
+  PRESENCE_EVENTS
+};
+
+export default signalingProtocol;
@@ -0,0 +1,92 @@
+/**
+ * Simulcast layers
+ *
+ * A video sender encodes the camera at three resolutions (RIDs q, h and f),
+ * and each receiver asks for the one its tile and its network can use. The
+ * SFU forwards the requested layer to each subscriber. In a mesh every
+ * subscriber has its own sender, so the sender scales that single encoding
+ * to the requested layer instead.
+ */
+
+// Lowest first, like mediasoup's spatial layers
+export const SIMULCAST_LAYERS = [
+  { rid: 'q', scaleResolutionDownBy: 4 },
+  { rid: 'h', scaleResolutionDownBy: 2 },
+  { rid: 'f', scaleResolutionDownBy: 1 }
+];
+
+export const LOWEST_LAYER = 0;
+export const HIGHEST_LAYER = SIMULCAST_LAYERS.length - 1;
+
+// Layer heights assume the default 720p capture
+const CAPTURE_HEIGHT = 720;
+
+// Network quality scores (0-100) below which a receiver caps the layer it asks for
+const LOW_NETWORK_QUALITY = 30;
+const MEDIUM_NETWORK_QUALITY = 60;
+
+/**
+ * Encodings for a simulcast video sender
+ * Bitrates scale with the pixel count of each layer
+ * @param {Object} preset - Quality preset with the full layer's `bitrate` and `frameRate`
+ * @returns {Array<Object>} RTCRtpEncodingParameters, lowest layer first
+ */
+export const getSimulcastEncodings = (preset) => SIMULCAST_LAYERS.map(({ rid, scaleResolutionDownBy }) => ({
+  rid,
+  scaleResolutionDownBy,
+  maxBitrate: Math.round(preset.bitrate / (scaleResolutionDownBy * scaleResolutionDownBy)),
+  maxFramerate: preset.frameRate
+}));
+
+/**
+ * Encoding parameters that make a single encoding look like one layer
+ * Used in a mesh, where each subscriber has its own sender
+ * @param {Object} preset - Quality preset with the full layer's `bitrate` and `frameRate`
+ * @param {number} layer - Layer index
+ * @returns {Object} `scaleResolutionDownBy`, `maxBitrate` and `maxFramerate` for the encoding
+ */
+export const getLayerEncoding = (preset, layer) => {
+  const { rid, ...encoding } = getSimulcastEncodings(preset)[layer];
+  return encoding;
+};
+
+/**
+ * Pick the layer a receiver needs
+ * The smallest layer that fills the tile on this screen, capped when the
+ * receiver's own network is struggling
+ * @param {Object} tileSize - `{ width, height }` of the tile in CSS pixels
+ * @param {number} networkQuality - Receiver's network quality score (0-100)
+ * @returns {number} Layer index
+ */
+export const pickVideoLayer = (tileSize, networkQuality) => {
+  const neededHeight = tileSize.height * (window.devicePixelRatio || 1);
+
+  let layer = SIMULCAST_LAYERS.findIndex(({ scaleResolutionDownBy }) => (
+    CAPTURE_HEIGHT / scaleResolutionDownBy >= neededHeight
+  ));
+
+  if (layer === -1) {
+    layer = HIGHEST_LAYER;
+  }
+
+  if (networkQuality < LOW_NETWORK_QUALITY) {
+    return LOWEST_LAYER;
+  }
+
+  if (networkQuality < MEDIUM_NETWORK_QUALITY) {
+    return Math.min(layer, HIGHEST_LAYER - 1);
+  }
+
+  return layer;
+};
+
+const simulcast = {
+  SIMULCAST_LAYERS,
+  LOWEST_LAYER,
+  HIGHEST_LAYER,
+  getSimulcastEncodings,
+  getLayerEncoding,
+  pickVideoLayer
+};
+
+export default simulcast;
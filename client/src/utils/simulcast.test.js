@@ -0,0 +1,51 @@
+import {
+  SIMULCAST_LAYERS,
+  LOWEST_LAYER,
+  HIGHEST_LAYER,
+  getSimulcastEncodings,
+  getLayerEncoding,
+  pickVideoLayer
+} from './simulcast';
+
+const PRESET = { bitrate: 1600000, frameRate: 30 };
+
+describe('simulcast', () => {
+  afterEach(() => {
+    window.devicePixelRatio = 1;
+  });
+
+  test('scales bitrates with the pixel count of each layer', () => {
+    expect(getSimulcastEncodings(PRESET)).toEqual([
+      { rid: 'q', scaleResolutionDownBy: 4, maxBitrate: 100000, maxFramerate: 30 },
+      { rid: 'h', scaleResolutionDownBy: 2, maxBitrate: 400000, maxFramerate: 30 },
+      { rid: 'f', scaleResolutionDownBy: 1, maxBitrate: 1600000, maxFramerate: 30 }
+    ]);
+    expect(SIMULCAST_LAYERS).toHaveLength(HIGHEST_LAYER + 1);
+  });
+
+  test('gives a single encoding the settings of one layer', () => {
+    expect(getLayerEncoding(PRESET, 1)).toEqual({ scaleResolutionDownBy: 2, maxBitrate: 400000, maxFramerate: 30 });
+  });
+
+  test('picks the smallest layer that fills the tile', () => {
+    expect(pickVideoLayer({ width: 240, height: 135 }, 100)).toBe(LOWEST_LAYER);
+    expect(pickVideoLayer({ width: 320, height: 180 }, 100)).toBe(0);
+    expect(pickVideoLayer({ width: 480, height: 270 }, 100)).toBe(1);
+    expect(pickVideoLayer({ width: 1280, height: 720 }, 100)).toBe(HIGHEST_LAYER);
+    expect(pickVideoLayer({ width: 3840, height: 2160 }, 100)).toBe(HIGHEST_LAYER);
+  });
+
+  test('counts device pixels', () => {
+    window.devicePixelRatio = 2;
+
+    expect(pickVideoLayer({ width: 320, height: 180 }, 100)).toBe(1);
+  });
+
+  test('caps the layer on a struggling network', () => {
+    const large = { width: 1280, height: 720 };
+
+    expect(pickVideoLayer(large, 59)).toBe(HIGHEST_LAYER - 1);
+    expect(pickVideoLayer(large, 29)).toBe(LOWEST_LAYER);
+    expect(pickVideoLayer({ width: 320, height: 180 }, 45)).toBe(0);
+  });
+});
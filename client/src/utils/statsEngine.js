@@ -0,0 +1,472 @@
+/**
+ * Stats engine
+ *
+ * Polls getStats once per interval for every peer and turns the cumulative
+ * counters into per-interval metrics: RTT, jitter, loss, bitrate, frame rate,
+ * freezes and audio concealment, for inbound and outbound audio and video.
+ * Each direction gets a MOS-style score (1-4.4) from a simplified E-model, and
+ * each peer an overall score (0-100) from its worst direction, which is what
+ * the network quality indicators show. The last few minutes of samples are
+ * kept per peer, for the diagnostics panel and its exported report.
+ */
+
+// Subscribe to this instead of a peer ID to hear about every peer
+export const ALL_PEERS = '*';
+
+const DEFAULT_INTERVAL_MS = 2000;
+
+// Samples kept per peer: five minutes at the default interval
+const DEFAULT_HISTORY_LENGTH = 150;
+
+// Best score the E-model gives a clean, low-latency call
+const MAX_MOS = 4.4;
+
+const KINDS = ['audio', 'video'];
+
+/**
+ * Estimate a MOS from network conditions (simplified ITU-T G.107 E-model)
+ * @param {Object} conditions - `{ rtt, jitter }` in ms and `loss` as a fraction (0-1)
+ * @returns {number} Score from 1 (bad) to about 4.4 (excellent)
+ */
+export const estimateMos = ({ rtt = 0, jitter = 0, loss = 0 }) => {
+  // Mouth-to-ear delay: half the round trip, the jitter buffer and codec delay
+  const latency = rtt / 2 + jitter * 2 + 10;
+  const delayImpairment = latency < 160 ? latency / 40 : (latency - 120) / 10;
+  const r = Math.max(0, Math.min(100, 93.2 - delayImpairment - loss * 100 * 2.5));
+
+  return Math.min(MAX_MOS, 1 + 0.035 * r + 0.000007 * r * (r - 60) * (100 - r));
+};
+
+/**
+ * Map a MOS onto the 0-100 scale of the network quality indicator
+ * @param {number} mos - MOS from estimateMos
+ * @returns {number} Quality score (0-100)
+ */
+export const mosToScore = (mos) => Math.round(Math.max(0, Math.min(1, (mos - 1) / (MAX_MOS - 1))) * 100);
+
+/**
+ * Sum one kind and direction of RTP stats
+ * Simulcast senders have one outbound-rtp per layer, so counters are added up.
+ * @param {Array<RTCStatsReport>} reports - Reports to read
+ * @param {string} kind - 'audio' or 'video'
+ * @param {string} direction - 'inbound' or 'outbound'
+ * @returns {Object|null} Cumulative counters, or null without such a stream
+ * @private
+ */
+const collectTotals = (reports, kind, direction) => {
+  let totals = null;
+
+  reports.forEach(stats => stats.forEach(report => {
+    if (report.type !== `${direction}-rtp` || report.kind !== kind) {
+      return;
+    }
+
+    totals = totals || {
+      bytes: 0, packets: 0, packetsLost: 0, jitter: null, roundTripTime: null,
+      frames: 0, freezeCount: 0, freezeDuration: 0, concealedSamples: 0, totalSamples: 0,
+      qualityLimitation: null
+    };
+
+    if (direction === 'inbound') {
+      totals.bytes += report.bytesReceived || 0;
+      totals.packets += report.packetsReceived || 0;
+      totals.packetsLost += Math.max(0, report.packetsLost || 0);
+      totals.jitter = Math.max(totals.jitter || 0, (report.jitter || 0) * 1000);
+      totals.frames += report.framesDecoded || 0;
+      totals.freezeCount += report.freezeCount || 0;
+      totals.freezeDuration += report.totalFreezesDuration || 0;
+      totals.concealedSamples += report.concealedSamples || 0;
+      totals.totalSamples += report.totalSamplesReceived || 0;
+      return;
+    }
+
+    totals.bytes += report.bytesSent || 0;
+    totals.packets += report.packetsSent || 0;
+    totals.frames += report.framesEncoded || 0;
+
+    if (report.qualityLimitationReason && report.qualityLimitationReason !== 'none') {
+      totals.qualityLimitation = report.qualityLimitationReason;
+    }
+
+    // What the other side received of it
+    const remote = report.remoteId && stats.get(report.remoteId);
+
+    if (remote) {
+      totals.packetsLost += Math.max(0, remote.packetsLost || 0);
+      totals.jitter = Math.max(totals.jitter || 0, (remote.jitter || 0) * 1000);
+
+      if (remote.roundTripTime !== undefined) {
+        totals.roundTripTime = Math.max(totals.roundTripTime || 0, remote.roundTripTime * 1000);
+      }
+    }
+  }));
+
+  return totals;
+};
+
+/**
+ * Describe an ICE candidate from its stats
+ * @param {Object|undefined} candidate - local-candidate or remote-candidate stats
+ * @returns {Object|null} `{ type, protocol, address, port, relayProtocol, networkType }`
+ * @private
+ */
+const describeCandidate = (candidate) => (candidate ? {
+  type: candidate.candidateType,
+  protocol: candidate.protocol,
+  address: candidate.address || candidate.ip || null,
+  port: candidate.port,
+  relayProtocol: candidate.relayProtocol || null,
+  networkType: candidate.networkType || null
+} : null);
+
+/**
+ * Find the candidate pair media flows over, and its transport
+ * @param {Array<RTCStatsReport>} reports - Reports to read
+ * @returns {Object|null} `{ rtt, availableOutgoingBitrate, connection }`, or null before ICE connects
+ * @private
+ */
+const collectTransport = (reports) => {
+  let pair = null;
+  let transport = null;
+  let source = null;
+
+  reports.forEach(stats => stats.forEach(report => {
+    if (!pair && report.type === 'transport' && report.selectedCandidatePairId) {
+      pair = stats.get(report.selectedCandidatePairId);
+      transport = report;
+      source = stats;
+    }
+  }));
+
+  // Firefox has no transport stats but flags the pair itself
+  if (!pair) {
+    reports.forEach(stats => stats.forEach(report => {
+      if (!pair && report.type === 'candidate-pair' && (report.selected || report.nominated) && report.state === 'succeeded') {
+        pair = report;
+        source = stats;
+      }
+    }));
+  }
+
+  if (!pair) {
+    return null;
+  }
+
+  return {
+    rtt: pair.currentRoundTripTime !== undefined ? pair.currentRoundTripTime * 1000 : null,
+    availableOutgoingBitrate: pair.availableOutgoingBitrate !== undefined ? pair.availableOutgoingBitrate : null,
+    connection: {
+      localCandidate: describeCandidate(source.get(pair.localCandidateId)),
+      remoteCandidate: describeCandidate(source.get(pair.remoteCandidateId)),
+      iceState: transport ? transport.iceState || null : pair.state,
+      dtlsState: transport ? transport.dtlsState || null : null,
+      tlsVersion: transport ? transport.tlsVersion || null : null,
+      dtlsCipher: transport ? transport.dtlsCipher || null : null,
+      srtpCipher: transport ? transport.srtpCipher || null : null
+    }
+  };
+};
+
+/**
+ * Per-interval metrics of one stream direction
+ * @param {string} kind - 'audio' or 'video'
+ * @param {string} direction - 'inbound' or 'outbound'
+ * @param {Object} current - Counters from this poll
+ * @param {Object} previous - Counters from the last poll
+ * @param {number} seconds - Time between the polls
+ * @param {number|null} rtt - Round trip time of the transport in ms
+ * @returns {Object} Metrics with a MOS-style score
+ * @private
+ */
+const computeMetrics = (kind, direction, current, previous, seconds, rtt) => {
+  const delta = key => Math.max(0, current[key] - previous[key]);
+  const lost = delta('packetsLost');
+
+  // Packets sent include the lost ones; packets received do not
+  const expected = direction === 'inbound' ? delta('packets') + lost : delta('packets');
+
+  const metrics = {
+    bitrate: Math.round(delta('bytes') * 8 / seconds),
+    packetLoss: expected > 0 ? Math.min(1, lost / expected) : 0,
+    jitter: current.jitter,
+    roundTripTime: current.roundTripTime !== null ? current.roundTripTime : rtt
+  };
+
+  // Concealed audio covers what the jitter buffer lost on top of the network
+  let loss = metrics.packetLoss;
+
+  if (kind === 'audio' && direction === 'inbound') {
+    const samples = delta('totalSamples');
+    metrics.concealment = samples > 0 ? delta('concealedSamples') / samples : 0;
+    loss = Math.max(loss, metrics.concealment);
+  }
+
+  if (kind === 'video') {
+    metrics.frameRate = Math.round(delta('frames') / seconds);
+  }
+
+  if (kind === 'video' && direction === 'inbound') {
+    metrics.freezes = delta('freezeCount');
+    metrics.freezeDuration = delta('freezeDuration');
+  }
+
+  if (kind === 'video' && direction === 'outbound') {
+    metrics.qualityLimitation = current.qualityLimitation;
+  }
+
+  let mos = estimateMos({ rtt: metrics.roundTripTime || 0, jitter: metrics.jitter || 0, loss });
+
+  // A frozen picture counts as bad as silence for the time it lasts
+  if (metrics.freezeDuration) {
+    mos -= (mos - 1) * Math.min(1, metrics.freezeDuration / seconds);
+  }
+
+  metrics.mos = Math.round(mos * 100) / 100;
+  return metrics;
+};
+
+/**
+ * StatsEngine class
+ * One poll loop for every peer; samples go to subscribers per peer
+ */
+export class StatsEngine {
+  /**
+   * @param {Object} [options] - Engine options
+   * @param {number} [options.interval=2000] - Time between polls in ms
+   * @param {number} [options.historyLength=150] - Samples kept per peer
+   * @param {Function} [options.onUpdate] - Called with every peer's sample once per poll
+   */
+  constructor(options = {}) {
+    this.interval = options.interval || DEFAULT_INTERVAL_MS;
+    this.historyLength = options.historyLength || DEFAULT_HISTORY_LENGTH;
+    this.onUpdate = options.onUpdate || null;
+
+    this.peers = new Map(); // peerId -> { getStats, totals, timestamp, sample }
+    this.history = new Map(); // peerId -> recent samples, oldest first; kept after the peer leaves
+    this.subscribers = new Map(); // peerId or ALL_PEERS -> Set of callbacks
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Start polling a peer
+   * @param {string} peerId - Peer ID
+   * @param {Function} getStats - Returns a promise of the peer's RTCStatsReport, or of several
+   */
+  addPeer(peerId, getStats) {
+    this.peers.set(peerId, { getStats, totals: null, timestamp: null, sample: null });
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this._poll(), this.interval);
+    }
+  }
+
+  /**
+   * Stop polling a peer
+   * @param {string} peerId - Peer ID
+   */
+  removePeer(peerId) {
+    this.peers.delete(peerId);
+
+    if (this.peers.size === 0) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Receive a peer's samples
+   * @param {string} peerId - Peer ID, or ALL_PEERS
+   * @param {Function} callback - Called with each new sample
+   * @returns {Function} Unsubscribes
+   */
+  subscribe(peerId, callback) {
+    if (!this.subscribers.has(peerId)) {
+      this.subscribers.set(peerId, new Set());
+    }
+
+    this.subscribers.get(peerId).add(callback);
+
+    return () => {
+      const callbacks = this.subscribers.get(peerId);
+
+      if (callbacks) {
+        callbacks.delete(callback);
+      }
+    };
+  }
+
+  /**
+   * Latest sample of a peer
+   * @param {string} peerId - Peer ID
+   * @returns {Object|null} Sample, or null before the second poll
+   */
+  getSample(peerId) {
+    const peer = this.peers.get(peerId);
+    return peer ? peer.sample : null;
+  }
+
+  /**
+   * Latest samples of every peer
+   * @returns {Array<Object>} Samples
+   */
+  getSamples() {
+    return Array.from(this.peers.values()).map(peer => peer.sample).filter(Boolean);
+  }
+
+  /**
+   * Recent samples of a peer
+   * @param {string} peerId - Peer ID
+   * @returns {Array<Object>} Samples, oldest first
+   */
+  getHistory(peerId) {
+    return (this.history.get(peerId) || []).slice();
+  }
+
+  /**
+   * Recent samples of every peer seen, including those who left
+   * @returns {Object} `{ [peerId]: samples }`, oldest first
+   */
+  getHistories() {
+    const histories = {};
+
+    this.history.forEach((samples, peerId) => {
+      histories[peerId] = samples.slice();
+    });
+
+    return histories;
+  }
+
+  /**
+   * Stop polling and drop every peer, sample and subscriber
+   */
+  dispose() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.peers.clear();
+    this.history.clear();
+    this.subscribers.clear();
+  }
+
+  /**
+   * Poll every peer, then notify subscribers
+   * A poll that is still running when the next one is due makes it skip.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _poll() {
+    if (this.polling) {
+      return;
+    }
+
+    this.polling = true;
+
+    try {
+      const samples = await Promise.all(Array.from(this.peers.entries()).map(([peerId, peer]) => (
+        this._sample(peerId, peer)
+      )));
+
+      const updated = samples.filter(Boolean);
+
+      updated.forEach(sample => {
+        [sample.peerId, ALL_PEERS].forEach(key => {
+          (this.subscribers.get(key) || []).forEach(callback => callback(sample));
+        });
+      });
+
+      if (this.onUpdate && updated.length > 0) {
+        this.onUpdate(updated);
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Take a new sample of one peer
+   * @param {string} peerId - Peer ID
+   * @param {Object} peer - Peer entry
+   * @returns {Promise<Object|null>} Sample, or null on the first poll or when stats are unavailable
+   * @private
+   */
+  async _sample(peerId, peer) {
+    let reports;
+
+    try {
+      const result = await peer.getStats();
+      reports = [].concat(result || []);
+    } catch (error) {
+      console.warn(`Could not read stats for ${peerId}:`, error);
+      return null;
+    }
+
+    // Removed while getStats was running
+    if (this.peers.get(peerId) !== peer) {
+      return null;
+    }
+
+    const now = Date.now();
+    const totals = {};
+
+    KINDS.forEach(kind => {
+      totals[kind] = {
+        inbound: collectTotals(reports, kind, 'inbound'),
+        outbound: collectTotals(reports, kind, 'outbound')
+      };
+    });
+
+    const previous = peer.totals;
+    const seconds = peer.timestamp ? (now - peer.timestamp) / 1000 : 0;
+
+    peer.totals = totals;
+    peer.timestamp = now;
+
+    // Rates need two polls
+    if (!previous || seconds <= 0) {
+      return null;
+    }
+
+    const transport = collectTransport(reports);
+    const rtt = transport ? transport.rtt : null;
+
+    const sample = {
+      peerId,
+      timestamp: now,
+      rtt,
+      availableOutgoingBitrate: transport ? transport.availableOutgoingBitrate : null,
+      connection: transport ? transport.connection : null
+    };
+
+    KINDS.forEach(kind => {
+      sample[kind] = {};
+
+      ['inbound', 'outbound'].forEach(direction => {
+        const current = totals[kind][direction];
+        const last = previous[kind][direction];
+
+        sample[kind][direction] = current && last
+          ? computeMetrics(kind, direction, current, last, seconds, rtt)
+          : null;
+      });
+    });
+
+    // The peer is only as good as its worst stream
+    const scores = KINDS
+      .flatMap(kind => [sample[kind].inbound, sample[kind].outbound])
+      .filter(Boolean)
+      .map(metrics => metrics.mos);
+
+    sample.mos = scores.length > 0 ? Math.min(...scores) : null;
+    sample.score = sample.mos !== null ? mosToScore(sample.mos) : null;
+
+    peer.sample = sample;
+
+    const history = this.history.get(peerId) || [];
+    history.push(sample);
+    this.history.set(peerId, history.slice(-this.historyLength));
+
+    return sample;
+  }
+}
+
+export default StatsEngine;
@@ -0,0 +1,149 @@
+/**
+ * @jest-environment node
+ */
+import { ALL_PEERS, StatsEngine, estimateMos, mosToScore } from './statsEngine';
+
+// An RTCStatsReport is a map of stats objects by ID
+const report = (...stats) => new Map(stats.map(entry => [entry.id, entry]));
+
+// Cumulative counters after `seconds` of a call losing `lossRate` of its inbound audio
+const audioStats = (seconds, { lossRate = 0, rtt = 0.05, jitter = 0.005 } = {}) => {
+  const received = 50 * seconds;
+  const lost = Math.round(received * lossRate);
+
+  return report(
+    {
+      id: 'in-audio', type: 'inbound-rtp', kind: 'audio',
+      bytesReceived: 4000 * seconds, packetsReceived: received - lost, packetsLost: lost, jitter,
+      concealedSamples: 0, totalSamplesReceived: 48000 * seconds
+    },
+    { id: 'out-audio', type: 'outbound-rtp', kind: 'audio', bytesSent: 4000 * seconds, packetsSent: 50 * seconds, remoteId: 'remote-in' },
+    { id: 'remote-in', type: 'remote-inbound-rtp', kind: 'audio', packetsLost: 0, jitter, roundTripTime: rtt },
+    { id: 'transport', type: 'transport', selectedCandidatePairId: 'pair', dtlsState: 'connected', iceState: 'connected' },
+    { id: 'pair', type: 'candidate-pair', currentRoundTripTime: rtt, localCandidateId: 'local', remoteCandidateId: 'remote' },
+    { id: 'local', type: 'local-candidate', candidateType: 'host', protocol: 'udp', address: '192.168.1.20', port: 54400 },
+    { id: 'remote', type: 'remote-candidate', candidateType: 'srflx', protocol: 'udp', address: '203.0.113.7', port: 61000 }
+  );
+};
+
+describe('estimateMos', () => {
+  test('scores a clean call as excellent', () => {
+    expect(estimateMos({ rtt: 20, jitter: 2, loss: 0 })).toBeGreaterThan(4.3);
+    expect(estimateMos({})).toBeLessThanOrEqual(4.4);
+  });
+
+  test('drops with loss, latency and jitter', () => {
+    const clean = estimateMos({ rtt: 50, jitter: 5, loss: 0 });
+
+    expect(estimateMos({ rtt: 50, jitter: 5, loss: 0.05 })).toBeLessThan(clean);
+    expect(estimateMos({ rtt: 600, jitter: 5, loss: 0 })).toBeLessThan(clean);
+    expect(estimateMos({ rtt: 50, jitter: 80, loss: 0 })).toBeLessThan(clean);
+  });
+
+  test('bottoms out at 1', () => {
+    expect(estimateMos({ rtt: 2000, jitter: 500, loss: 1 })).toBe(1);
+  });
+});
+
+describe('mosToScore', () => {
+  test('maps MOS onto 0-100', () => {
+    expect(mosToScore(4.4)).toBe(100);
+    expect(mosToScore(1)).toBe(0);
+    expect(mosToScore(2.7)).toBe(50);
+    expect(mosToScore(0.5)).toBe(0);
+  });
+});
+
+describe('StatsEngine', () => {
+  let now;
+  let engine;
+
+  beforeEach(() => {
+    now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    engine = new StatsEngine({ historyLength: 2 });
+  });
+
+  afterEach(() => {
+    engine.dispose();
+    jest.restoreAllMocks();
+  });
+
+  // Poll at the given call times, in seconds
+  const pollAt = async (...times) => {
+    for (const time of times) {
+      now = time * 1000;
+      await engine._poll();
+    }
+  };
+
+  test('needs two polls to compute rates', async () => {
+    engine.addPeer('bob', () => Promise.resolve(audioStats(now / 1000)));
+
+    await pollAt(2);
+    expect(engine.getSample('bob')).toBeNull();
+
+    await pollAt(4);
+    const sample = engine.getSample('bob');
+
+    expect(sample.audio.inbound.bitrate).toBe(32000);
+    expect(sample.audio.inbound.packetLoss).toBe(0);
+    expect(sample.audio.outbound.roundTripTime).toBe(50);
+    expect(sample.video).toEqual({ inbound: null, outbound: null });
+    expect(sample.rtt).toBe(50);
+    expect(sample.connection.remoteCandidate).toMatchObject({ type: 'srflx', address: '203.0.113.7' });
+    expect(sample.score).toBeGreaterThan(90);
+  });
+
+  test('scores a peer by its worst stream', async () => {
+    engine.addPeer('bob', () => Promise.resolve(audioStats(now / 1000, { lossRate: 0.2 })));
+    await pollAt(2, 4);
+
+    const sample = engine.getSample('bob');
+
+    expect(sample.audio.inbound.packetLoss).toBeCloseTo(0.2, 2);
+    expect(sample.mos).toBe(sample.audio.inbound.mos);
+    expect(sample.audio.inbound.mos).toBeLessThan(sample.audio.outbound.mos);
+    expect(sample.score).toBeLessThan(50);
+  });
+
+  test('notifies subscribers of the peer and of every peer', async () => {
+    const forBob = jest.fn();
+    const forAll = jest.fn();
+    const onUpdate = jest.fn();
+
+    engine.onUpdate = onUpdate;
+    engine.addPeer('bob', () => Promise.resolve(audioStats(now / 1000)));
+    engine.addPeer('carol', () => Promise.resolve(audioStats(now / 1000)));
+    engine.subscribe('bob', forBob);
+    const unsubscribe = engine.subscribe(ALL_PEERS, forAll);
+
+    await pollAt(2, 4);
+    expect(forBob).toHaveBeenCalledTimes(1);
+    expect(forAll).toHaveBeenCalledTimes(2);
+    expect(onUpdate.mock.calls[0][0].map(sample => sample.peerId)).toEqual(['bob', 'carol']);
+
+    unsubscribe();
+    await pollAt(6);
+    expect(forAll).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps a bounded history, also after the peer leaves', async () => {
+    engine.addPeer('bob', () => Promise.resolve(audioStats(now / 1000)));
+    await pollAt(2, 4, 6, 8);
+
+    expect(engine.getHistory('bob').map(sample => sample.timestamp)).toEqual([6000, 8000]);
+
+    engine.removePeer('bob');
+    expect(engine.getSample('bob')).toBeNull();
+    expect(Object.keys(engine.getHistories())).toEqual(['bob']);
+  });
+
+  test('skips peers whose stats fail', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    engine.addPeer('bob', () => Promise.reject(new Error('closed')));
+
+    await pollAt(2, 4);
+    expect(engine.getSamples()).toEqual([]);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * WAV files for recorded audio
+ *
+ * PCM stems are written as 16-bit little-endian WAV. While recording, the
+ * RIFF and data sizes are not known yet, so the header carries 0xFFFFFFFF
+ * (which most tools read as "until the end of the file") and WavFixup patches
+ * the real sizes in when the recording stops, or when a cut-off recording is
+ * repaired. It works like WebmFixup, so both go through the same storage code.
+ *
+ * The module has no DOM dependencies.
+ */
+
+export const WAV_TYPE = 'audio/wav';
+
+const HEADER_LENGTH = 44;
+const UNKNOWN_SIZE = 0xFFFFFFFF;
+const BITS_PER_SAMPLE = 16;
+
+/**
+ * Build a WAV header for 16-bit PCM
+ * @param {Object} format - Audio format
+ * @param {number} format.sampleRate - Samples per second
+ * @param {number} [format.channels=1] - Channel count
+ * @param {number} [format.dataLength] - Bytes of samples, if known
+ * @returns {Uint8Array} 44-byte header
+ */
+export function encodeWavHeader({ sampleRate, channels = 1, dataLength = UNKNOWN_SIZE }) {
+  const header = new Uint8Array(HEADER_LENGTH);
+  const view = new DataView(header.buffer);
+  const blockAlign = channels * BITS_PER_SAMPLE / 8;
+  const ascii = (offset, text) => header.set(Array.from(text, c => c.charCodeAt(0)), offset);
+
+  ascii(0, 'RIFF');
+  view.setUint32(4, dataLength === UNKNOWN_SIZE ? UNKNOWN_SIZE : 36 + dataLength, true);
+  ascii(8, 'WAVE');
+  ascii(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, BITS_PER_SAMPLE, true);
+  ascii(36, 'data');
+  view.setUint32(40, dataLength, true);
+
+  return header;
+}
+
+/**
+ * Convert samples to 16-bit PCM
+ * @param {Float32Array} samples - Samples between -1 and 1
+ * @returns {Uint8Array} Little-endian PCM bytes
+ */
+export function encodePcm16(samples) {
+  const bytes = new Uint8Array(samples.length * 2);
+  const view = new DataView(bytes.buffer);
+
+  samples.forEach((sample, index) => {
+    const clamped = Math.max(-1, Math.min(1, sample));
+    view.setInt16(index * 2, clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF, true);
+  });
+
+  return bytes;
+}
+
+/**
+ * Encode a little-endian 32-bit size
+ * @param {number} value - Size
+ * @returns {Uint8Array} Four bytes
+ * @private
+ */
+function encodeUint32(value) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value, true);
+  return bytes;
+}
+
+/**
+ * WAV fix-up
+ * Same interface as WebmFixup: bytes pass through unchanged, and `finish()`
+ * returns the patches that write the real sizes into the header.
+ */
+export class WavFixup {
+  constructor() {
+    this.header = new Uint8Array(0);
+    this.position = 0;
+    this.pending = new Uint8Array(0); // Never holds anything back; kept for WebmFixup's interface
+  }
+
+  /**
+   * Pass the next bytes of the recording through
+   * @param {Uint8Array} chunk - Recorded bytes, in order
+   * @returns {Uint8Array[]} Bytes to write, in order
+   */
+  push(chunk) {
+    if (this.header.length < HEADER_LENGTH) {
+      const header = new Uint8Array(Math.min(HEADER_LENGTH, this.header.length + chunk.length));
+      header.set(this.header, 0);
+      header.set(chunk.subarray(0, header.length - this.header.length), this.header.length);
+      this.header = header;
+    }
+
+    this.position += chunk.length;
+    return chunk.length > 0 ? [chunk] : [];
+  }
+
+  /**
+   * Work out the sizes once the whole recording went through
+   * @returns {Object|null} `{ length, tail, patches }` as in WebmFixup, or
+   * null if this is not a WAV file written by encodeWavHeader
+   */
+  finish() {
+    const text = (offset) => String.fromCharCode(...this.header.subarray(offset, offset + 4));
+
+    if (this.header.length < HEADER_LENGTH || text(0) !== 'RIFF' || text(8) !== 'WAVE' || text(36) !== 'data') {
+      return null;
+    }
+
+    // A torn write can leave half a sample frame
+    const blockAlign = new DataView(this.header.buffer, this.header.byteOffset).getUint16(32, true) || 1;
+    const dataLength = Math.min(this.position - HEADER_LENGTH, UNKNOWN_SIZE - 36);
+    const alignedLength = dataLength - (dataLength % blockAlign);
+
+    return {
+      length: HEADER_LENGTH + alignedLength,
+      tail: new Uint8Array(0),
+      patches: [
+        { position: 4, bytes: encodeUint32(36 + alignedLength) },
+        { position: 40, bytes: encodeUint32(alignedLength) }
+      ]
+    };
+  }
+}
+
+/**
+ * Check whether a recording's MIME type is WAV
+ * @param {string} mimeType - MIME type the recorder used
+ * @returns {boolean} True for WAV
+ */
+export const isWavType = (mimeType) => typeof mimeType === 'string' &&
+  (mimeType.startsWith(WAV_TYPE) || mimeType.startsWith('audio/wave') || mimeType.startsWith('audio/x-wav'));
+
+const wavFormat = {
+  WAV_TYPE,
+  encodeWavHeader,
+  encodePcm16,
+  WavFixup,
+  isWavType
+};
+
+export default wavFormat;
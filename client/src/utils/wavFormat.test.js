@@ -0,0 +1,77 @@
+/**
+ * @jest-environment node
+ */
+import { encodeWavHeader, encodePcm16, WavFixup, isWavType } from './wavFormat';
+
+const text = (bytes, offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+const view = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+describe('wavFormat', () => {
+  test('writes a 16-bit PCM header', () => {
+    const header = encodeWavHeader({ sampleRate: 48000, channels: 2, dataLength: 1000 });
+
+    expect(header).toHaveLength(44);
+    expect([text(header, 0), text(header, 8), text(header, 12), text(header, 36)]).toEqual(['RIFF', 'WAVE', 'fmt ', 'data']);
+    expect(view(header).getUint32(4, true)).toBe(1036);
+    expect(view(header).getUint16(22, true)).toBe(2);
+    expect(view(header).getUint32(24, true)).toBe(48000);
+    expect(view(header).getUint32(28, true)).toBe(192000);
+    expect(view(header).getUint16(32, true)).toBe(4);
+    expect(view(header).getUint32(40, true)).toBe(1000);
+  });
+
+  test('leaves the sizes open while recording', () => {
+    const header = encodeWavHeader({ sampleRate: 48000 });
+
+    expect(view(header).getUint32(4, true)).toBe(0xFFFFFFFF);
+    expect(view(header).getUint32(40, true)).toBe(0xFFFFFFFF);
+  });
+
+  test('converts and clamps samples', () => {
+    const pcm = view(encodePcm16(Float32Array.from([0, 1, -1, 0.5, 2, -2])));
+
+    expect([0, 1, 2, 3, 4, 5].map(i => pcm.getInt16(i * 2, true))).toEqual([0, 32767, -32768, 16383, 32767, -32768]);
+  });
+
+  test('patches the real sizes in', () => {
+    const fixup = new WavFixup();
+    const header = encodeWavHeader({ sampleRate: 8000 });
+    const samples = encodePcm16(new Float32Array(100));
+
+    // The header can arrive split across chunks
+    const output = [header.subarray(0, 10), header.subarray(10), samples].flatMap(chunk => fixup.push(chunk));
+    const result = fixup.finish();
+
+    expect(output.reduce((total, chunk) => total + chunk.length, 0)).toBe(244);
+    expect(result.length).toBe(244);
+    expect(result.tail).toHaveLength(0);
+    expect(result.patches).toEqual([
+      { position: 4, bytes: Uint8Array.of(236, 0, 0, 0) },
+      { position: 40, bytes: Uint8Array.of(200, 0, 0, 0) }
+    ]);
+  });
+
+  test('cuts a torn write back to whole sample frames', () => {
+    const fixup = new WavFixup();
+
+    fixup.push(encodeWavHeader({ sampleRate: 8000, channels: 2 }));
+    fixup.push(new Uint8Array(4 * 10 + 3));
+
+    expect(fixup.finish().length).toBe(44 + 40);
+  });
+
+  test('gives up on anything else', () => {
+    const fixup = new WavFixup();
+    fixup.push(new Uint8Array(100));
+
+    expect(fixup.finish()).toBeNull();
+    expect(new WavFixup().finish()).toBeNull();
+  });
+
+  test('recognises WAV types', () => {
+    expect(isWavType('audio/wav')).toBe(true);
+    expect(isWavType('audio/x-wav')).toBe(true);
+    expect(isWavType('audio/webm')).toBe(false);
+    expect(isWavType(null)).toBe(false);
+  });
+});
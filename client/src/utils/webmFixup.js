@@ -0,0 +1,755 @@
+/**
+ * WebM fix-up for MediaRecorder output
+ *
+ * MediaRecorder writes WebM as a live stream: the Segment has no size, Info
+ * has no Duration and there are no Cues, so players cannot show the length
+ * or seek. Fixing that afterwards normally means rewriting the whole file.
+ * Instead, the recording passes through WebmFixup while it is written:
+ *
+ * - the Segment size is written as an 8-byte placeholder,
+ * - a Void element right after the Segment header reserves room for a SeekHead,
+ * - Info gets a Duration placeholder (in timecode scale units, like block times),
+ *
+ * and everything after that passes through unchanged while clusters and
+ * keyframes are noted. `finish()` then returns a handful of small patches
+ * for the start of the file plus a Cues element to append, so the file on
+ * disk is fixed up in place.
+ *
+ * Running an already prepared file through it changes nothing, which is how
+ * a recording cut off by a crash is fixed up later: `finish()` also says
+ * where the last complete element ends, so a torn write can be cut off.
+ * Anything that does not look like WebM passes through untouched.
+ *
+ * The module has no DOM dependencies.
+ */
+
+// Element IDs
+const EBML = 0x1A45DFA3;
+const SEGMENT = 0x18538067;
+const SEEK_HEAD = 0x114D9B74;
+const SEEK = 0x4DBB;
+const SEEK_ID = 0x53AB;
+const SEEK_POSITION = 0x53AC;
+const INFO = 0x1549A966;
+const DURATION = 0x4489;
+const TRACKS = 0x1654AE6B;
+const TRACK_ENTRY = 0xAE;
+const TRACK_NUMBER = 0xD7;
+const TRACK_TYPE = 0x83;
+const CLUSTER = 0x1F43B675;
+const CLUSTER_TIMECODE = 0xE7;
+const SIMPLE_BLOCK = 0xA3;
+const CUES = 0x1C53BB6B;
+const CUE_POINT = 0xBB;
+const CUE_TIME = 0xB3;
+const CUE_TRACK_POSITIONS = 0xB7;
+const CUE_TRACK = 0xF7;
+const CUE_CLUSTER_POSITION = 0xF1;
+const VOID = 0xEC;
+
+// Segment children that end a cluster of unknown size
+const TOP_LEVEL_IDS = new Set([SEEK_HEAD, INFO, TRACKS, CLUSTER, CUES, 0x1043A770, 0x1941A469, 0x1254C367]);
+
+const VIDEO_TRACK_TYPE = 1;
+const KEYFRAME_FLAG = 0x80;
+const SIZE_PLACEHOLDER_LENGTH = 8;
+const VOID_HEADER_LENGTH = 1 + SIZE_PLACEHOLDER_LENGTH;
+const SEEK_HEAD_RESERVE = 160; // Room for a SeekHead to Info, Tracks and Cues
+const MAX_HEADER_ELEMENT_SIZE = 1024 * 1024; // Info and Tracks are read whole
+
+const STATES = {
+  EBML: 'ebml',
+  SEGMENT: 'segment',
+  TOP: 'top',
+  CLUSTER: 'cluster',
+  PASSTHROUGH: 'passthrough'
+};
+
+/**
+ * Read an element ID
+ * @param {Uint8Array} bytes - Buffer
+ * @param {number} pos - Offset
+ * @returns {Object|null} `{ id, length }`, or null if the buffer ends first
+ * @private
+ */
+function readId(bytes, pos) {
+  if (pos >= bytes.length) {
+    return null;
+  }
+
+  const length = Math.clz32(bytes[pos]) - 23;
+
+  if (length < 1 || length > 4) {
+    throw new Error('Invalid EBML element ID');
+  }
+
+  if (pos + length > bytes.length) {
+    return null;
+  }
+
+  let id = 0;
+  for (let i = 0; i < length; i++) {
+    id = id * 256 + bytes[pos + i];
+  }
+
+  return { id, length };
+}
+
+/**
+ * Read an element size
+ * @param {Uint8Array} bytes - Buffer
+ * @param {number} pos - Offset
+ * @returns {Object|null} `{ size, length }` (size is Infinity when unknown), or null if the buffer ends first
+ * @private
+ */
+function readSize(bytes, pos) {
+  if (pos >= bytes.length) {
+    return null;
+  }
+
+  const length = Math.clz32(bytes[pos]) - 23;
+
+  if (length < 1 || length > 8) {
+    throw new Error('Invalid EBML element size');
+  }
+
+  if (pos + length > bytes.length) {
+    return null;
+  }
+
+  const mask = 0xFF >> length;
+  let size = bytes[pos] & mask;
+  let unknown = size === mask;
+
+  for (let i = 1; i < length; i++) {
+    size = size * 256 + bytes[pos + i];
+    unknown = unknown && bytes[pos + i] === 0xFF;
+  }
+
+  return { size: unknown ? Infinity : size, length };
+}
+
+/**
+ * Read an element header
+ * @param {Uint8Array} bytes - Buffer
+ * @param {number} pos - Offset
+ * @returns {Object|null} `{ id, size, idLength, headerLength }`, or null if the buffer ends first
+ * @private
+ */
+function readHeader(bytes, pos) {
+  const id = readId(bytes, pos);
+  const size = id && readSize(bytes, pos + id.length);
+
+  if (!size) {
+    return null;
+  }
+
+  return { id: id.id, size: size.size, idLength: id.length, headerLength: id.length + size.length };
+}
+
+/**
+ * Read an unsigned integer payload
+ * @param {Uint8Array} bytes - Payload
+ * @returns {number} Value
+ * @private
+ */
+function readUint(bytes) {
+  return bytes.reduce((value, byte) => value * 256 + byte, 0);
+}
+
+/**
+ * Walk the children of a master element payload
+ * @param {Uint8Array} payload - Master element payload
+ * @param {Function} callback - Called with (id, childPayload, payloadOffset)
+ * @private
+ */
+function forEachChild(payload, callback) {
+  let pos = 0;
+
+  while (pos < payload.length) {
+    const header = readHeader(payload, pos);
+
+    if (!header || header.size === Infinity || pos + header.headerLength + header.size > payload.length) {
+      return;
+    }
+
+    const start = pos + header.headerLength;
+    callback(header.id, payload.subarray(start, start + header.size), start);
+    pos = start + header.size;
+  }
+}
+
+/**
+ * Encode an EBML variable-size integer
+ * @param {number} value - Value
+ * @param {number} [length] - Byte length, the shortest that fits by default
+ * @returns {Uint8Array} Encoded value
+ * @private
+ */
+function encodeSize(value, length = 0) {
+  let size = length;
+
+  if (!size) {
+    size = 1;
+    while (value >= Math.pow(2, 7 * size) - 1) {
+      size++;
+    }
+  }
+
+  const bytes = new Uint8Array(size);
+  let rest = value;
+
+  for (let i = size - 1; i >= 0; i--) {
+    bytes[i] = rest % 256;
+    rest = Math.floor(rest / 256);
+  }
+
+  bytes[0] |= 0x80 >> (size - 1);
+  return bytes;
+}
+
+/**
+ * Encode an unsigned integer (also element IDs) in as few bytes as possible
+ * @param {number} value - Value
+ * @returns {Uint8Array} Big-endian bytes
+ * @private
+ */
+function encodeUint(value) {
+  const bytes = [];
+  let rest = value;
+
+  do {
+    bytes.unshift(rest % 256);
+    rest = Math.floor(rest / 256);
+  } while (rest > 0);
+
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Join byte arrays
+ * @param {Uint8Array[]} parts - Byte arrays
+ * @returns {Uint8Array} Concatenation
+ * @private
+ */
+function concat(parts) {
+  const output = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  let offset = 0;
+
+  parts.forEach(part => {
+    output.set(part, offset);
+    offset += part.length;
+  });
+
+  return output;
+}
+
+/**
+ * Encode an element
+ * @param {number} id - Element ID
+ * @param {Uint8Array} payload - Payload
+ * @returns {Uint8Array} Encoded element
+ * @private
+ */
+function encodeElement(id, payload) {
+  return concat([encodeUint(id), encodeSize(payload.length), payload]);
+}
+
+/**
+ * Encode a float payload of the given width
+ * @param {number} value - Value
+ * @param {number} length - 4 or 8 bytes
+ * @returns {Uint8Array} Big-endian float
+ * @private
+ */
+function encodeFloat(value, length) {
+  const bytes = new Uint8Array(length);
+  const view = new DataView(bytes.buffer);
+
+  if (length === 4) {
+    view.setFloat32(0, value);
+  } else {
+    view.setFloat64(0, value);
+  }
+
+  return bytes;
+}
+
+/**
+ * Streaming WebM fix-up
+ * Feed it the recording in order; write what `push` returns, then apply `finish()`.
+ */
+export class WebmFixup {
+  constructor() {
+    this.state = STATES.EBML;
+    this.pending = new Uint8Array(0); // Bytes of an element header or a small element still incomplete
+    this.position = 0; // Output offset
+    this.skip = 0; // Payload bytes to pass through before the next element
+    this.lastComplete = 0; // Output offset after the last complete element
+
+    this.segmentSizePosition = null;
+    this.segmentDataStart = null;
+    this.reserve = null; // { position, size } of the Void reserved for the SeekHead
+    this.infoPosition = null;
+    this.tracksPosition = null;
+    this.duration = null; // { position, length } of the Duration payload
+    this.cueTrack = null;
+    this.cueTrackType = null;
+    this.cluster = null; // Cluster being read
+    this.cues = []; // { time, position } per cluster that starts with a keyframe
+    this.blockTime = null; // Time of the block being passed through
+    this.maxTime = 0;
+  }
+
+  /**
+   * Pass the next bytes of the recording through
+   * @param {Uint8Array} chunk - Recorded bytes, in order
+   * @returns {Uint8Array[]} Bytes to write, in order
+   */
+  push(chunk) {
+    const output = [];
+    const bytes = this.pending.length > 0 ? concat([this.pending, chunk]) : chunk;
+    let pos = 0;
+
+    const emit = (piece) => {
+      if (piece.length > 0) {
+        output.push(piece);
+        this.position += piece.length;
+      }
+    };
+
+    while (pos < bytes.length) {
+      if (this.skip > 0 || this.state === STATES.PASSTHROUGH) {
+        const count = this.state === STATES.PASSTHROUGH ? bytes.length - pos : Math.min(this.skip, bytes.length - pos);
+
+        emit(bytes.subarray(pos, pos + count));
+        pos += count;
+
+        if (this.state !== STATES.PASSTHROUGH) {
+          this.skip -= count;
+
+          if (this.skip === 0) {
+            this._completeElement();
+          }
+        }
+        continue;
+      }
+
+      let consumed;
+
+      try {
+        consumed = this._step(bytes, pos, emit);
+      } catch (error) {
+        // Not WebM as expected; leave the rest alone
+        this.state = STATES.PASSTHROUGH;
+        continue;
+      }
+
+      if (consumed === null) {
+        break;
+      }
+
+      pos += consumed;
+    }
+
+    this.pending = bytes.slice(pos);
+    return output;
+  }
+
+  /**
+   * Work out the fix-up once the whole recording went through
+   * @returns {Object|null} `{ length, tail, patches }`: cut the file at `length`,
+   * append `tail` and write each `{ position, bytes }` patch; null if the
+   * recording cannot be fixed up
+   */
+  finish() {
+    if (this.state === STATES.PASSTHROUGH || this.state === STATES.EBML ||
+        this.state === STATES.SEGMENT || !this.reserve || this.infoPosition === null) {
+      return null;
+    }
+
+    const length = this.lastComplete;
+    const patches = [];
+
+    // A cluster with a known size that was cut off
+    if (this.cluster && this.cluster.end !== Infinity && this.cluster.end > length) {
+      patches.push({
+        position: this.cluster.sizePosition,
+        bytes: encodeSize(length - this.cluster.dataStart, this.cluster.sizeLength)
+      });
+    }
+
+    const cues = this.cues.filter(cue => cue.position + this.segmentDataStart < length);
+    const tail = cues.length > 0
+      ? encodeElement(CUES, concat(cues.map(cue => encodeElement(CUE_POINT, concat([
+        encodeElement(CUE_TIME, encodeUint(cue.time)),
+        encodeElement(CUE_TRACK_POSITIONS, concat([
+          encodeElement(CUE_TRACK, encodeUint(this.cueTrack)),
+          encodeElement(CUE_CLUSTER_POSITION, encodeUint(cue.position))
+        ]))
+      ])))))
+      : new Uint8Array(0);
+
+    // SeekHead in the reserved space, the rest stays Void
+    const seeks = [[INFO, this.infoPosition], [TRACKS, this.tracksPosition]];
+    if (tail.length > 0) {
+      seeks.push([CUES, length - this.segmentDataStart]);
+    }
+
+    const seekHead = encodeElement(SEEK_HEAD, concat(seeks
+      .filter(([, position]) => position !== null)
+      .map(([id, position]) => encodeElement(SEEK, concat([
+        encodeElement(SEEK_ID, encodeUint(id)),
+        encodeElement(SEEK_POSITION, encodeUint(position))
+      ])))));
+
+    const rest = this.reserve.size - seekHead.length;
+
+    if (rest >= VOID_HEADER_LENGTH) {
+      patches.push({
+        position: this.reserve.position,
+        bytes: concat([seekHead, Uint8Array.of(VOID), encodeSize(rest - VOID_HEADER_LENGTH, SIZE_PLACEHOLDER_LENGTH)])
+      });
+    }
+
+    if (this.duration) {
+      patches.push({ position: this.duration.position, bytes: encodeFloat(this.maxTime, this.duration.length) });
+    }
+
+    patches.push({
+      position: this.segmentSizePosition,
+      bytes: encodeSize(length + tail.length - this.segmentDataStart, SIZE_PLACEHOLDER_LENGTH)
+    });
+
+    return { length, tail, patches };
+  }
+
+  /**
+   * Handle the element at `pos`
+   * @param {Uint8Array} bytes - Buffer
+   * @param {number} pos - Offset
+   * @param {Function} emit - Writes output bytes
+   * @returns {number|null} Bytes consumed (0 after a state change), or null if more input is needed
+   * @private
+   */
+  _step(bytes, pos, emit) {
+    const header = readHeader(bytes, pos);
+
+    if (!header) {
+      return null;
+    }
+
+    switch (this.state) {
+      case STATES.EBML:
+        return this._readEbml(bytes, pos, header, emit);
+      case STATES.SEGMENT:
+        return this._readSegment(bytes, pos, header, emit);
+      case STATES.CLUSTER:
+        return this._readClusterChild(bytes, pos, header, emit);
+      default:
+        return this._readSegmentChild(bytes, pos, header, emit);
+    }
+  }
+
+  /**
+   * EBML header: passed through whole
+   * @private
+   */
+  _readEbml(bytes, pos, header, emit) {
+    if (header.id !== EBML || header.size === Infinity) {
+      throw new Error('Not a WebM file');
+    }
+
+    const end = pos + header.headerLength + header.size;
+
+    if (end > bytes.length) {
+      return null;
+    }
+
+    emit(bytes.subarray(pos, end));
+    this.lastComplete = this.position;
+    this.state = STATES.SEGMENT;
+    return end - pos;
+  }
+
+  /**
+   * Segment header: the size becomes an 8-byte placeholder
+   * @private
+   */
+  _readSegment(bytes, pos, header, emit) {
+    if (header.id !== SEGMENT) {
+      throw new Error('Not a WebM file');
+    }
+
+    emit(bytes.subarray(pos, pos + header.idLength));
+    this.segmentSizePosition = this.position;
+
+    if (header.headerLength - header.idLength === SIZE_PLACEHOLDER_LENGTH) {
+      emit(bytes.subarray(pos + header.idLength, pos + header.headerLength));
+    } else {
+      emit(Uint8Array.of(0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF));
+    }
+
+    this.segmentDataStart = this.position;
+    this.lastComplete = this.position;
+    this.state = STATES.TOP;
+    return header.headerLength;
+  }
+
+  /**
+   * Segment children: reserve room for the SeekHead, add a Duration to Info,
+   * find the track to cue and note each cluster
+   * @private
+   */
+  _readSegmentChild(bytes, pos, header, emit) {
+    // The reserved Void comes first; a prepared file already has it
+    if (!this.reserve) {
+      this.reserve = { position: this.position, size: SEEK_HEAD_RESERVE };
+
+      if (header.id === VOID && header.headerLength + header.size >= SEEK_HEAD_RESERVE) {
+        this.reserve.size = header.headerLength + header.size;
+      } else {
+        const reserve = new Uint8Array(SEEK_HEAD_RESERVE);
+        reserve[0] = VOID;
+        reserve.set(encodeSize(SEEK_HEAD_RESERVE - VOID_HEADER_LENGTH, SIZE_PLACEHOLDER_LENGTH), 1);
+        emit(reserve);
+        this.lastComplete = this.position;
+        return 0;
+      }
+    }
+
+    if (header.id === CLUSTER) {
+      emit(bytes.subarray(pos, pos + header.headerLength));
+      this.cluster = {
+        position: this.position - header.headerLength - this.segmentDataStart,
+        sizePosition: this.position - header.headerLength + header.idLength,
+        sizeLength: header.headerLength - header.idLength,
+        dataStart: this.position,
+        end: header.size === Infinity ? Infinity : this.position + header.size,
+        timecode: 0,
+        checked: false
+      };
+      this.lastComplete = this.position;
+      this.state = STATES.CLUSTER;
+      return header.headerLength;
+    }
+
+    if (header.size === Infinity) {
+      throw new Error('Unexpected element of unknown size');
+    }
+
+    if (header.id !== INFO && header.id !== TRACKS) {
+      emit(bytes.subarray(pos, pos + header.headerLength));
+      this.skip = header.size;
+
+      if (this.skip === 0) {
+        this._completeElement();
+      }
+      return header.headerLength;
+    }
+
+    if (header.size > MAX_HEADER_ELEMENT_SIZE) {
+      throw new Error('Header element too large');
+    }
+
+    const end = pos + header.headerLength + header.size;
+
+    if (end > bytes.length) {
+      return null;
+    }
+
+    const payload = bytes.subarray(pos + header.headerLength, end);
+
+    if (header.id === TRACKS) {
+      this._readTracks(payload);
+      this.tracksPosition = this.position - this.segmentDataStart;
+      emit(bytes.subarray(pos, end));
+    } else {
+      this._writeInfo(payload, emit);
+    }
+
+    this.lastComplete = this.position;
+    return end - pos;
+  }
+
+  /**
+   * Write Info, with a Duration placeholder unless it has one
+   * @param {Uint8Array} payload - Info payload
+   * @param {Function} emit - Writes output bytes
+   * @private
+   */
+  _writeInfo(payload, emit) {
+    let duration = null;
+
+    forEachChild(payload, (id, child, offset) => {
+      if (id === DURATION && (child.length === 4 || child.length === 8)) {
+        duration = { offset, length: child.length };
+      }
+    });
+
+    const content = duration
+      ? payload
+      : concat([payload, encodeElement(DURATION, new Uint8Array(8))]);
+
+    const header = concat([encodeUint(INFO), encodeSize(content.length)]);
+
+    this.infoPosition = this.position - this.segmentDataStart;
+    this.duration = duration
+      ? { position: this.position + header.length + duration.offset, length: duration.length }
+      : { position: this.position + header.length + content.length - 8, length: 8 };
+
+    emit(header);
+    emit(content);
+  }
+
+  /**
+   * Pick the track to cue: the first video track, else the first track
+   * @param {Uint8Array} payload - Tracks payload
+   * @private
+   */
+  _readTracks(payload) {
+    forEachChild(payload, (id, entry) => {
+      if (id !== TRACK_ENTRY) {
+        return;
+      }
+
+      let number = null;
+      let type = null;
+
+      forEachChild(entry, (childId, child) => {
+        if (childId === TRACK_NUMBER) {
+          number = readUint(child);
+        } else if (childId === TRACK_TYPE) {
+          type = readUint(child);
+        }
+      });
+
+      if (number !== null && (this.cueTrack === null || (type === VIDEO_TRACK_TYPE && this.cueTrackType !== VIDEO_TRACK_TYPE))) {
+        this.cueTrack = number;
+        this.cueTrackType = type;
+      }
+    });
+  }
+
+  /**
+   * Cluster children: the cluster timecode and the first block of the cued track
+   * @private
+   */
+  _readClusterChild(bytes, pos, header, emit) {
+    const cluster = this.cluster;
+
+    if (this.position >= cluster.end || (cluster.end === Infinity && TOP_LEVEL_IDS.has(header.id))) {
+      this.state = STATES.TOP;
+      return 0;
+    }
+
+    if (header.size === Infinity) {
+      throw new Error('Unexpected element of unknown size');
+    }
+
+    if (header.id === CLUSTER_TIMECODE) {
+      const end = pos + header.headerLength + header.size;
+
+      if (end > bytes.length) {
+        return null;
+      }
+
+      cluster.timecode = readUint(bytes.subarray(pos + header.headerLength, end));
+      emit(bytes.subarray(pos, end));
+      this.lastComplete = this.position;
+      return end - pos;
+    }
+
+    if (header.id === SIMPLE_BLOCK) {
+      // Track number, relative timecode and flags lead the block
+      const start = pos + header.headerLength;
+      const track = readSize(bytes, start);
+
+      if (!track || start + track.length + 3 > bytes.length) {
+        return null;
+      }
+
+      const relative = new DataView(bytes.buffer, bytes.byteOffset + start + track.length, 2).getInt16(0);
+      const flags = bytes[start + track.length + 2];
+      const time = Math.max(0, cluster.timecode + relative);
+
+      this.blockTime = time;
+
+      if (track.size === this.cueTrack && !cluster.checked) {
+        cluster.checked = true;
+
+        if (flags & KEYFRAME_FLAG) {
+          this.cues.push({ time, position: cluster.position });
+        }
+      }
+    }
+
+    emit(bytes.subarray(pos, pos + header.headerLength));
+    this.skip = header.size;
+
+    if (this.skip === 0) {
+      this._completeElement();
+    }
+    return header.headerLength;
+  }
+
+  /**
+   * Note that the element passed through last is complete
+   * A block's time only counts toward the Duration once the whole block is
+   * in, so a torn block cut off by `finish()` does not lengthen it.
+   * @private
+   */
+  _completeElement() {
+    this.lastComplete = this.position;
+
+    if (this.blockTime !== null) {
+      this.maxTime = Math.max(this.maxTime, this.blockTime);
+      this.blockTime = null;
+    }
+  }
+}
+
+/**
+ * Apply a fix-up to a recording held in memory
+ * @param {Uint8Array} bytes - Recording as written through WebmFixup
+ * @param {Object} fixup - Result of `finish()`
+ * @returns {Uint8Array} Fixed-up recording
+ */
+export function applyWebmFixup(bytes, { length, tail, patches }) {
+  const output = new Uint8Array(length + tail.length);
+
+  output.set(bytes.subarray(0, length), 0);
+  output.set(tail, length);
+  patches.forEach(patch => output.set(patch.bytes, patch.position));
+
+  return output;
+}
+
+/**
+ * Make a WebM recording held in memory seekable
+ * @param {Uint8Array[]} chunks - Recorded bytes, in order
+ * @returns {Uint8Array} Fixed-up recording, or the joined chunks if it is not WebM
+ */
+export function fixWebm(chunks) {
+  const fixup = new WebmFixup();
+  const bytes = concat(chunks.flatMap(chunk => fixup.push(chunk)));
+  const result = fixup.finish();
+
+  return result ? applyWebmFixup(bytes, result) : bytes;
+}
+
+/**
+ * Check whether a recording's MIME type can be fixed up
+ * @param {string} mimeType - MIME type the recorder used
+ * @returns {boolean} True for WebM, with or without video
+ */
+export const isWebmType = (mimeType) => typeof mimeType === 'string' && /^(video|audio)\/webm/.test(mimeType);
+
+const webmFixup = {
+  WebmFixup,
+  applyWebmFixup,
+  fixWebm,
+  isWebmType
+};
+
+export default webmFixup;
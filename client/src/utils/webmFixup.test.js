@@ -0,0 +1,133 @@
+/**
+ * @jest-environment node
+ */
+import { WebmFixup, applyWebmFixup, fixWebm, isWebmType } from './webmFixup';
+
+// Just enough EBML to build the live WebM that MediaRecorder writes
+const uint = (value, length = 1) => Uint8Array.from({ length }, (_, i) => (value >> (8 * (length - 1 - i))) & 0xFF);
+const join = (...parts) => {
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  parts.reduce((offset, part) => {
+    output.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return output;
+};
+const size = (value) => value < 0x7F ? uint(0x80 | value) : uint(0x4000 | value, 2);
+const element = (id, ...payload) => {
+  const content = join(...payload);
+  return join(id, size(content.length), content);
+};
+const UNKNOWN_SIZE = uint(0xFF);
+
+const ebmlHeader = element(uint(0x1A45DFA3, 4), element(uint(0x4282, 2), Uint8Array.from([0x77, 0x65, 0x62, 0x6D])));
+const info = element(uint(0x1549A966, 4), element(uint(0x2AD7B1, 3), uint(1000000, 3)));
+const tracks = element(uint(0x1654AE6B, 4),
+  element(uint(0xAE), element(uint(0xD7), uint(1)), element(uint(0x83), uint(2))),
+  element(uint(0xAE), element(uint(0xD7), uint(2)), element(uint(0x83), uint(1))));
+const block = (track, time, keyframe, length = 20) =>
+  element(uint(0xA3), size(track), uint(time, 2), uint(keyframe ? 0x80 : 0), new Uint8Array(length));
+const cluster = (timecode, ...blocks) => join(uint(0x1F43B675, 4), UNKNOWN_SIZE, element(uint(0xE7), uint(timecode, 2)), ...blocks);
+
+const recording = (...clusters) => join(ebmlHeader, uint(0x18538067, 4), UNKNOWN_SIZE, info, tracks, ...clusters);
+
+const indexOfBytes = (bytes, needle, from = 0) => {
+  for (let i = from; i <= bytes.length - needle.length; i++) {
+    if (needle.every((byte, j) => bytes[i + j] === byte)) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+// Duration is written as a float64 in timecode scale units
+const readDuration = (bytes) => {
+  const position = indexOfBytes(bytes, [0x44, 0x89, 0x88]);
+  return new DataView(bytes.buffer, bytes.byteOffset + position + 3, 8).getFloat64(0);
+};
+
+const readSegmentSize = (bytes) => {
+  const position = indexOfBytes(bytes, [0x18, 0x53, 0x80, 0x67]) + 4;
+  return bytes.slice(position + 1, position + 8).reduce((value, byte) => value * 256 + byte, 0);
+};
+
+const feed = (fixup, bytes, chunkSize) => {
+  const output = [];
+  for (let pos = 0; pos < bytes.length; pos += chunkSize) {
+    output.push(...fixup.push(bytes.subarray(pos, pos + chunkSize)));
+  }
+  return join(...output);
+};
+
+describe('webmFixup', () => {
+  const file = recording(
+    cluster(0, block(2, 0, true), block(1, 10, true), block(2, 33, false)),
+    cluster(1000, block(1, 0, true), block(2, 0, true), block(2, 500, false))
+  );
+
+  test('writes the duration, the segment size and cues', () => {
+    const fixed = fixWebm([file]);
+    const segmentStart = indexOfBytes(fixed, [0x18, 0x53, 0x80, 0x67]) + 12;
+
+    expect(readDuration(fixed)).toBe(1500);
+    expect(readSegmentSize(fixed)).toBe(fixed.length - segmentStart);
+
+    // One cue per cluster that starts with a keyframe of the video track
+    const cues = indexOfBytes(fixed, [0x1C, 0x53, 0xBB, 0x6B]);
+    expect(cues).toBeGreaterThan(0);
+    expect(indexOfBytes(fixed, [0xBB], cues)).toBeGreaterThan(cues);
+    expect(indexOfBytes(fixed, [0x11, 0x4D, 0x9B, 0x74])).toBe(segmentStart);
+  });
+
+  test('gives the same result however the recording is chunked', () => {
+    const whole = fixWebm([file]);
+
+    [1, 7, 64].forEach(chunkSize => {
+      const fixup = new WebmFixup();
+      const bytes = feed(fixup, file, chunkSize);
+
+      expect(applyWebmFixup(bytes, fixup.finish())).toEqual(whole);
+    });
+  });
+
+  test('leaves a prepared file as it is', () => {
+    // Written through the fix-up, but never finished
+    const prepared = feed(new WebmFixup(), file, 100);
+    const fixup = new WebmFixup();
+    const bytes = feed(fixup, prepared, 100);
+
+    expect(bytes).toEqual(prepared);
+    expect(applyWebmFixup(bytes, fixup.finish())).toEqual(fixWebm([file]));
+  });
+
+  test('cuts off a torn block without counting its time', () => {
+    const complete = recording(cluster(0, block(2, 0, true), block(2, 40, false)));
+    const torn = recording(cluster(0, block(2, 0, true), block(2, 40, false), block(2, 900, false, 200)))
+      .subarray(0, complete.length + 60);
+
+    const fixup = new WebmFixup();
+    const bytes = feed(fixup, torn, 32);
+    const result = fixup.finish();
+    const fixed = applyWebmFixup(bytes, result);
+
+    expect(result.length).toBeLessThan(bytes.length);
+    expect(readDuration(fixed)).toBe(40);
+    expect(fixed.subarray(0, result.length)).toEqual(fixWebm([complete]).subarray(0, result.length));
+  });
+
+  test('passes anything else through untouched', () => {
+    const bytes = Uint8Array.from({ length: 100 }, (_, i) => i);
+    const fixup = new WebmFixup();
+
+    expect(feed(fixup, bytes, 30)).toEqual(bytes);
+    expect(fixup.finish()).toBeNull();
+    expect(fixWebm([bytes])).toEqual(bytes);
+  });
+
+  test('recognises WebM types', () => {
+    expect(isWebmType('video/webm;codecs=vp8,opus')).toBe(true);
+    expect(isWebmType('audio/webm')).toBe(true);
+    expect(isWebmType('audio/wav')).toBe(false);
+    expect(isWebmType(undefined)).toBe(false);
+  });
+});
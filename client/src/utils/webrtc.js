@@ -5,20 +5,8 @@
  * with security and privacy as the primary concerns.
  */
 
-// ICE servers configuration - using only STUN servers for NAT traversal
-// No TURN servers to ensure direct peer-to-peer communication
-const ICE_SERVERS = {
-  iceServers: [
-    {
-      urls: [
-        'stun:stun.l.google.com:19302',
-        'stun:stun1.l.google.com:19302',
-        'stun:stun2.l.google.com:19302',
-      ],
-    },
-  ],
-  iceCandidatePoolSize: 10,
-};
+// Pre-gather a few candidates so connecting starts faster
+const ICE_CANDIDATE_POOL_SIZE = 10;
 
 /**
  * Setup a WebRTC peer connection with the appropriate security settings
@@ -26,16 +14,19 @@ const ICE_SERVERS = {
  * @param {Function} options.onIceCandidate Callback for ICE candidate events
  * @param {Function} options.onTrack Callback for track events
  * @param {Function} options.onConnectionStateChange Callback for connection state changes
+ * @param {Array<Object>} [options.iceServers] STUN/TURN servers from the signaling server's `ice-servers` message
  * @returns {RTCPeerConnection} The configured peer connection
  */
 export async function setupPeerConnection({ 
   onIceCandidate, 
   onTrack, 
-  onConnectionStateChange 
+  onConnectionStateChange,
+  iceServers = []
 }) {
   // Create peer connection with security-focused configuration
   const peerConnection = new RTCPeerConnection({
-    ...ICE_SERVERS,
+    iceServers,
+    iceCandidatePoolSize: ICE_CANDIDATE_POOL_SIZE,
     // Security settings
     sdpSemantics: 'unified-plan',
     // Enable DTLS-SRTP for end-to-end encryption
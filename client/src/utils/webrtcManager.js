@@ -1,5 +1,35 @@
 import { WebRTCQualityMonitor } from './webrtcQualityMonitor';
 import { getOptimalVideoConstraints, isMobileDevice } from './responsiveHelper';
+import { CALL_EVENTS, ROOM_EVENTS, INVITE_EVENTS, ICE_EVENTS, SESSION_EVENTS, PRESENCE_EVENTS } from './signalingProtocol';
+import { E2EEHelper } from './e2eeHelper';
+import { extractFingerprints, computeSafetyNumber } from './safetyNumber';
+import { ChatHelper } from './chatHelper';
+import { FileTransferHelper } from './fileTransferHelper';
+import { ICE_POLICIES, isLocalCandidate, stripNonLocalCandidates, isLocalCandidateStats } from './icePolicy';
+import { MEDIA_MODES, SfuClient } from './sfuClient';
+import { HIGHEST_LAYER, getSimulcastEncodings, getLayerEncoding } from './simulcast';
+import { DEFAULT_CODEC_PREFERENCES, getVideoCodec, applyCodecPreference, applyOpusSettings } from './codecPreferences';
+import { StatsEngine } from './statsEngine';
+
+// How long to wait for the server to answer a request (room join, invites)
+const SIGNALING_REPLY_TIMEOUT_MS = 10000;
+
+// Fetch new relay credentials this long before the current ones expire
+const ICE_SERVERS_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Recovery when a peer's media path breaks, e.g. switching from Wi-Fi to cellular
+const ICE_DISCONNECTED_GRACE_MS = 2000; // 'disconnected' often recovers by itself
+const ICE_RESTART_BASE_DELAY_MS = 1000; // Doubled after every attempt
+const ICE_RESTART_MAX_DELAY_MS = 16000;
+const ICE_RESTART_MAX_ATTEMPTS = 6;
+
+/**
+ * Peer states reported through onPeerStateChange
+ */
+export const PEER_STATES = {
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting'
+};
 
 /**
  * WebRTC Manager class
@@ -10,18 +40,41 @@ export class WebRTCManager {
     this.socket = socket;
     this.userId = options.userId || `user-${Math.floor(Math.random() * 10000)}`;
     this.roomId = null;
+    this.callPeerId = null; // Peer of the current 1:1 call, if any
+    this.ringingPeerId = null; // Callee of an outgoing call that was not accepted yet
     this.peerConnections = new Map();
+    this.pendingCandidates = new Map(); // ICE candidates received before the remote description
+    this.negotiationStates = new Map(); // Perfect negotiation state per peer
+    this.signalQueues = new Map(); // Serializes signaling work per peer
+    this.safetyNumbers = new Map(); // Short authentication strings per peer
+    this.recoveries = new Map(); // ICE restart progress per peer ({ attempts, timer })
+    this.peerStates = new Map(); // Last PEER_STATES value reported per peer
+    this.roomAccess = {}; // Room credentials, to rejoin after the socket reconnects
+    this.signalingLost = false;
+    this.rejoining = false;
+    this.mediaMode = MEDIA_MODES.MESH; // Large rooms switch to forwarding through the server
+    this.sfu = null;
+    this.forwardedAudioTracks = new Map(); // userId -> ID of the forwarded audio track being level-monitored
+    this.preferredLayers = new Map(); // peerId -> simulcast layer we asked for of their video
+    this.requestedLayers = new Map(); // peerId -> simulcast layer they asked for of ours (mesh)
+    // Recording: the room may forbid it; everyone is told who records, and answers with consent
+    this.recordingForbidden = false;
+    this.isRecording = false;
+    this.recorders = new Set(); // Other members recording the room
+    this.recordingConsents = new Map(); // peerId -> their answer to our recording
+    this.consentAnswers = new Map(); // recorderId -> our answer, sent again after a rejoin
     this.audioQualityMonitors = new Map();
     this.localStream = null;
     this.localVideoStream = null;
     this.localScreenStream = null; // For screen sharing
     this.isScreenSharing = false; // Screen sharing status
     this.speakingDetector = null;
-    this.iceServers = options.iceServers || [
-      { urls: 'stun:stun.l.google.com:19302' },
-      { urls: 'stun:stun1.l.google.com:19302' },
-      { urls: 'stun:stun2.l.google.com:19302' },
-    ];
+    // STUN/TURN servers come from the signaling server unless given explicitly
+    this.iceServers = options.iceServers || null;
+    this.iceServersExpireAt = null; // When the relay credentials expire (ms), null if they don't
+    this.iceServersRequest = null;
+    // Strict-local keeps media on the local network; the server can turn it on, never off
+    this.icePolicy = options.icePolicy || ICE_POLICIES.DEFAULT;
     this.onRemoteStreamAdded = options.onRemoteStreamAdded;
     this.onRemoteStreamRemoved = options.onRemoteStreamRemoved;
     this.onPeerConnected = options.onPeerConnected;
@@ -30,51 +83,1345 @@ export class WebRTCManager {
     this.onVideoStatusChange = options.onVideoStatusChange;
     this.onScreenSharingChange = options.onScreenSharingChange;
     this.onNetworkQualityChange = options.onNetworkQualityChange;
+    this.onNetworkRouteChange = options.onNetworkRouteChange;
+    this.onPeerStateChange = options.onPeerStateChange;
+    this.onMediaModeChange = options.onMediaModeChange;
+    this.onAudioOnlyChange = options.onAudioOnlyChange;
+    this.onRecordingStateChange = options.onRecordingStateChange;
+    this.onRecordingConsent = options.onRecordingConsent;
+    
+    // 1:1 call callbacks (used by App.js)
+    this.onPeerConnect = options.onPeerConnect;
+    this.onPeerDisconnect = options.onPeerDisconnect;
+    this.onSpeakingChange = options.onSpeakingChange;
+    this.onMicrophoneStatus = options.onMicrophoneStatus;
+    this.onError = options.onError;
+    this.onSafetyNumberChange = options.onSafetyNumberChange;
+    this.onChatMessage = options.onChatMessage;
+    this.onChatDelivery = options.onChatDelivery;
+    this.onChatTyping = options.onChatTyping;
+    this.onFileTransferUpdate = options.onFileTransferUpdate;
+    this.onFileReceived = options.onFileReceived;
     
     // Initialize WebRTC quality monitor
     this.qualityMonitor = new WebRTCQualityMonitor({
       onQualityChange: this._handleQualityChange.bind(this),
+      onAudioOnlyChange: this._handleAudioOnlyChange.bind(this),
       adaptiveMode: options.adaptiveMode || true
     });
     
+    // One getStats poll per peer feeds the quality monitor, the UI and anyone subscribed
+    this.stats = new StatsEngine({
+      onUpdate: this._handleStatsUpdate.bind(this)
+    });
+    
     // Current video quality preset
     this.currentQuality = 'medium';
     
-    // Setup socket event listeners
-    this._setupSocketListeners();
+    // Preferred video codec and Opus options, applied at every negotiation
+    this.codecPreferences = {
+      video: (options.codecPreferences && options.codecPreferences.video) || DEFAULT_CODEC_PREFERENCES.video,
+      opus: { ...DEFAULT_CODEC_PREFERENCES.opus, ...(options.codecPreferences && options.codecPreferences.opus) }
+    };
+    
+    // Video senders stay negotiated but inactive while the uplink cannot carry video
+    this.audioOnly = false;
+    this.videoLayerUpdates = new Map(); // peerId -> pending setParameters of their video sender
+    
+    // Optional end-to-end media encryption with a shared room key
+    this.encryptionKey = options.encryptionKey || null;
+    this.e2ee = this.encryptionKey && E2EEHelper.isSupported() ? new E2EEHelper() : null;
+    
+    // Peer-to-peer text chat over data channels
+    this.chat = new ChatHelper({
+      userId: this.userId,
+      onMessage: (peerId, message) => this.onChatMessage && this.onChatMessage(peerId, message),
+      onDelivery: (messageId, peerId) => this.onChatDelivery && this.onChatDelivery(messageId, peerId),
+      onTyping: (peerId, typing) => this.onChatTyping && this.onChatTyping(peerId, typing)
+    });
+    
+    // Peer-to-peer file transfer over data channels
+    this.files = new FileTransferHelper({
+      onTransferUpdate: (transfer) => this.onFileTransferUpdate && this.onFileTransferUpdate(transfer),
+      onFileReceived: (peerId, file) => this.onFileReceived && this.onFileReceived(peerId, file)
+    });
+    
+    // Setup socket event listeners
+    this._setupSocketListeners();
+    this._setupNetworkListeners();
+  }
+
+  /**
+   * Initialize WebRTC and optionally join a room
+   * Without a room ID only the microphone is acquired, ready for 1:1 calls
+   * @param {string} [roomId] - Room ID to join
+   * @param {Object} [access] - Room access credentials
+   * @param {string} [access.password] - Room password (sets it when creating the room)
+   * @param {string} [access.invite] - Invite token for the room
+   * @param {boolean} [access.forbidRecording] - Forbid recording (when creating the room)
+   * @returns {Promise<void>} Rejects if the server refuses the join
+   */
+  async initialize(roomId = null, access = {}) {
+    this.roomId = roomId;
+    this.roomAccess = access;
+    
+    try {
+      // Never fall back to unencrypted media when a room key was given
+      if (this.encryptionKey) {
+        if (!this.e2ee) {
+          throw new Error('End-to-end encryption is not supported in this browser');
+        }
+        
+        await this.e2ee.setKey(this.encryptionKey, this._getKeySalt());
+      }
+      
+      await this._acquireMicrophone();
+      await this._getIceServers();
+      
+      // Join room
+      if (this.roomId) {
+        const { mode, recording } = await this._joinRoom(access);
+        this._setRoomRecording(recording);
+        await this._setMediaMode(mode);
+      }
+      
+      return Promise.resolve();
+    } catch (error) {
+      console.error('Error initializing WebRTC:', error);
+      return Promise.reject(error);
+    }
+  }
+  
+  /**
+   * Ask the server to add us to the current room
+   * @param {Object} access - Room access credentials ({ password, invite, forbidRecording })
+   * @returns {Promise<Object>} The `room-joined` payload
+   * @private
+   */
+  _joinRoom(access) {
+    return this._request(ROOM_EVENTS.JOIN, {
+      roomId: this.roomId,
+      userId: this.userId,
+      ...(access.password ? { password: access.password } : {}),
+      ...(access.invite ? { invite: access.invite } : {}),
+      ...(access.forbidRecording ? { forbidRecording: true } : {})
+    }, ROOM_EVENTS.JOINED, 'Timed out joining the room');
+  }
+  
+  /**
+   * Follow the room's media mode
+   * Rooms switch from mesh to forwarding, and only go back if the server's
+   * forwarding fails. The peer connections to the other members stay for chat
+   * and files, without media; the local tracks go to the SFU instead, and
+   * everyone else's come from it.
+   * @param {string} [mode] - One of MEDIA_MODES, from `room-joined` or `room-mode`
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _setMediaMode(mode) {
+    if (mode === MEDIA_MODES.MESH && this.mediaMode === MEDIA_MODES.SFU) {
+      this._restoreMeshMedia();
+      return;
+    }
+    
+    if (mode !== MEDIA_MODES.SFU || this.mediaMode === MEDIA_MODES.SFU || !this.roomId) {
+      return;
+    }
+    
+    this.mediaMode = MEDIA_MODES.SFU;
+    
+    // Renegotiated through each connection's negotiationneeded handler
+    for (const peerConnection of this.peerConnections.values()) {
+      peerConnection.getSenders()
+        .filter(sender => sender.track)
+        .forEach(sender => peerConnection.removeTrack(sender));
+    }
+    
+    if (this.onMediaModeChange) {
+      this.onMediaModeChange(this.mediaMode);
+    }
+    
+    let sfu = null;
+    
+    try {
+      sfu = new SfuClient({
+        socket: this.socket,
+        roomId: this.roomId,
+        request: this._request.bind(this),
+        iceServers: await this._getIceServers(),
+        strictLocal: this._isStrictLocal(),
+        peerConnectionConfig: this.e2ee ? this.e2ee.getPeerConnectionConfig() : {},
+        onSender: (sender) => this.e2ee && this.e2ee.attachToSender(sender),
+        onReceiver: (receiver) => this.e2ee && this.e2ee.attachToReceiver(receiver),
+        onRemoteStream: (userId, stream) => this._handleForwardedStream(userId, stream),
+        onStateChange: (flowing) => {
+          // Everyone's media comes through the same transports
+          this.peerConnections.forEach((peerConnection, peerId) => {
+            if (!flowing) {
+              this._setPeerState(peerId, PEER_STATES.RECONNECTING);
+            } else if (peerConnection.connectionState === 'connected') {
+              this._setPeerState(peerId, PEER_STATES.CONNECTED);
+            }
+          });
+        },
+        onError: (message) => this.onError && this.onError(message)
+      });
+      this.sfu = sfu;
+      
+      await sfu.start();
+      
+      // The camera, or the screen while sharing it, goes out as the video track
+      const screenTrack = this.isScreenSharing && this.localScreenStream && this.localScreenStream.getVideoTracks()[0];
+      const tracks = [
+        this.localStream && this.localStream.getAudioTracks()[0],
+        screenTrack || (this.localVideoStream && this.localVideoStream.getVideoTracks()[0])
+      ];
+      
+      // Layers asked for while still in the mesh
+      this.preferredLayers.forEach((layer, peerId) => sfu.setPreferredLayer(peerId, layer));
+      
+      for (const track of tracks.filter(Boolean)) {
+        await sfu.produce(track, this._producerOptions(track.kind));
+      }
+    } catch (error) {
+      console.error('Error switching to media forwarding:', error);
+      
+      // Send over the peer connections again rather than not at all, unless the
+      // room went back to mesh or the manager was disposed in the meantime
+      if (this.mediaMode === MEDIA_MODES.SFU && this.sfu === sfu) {
+        this._restoreMeshMedia();
+      }
+      
+      if (this.onError) {
+        this.onError(`Could not switch to server forwarding: ${error.message}`);
+      }
+    }
+  }
+  
+  /**
+   * Send media over the peer connections again after the server stopped forwarding
+   * Renegotiated through each connection's negotiationneeded handler; the
+   * others' media arrives through their track events.
+   * @private
+   */
+  _restoreMeshMedia() {
+    if (this.sfu) {
+      this.sfu.close();
+      this.sfu = null;
+    }
+    this.mediaMode = MEDIA_MODES.MESH;
+    this.forwardedAudioTracks.clear();
+    
+    const screenTrack = this.isScreenSharing && this.localScreenStream && this.localScreenStream.getVideoTracks()[0];
+    const tracks = [
+      this.localStream && [this.localStream.getAudioTracks()[0], this.localStream],
+      screenTrack ? [screenTrack, this.localScreenStream]
+        : this.localVideoStream && [this.localVideoStream.getVideoTracks()[0], this.localVideoStream]
+    ].filter(entry => entry && entry[0]);
+    
+    this.peerConnections.forEach(peerConnection => {
+      tracks.forEach(([track, stream]) => this._addTrack(peerConnection, track, stream));
+    });
+    
+    if (this.onMediaModeChange) {
+      this.onMediaModeChange(this.mediaMode);
+    }
+  }
+  
+  /**
+   * Hand a member's forwarded stream to the UI, like a peer connection's track event
+   * @param {string} userId - Member's user ID
+   * @param {MediaStream|null} stream - Their forwarded tracks, null once they send none
+   * @private
+   */
+  _handleForwardedStream(userId, stream) {
+    if (!stream) {
+      return;
+    }
+    
+    if (this.onRemoteStreamAdded) {
+      this.onRemoteStreamAdded(userId, stream);
+    }
+    
+    if (this.onPeerConnect) {
+      this.onPeerConnect(userId, stream);
+    }
+    
+    // The stream is rebuilt whenever a track comes or goes; monitor each audio track once
+    const audioTrack = stream.getAudioTracks()[0];
+    
+    if (audioTrack && this.forwardedAudioTracks.get(userId) !== audioTrack.id) {
+      this.forwardedAudioTracks.set(userId, audioTrack.id);
+      this._setupRemoteAudioLevelDetection(userId, stream);
+    }
+  }
+  
+  /**
+   * Ask for the simulcast layer of a peer's video this client needs
+   * In forwarding rooms the SFU switches layers; in a mesh the peer scales
+   * the video it sends us.
+   * @param {string} peerId - Peer's user ID
+   * @param {number} layer - Layer index, lowest first (see pickVideoLayer)
+   */
+  requestVideoLayer(peerId, layer) {
+    if (!this.roomId || !this.peerConnections.has(peerId) || this.preferredLayers.get(peerId) === layer) {
+      return;
+    }
+    
+    this.preferredLayers.set(peerId, layer);
+    
+    if (this.sfu) {
+      this.sfu.setPreferredLayer(peerId, layer);
+    } else {
+      this._sendVideoLayerRequest(peerId, layer);
+    }
+  }
+  
+  /**
+   * Tell a mesh peer which layer of their video to send us
+   * @param {string} peerId - Peer's user ID
+   * @param {number} layer - Layer index
+   * @private
+   */
+  _sendVideoLayerRequest(peerId, layer) {
+    this.socket.emit(ROOM_EVENTS.REQUEST_VIDEO_LAYER, { roomId: this.roomId, targetUserId: peerId, layer });
+  }
+  
+  /**
+   * Tell the room, or the peer of a 1:1 call, that we started or stopped recording
+   * Every member is shown that we record and asked for consent; the answers
+   * arrive through onRecordingConsent. Leaving members out of the recording
+   * is up to this client, the server only relays.
+   * @param {boolean} recording - Whether we are recording
+   * @returns {Promise<void>} Rejects if the room forbids recording
+   */
+  async setRecording(recording) {
+    if (this.roomId) {
+      await this._request(ROOM_EVENTS.SET_RECORDING, { roomId: this.roomId, recording },
+        ROOM_EVENTS.RECORDING_SET, 'Timed out announcing the recording');
+    } else if (this.callPeerId) {
+      this.socket.emit(CALL_EVENTS.RECORDING, { target: this.callPeerId, recording });
+    } else {
+      throw new Error('Recording announcements need a room or a call');
+    }
+    
+    this.isRecording = recording;
+    
+    // Consent is asked again for every recording
+    if (!recording) {
+      this._clearRecordingConsents();
+    }
+  }
+  
+  /**
+   * Answer a member's recording
+   * Can be changed at any time while they record.
+   * @param {string} recorderId - User ID of the member who records
+   * @param {boolean} consent - Whether we agree to be in their recording
+   */
+  setRecordingConsent(recorderId, consent) {
+    if (this.roomId) {
+      this.consentAnswers.set(recorderId, consent);
+      this.socket.emit(ROOM_EVENTS.RECORDING_CONSENT, { roomId: this.roomId, targetUserId: recorderId, consent });
+    } else if (recorderId === this.callPeerId) {
+      this.consentAnswers.set(recorderId, consent);
+      this.socket.emit(CALL_EVENTS.RECORDING_CONSENT, { target: recorderId, consent });
+    }
+  }
+  
+  /**
+   * Handle the peer of the 1:1 call starting or stopping a recording
+   * @param {string} peerId - Peer ID from the `recording` message
+   * @param {boolean} recording - Whether they are recording
+   */
+  handleCallRecording(peerId, recording) {
+    if (peerId === this.callPeerId) {
+      this._setRecorder(peerId, recording);
+    }
+  }
+  
+  /**
+   * Handle the peer of the 1:1 call answering our recording
+   * @param {string} peerId - Peer ID from the `recordingConsent` message
+   * @param {boolean} consent - Whether they agree to be recorded
+   */
+  handleCallRecordingConsent(peerId, consent) {
+    if (peerId === this.callPeerId) {
+      this._setRecordingConsent(peerId, consent);
+    }
+  }
+  
+  /**
+   * Check whether a member agreed to be in our recording
+   * @param {string} peerId - Member's user ID
+   * @returns {boolean} True only after an explicit yes
+   */
+  hasRecordingConsent(peerId) {
+    return this.recordingConsents.get(peerId) === true;
+  }
+  
+  /**
+   * Whether the room refuses every recording
+   * @returns {boolean} Recording policy of the current room
+   */
+  isRecordingForbidden() {
+    return this.recordingForbidden;
+  }
+  
+  /**
+   * Other members currently recording the room
+   * @returns {string[]} Their user IDs
+   */
+  getRecorders() {
+    return Array.from(this.recorders);
+  }
+  
+  /**
+   * Take over the recording state `room-joined` reports
+   * After a rejoin, the recorders we knew are compared with the current ones; our
+   * own recording and our answers to the others are sent again, as the server
+   * forgot them with our old session.
+   * @param {Object} [recording] - `{ forbidden, recorders }` from `room-joined`
+   * @private
+   */
+  _setRoomRecording(recording = {}) {
+    const recorders = new Set(recording.recorders || []);
+    
+    this.recordingForbidden = !!recording.forbidden;
+    
+    this.recorders.forEach(recorderId => {
+      if (!recorders.has(recorderId)) {
+        this._setRecorder(recorderId, false);
+      }
+    });
+    
+    recorders.forEach(recorderId => {
+      if (!this.recorders.has(recorderId)) {
+        this._setRecorder(recorderId, true);
+      } else if (this.consentAnswers.has(recorderId)) {
+        this.setRecordingConsent(recorderId, this.consentAnswers.get(recorderId));
+      }
+    });
+    
+    if (this.isRecording) {
+      this.socket.emit(ROOM_EVENTS.SET_RECORDING, { roomId: this.roomId, recording: true });
+    }
+  }
+  
+  /**
+   * Track whether another member is recording
+   * @param {string} userId - Member's user ID
+   * @param {boolean} recording - Whether they are recording
+   * @private
+   */
+  _setRecorder(userId, recording) {
+    if (recording === this.recorders.has(userId)) {
+      return;
+    }
+    
+    if (recording) {
+      this.recorders.add(userId);
+    } else {
+      this.recorders.delete(userId);
+      this.consentAnswers.delete(userId);
+    }
+    
+    if (this.onRecordingStateChange) {
+      this.onRecordingStateChange(userId, recording);
+    }
+  }
+  
+  /**
+   * Take a member's answer to our recording
+   * @param {string} userId - Member's user ID
+   * @param {boolean} consent - Whether they agree to be recorded
+   * @private
+   */
+  _setRecordingConsent(userId, consent) {
+    // A late answer to a recording that already stopped
+    if (!this.isRecording) {
+      return;
+    }
+    
+    this.recordingConsents.set(userId, consent);
+    
+    if (this.onRecordingConsent) {
+      this.onRecordingConsent(userId, consent);
+    }
+  }
+  
+  /**
+   * Forget every answer to our recording
+   * @private
+   */
+  _clearRecordingConsents() {
+    const peerIds = Array.from(this.recordingConsents.keys());
+    
+    this.recordingConsents.clear();
+    
+    if (this.onRecordingConsent) {
+      peerIds.forEach(peerId => this.onRecordingConsent(peerId, null));
+    }
+  }
+  
+  /**
+   * Scale the video we send a mesh peer to the layer they asked for
+   * Each mesh peer has its own sender, so its single encoding takes the
+   * resolution and bitrate of that layer; browsers cannot receive simulcast
+   * from each other. A shared screen is always sent in full.
+   * Updates of one sender run one after another, as setParameters needs the
+   * parameters of the previous call.
+   * @param {string} peerId - Peer's user ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  _applyVideoLayer(peerId) {
+    const previous = this.videoLayerUpdates.get(peerId) || Promise.resolve();
+    const update = previous.catch(() => {}).then(() => this._setVideoSenderParameters(peerId));
+    
+    this.videoLayerUpdates.set(peerId, update);
+    update.catch(() => {}).then(() => {
+      if (this.videoLayerUpdates.get(peerId) === update) {
+        this.videoLayerUpdates.delete(peerId);
+      }
+    });
+    
+    return update;
+  }
+  
+  /**
+   * Cap a mesh peer's video sender to the preset and their layer
+   * @param {string} peerId - Peer's user ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _setVideoSenderParameters(peerId) {
+    const peerConnection = this.peerConnections.get(peerId);
+    const sender = peerConnection && peerConnection.getSenders()
+      .find(candidate => candidate.track && candidate.track.kind === 'video');
+    
+    if (!sender) {
+      return;
+    }
+    
+    const parameters = sender.getParameters();
+    
+    // Not negotiated yet; applied again once it is
+    if (!parameters.encodings || parameters.encodings.length === 0) {
+      return;
+    }
+    
+    const preset = this._videoPreset();
+    const layer = !this.isScreenSharing && this.requestedLayers.has(peerId)
+      ? this.requestedLayers.get(peerId)
+      : HIGHEST_LAYER;
+    const encoding = getLayerEncoding(preset, layer);
+    
+    Object.assign(parameters.encodings[0], {
+      ...encoding,
+      scaleResolutionDownBy: encoding.scaleResolutionDownBy * this._captureScale(sender.track, preset),
+      active: !this.audioOnly
+    });
+    parameters.degradationPreference = this._degradationPreference();
+    
+    try {
+      await sender.setParameters(parameters);
+    } catch (error) {
+      console.warn(`Could not update the video sent to ${peerId}:`, error);
+    }
+  }
+  
+  /**
+   * Apply the quality preset and audio-only state to every video sender
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _applyVideoEncodings() {
+    await Promise.all(Array.from(this.peerConnections.keys()).map(peerId => this._applyVideoLayer(peerId)));
+    
+    if (this.sfu) {
+      try {
+        await this.sfu.updateEncodings('video', this._simulcastEncodings(), this._degradationPreference());
+      } catch (error) {
+        console.warn('Could not update the forwarded video:', error);
+      }
+    }
+  }
+  
+  /**
+   * Quality preset the full video layer is encoded with
+   * @returns {Object} Preset from the quality monitor
+   * @private
+   */
+  _videoPreset() {
+    const presets = this.qualityMonitor.getQualityPresets();
+    
+    // In auto mode the monitor picks the preset from network conditions
+    return presets[this.currentQuality] || this.qualityMonitor.getCurrentQuality() || presets.high;
+  }
+  
+  /**
+   * Simulcast encodings for a video producer in forwarding rooms
+   * @returns {Array<Object>} Encodings, lowest layer first
+   * @private
+   */
+  _simulcastEncodings() {
+    const preset = this._videoPreset();
+    const cameraTrack = !this.isScreenSharing && this.localVideoStream && this.localVideoStream.getVideoTracks()[0];
+    const captureScale = cameraTrack ? this._captureScale(cameraTrack, preset) : 1;
+    
+    return getSimulcastEncodings(preset).map(encoding => ({
+      ...encoding,
+      scaleResolutionDownBy: encoding.scaleResolutionDownBy * captureScale,
+      active: !this.audioOnly
+    }));
+  }
+  
+  /**
+   * Height of a capture, whatever its orientation
+   * @param {MediaStreamTrack} track - Video track
+   * @returns {number} Shorter side in pixels, or 0 if unknown
+   * @private
+   */
+  _captureHeight(track) {
+    const { width, height } = track.getSettings();
+    return width && height ? Math.min(width, height) : 0;
+  }
+  
+  /**
+   * How much the encoder scales a capture down to reach a preset
+   * A shared screen keeps its resolution.
+   * @param {MediaStreamTrack} track - Video track being sent
+   * @param {Object} preset - Quality preset
+   * @returns {number} Factor for scaleResolutionDownBy, at least 1
+   * @private
+   */
+  _captureScale(track, preset) {
+    const captureHeight = this.isScreenSharing ? 0 : this._captureHeight(track);
+    return captureHeight > preset.height ? captureHeight / preset.height : 1;
+  }
+  
+  /**
+   * What the encoder gives up first when bandwidth or CPU run short
+   * Motion matters for a camera, detail for a shared screen.
+   * @returns {string} RTCDegradationPreference
+   * @private
+   */
+  _degradationPreference() {
+    return this.isScreenSharing ? 'maintain-resolution' : 'maintain-framerate';
+  }
+  
+  /**
+   * Choose the preferred video codec and the Opus options
+   * Mesh peers renegotiate as soon as their connection is stable. In
+   * forwarding rooms the affected tracks are sent again with the new settings.
+   * @param {Object} preferences - `{ video, opus: { fec, dtx, stereo, ptime } }`, either part optional
+   * @returns {Promise<void>}
+   */
+  async setCodecPreferences(preferences) {
+    const previous = this.codecPreferences;
+    
+    this.codecPreferences = {
+      video: preferences.video || previous.video,
+      opus: { ...previous.opus, ...preferences.opus }
+    };
+    
+    // Preferences only apply when an offer or answer is created
+    if (this.mediaMode !== MEDIA_MODES.SFU) {
+      this.peerConnections.forEach((peerConnection, peerId) => {
+        this._renegotiate(peerId).catch(error => {
+          console.error(`Error renegotiating codecs with ${peerId}:`, error);
+        });
+      });
+    }
+    
+    if (!this.sfu) {
+      return;
+    }
+    
+    const changed = [
+      this.codecPreferences.video !== previous.video && 'video',
+      JSON.stringify(this.codecPreferences.opus) !== JSON.stringify(previous.opus) && 'audio'
+    ].filter(Boolean);
+    
+    const screenTrack = this.isScreenSharing && this.localScreenStream && this.localScreenStream.getVideoTracks()[0];
+    const tracks = {
+      audio: this.localStream && this.localStream.getAudioTracks()[0],
+      video: screenTrack || (this.localVideoStream && this.localVideoStream.getVideoTracks()[0])
+    };
+    
+    for (const kind of changed.filter(kind => tracks[kind])) {
+      try {
+        await this.sfu.stopProducing(kind);
+        await this.sfu.produce(tracks[kind], this._producerOptions(kind));
+      } catch (error) {
+        console.error(`Error sending ${kind} with the new codec settings:`, error);
+      }
+    }
+  }
+  
+  /**
+   * Receive connection stats of a peer after every poll
+   * Samples carry RTT, jitter, loss, bitrate, freezes and concealment for
+   * inbound and outbound audio and video, a MOS per stream and an overall
+   * `score` (0-100) for the network quality indicator.
+   * @param {string} peerId - Peer ID, or ALL_PEERS for every peer
+   * @param {Function} callback - Called with each new sample
+   * @returns {Function} Unsubscribes
+   */
+  subscribeToStats(peerId, callback) {
+    return this.stats.subscribe(peerId, callback);
+  }
+  
+  /**
+   * Recent connection stats of every peer seen, oldest first
+   * @returns {Object} `{ [peerId]: samples }` in the format of subscribeToStats
+   */
+  getStatsHistory() {
+    return this.stats.getHistories();
+  }
+  
+  /**
+   * Diagnostics report for bug reports
+   * Like chrome://webrtc-internals: the recent stats of every peer, plus a full
+   * getStats snapshot of each current connection. ICE server credentials are left out.
+   * @returns {Promise<Object>} JSON-serializable report
+   */
+  async exportDiagnostics() {
+    const codecs = await this.getNegotiatedCodecs();
+    const histories = this.stats.getHistories();
+    const snapshots = {};
+    
+    await Promise.all(Array.from(this.peerConnections.entries()).map(async ([peerId, peerConnection]) => {
+      try {
+        const reports = [].concat(await this._peerStats(peerId, peerConnection));
+        snapshots[peerId] = reports.flatMap(report => Array.from(report.values()));
+      } catch (error) {
+        snapshots[peerId] = { error: error.message };
+      }
+    }));
+    
+    const peers = {};
+    
+    new Set([...Object.keys(histories), ...this.peerConnections.keys()]).forEach(peerId => {
+      peers[peerId] = {
+        connected: this.peerConnections.has(peerId),
+        state: this.peerStates.get(peerId) || null,
+        codecs: codecs[peerId] || null,
+        history: histories[peerId] || [],
+        stats: snapshots[peerId] || null
+      };
+    });
+    
+    return {
+      createdAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      userId: this.userId,
+      roomId: this.roomId,
+      callPeerId: this.callPeerId,
+      mediaMode: this.mediaMode,
+      icePolicy: this.icePolicy,
+      encrypted: !!this.e2ee,
+      videoQuality: this.currentQuality,
+      audioOnly: this.audioOnly,
+      codecPreferences: this.codecPreferences,
+      peers
+    };
+  }
+  
+  /**
+   * Codecs negotiated with each peer, in both directions
+   * @returns {Promise<Object>} `{ [peerId]: { audio: { send, receive }, video: { send, receive } } }`
+   *   with `{ mimeType, sdpFmtpLine }` or null per direction
+   */
+  async getNegotiatedCodecs() {
+    const result = {};
+    
+    // Media goes through the SFU; the peer connections only carry data
+    if (this.sfu) {
+      const { send, receive } = this.sfu.getCodecs();
+      
+      this.peerConnections.forEach((peerConnection, peerId) => {
+        const received = receive[peerId] || {};
+        
+        result[peerId] = {
+          audio: { send: send.audio || null, receive: received.audio || null },
+          video: { send: send.video || null, receive: received.video || null }
+        };
+      });
+      
+      return result;
+    }
+    
+    await Promise.all(Array.from(this.peerConnections.entries()).map(async ([peerId, peerConnection]) => {
+      const codecs = {
+        audio: { send: null, receive: null },
+        video: { send: null, receive: null }
+      };
+      
+      try {
+        const stats = await peerConnection.getStats();
+        
+        stats.forEach(report => {
+          const direction = { 'outbound-rtp': 'send', 'inbound-rtp': 'receive' }[report.type];
+          const codec = direction && report.codecId && stats.get(report.codecId);
+          
+          if (codec && codecs[report.kind]) {
+            codecs[report.kind][direction] = { mimeType: codec.mimeType, sdpFmtpLine: codec.sdpFmtpLine || '' };
+          }
+        });
+      } catch (error) {
+        console.warn(`Could not read codecs for ${peerId}:`, error);
+      }
+      
+      result[peerId] = codecs;
+    }));
+    
+    return result;
+  }
+  
+  /**
+   * Put the preferred video codec first on every transceiver of a connection
+   * Encrypted calls leave out the codecs the frame cipher cannot handle.
+   * @param {RTCPeerConnection} peerConnection - Peer connection about to create an offer or answer
+   * @private
+   */
+  _applyCodecPreferences(peerConnection) {
+    const { mimeType } = getVideoCodec(this.codecPreferences.video, !!this.e2ee);
+    
+    peerConnection.getTransceivers().forEach(transceiver => {
+      try {
+        applyCodecPreference(transceiver, mimeType, !!this.e2ee);
+      } catch (error) {
+        console.warn('Could not set codec preferences:', error);
+      }
+    });
+  }
+  
+  /**
+   * Settings for a new SFU producer
+   * @param {string} kind - 'audio' or 'video'
+   * @returns {Object} Producer options for SfuClient.produce
+   * @private
+   */
+  _producerOptions(kind) {
+    if (kind === 'audio') {
+      const { fec, dtx, stereo, ptime } = this.codecPreferences.opus;
+      return { codecOptions: { opusFec: fec, opusDtx: dtx, opusStereo: stereo, opusPtime: ptime } };
+    }
+    
+    return {
+      encodings: this._simulcastEncodings(),
+      mimeType: getVideoCodec(this.codecPreferences.video, !!this.e2ee).mimeType
+    };
+  }
+  
+  /**
+   * Peer connections that carry media
+   * In forwarding rooms they only carry chat and files
+   * @returns {Array<RTCPeerConnection>} Peer connections to add tracks to
+   * @private
+   */
+  _mediaConnections() {
+    return this.mediaMode === MEDIA_MODES.SFU ? [] : Array.from(this.peerConnections.values());
+  }
+  
+  /**
+   * Create an invite: for the current room, or to call us when not in a room
+   * @param {number} [maxUses] - How many people can redeem it
+   * @returns {Promise<Object>} The `invite-created` payload ({ kind, roomId, token, expiresAt, maxUses })
+   */
+  createInvite(maxUses = 1) {
+    return this._request(INVITE_EVENTS.CREATE, {
+      ...(this.roomId ? { roomId: this.roomId } : {}),
+      maxUses
+    }, INVITE_EVENTS.CREATED, 'Timed out creating the invite');
+  }
+  
+  /**
+   * Find out where an invite leads
+   * Room invites are used up when joining the room with them, call invites right away
+   * @param {string} invite - Invite token
+   * @returns {Promise<Object>} `{ kind: 'room', roomId, invite }` or `{ kind: 'call', userId, username }`
+   */
+  redeemInvite(invite) {
+    return this._request(INVITE_EVENTS.REDEEM, { invite }, INVITE_EVENTS.REDEEMED, 'Timed out redeeming the invite');
+  }
+  
+  /**
+   * ICE servers for a new peer connection
+   * Fetched from the signaling server and reused until shortly before the relay
+   * credentials expire. If the server does not answer, only direct candidates
+   * are gathered, which still connects peers on the same network.
+   * @returns {Promise<Array<Object>>} RTCIceServer list
+   * @private
+   */
+  async _getIceServers() {
+    const fresh = this.iceServers &&
+      (!this.iceServersExpireAt || Date.now() < this.iceServersExpireAt - ICE_SERVERS_REFRESH_MARGIN_MS);
+    
+    if (fresh) {
+      return this.iceServers;
+    }
+    
+    // Peers connecting at the same time share one request
+    if (!this.iceServersRequest) {
+      this.iceServersRequest = this._request(ICE_EVENTS.GET_SERVERS, {}, ICE_EVENTS.SERVERS, 'Timed out fetching ICE servers')
+        .then(({ iceServers, expiresAt, policy }) => {
+          this.iceServers = iceServers;
+          this.iceServersExpireAt = expiresAt;
+          
+          if (policy === ICE_POLICIES.STRICT_LOCAL) {
+            this.icePolicy = policy;
+          }
+          
+          return iceServers;
+        })
+        .catch(error => {
+          console.warn('Could not fetch ICE servers, using direct connections only:', error);
+          return [];
+        })
+        .finally(() => {
+          this.iceServersRequest = null;
+        });
+    }
+    
+    return this.iceServersRequest;
+  }
+  
+  /**
+   * Send a message and wait for the server's reply
+   * An `error` naming the same message is taken as the refusal (wrong password,
+   * expired invite and the like); errors about other messages are left alone
+   * @param {string} event - Message to send
+   * @param {Object} payload - Message payload
+   * @param {string} replyEvent - Message that confirms success
+   * @param {string} timeoutMessage - Error message if the server does not answer
+   * @returns {Promise<Object>} Reply payload
+   * @private
+   */
+  _request(event, payload, replyEvent, timeoutMessage) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer);
+        this.socket.off(replyEvent, onReply);
+        this.socket.off(PRESENCE_EVENTS.ERROR, onError);
+      };
+      
+      const onReply = (data) => {
+        cleanup();
+        resolve(data);
+      };
+      
+      const onError = ({ message, event: refusedEvent }) => {
+        if (refusedEvent !== event) {
+          return;
+        }
+        
+        cleanup();
+        reject(new Error(message));
+      };
+      
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error(timeoutMessage));
+      }, SIGNALING_REPLY_TIMEOUT_MS);
+      
+      this.socket.on(replyEvent, onReply);
+      this.socket.on(PRESENCE_EVENTS.ERROR, onError);
+      
+      this.socket.emit(event, payload);
+    });
+  }
+  
+  /**
+   * Rotate the end-to-end encryption key
+   * Every participant must switch to the same key
+   * @param {string} encryptionKey - New room key
+   * @returns {Promise<void>}
+   */
+  async setEncryptionKey(encryptionKey) {
+    if (!this.e2ee) {
+      throw new Error('End-to-end encryption is not enabled');
+    }
+    
+    await this.e2ee.setKey(encryptionKey, this._getKeySalt());
+    this.encryptionKey = encryptionKey;
+  }
+  
+  /**
+   * Check whether media is end-to-end encrypted
+   * @returns {boolean} Encryption status
+   */
+  isEncrypted() {
+    return !!this.e2ee;
+  }
+  
+  /**
+   * Retry microphone access after the user changed permissions
+   * @returns {Promise<boolean>} Whether the microphone is now available
+   */
+  async retryMicrophoneAccess() {
+    try {
+      await this._acquireMicrophone();
+      
+      // Send the new audio track to peers that are already connected
+      const audioTrack = this.localStream.getAudioTracks()[0];
+      
+      if (this.sfu) {
+        await this.sfu.produce(audioTrack, this._producerOptions('audio'));
+      }
+      
+      for (const peerConnection of this._mediaConnections()) {
+        const audioSender = peerConnection.getSenders().find(sender => 
+          sender.track && sender.track.kind === 'audio'
+        );
+        
+        if (audioSender) {
+          await audioSender.replaceTrack(audioTrack);
+        } else {
+          this._addTrack(peerConnection, audioTrack, this.localStream);
+        }
+      }
+      
+      return true;
+    } catch (error) {
+      console.error('Error retrying microphone access:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Ring another user; call startCall() once they accept
+   * @param {string} peerId - Socket ID of the user to call
+   */
+  requestCall(peerId) {
+    if (this.callPeerId || this.ringingPeerId) {
+      throw new Error('Already in a call');
+    }
+    
+    this.ringingPeerId = peerId;
+    this.socket.emit(CALL_EVENTS.RING, { target: peerId });
+  }
+  
+  /**
+   * Start a 1:1 call by sending an offer to another user
+   * Only after they accepted; the server drops offers outside an accepted call
+   * @param {string} peerId - Socket ID of the user to call
+   * @returns {Promise<void>}
+   */
+  async startCall(peerId) {
+    if (this.callPeerId) {
+      throw new Error('Already in a call');
+    }
+    
+    this.ringingPeerId = null;
+    
+    if (!this.localStream) {
+      await this._acquireMicrophone();
+    }
+    
+    this.callPeerId = peerId;
+    
+    try {
+      await this._createPeerConnection(peerId);
+    } catch (error) {
+      this.callPeerId = null;
+      throw error;
+    }
+  }
+  
+  /**
+   * Accept a ringing call; the caller sends its offer in response
+   * @param {string} peerId - Socket ID of the caller
+   * @returns {Promise<void>} Rejects if the microphone is unavailable
+   */
+  async acceptCallRequest(peerId) {
+    if (this.callPeerId) {
+      throw new Error('Already in a call');
+    }
+    
+    if (!this.localStream) {
+      await this._acquireMicrophone();
+    }
+    
+    this.callPeerId = peerId;
+    this.socket.emit(CALL_EVENTS.ACCEPT, { target: peerId });
+  }
+  
+  /**
+   * Accept an incoming 1:1 call and answer its offer
+   * @param {string} peerId - Socket ID of the caller
+   * @param {RTCSessionDescriptionInit} offer - Caller's offer
+   * @returns {Promise<void>}
+   */
+  async acceptIncomingCall(peerId, offer) {
+    if (this.callPeerId && this.callPeerId !== peerId) {
+      throw new Error('Already in a call');
+    }
+    
+    if (!this.localStream) {
+      await this._acquireMicrophone();
+    }
+    
+    this.callPeerId = peerId;
+    
+    try {
+      await this.handleRemoteDescription(peerId, offer);
+    } catch (error) {
+      this._closePeerConnection(peerId);
+      this.callPeerId = null;
+      throw error;
+    }
+  }
+  
+  /**
+   * Decline a ringing 1:1 call
+   * @param {string} peerId - Socket ID of the caller
+   * @param {boolean} [busy=false] - Decline because we are already in a call
+   */
+  rejectIncomingCall(peerId, busy = false) {
+    this.pendingCandidates.delete(peerId);
+    this.socket.emit(busy ? CALL_EVENTS.BUSY : CALL_EVENTS.REJECT, { target: peerId });
+  }
+  
+  /**
+   * Apply the callee's answer to our outgoing call
+   * @param {string} peerId - Socket ID of the callee
+   * @param {RTCSessionDescriptionInit} answer - Callee's answer
+   * @returns {Promise<void>}
+   */
+  async handleAnswer(peerId, answer) {
+    await this.handleRemoteDescription(peerId, answer);
+  }
+  
+  /**
+   * Apply a remote offer or answer using the perfect negotiation pattern
+   * Offers that collide with our own are ignored by the impolite peer and
+   * rolled back by the polite one, so both sides converge on one negotiation.
+   * @param {string} peerId - Peer ID
+   * @param {RTCSessionDescriptionInit} description - Remote description
+   * @returns {Promise<void>}
+   */
+  handleRemoteDescription(peerId, description) {
+    return this._enqueueSignal(peerId, async () => {
+      const peerConnection = this.peerConnections.get(peerId) ||
+        await this._createPeerConnection(peerId);
+      const state = this.negotiationStates.get(peerId);
+      
+      // An offer collides if we are making one or are not in a stable state
+      const readyForOffer = !state.makingOffer &&
+        (peerConnection.signalingState === 'stable' || state.isSettingRemoteAnswerPending);
+      const offerCollision = description.type === 'offer' && !readyForOffer;
+      
+      state.ignoreOffer = !state.polite && offerCollision;
+      
+      if (state.ignoreOffer) {
+        console.log(`Ignoring colliding offer from ${peerId}`);
+        return;
+      }
+      
+      // The polite peer abandons its own offer in favour of the remote one
+      if (offerCollision) {
+        await peerConnection.setLocalDescription({ type: 'rollback' });
+      }
+      
+      // Our Opus options configure the encoder that sends to this peer
+      const remoteDescription = {
+        type: description.type,
+        sdp: applyOpusSettings(description.sdp, this.codecPreferences.opus)
+      };
+      
+      state.isSettingRemoteAnswerPending = description.type === 'answer';
+      await peerConnection.setRemoteDescription(new RTCSessionDescription(remoteDescription));
+      state.isSettingRemoteAnswerPending = false;
+      
+      await this._flushPendingCandidates(peerId);
+      
+      if (description.type === 'offer') {
+        this._applyCodecPreferences(peerConnection);
+        await peerConnection.setLocalDescription();
+        this._sendSignal(peerId, peerConnection.localDescription);
+      }
+    });
+  }
+  
+  /**
+   * Add a remote ICE candidate, queueing it until the remote description is set
+   * @param {string} peerId - Peer ID
+   * @param {RTCIceCandidateInit} candidate - Remote ICE candidate
+   * @returns {Promise<void>}
+   */
+  async addIceCandidate(peerId, candidate) {
+    if (this._isStrictLocal() && candidate.candidate && !isLocalCandidate(candidate.candidate)) {
+      console.warn(`Ignoring non-local ICE candidate from ${peerId}`);
+      return;
+    }
+    
+    const peerConnection = this.peerConnections.get(peerId);
+    
+    if (!peerConnection || !peerConnection.remoteDescription) {
+      if (!this.pendingCandidates.has(peerId)) {
+        this.pendingCandidates.set(peerId, []);
+      }
+      this.pendingCandidates.get(peerId).push(candidate);
+      return;
+    }
+    
+    try {
+      await peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
+    } catch (error) {
+      // Candidates for an offer we ignored are expected to fail
+      const state = this.negotiationStates.get(peerId);
+      if (!state || !state.ignoreOffer) {
+        throw error;
+      }
+    }
+  }
+  
+  /**
+   * End the current 1:1 call, or cancel it while it is still ringing
+   * @param {boolean} [notifyPeer=true] - Send `callEnded` (or `cancel`) to the other user
+   */
+  endCall(notifyPeer = true) {
+    if (this.ringingPeerId) {
+      if (notifyPeer) {
+        this.socket.emit(CALL_EVENTS.CANCEL, { target: this.ringingPeerId });
+      }
+      
+      this.ringingPeerId = null;
+    }
+    
+    const peerId = this.callPeerId;
+    
+    if (!peerId) {
+      return;
+    }
+    
+    if (notifyPeer) {
+      this.socket.emit(CALL_EVENTS.CALL_ENDED, { target: peerId });
+    }
+    
+    this.callPeerId = null;
+    this.pendingCandidates.delete(peerId);
+    this._closePeerConnection(peerId);
+    this.files.abortPeer(peerId);
+    
+    // Recordings of the call end with it
+    this._setRecorder(peerId, false);
+    if (!this.roomId) {
+      this.isRecording = false;
+      this._clearRecordingConsents();
+    }
+  }
+  
+  /**
+   * Check whether a 1:1 call is in progress
+   * @returns {boolean} Call status
+   */
+  isInCall() {
+    return !!this.callPeerId;
+  }
+  
+  /**
+   * Send a chat message to every connected peer
+   * Messages go over the data channels only, never through the server
+   * @param {string} text - Message text
+   * @returns {Object} The sent message ({ id, from, text, timestamp, recipients })
+   */
+  sendChatMessage(text) {
+    return this.chat.send(text);
+  }
+  
+  /**
+   * Tell peers whether the local user is typing
+   * @param {boolean} typing - Typing status
+   */
+  setTyping(typing) {
+    this.chat.setTyping(typing);
+  }
+  
+  /**
+   * Send a file to connected peers
+   * File contents go over the data channels only, never through the server
+   * @param {File} file - File to send
+   * @param {Array<string>} [peerIds] - Recipients, all connected peers by default
+   * @returns {Promise<Array<Object>>} One transfer snapshot per recipient
+   */
+  async sendFile(file, peerIds = Array.from(this.peerConnections.keys())) {
+    return this.files.sendFile(file, peerIds);
+  }
+  
+  /**
+   * Cancel a file transfer in either direction
+   * @param {string} transferId - Transfer ID
+   */
+  cancelFileTransfer(transferId) {
+    this.files.cancel(transferId);
+  }
+  
+  /**
+   * Get the safety number for a peer
+   * @param {string} peerId - Peer ID
+   * @returns {Object|null} Safety number ({ emoji, words, verified, mismatch }) or null before negotiation
+   */
+  getSafetyNumber(peerId) {
+    return this.safetyNumbers.get(peerId) || null;
+  }
+  
+  /**
+   * Mark a peer's safety number as verified after comparing it out of band
+   * Also acknowledges a mismatch warning for the current safety number
+   * @param {string} peerId - Peer ID
+   */
+  markPeerVerified(peerId) {
+    const safetyNumber = this.safetyNumbers.get(peerId);
+    
+    if (!safetyNumber) {
+      return;
+    }
+    
+    const verified = { ...safetyNumber, verified: true, mismatch: false, previous: null };
+    this.safetyNumbers.set(peerId, verified);
+    
+    if (this.onSafetyNumberChange) {
+      this.onSafetyNumberChange(peerId, verified);
+    }
   }
-
+  
   /**
-   * Initialize WebRTC and join room
-   * @param {string} roomId - Room ID to join
-   * @returns {Promise<void>}
+   * Toggle the microphone
+   * @returns {boolean} Whether the microphone is now enabled
    */
-  async initialize(roomId) {
-    this.roomId = roomId;
+  toggleMicrophone() {
+    const audioTrack = this.localStream && this.localStream.getAudioTracks()[0];
     
-    try {
-      // Get user media
-      const stream = await navigator.mediaDevices.getUserMedia({
-        audio: true,
-        video: false
-      });
-      
-      this.localStream = stream;
-      
-      // Join room
-      this.socket.emit('join-room', {
-        roomId: this.roomId,
-        userId: this.userId
-      });
-      
-      // Setup audio level detection
-      this._setupAudioLevelDetection(stream);
-      
-      return Promise.resolve();
-    } catch (error) {
-      console.error('Error initializing WebRTC:', error);
-      return Promise.reject(error);
+    if (!audioTrack) {
+      return false;
+    }
+    
+    audioTrack.enabled = !audioTrack.enabled;
+    return audioTrack.enabled;
+  }
+  
+  /**
+   * Toggle mute
+   * @returns {boolean} Whether the microphone is now muted
+   */
+  toggleMute() {
+    return !this.toggleMicrophone();
+  }
+  
+  /**
+   * Get the current local audio level
+   * @returns {number} Audio level (0-100)
+   */
+  getAudioLevel() {
+    if (!this.speakingDetector) {
+      return 0;
     }
+    
+    return Math.min(100, Math.round((this.speakingDetector.level || 0) * (100 / 255)));
   }
   
   /**
@@ -91,15 +1438,18 @@ export class WebRTCManager {
       
       this.localVideoStream = videoStream;
       
+      // Forwarding rooms send it once; a shared screen keeps the video slot until it stops
+      if (this.sfu && !this.isScreenSharing) {
+        await this.sfu.produce(videoStream.getVideoTracks()[0], this._producerOptions('video'));
+      }
+      
       // Add video tracks to all peer connections
-      for (const [peerId, peerConnection] of this.peerConnections.entries()) {
+      // Each connection renegotiates through its negotiationneeded handler
+      for (const peerConnection of this._mediaConnections()) {
         const videoTrack = videoStream.getVideoTracks()[0];
         
         if (videoTrack) {
-          peerConnection.addTrack(videoTrack, videoStream);
-          
-          // Renegotiate the connection
-          await this._createAndSendOffer(peerId);
+          this._addTrack(peerConnection, videoTrack, videoStream);
         }
       }
       
@@ -128,8 +1478,12 @@ export class WebRTCManager {
       track.stop();
     });
     
+    if (this.sfu && !this.isScreenSharing) {
+      this.sfu.stopProducing('video');
+    }
+    
     // Remove video tracks from all peer connections
-    for (const [peerId, peerConnection] of this.peerConnections.entries()) {
+    for (const peerConnection of this._mediaConnections()) {
       const senders = peerConnection.getSenders();
       const videoSender = senders.find(sender => 
         sender.track && sender.track.kind === 'video'
@@ -137,9 +1491,6 @@ export class WebRTCManager {
       
       if (videoSender) {
         peerConnection.removeTrack(videoSender);
-        
-        // Renegotiate the connection
-        this._createAndSendOffer(peerId).catch(console.error);
       }
     }
     
@@ -154,68 +1505,35 @@ export class WebRTCManager {
   
   /**
    * Set video quality
+   * The camera keeps capturing; every video sender's encoder is capped to the
+   * preset's bitrate, frame rate and resolution instead. Only a preset larger
+   * than the capture asks the camera for more.
    * @param {string} preset - Quality preset (low, medium, high, hd, auto)
    * @returns {Promise<void>}
    */
   async setVideoQuality(preset) {
-    // Use responsive helper to get optimal constraints based on device and quality
-    const optimalConstraints = getOptimalVideoConstraints(preset);
-    
-    // For backward compatibility, keep the switch but use optimal constraints
-    let constraints = optimalConstraints;
-    
-    switch (preset) {
-      case 'low':
-        constraints = { ...optimalConstraints, width: { ideal: optimalConstraints.width }, height: { ideal: optimalConstraints.height }, frameRate: { ideal: optimalConstraints.frameRate } };
-        break;
-      case 'medium':
-        constraints = { ...optimalConstraints, width: { ideal: optimalConstraints.width }, height: { ideal: optimalConstraints.height }, frameRate: { ideal: optimalConstraints.frameRate } };
-        break;
-      case 'high':
-        constraints = { ...optimalConstraints, width: { ideal: optimalConstraints.width }, height: { ideal: optimalConstraints.height }, frameRate: { ideal: optimalConstraints.frameRate } };
-        break;
-      case 'hd':
-        constraints = { ...optimalConstraints, width: { ideal: optimalConstraints.width }, height: { ideal: optimalConstraints.height }, frameRate: { ideal: optimalConstraints.frameRate } };
-        break;
-      case 'auto':
-      default:
-        // Use adaptive quality based on network conditions
-        this.qualityMonitor.setAdaptiveMode(true);
-        constraints = { width: 1280, height: 720, frameRate: 30 };
-        break;
-    }
-    
-    // Store current quality
-    this.currentQuality = preset;
-    
-    // Disable adaptive mode if not auto
-    if (preset !== 'auto') {
-      this.qualityMonitor.setAdaptiveMode(false);
-    }
-    
-    // If video is already enabled, update constraints
-    if (this.localVideoStream) {
-      // Get current video track
-      const videoTrack = this.localVideoStream.getVideoTracks()[0];
-      
-      if (videoTrack) {
-        // Apply new constraints
-        try {
-          await videoTrack.applyConstraints(constraints);
-          
-          // Notify about quality change
-          if (this.onNetworkQualityChange) {
-            this.onNetworkQualityChange(100, { preset });
-          }
-        } catch (error) {
-          console.error('Error applying video constraints:', error);
-          
-          // Fallback: restart video with new constraints
-          this.disableVideo();
-          await this.enableVideo(constraints);
-        }
+    // 'auto' lets the quality monitor pick the preset from network conditions
+    const adaptive = !this.qualityMonitor.getQualityPresets()[preset];
+    
+    this.qualityMonitor.setAdaptiveMode(adaptive);
+    this.currentQuality = adaptive ? 'auto' : preset;
+    
+    const videoTrack = this.localVideoStream && this.localVideoStream.getVideoTracks()[0];
+    const target = this._videoPreset();
+    
+    if (videoTrack && this._captureHeight(videoTrack) < target.height) {
+      try {
+        await videoTrack.applyConstraints({
+          width: { ideal: target.width },
+          height: { ideal: target.height },
+          frameRate: { ideal: target.frameRate }
+        });
+      } catch (error) {
+        console.warn('Could not capture at a higher resolution:', error);
       }
     }
+    
+    await this._applyVideoEncodings();
   }
   
   /**
@@ -269,10 +1587,12 @@ export class WebRTCManager {
    */
   leaveRoom() {
     // Emit leave room event
-    this.socket.emit('leave-room', {
-      roomId: this.roomId,
-      userId: this.userId
-    });
+    if (this.roomId) {
+      this.socket.emit(ROOM_EVENTS.LEAVE, {
+        roomId: this.roomId,
+        userId: this.userId
+      });
+    }
     
     // Reset room ID
     this.roomId = null;
@@ -302,47 +1622,155 @@ export class WebRTCManager {
       this.isScreenSharing = false;
     }
     
+    if (this.sfu) {
+      this.sfu.close();
+      this.sfu = null;
+    }
+    this.mediaMode = MEDIA_MODES.MESH;
+    this.forwardedAudioTracks.clear();
+    this.preferredLayers.clear();
+    this.requestedLayers.clear();
+    
     // Close all peer connections
     for (const [peerId, peerConnection] of this.peerConnections.entries()) {
       if (peerConnection) {
         peerConnection.close();
       }
+      
+      this.stats.removePeer(peerId);
     }
     
     this.peerConnections.clear();
+    this.pendingCandidates.clear();
+    this.negotiationStates.clear();
+    this.signalQueues.clear();
+    this.safetyNumbers.clear();
+    this.recoveries.forEach(recovery => clearTimeout(recovery.timer));
+    this.recoveries.clear();
+    this.peerStates.clear();
+    this.chat.dispose();
+    this.files.dispose();
     this.audioQualityMonitors.clear();
+    this.callPeerId = null;
+    this.isRecording = false;
+    this.recorders.clear();
+    this.recordingConsents.clear();
+    this.consentAnswers.clear();
     
     // Remove socket listeners
-    this.socket.off('user-connected');
-    this.socket.off('user-disconnected');
-    this.socket.off('receive-signal');
+    this.socket.off(ROOM_EVENTS.USER_CONNECTED);
+    this.socket.off(ROOM_EVENTS.USER_DISCONNECTED);
+    this.socket.off(ROOM_EVENTS.RECEIVE_SIGNAL);
+    this.socket.off(ROOM_EVENTS.MODE);
+    this.socket.off(ROOM_EVENTS.VIDEO_LAYER_REQUESTED);
+    this.socket.off(ROOM_EVENTS.RECORDING_STATE);
+    this.socket.off(ROOM_EVENTS.RECORDING_CONSENT);
+  }
+  
+  /**
+   * Release every resource held by the manager
+   * Leaves the current room or call first; the manager cannot be reused afterwards
+   */
+  dispose() {
+    if (this.callPeerId) {
+      this.endCall();
+    }
+    
+    if (this.roomId) {
+      this.leaveRoom();
+    } else {
+      this.disconnect();
+    }
+    
+    this.stats.dispose();
+    
+    this.socket.off(SESSION_EVENTS.SESSION, this._handleSession);
+    this.socket.off('disconnect', this._handleSocketDisconnect);
+    window.removeEventListener('online', this._handleNetworkChange);
+    window.removeEventListener('offline', this._handleOffline);
+    
+    if (navigator.connection) {
+      navigator.connection.removeEventListener('change', this._handleNetworkChange);
+    }
+    
+    if (this.e2ee) {
+      this.e2ee.dispose();
+      this.e2ee = null;
+    }
+    
+    // Stop the local audio level loop
+    if (this.speakingDetector) {
+      this.speakingDetector.audioContext.close().catch(() => {});
+      this.speakingDetector = null;
+    }
   }
   
   /**
-   * Handle quality change from WebRTCQualityMonitor
-   * @param {number} quality - Quality score (0-100)
-   * @param {Object} metrics - Quality metrics
+   * Follow the preset the quality monitor adapted to
+   * @param {Object} preset - New quality preset
    * @private
    */
-  _handleQualityChange(quality, metrics) {
-    // Notify about quality change
-    if (this.onNetworkQualityChange) {
-      this.onNetworkQualityChange(quality, metrics);
+  _handleQualityChange(preset) {
+    if (this.qualityMonitor.isAdaptiveMode()) {
+      this._applyVideoEncodings();
     }
+  }
+  
+  /**
+   * Stop or restart sending video when the uplink cannot carry it
+   * Audio keeps flowing either way.
+   * @param {boolean} audioOnly - Whether video is paused
+   * @private
+   */
+  _handleAudioOnlyChange(audioOnly) {
+    this.audioOnly = audioOnly;
+    this._applyVideoEncodings();
     
-    // If in adaptive mode, adjust video quality
-    if (this.qualityMonitor.isAdaptiveMode() && this.localVideoStream) {
-      const videoTrack = this.localVideoStream.getVideoTracks()[0];
-      
-      if (videoTrack) {
-        // Get target constraints based on quality
-        const constraints = this.qualityMonitor.getTargetConstraints(quality);
-        
-        if (constraints) {
-          // Apply constraints
-          videoTrack.applyConstraints(constraints).catch(console.error);
-        }
-      }
+    if (this.onAudioOnlyChange) {
+      this.onAudioOnlyChange(audioOnly);
+    }
+  }
+  
+  /**
+   * Stats of the media exchanged with a peer
+   * In SFU mode media flows over the SFU transports rather than the peer connection.
+   * @param {string} peerId - Peer ID
+   * @param {RTCPeerConnection} peerConnection - Peer connection
+   * @returns {Promise<RTCStatsReport|Array<RTCStatsReport>>} Stats reports
+   * @private
+   */
+  _peerStats(peerId, peerConnection) {
+    return this.sfu ? this.sfu.getStats(peerId) : peerConnection.getStats();
+  }
+  
+  /**
+   * Act on the network conditions of the latest stats poll
+   * Our own network is judged by the worst peer: that is the link the
+   * quality indicator shows and the preset and audio-only fallback follow.
+   * @param {Array<Object>} samples - One sample per peer, from the stats engine
+   * @private
+   */
+  _handleStatsUpdate(samples) {
+    const scored = samples.filter(sample => sample.score !== null);
+    
+    if (scored.length === 0) {
+      return;
+    }
+    
+    const worst = scored.reduce((a, b) => (b.score < a.score ? b : a));
+    const availableBitrates = samples
+      .map(sample => sample.availableOutgoingBitrate)
+      .filter(Number.isFinite);
+    
+    this.qualityMonitor.update({
+      score: worst.score,
+      rtt: worst.rtt,
+      bitrate: worst.video.outbound ? worst.video.outbound.bitrate : null,
+      availableBitrate: availableBitrates.length > 0 ? Math.min(...availableBitrates) : null
+    });
+    
+    if (this.onNetworkQualityChange) {
+      this.onNetworkQualityChange(worst.score, worst);
     }
   }
   
@@ -351,12 +1779,36 @@ export class WebRTCManager {
    * @private
    */
   _setupSocketListeners() {
+    // Socket.IO reconnects by itself; the server then tells us whether it kept our session
+    this._handleSocketDisconnect = () => {
+      this.signalingLost = true;
+    };
+    
+    this._handleSession = ({ resumed }) => {
+      if (this.signalingLost) {
+        this.signalingLost = false;
+        this._recoverSignaling(resumed);
+      }
+    };
+    
+    this.socket.on('disconnect', this._handleSocketDisconnect);
+    this.socket.on(SESSION_EVENTS.SESSION, this._handleSession);
+    
     // Handle user connected event
-    this.socket.on('user-connected', async ({ userId }) => {
+    this.socket.on(ROOM_EVENTS.USER_CONNECTED, async ({ userId }) => {
       console.log('User connected:', userId);
       
-      // Create peer connection
-      await this._createPeerConnection(userId);
+      // Create peer connection; adding our tracks triggers the first offer
+      await this._enqueueSignal(userId, async () => {
+        if (!this.peerConnections.has(userId)) {
+          await this._createPeerConnection(userId);
+        }
+      });
+      
+      // A peer who rejoined forgot which layer we asked for
+      if (!this.sfu && this.preferredLayers.has(userId)) {
+        this._sendVideoLayerRequest(userId, this.preferredLayers.get(userId));
+      }
       
       // Notify about peer connected
       if (this.onPeerConnected) {
@@ -365,11 +1817,26 @@ export class WebRTCManager {
     });
     
     // Handle user disconnected event
-    this.socket.on('user-disconnected', ({ userId }) => {
+    this.socket.on(ROOM_EVENTS.USER_DISCONNECTED, ({ userId }) => {
       console.log('User disconnected:', userId);
       
+      if (this.sfu) {
+        this.sfu.removeUser(userId);
+        this.forwardedAudioTracks.delete(userId);
+      }
+      
+      this.preferredLayers.delete(userId);
+      this.requestedLayers.delete(userId);
+      
+      // A member who comes back answers our recording again
+      this._setRecorder(userId, false);
+      if (this.recordingConsents.delete(userId) && this.onRecordingConsent) {
+        this.onRecordingConsent(userId, null);
+      }
+      
       // Close peer connection
       this._closePeerConnection(userId);
+      this.files.abortPeer(userId);
       
       // Notify about peer disconnected
       if (this.onPeerDisconnected) {
@@ -377,42 +1844,310 @@ export class WebRTCManager {
       }
     });
     
-    // Handle receive signal event
-    this.socket.on('receive-signal', async ({ userId, signal }) => {
-      try {
-        // Create peer connection if not exists
-        if (!this.peerConnections.has(userId)) {
-          await this._createPeerConnection(userId);
-        }
-        
-        const peerConnection = this.peerConnections.get(userId);
-        
-        // Handle signal
-        if (signal.type === 'offer') {
-          await peerConnection.setRemoteDescription(new RTCSessionDescription(signal));
-          const answer = await peerConnection.createAnswer();
-          await peerConnection.setLocalDescription(answer);
-          
-          // Send answer
-          this.socket.emit('send-signal', {
-            roomId: this.roomId,
-            userId: this.userId,
-            targetUserId: userId,
-            signal: answer
-          });
-        } else if (signal.type === 'answer') {
-          await peerConnection.setRemoteDescription(new RTCSessionDescription(signal));
-        } else if (signal.candidate) {
-          await peerConnection.addIceCandidate(new RTCIceCandidate(signal));
-        }
-      } catch (error) {
-        console.error('Error handling signal:', error);
+    // A peer wants a smaller or larger version of our video (mesh only)
+    this.socket.on(ROOM_EVENTS.VIDEO_LAYER_REQUESTED, ({ userId, layer }) => {
+      this.requestedLayers.set(userId, layer);
+      this._applyVideoLayer(userId).catch(error => {
+        console.warn(`Could not send the video layer ${userId} asked for:`, error);
+      });
+    });
+    
+    // Another member started or stopped recording
+    this.socket.on(ROOM_EVENTS.RECORDING_STATE, ({ userId, recording }) => {
+      this._setRecorder(userId, recording);
+    });
+    
+    // A member answered our recording
+    this.socket.on(ROOM_EVENTS.RECORDING_CONSENT, ({ userId, consent }) => {
+      this._setRecordingConsent(userId, consent);
+    });
+    
+    // The room grew past the server's threshold; media moves to its SFU
+    this.socket.on(ROOM_EVENTS.MODE, ({ roomId, mode }) => {
+      if (roomId === this.roomId) {
+        this._setMediaMode(mode);
+      }
+    });
+    
+    // Handle receive signal event
+    this.socket.on(ROOM_EVENTS.RECEIVE_SIGNAL, async ({ userId, signal }) => {
+      try {
+        // Candidates may arrive before the offer that creates the connection
+        if (signal.candidate !== undefined) {
+          await this.addIceCandidate(userId, signal);
+          return;
+        }
+        
+        await this.handleRemoteDescription(userId, signal);
+      } catch (error) {
+        console.error('Error handling signal:', error);
+      }
+    });
+  }
+  
+  /**
+   * Watch the device's network so broken media paths are noticed early
+   * @private
+   */
+  _setupNetworkListeners() {
+    // Media cannot flow without a network; keep the peers and wait
+    this._handleOffline = () => {
+      this.peerStates.forEach((state, peerId) => this._setPeerState(peerId, PEER_STATES.RECONNECTING));
+    };
+    
+    // A new network means new addresses, so restart ICE now instead of waiting for it to fail
+    this._handleNetworkChange = () => {
+      if (!navigator.onLine) {
+        return;
+      }
+      
+      this.peerConnections.forEach((peerConnection, peerId) => {
+        if (this.peerStates.has(peerId)) {
+          this._scheduleIceRestart(peerId, 0, true);
+        }
+      });
+      
+      if (this.sfu) {
+        this.sfu.restartIce();
+      }
+    };
+    
+    window.addEventListener('online', this._handleNetworkChange);
+    window.addEventListener('offline', this._handleOffline);
+    
+    // Network Information API (Chromium): Wi-Fi to cellular and back
+    if (navigator.connection) {
+      navigator.connection.addEventListener('change', this._handleNetworkChange);
+    }
+  }
+  
+  /**
+   * Pick up signaling after the socket reconnected
+   * A resumed session still has its room and call, so only the ICE restarts
+   * that waited for the signaling server go on. Once the session expired, the
+   * other members closed their connections to us; ours are closed too, we
+   * rejoin, and the members offer again with our current tracks attached.
+   * A 1:1 call does not outlive its session, the server ends it for both sides.
+   * @param {boolean} resumed - Whether the server resumed our session
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recoverSignaling(resumed) {
+    if (resumed) {
+      this.recoveries.forEach((recovery, peerId) => {
+        if (!recovery.timer) {
+          this._scheduleIceRestart(peerId, 0);
+        }
+      });
+      return;
+    }
+    
+    if (!this.roomId || this.rejoining) {
+      return;
+    }
+    
+    this.rejoining = true;
+    
+    const peers = Array.from(this.peerConnections.keys());
+    
+    peers.forEach(peerId => {
+      this._setPeerState(peerId, PEER_STATES.RECONNECTING);
+      this._closePeerConnection(peerId, false);
+    });
+    
+    // The room may have closed its forwarding while we were away
+    if (this.sfu) {
+      this.sfu.close();
+      this.sfu = null;
+    }
+    this.mediaMode = MEDIA_MODES.MESH;
+    this.forwardedAudioTracks.clear();
+    
+    // The others saw us leave and answer our recording again once we are back
+    this._clearRecordingConsents();
+    
+    try {
+      // The server may not have noticed yet that the old socket is gone
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const { participants, mode, recording } = await this._joinRoom(this.roomAccess);
+          this._setRoomRecording(recording);
+          await this._setMediaMode(mode);
+          
+          // The others forgot which layers we asked for when our session ended
+          if (!this.sfu) {
+            participants
+              .filter(peerId => this.preferredLayers.has(peerId))
+              .forEach(peerId => this._sendVideoLayerRequest(peerId, this.preferredLayers.get(peerId)));
+          }
+          
+          // Members who left while we were away
+          peers.filter(peerId => !participants.includes(peerId)).forEach(peerId => {
+            this.peerStates.delete(peerId);
+            
+            if (this.onRemoteStreamRemoved) {
+              this.onRemoteStreamRemoved(peerId);
+            }
+            
+            if (this.onPeerDisconnected) {
+              this.onPeerDisconnected(peerId);
+            }
+          });
+          return;
+        } catch (error) {
+          if (attempt + 1 >= ICE_RESTART_MAX_ATTEMPTS || !this.roomId || !this.socket.connected) {
+            throw error;
+          }
+          
+          await new Promise(resolve => setTimeout(resolve, this._restartDelay(attempt)));
+        }
+      }
+    } catch (error) {
+      console.error('Error rejoining the room:', error);
+      
+      if (this.onError) {
+        this.onError(`Could not rejoin the room: ${error.message}`);
+      }
+    } finally {
+      this.rejoining = false;
+    }
+  }
+  
+  /**
+   * Schedule an ICE restart for a peer whose media path broke
+   * @param {string} peerId - Peer ID
+   * @param {number} delay - Milliseconds to wait first
+   * @param {boolean} [replace=false] - Replace an already scheduled attempt
+   * @private
+   */
+  _scheduleIceRestart(peerId, delay, replace = false) {
+    let recovery = this.recoveries.get(peerId);
+    
+    if (!recovery) {
+      recovery = { attempts: 0, timer: null };
+      this.recoveries.set(peerId, recovery);
+    }
+    
+    if (recovery.timer) {
+      if (!replace) {
+        return;
+      }
+      
+      clearTimeout(recovery.timer);
+    }
+    
+    recovery.timer = setTimeout(() => this._attemptIceRestart(peerId), delay);
+  }
+  
+  /**
+   * Restart ICE once, then check back with exponential backoff
+   * The restart offer goes out through the usual negotiationneeded path.
+   * @param {string} peerId - Peer ID
+   * @private
+   */
+  _attemptIceRestart(peerId) {
+    const peerConnection = this.peerConnections.get(peerId);
+    const recovery = this.recoveries.get(peerId);
+    
+    if (!peerConnection || !recovery) {
+      return;
+    }
+    
+    recovery.timer = null;
+    
+    // Recovered, by itself or after the previous restart
+    if (recovery.attempts > 0 && peerConnection.connectionState === 'connected') {
+      this._finishRecovery(peerId);
+      this._setPeerState(peerId, PEER_STATES.CONNECTED);
+      return;
+    }
+    
+    // The online and reconnect handlers resume recovery without using up attempts
+    if (!navigator.onLine || !this.socket.connected) {
+      return;
+    }
+    
+    if (recovery.attempts >= ICE_RESTART_MAX_ATTEMPTS) {
+      this._abandonPeer(peerId);
+      return;
+    }
+    
+    console.log(`Restarting ICE with ${peerId} (attempt ${recovery.attempts + 1})`);
+    peerConnection.restartIce();
+    
+    this._scheduleIceRestart(peerId, this._restartDelay(recovery.attempts));
+    recovery.attempts += 1;
+  }
+  
+  /**
+   * Backoff before the next recovery attempt
+   * @param {number} attempt - Number of attempts so far
+   * @returns {number} Delay in milliseconds
+   * @private
+   */
+  _restartDelay(attempt) {
+    return Math.min(ICE_RESTART_BASE_DELAY_MS * 2 ** (attempt + 1), ICE_RESTART_MAX_DELAY_MS);
+  }
+  
+  /**
+   * Stop recovering a peer
+   * @param {string} peerId - Peer ID
+   * @private
+   */
+  _finishRecovery(peerId) {
+    const recovery = this.recoveries.get(peerId);
+    
+    if (recovery) {
+      clearTimeout(recovery.timer);
+      this.recoveries.delete(peerId);
+    }
+  }
+  
+  /**
+   * Drop a peer that did not come back after every ICE restart
+   * @param {string} peerId - Peer ID
+   * @private
+   */
+  _abandonPeer(peerId) {
+    console.warn(`Giving up on ${peerId} after ${ICE_RESTART_MAX_ATTEMPTS} ICE restarts`);
+    
+    if (peerId === this.callPeerId) {
+      this.endCall();
+      
+      if (this.onPeerDisconnect) {
+        this.onPeerDisconnect(peerId);
       }
-    });
+      return;
+    }
+    
+    this._closePeerConnection(peerId);
+    
+    if (this.onPeerDisconnected) {
+      this.onPeerDisconnected(peerId);
+    }
+  }
+  
+  /**
+   * Report a peer's state once per change
+   * @param {string} peerId - Peer ID
+   * @param {string} state - One of PEER_STATES
+   * @private
+   */
+  _setPeerState(peerId, state) {
+    if (this.peerStates.get(peerId) === state) {
+      return;
+    }
+    
+    this.peerStates.set(peerId, state);
+    
+    if (this.onPeerStateChange) {
+      this.onPeerStateChange(peerId, state);
+    }
   }
   
   /**
    * Create peer connection
+   * Offers are only ever sent from the negotiationneeded handler
    * @param {string} peerId - Peer ID
    * @returns {Promise<RTCPeerConnection>}
    * @private
@@ -420,29 +2155,57 @@ export class WebRTCManager {
   async _createPeerConnection(peerId) {
     try {
       // Create peer connection
+      // Usually cached since initialize(); refreshed once the relay credentials near expiry
+      const iceServers = await this._getIceServers();
+      
+      // Without STUN or TURN servers only host (and mDNS) candidates are gathered
       const peerConnection = new RTCPeerConnection({
-        iceServers: this.iceServers
+        iceServers: this._isStrictLocal() ? [] : iceServers,
+        ...(this.e2ee ? this.e2ee.getPeerConnectionConfig() : {})
       });
       
       // Store peer connection
       this.peerConnections.set(peerId, peerConnection);
+      this.stats.addPeer(peerId, () => this._peerStats(peerId, peerConnection));
+      
+      // Both sides derive opposite roles from the ordering of their IDs
+      const state = {
+        polite: String(this.userId) < String(peerId),
+        makingOffer: false,
+        ignoreOffer: false,
+        isSettingRemoteAnswerPending: false
+      };
+      this.negotiationStates.set(peerId, state);
+      
+      // Single renegotiation path for track changes, screen sharing and the first offer
+      peerConnection.onnegotiationneeded = () => this._sendOffer(peerId, peerConnection, state);
+      
+      // In forwarding rooms this connection only carries chat and files
+      const sendsMedia = this.mediaMode !== MEDIA_MODES.SFU;
       
       // Add local stream tracks
-      if (this.localStream) {
+      if (sendsMedia && this.localStream) {
         this.localStream.getTracks().forEach(track => {
-          peerConnection.addTrack(track, this.localStream);
+          this._addTrack(peerConnection, track, this.localStream);
         });
+      } else if (sendsMedia) {
+        // Still negotiate so we can hear the other side
+        peerConnection.addTransceiver('audio', { direction: 'recvonly' });
       }
       
+      // Chat and file channels, negotiated together with the media
+      this.chat.attach(peerId, peerConnection);
+      this.files.attach(peerId, peerConnection);
+      
       // Add local video stream tracks
-      if (this.localVideoStream) {
+      if (sendsMedia && this.localVideoStream) {
         this.localVideoStream.getTracks().forEach(track => {
-          peerConnection.addTrack(track, this.localVideoStream);
+          this._addTrack(peerConnection, track, this.localVideoStream);
         });
       }
       
       // Add local screen stream tracks (if screen sharing is active)
-      if (this.isScreenSharing && this.localScreenStream) {
+      if (sendsMedia && this.isScreenSharing && this.localScreenStream) {
         const screenTrack = this.localScreenStream.getVideoTracks()[0];
         
         if (screenTrack) {
@@ -457,66 +2220,92 @@ export class WebRTCManager {
             await videoSender.replaceTrack(screenTrack);
           } else {
             // Add screen track if no video sender exists
-            peerConnection.addTrack(screenTrack, this.localScreenStream);
+            this._addTrack(peerConnection, screenTrack, this.localScreenStream);
           }
         }
       }
       
+      // Recompute the safety number whenever a negotiation completes
+      peerConnection.onsignalingstatechange = () => {
+        if (peerConnection.signalingState === 'stable') {
+          this._updateSafetyNumber(peerId, peerConnection);
+          
+          // A video sender only has its encoding once negotiated
+          this._applyVideoLayer(peerId).catch(error => {
+            console.warn(`Could not update the video sent to ${peerId}:`, error);
+          });
+        }
+      };
+      
       // Handle ICE candidate event
       peerConnection.onicecandidate = (event) => {
         if (event.candidate) {
+          // A host candidate can still have a public address
+          if (this._isStrictLocal() && !isLocalCandidate(event.candidate.candidate)) {
+            return;
+          }
+          
           // Send ICE candidate
-          this.socket.emit('send-signal', {
-            roomId: this.roomId,
-            userId: this.userId,
-            targetUserId: peerId,
-            signal: event.candidate
-          });
+          this._sendSignal(peerId, event.candidate);
+        }
+      };
+      
+      // Report whether the selected route stays on the local network
+      peerConnection.oniceconnectionstatechange = () => {
+        if (peerConnection.iceConnectionState === 'connected' || peerConnection.iceConnectionState === 'completed') {
+          this._watchNetworkRoute(peerId, peerConnection);
         }
       };
       
       // Handle track event
       peerConnection.ontrack = (event) => {
-        // Create remote stream if not exists
-        const remoteStream = new MediaStream();
+        // Decrypt incoming frames before they reach the decoder
+        if (this.e2ee) {
+          this.e2ee.attachToReceiver(event.receiver);
+        }
         
-        // Add track to remote stream
-        remoteStream.addTrack(event.track);
+        // Use the sender's stream so audio and video stay together
+        const remoteStream = event.streams[0] || new MediaStream([event.track]);
         
         // Notify about remote stream added
         if (this.onRemoteStreamAdded) {
           this.onRemoteStreamAdded(peerId, remoteStream);
         }
         
+        if (this.onPeerConnect) {
+          this.onPeerConnect(peerId, remoteStream);
+        }
+        
         // Setup audio level detection for remote stream
         if (event.track.kind === 'audio') {
           this._setupRemoteAudioLevelDetection(peerId, remoteStream);
         }
-        
-        // Setup quality monitoring
-        this.qualityMonitor.monitorConnection(peerConnection);
       };
       
-      // Handle connection state change event
+      // Keep the peer through network changes: restart ICE instead of dropping it
       peerConnection.onconnectionstatechange = () => {
-        if (peerConnection.connectionState === 'disconnected' || 
-            peerConnection.connectionState === 'failed' ||
-            peerConnection.connectionState === 'closed') {
-          // Notify about remote stream removed
-          if (this.onRemoteStreamRemoved) {
-            this.onRemoteStreamRemoved(peerId);
-          }
-          
-          // Remove audio level detection
-          if (this.audioQualityMonitors.has(peerId)) {
-            this.audioQualityMonitors.delete(peerId);
-          }
+        if (this.peerConnections.get(peerId) !== peerConnection) {
+          return;
+        }
+        
+        switch (peerConnection.connectionState) {
+          case 'connected':
+            this._finishRecovery(peerId);
+            this._setPeerState(peerId, PEER_STATES.CONNECTED);
+            break;
+          case 'disconnected':
+            this._setPeerState(peerId, PEER_STATES.RECONNECTING);
+            this._scheduleIceRestart(peerId, ICE_DISCONNECTED_GRACE_MS);
+            break;
+          case 'failed':
+            this._setPeerState(peerId, PEER_STATES.RECONNECTING);
+            this._scheduleIceRestart(peerId, 0);
+            break;
+          default:
+            break;
         }
       };
       
-      // Create and send offer
-      await this._createAndSendOffer(peerId);
-      
       return peerConnection;
     } catch (error) {
       console.error('Error creating peer connection:', error);
@@ -525,34 +2314,350 @@ export class WebRTCManager {
   }
   
   /**
-   * Create and send offer
+   * Add a local track to a peer connection, encrypting it when E2EE is on
+   * @param {RTCPeerConnection} peerConnection - Peer connection
+   * @param {MediaStreamTrack} track - Local track
+   * @param {MediaStream} stream - Stream the track belongs to
+   * @returns {RTCRtpSender} The new sender
+   * @private
+   */
+  _addTrack(peerConnection, track, stream) {
+    const sender = peerConnection.addTrack(track, stream);
+    
+    if (this.e2ee) {
+      this.e2ee.attachToSender(sender);
+    }
+    
+    return sender;
+  }
+  
+  /**
+   * Derive the safety number from both DTLS fingerprints in the negotiated SDP
+   * A change after the first negotiation means a certificate was swapped
+   * mid-call, so it is flagged as a mismatch and any verification is dropped.
+   * @param {string} peerId - Peer ID
+   * @param {RTCPeerConnection} peerConnection - Peer connection
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _updateSafetyNumber(peerId, peerConnection) {
+    const localFingerprints = extractFingerprints(peerConnection.localDescription?.sdp);
+    const remoteFingerprints = extractFingerprints(peerConnection.remoteDescription?.sdp);
+    
+    if (!localFingerprints.length || !remoteFingerprints.length) {
+      return;
+    }
+    
+    try {
+      const { emoji, words, fingerprints } = await computeSafetyNumber(localFingerprints, remoteFingerprints);
+      const current = this.safetyNumbers.get(peerId);
+      
+      // Ignore results for a connection that was closed or replaced meanwhile
+      if (this.peerConnections.get(peerId) !== peerConnection) {
+        return;
+      }
+      
+      if (current && current.fingerprints === fingerprints) {
+        return;
+      }
+      
+      const safetyNumber = {
+        emoji,
+        words,
+        fingerprints,
+        verified: false,
+        mismatch: !!current,
+        previous: current ? { words: current.words, verified: current.verified } : null
+      };
+      
+      if (current) {
+        console.warn(`Safety number for ${peerId} changed after renegotiation`);
+      }
+      
+      this.safetyNumbers.set(peerId, safetyNumber);
+      
+      if (this.onSafetyNumberChange) {
+        this.onSafetyNumberChange(peerId, safetyNumber);
+      }
+    } catch (error) {
+      console.error('Error computing safety number:', error);
+    }
+  }
+  
+  /**
+   * Salt binding the frame key to the room (or to direct calls)
+   * @returns {string} Key salt
+   * @private
+   */
+  _getKeySalt() {
+    return this.roomId ? `room:${this.roomId}` : 'direct';
+  }
+  
+  /**
+   * Create and send an offer with the current codec preferences
    * @param {string} peerId - Peer ID
+   * @param {RTCPeerConnection} peerConnection - Connection to offer on
+   * @param {Object} state - The connection's perfect-negotiation state
    * @returns {Promise<void>}
    * @private
    */
-  async _createAndSendOffer(peerId) {
+  async _sendOffer(peerId, peerConnection, state) {
     try {
+      state.makingOffer = true;
+      this._applyCodecPreferences(peerConnection);
+      await peerConnection.setLocalDescription();
+      this._sendSignal(peerId, peerConnection.localDescription);
+    } catch (error) {
+      console.error('Error during negotiation:', error);
+    } finally {
+      state.makingOffer = false;
+    }
+  }
+  
+  /**
+   * Offer again so changed codec preferences take effect
+   * Unlike an ICE restart this keeps the candidate pair in use, so media
+   * carries on. A negotiation in progress finishes first.
+   * @param {string} peerId - Peer ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  _renegotiate(peerId) {
+    return this._enqueueSignal(peerId, async () => {
       const peerConnection = this.peerConnections.get(peerId);
+      const state = this.negotiationStates.get(peerId);
+      
+      if (!peerConnection || !state || peerConnection.signalingState === 'closed') {
+        return;
+      }
+      
+      if (state.makingOffer || peerConnection.signalingState !== 'stable') {
+        const retry = () => {
+          if (peerConnection.signalingState === 'stable') {
+            peerConnection.removeEventListener('signalingstatechange', retry);
+            this._renegotiate(peerId).catch(error => {
+              console.error(`Error renegotiating with ${peerId}:`, error);
+            });
+          }
+        };
+        peerConnection.addEventListener('signalingstatechange', retry);
+        return;
+      }
+      
+      await this._sendOffer(peerId, peerConnection, state);
+    });
+  }
+  
+  /**
+   * Run signaling work for a peer after any work already queued for it
+   * Keeps connection creation and description changes from interleaving
+   * @param {string} peerId - Peer ID
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>} Result of the task
+   * @private
+   */
+  _enqueueSignal(peerId, task) {
+    const previous = this.signalQueues.get(peerId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    
+    this.signalQueues.set(peerId, next);
+    
+    // Drop the queue once it drains so closed peers do not leak
+    next.catch(() => {}).then(() => {
+      if (this.signalQueues.get(peerId) === next) {
+        this.signalQueues.delete(peerId);
+      }
+    });
+    
+    return next;
+  }
+  
+  /**
+   * Check whether media must stay on the local network
+   * @returns {boolean} True in strict-local mode
+   * @private
+   */
+  _isStrictLocal() {
+    return this.icePolicy === ICE_POLICIES.STRICT_LOCAL;
+  }
+  
+  /**
+   * Check the selected candidate pair now and whenever it changes
+   * @param {string} peerId - Peer ID
+   * @param {RTCPeerConnection} peerConnection - Connected peer connection
+   * @private
+   */
+  _watchNetworkRoute(peerId, peerConnection) {
+    const sender = peerConnection.getSenders().find(item => item.transport);
+    const iceTransport = sender && sender.transport.iceTransport;
+    
+    // Not every browser exposes the ICE transport; the state change still triggers a check
+    if (iceTransport && !iceTransport.onselectedcandidatepairchange) {
+      iceTransport.onselectedcandidatepairchange = () => this._checkNetworkRoute(peerId, peerConnection);
+    }
+    
+    this._checkNetworkRoute(peerId, peerConnection);
+  }
+  
+  /**
+   * Report the selected candidate pair and whether it is on the local network
+   * @param {string} peerId - Peer ID
+   * @param {RTCPeerConnection} peerConnection - Peer connection
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _checkNetworkRoute(peerId, peerConnection) {
+    if (!this.onNetworkRouteChange || this.peerConnections.get(peerId) !== peerConnection) {
+      return;
+    }
+    
+    try {
+      const stats = await peerConnection.getStats();
+      let pair = null;
+      
+      stats.forEach(report => {
+        if (report.type === 'transport' && report.selectedCandidatePairId) {
+          pair = stats.get(report.selectedCandidatePairId);
+        }
+      });
       
-      if (!peerConnection) {
-        throw new Error(`Peer connection not found for ${peerId}`);
+      // Firefox has no transport stats but flags the pair itself
+      if (!pair) {
+        stats.forEach(report => {
+          if (report.type === 'candidate-pair' && report.selected) {
+            pair = report;
+          }
+        });
       }
       
-      // Create offer
-      const offer = await peerConnection.createOffer();
+      const localCandidate = pair && stats.get(pair.localCandidateId);
+      const remoteCandidate = pair && stats.get(pair.remoteCandidateId);
       
-      // Set local description
-      await peerConnection.setLocalDescription(offer);
+      if (!localCandidate || !remoteCandidate) {
+        return;
+      }
       
-      // Send offer
-      this.socket.emit('send-signal', {
-        roomId: this.roomId,
-        userId: this.userId,
-        targetUserId: peerId,
-        signal: offer
+      const describe = candidate => ({
+        address: candidate.address || candidate.ip || null,
+        type: candidate.candidateType,
+        protocol: candidate.protocol
+      });
+      
+      this.onNetworkRouteChange(peerId, {
+        local: isLocalCandidateStats(localCandidate) && isLocalCandidateStats(remoteCandidate),
+        localCandidate: describe(localCandidate),
+        remoteCandidate: describe(remoteCandidate)
+      });
+    } catch (error) {
+      console.warn('Could not read the selected ICE candidate pair:', error);
+    }
+  }
+  
+  /**
+   * Send a description or ICE candidate to a peer
+   * 1:1 call peers use the call messages, room peers the room relay
+   * @param {string} peerId - Peer ID
+   * @param {RTCSessionDescription|RTCIceCandidate} signal - Signal to send
+   * @private
+   */
+  _sendSignal(peerId, signal) {
+    let payload = typeof signal.toJSON === 'function' ? signal.toJSON() : signal;
+    
+    if (this._isStrictLocal() && payload.sdp) {
+      payload = { ...payload, sdp: stripNonLocalCandidates(payload.sdp) };
+    }
+    
+    if (peerId === this.callPeerId) {
+      if (payload.type === 'offer') {
+        this.socket.emit(CALL_EVENTS.OFFER, { target: peerId, offer: payload });
+      } else if (payload.type === 'answer') {
+        this.socket.emit(CALL_EVENTS.ANSWER, { target: peerId, answer: payload });
+      } else {
+        this.socket.emit(CALL_EVENTS.ICE_CANDIDATE, { target: peerId, candidate: payload });
+      }
+      return;
+    }
+    
+    this.socket.emit(ROOM_EVENTS.SEND_SIGNAL, {
+      roomId: this.roomId,
+      userId: this.userId,
+      targetUserId: peerId,
+      signal: payload
+    });
+  }
+  
+  /**
+   * Apply ICE candidates that arrived before the remote description
+   * @param {string} peerId - Peer ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _flushPendingCandidates(peerId) {
+    const peerConnection = this.peerConnections.get(peerId);
+    const candidates = this.pendingCandidates.get(peerId);
+    
+    if (!peerConnection || !candidates) {
+      return;
+    }
+    
+    this.pendingCandidates.delete(peerId);
+    
+    for (const candidate of candidates) {
+      try {
+        await peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
+      } catch (error) {
+        console.warn('Error adding queued ICE candidate:', error);
+      }
+    }
+  }
+  
+  /**
+   * Acquire the microphone and start local audio level detection
+   * @returns {Promise<MediaStream>}
+   * @private
+   */
+  async _acquireMicrophone() {
+    if (this.onMicrophoneStatus) {
+      this.onMicrophoneStatus({ status: 'requesting', message: 'Requesting microphone access...' });
+    }
+    
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: true,
+        video: false
       });
+      
+      // Replace any previous stream (e.g. after a retry)
+      if (this.localStream) {
+        this.localStream.getTracks().forEach(track => track.stop());
+      }
+      
+      this.localStream = stream;
+      
+      // Setup audio level detection
+      if (this.speakingDetector) {
+        this.speakingDetector.audioContext.close().catch(() => {});
+        this.speakingDetector = null;
+      }
+      this._setupAudioLevelDetection(stream);
+      
+      if (this.onMicrophoneStatus) {
+        this.onMicrophoneStatus({ status: 'granted' });
+      }
+      
+      return stream;
     } catch (error) {
-      console.error('Error creating and sending offer:', error);
+      if (this.onMicrophoneStatus) {
+        this.onMicrophoneStatus({
+          status: error.name === 'NotAllowedError' ? 'denied' : 'error',
+          message: error.message
+        });
+      }
+      
+      if (this.onError) {
+        this.onError(`Microphone unavailable: ${error.message}`);
+      }
+      
       throw error;
     }
   }
@@ -560,27 +2665,42 @@ export class WebRTCManager {
   /**
    * Close peer connection
    * @param {string} peerId - Peer ID
+   * @param {boolean} [notify=true] - Report the peer's stream as removed; false when the connection is about to be replaced
    * @private
    */
-  _closePeerConnection(peerId) {
+  _closePeerConnection(peerId, notify = true) {
     // Get peer connection
     const peerConnection = this.peerConnections.get(peerId);
     
+    this._finishRecovery(peerId);
+    
     if (peerConnection) {
       // Close peer connection
       peerConnection.close();
       
       // Remove peer connection
       this.peerConnections.delete(peerId);
+      this.stats.removePeer(peerId);
+      this.negotiationStates.delete(peerId);
+      this.pendingCandidates.delete(peerId);
+      this.safetyNumbers.delete(peerId);
+      this.chat.detach(peerId);
+      
+      // Transfers stay paused in case the peer reconnects
+      this.files.detach(peerId);
       
       // Remove audio level detection
       if (this.audioQualityMonitors.has(peerId)) {
         this.audioQualityMonitors.delete(peerId);
       }
       
-      // Notify about remote stream removed
-      if (this.onRemoteStreamRemoved) {
-        this.onRemoteStreamRemoved(peerId);
+      // A connection replaced after a reconnect keeps its place in the UI
+      if (notify) {
+        this.peerStates.delete(peerId);
+        
+        if (this.onRemoteStreamRemoved) {
+          this.onRemoteStreamRemoved(peerId);
+        }
       }
     }
   }
@@ -609,6 +2729,7 @@ export class WebRTCManager {
       
       // Create speaking detector
       this.speakingDetector = {
+        audioContext,
         analyser,
         dataArray,
         threshold: 30,
@@ -687,6 +2808,8 @@ export class WebRTCManager {
     }
     const average = sum / dataArray.length;
     
+    this.speakingDetector.level = average;
+    
     // Check if speaking
     const isSpeakingNow = average > threshold;
     
@@ -705,6 +2828,18 @@ export class WebRTCManager {
       if (this.onAudioLevelChange) {
         this.onAudioLevelChange(this.userId, isSpeakingMajority, average);
       }
+      
+      if (this.onSpeakingChange) {
+        this.onSpeakingChange(isSpeakingMajority);
+      }
+      
+      // Let the other side of a 1:1 call show our speaking indicator
+      if (this.callPeerId) {
+        this.socket.emit(CALL_EVENTS.SPEAKING, {
+          target: this.callPeerId,
+          speaking: isSpeakingMajority
+        });
+      }
     }
     
     // Continue detection loop
@@ -784,8 +2919,12 @@ export class WebRTCManager {
       this.localScreenStream = screenStream;
       this.isScreenSharing = true;
       
+      if (this.sfu) {
+        await this.sfu.produce(screenStream.getVideoTracks()[0], this._producerOptions('video'));
+      }
+      
       // Add screen track to all peer connections
-      for (const [peerId, peerConnection] of this.peerConnections.entries()) {
+      for (const peerConnection of this._mediaConnections()) {
         const screenTrack = screenStream.getVideoTracks()[0];
         
         // Find existing video sender
@@ -795,17 +2934,17 @@ export class WebRTCManager {
         );
         
         if (videoSender) {
-          // Replace existing video track with screen track
+          // Replace existing video track with screen track (no renegotiation needed)
           await videoSender.replaceTrack(screenTrack);
         } else {
-          // Add screen track if no video sender exists
-          peerConnection.addTrack(screenTrack, screenStream);
-          
-          // Renegotiate the connection
-          await this._createAndSendOffer(peerId);
+          // Add screen track if no video sender exists; negotiationneeded renegotiates
+          this._addTrack(peerConnection, screenTrack, screenStream);
         }
       }
       
+      // A shared screen stays legible: full resolution for everyone
+      await this._applyVideoEncodings();
+      
       // Handle screen sharing stop event
       screenStream.getVideoTracks()[0].addEventListener('ended', () => {
         this.stopScreenSharing();
@@ -840,22 +2979,34 @@ export class WebRTCManager {
       this.localScreenStream = null;
       this.isScreenSharing = false;
       
-      // Restore video tracks in all peer connections
-      if (this.localVideoStream) {
-        const videoTrack = this.localVideoStream.getVideoTracks()[0];
+      // Restore camera tracks, or drop the screen sender when the camera is off
+      const videoTrack = this.localVideoStream && this.localVideoStream.getVideoTracks()[0];
+      
+      if (this.sfu) {
+        await (videoTrack ? this.sfu.produce(videoTrack, this._producerOptions('video')) : this.sfu.stopProducing('video'));
+      }
+      
+      for (const peerConnection of this._mediaConnections()) {
+        const senders = peerConnection.getSenders();
+        const videoSender = senders.find(sender => 
+          sender.track && sender.track.kind === 'video'
+        );
         
-        for (const [peerId, peerConnection] of this.peerConnections.entries()) {
-          const senders = peerConnection.getSenders();
-          const videoSender = senders.find(sender => 
-            sender.track && sender.track.kind === 'video'
-          );
-          
-          if (videoSender && videoTrack) {
-            await videoSender.replaceTrack(videoTrack);
-          }
+        if (!videoSender) {
+          continue;
+        }
+        
+        if (videoTrack) {
+          await videoSender.replaceTrack(videoTrack);
+        } else {
+          // negotiationneeded renegotiates the removal
+          peerConnection.removeTrack(videoSender);
         }
       }
       
+      // Back to the layers each peer asked for
+      await this._applyVideoEncodings();
+      
       // Notify about screen sharing stop
       if (this.onScreenSharingChange) {
         this.onScreenSharingChange(false, null);
@@ -1,8 +1,16 @@
 /**
  * WebRTC Quality Monitor
  * 
- * Monitors WebRTC connection quality and provides adaptive streaming capabilities
+ * Picks the video preset and the audio-only fallback from the network
+ * conditions the stats engine measures
  */
+
+// Below this share of the lowest preset's bitrate the uplink cannot carry video
+const AUDIO_ONLY_BITRATE_RATIO = 0.375;
+
+// Consecutive updates (one per stats poll) before falling back to audio only, or back to video
+const AUDIO_ONLY_CHECKS = 3;
+
 export class WebRTCQualityMonitor {
   /**
    * Create a new WebRTC Quality Monitor
@@ -45,133 +53,35 @@ export class WebRTCQualityMonitor {
     this.currentQuality = options.initialQuality || 'high';
     this.adaptiveQuality = options.adaptiveQuality !== false;
     
+    // Audio-only fallback while the uplink cannot sustain even the lowest preset
+    this.audioOnly = false;
+    this.audioOnlyChecks = 0;
+    
     // Callbacks
     this.onQualityChange = options.onQualityChange || null;
-    this.onNetworkQualityChange = options.onNetworkQualityChange || null;
+    this.onAudioOnlyChange = options.onAudioOnlyChange || null;
     
-    // Stats
-    this.lastStats = {};
+    // Last quality score (0-100)
     this.networkQuality = 100;
-    this.monitorInterval = null;
   }
   
   /**
-   * Start monitoring network quality
-   * @param {RTCPeerConnection} peerConnection - WebRTC peer connection to monitor
-   * @param {string} peerId - ID of the peer
+   * Follow the network conditions the stats engine measured
+   * @param {Object} conditions - Network conditions
+   * @param {number} conditions.score - Quality score (0-100) of the worst peer
+   * @param {number|null} conditions.rtt - Round trip time in ms
+   * @param {number|null} conditions.bitrate - Video bitrate being sent in bps
+   * @param {number|null} conditions.availableBitrate - Estimated available outgoing bitrate in bps
    */
-  startMonitoring(peerConnection, peerId) {
-    if (this.monitorInterval) {
-      clearInterval(this.monitorInterval);
-    }
+  update({ score, rtt, bitrate, availableBitrate }) {
+    this.networkQuality = score;
     
-    this.monitorInterval = setInterval(async () => {
-      try {
-        if (!peerConnection) return;
-        
-        // Get connection stats
-        const stats = await peerConnection.getStats();
-        const videoStats = {};
-        const connectionStats = {};
-        
-        stats.forEach(stat => {
-          // Collect video stats
-          if (stat.type === 'outbound-rtp' && stat.kind === 'video') {
-            videoStats.bytesSent = stat.bytesSent;
-            videoStats.packetsSent = stat.packetsSent;
-            videoStats.framesEncoded = stat.framesEncoded;
-            videoStats.framesSent = stat.framesSent;
-            videoStats.timestamp = stat.timestamp;
-          }
-          
-          // Collect connection stats
-          if (stat.type === 'candidate-pair' && stat.state === 'succeeded') {
-            connectionStats.currentRoundTripTime = stat.currentRoundTripTime;
-            connectionStats.availableOutgoingBitrate = stat.availableOutgoingBitrate;
-            connectionStats.timestamp = stat.timestamp;
-          }
-        });
-        
-        // Calculate network quality
-        if (this.lastStats.timestamp) {
-          // Calculate bitrate
-          const timeDiff = (videoStats.timestamp - this.lastStats.timestamp) / 1000;
-          const bytesSent = videoStats.bytesSent - this.lastStats.bytesSent;
-          const bitrate = (bytesSent * 8) / timeDiff; // bps
-          
-          // Calculate packet loss
-          const packetsSent = videoStats.packetsSent - this.lastStats.packetsSent;
-          const packetLoss = 0; // TODO: Calculate actual packet loss
-          
-          // Calculate frame rate
-          const framesSent = videoStats.framesSent - this.lastStats.framesSent;
-          const frameRate = framesSent / timeDiff;
-          
-          // Calculate round trip time (in ms)
-          const rtt = connectionStats.currentRoundTripTime * 1000;
-          
-          // Calculate overall quality score (0-100)
-          let qualityScore = 100;
-          
-          // Reduce score based on RTT
-          if (rtt > 500) qualityScore -= 40;
-          else if (rtt > 300) qualityScore -= 25;
-          else if (rtt > 150) qualityScore -= 10;
-          else if (rtt > 100) qualityScore -= 5;
-          
-          // Reduce score based on bitrate
-          const targetBitrate = this.qualityPresets[this.currentQuality]?.bitrate || 1500000;
-          if (bitrate < targetBitrate * 0.3) qualityScore -= 40;
-          else if (bitrate < targetBitrate * 0.5) qualityScore -= 25;
-          else if (bitrate < targetBitrate * 0.7) qualityScore -= 10;
-          
-          // Reduce score based on frame rate
-          const targetFrameRate = this.qualityPresets[this.currentQuality]?.frameRate || 30;
-          if (frameRate < targetFrameRate * 0.3) qualityScore -= 30;
-          else if (frameRate < targetFrameRate * 0.5) qualityScore -= 20;
-          else if (frameRate < targetFrameRate * 0.7) qualityScore -= 10;
-          
-          // Ensure score is between 0-100
-          qualityScore = Math.max(0, Math.min(100, qualityScore));
-          
-          // Update network quality
-          this.networkQuality = qualityScore;
-          
-          // Notify about quality change
-          if (this.onNetworkQualityChange) {
-            this.onNetworkQualityChange(peerId, qualityScore, {
-              bitrate,
-              rtt,
-              frameRate,
-              packetLoss
-            });
-          }
-          
-          // Apply adaptive quality if enabled
-          if (this.adaptiveQuality) {
-            this.adaptVideoQuality(qualityScore, bitrate, rtt);
-          }
-        }
-        
-        // Store current stats for next comparison
-        this.lastStats = {
-          ...videoStats,
-          ...connectionStats
-        };
-      } catch (error) {
-        console.warn('Error monitoring network quality:', error);
-      }
-    }, 2000); // Check every 2 seconds
-  }
-  
-  /**
-   * Stop monitoring
-   */
-  stopMonitoring() {
-    if (this.monitorInterval) {
-      clearInterval(this.monitorInterval);
-      this.monitorInterval = null;
+    if (this.adaptiveQuality) {
+      this.adaptVideoQuality(score, bitrate, rtt || 0);
     }
+    
+    // Whatever the preset, video stops when the uplink cannot carry it
+    this.checkAudioOnly(availableBitrate);
   }
   
   /**
@@ -196,15 +106,68 @@ export class WebRTCQualityMonitor {
       }
       
       // Only change quality if it's different from current
+      // setQuality() is for manual presets and would turn adaptation off
       if (targetQuality !== this.currentQuality) {
         console.log(`Adapting video quality to ${targetQuality} due to network conditions`);
-        this.setQuality(targetQuality);
+        this.currentQuality = targetQuality;
+        
+        if (this.onQualityChange) {
+          this.onQualityChange(this.qualityPresets[targetQuality]);
+        }
       }
     } catch (error) {
       console.warn('Error adapting video quality:', error);
     }
   }
   
+  /**
+   * Fall back to audio only while the uplink cannot sustain video
+   * Takes a few checks in a row either way, so a short dip does not flap
+   * @param {number} [availableBitrate] - Estimated available outgoing bitrate in bps
+   */
+  checkAudioOnly(availableBitrate) {
+    if (!Number.isFinite(availableBitrate)) {
+      return;
+    }
+    
+    const lowestBitrate = this.qualityPresets.low.bitrate;
+    
+    // Back to video once the lowest preset fits again
+    const flip = this.audioOnly
+      ? availableBitrate >= lowestBitrate
+      : availableBitrate < lowestBitrate * AUDIO_ONLY_BITRATE_RATIO;
+    
+    this.audioOnlyChecks = flip ? this.audioOnlyChecks + 1 : 0;
+    
+    if (this.audioOnlyChecks < AUDIO_ONLY_CHECKS) {
+      return;
+    }
+    
+    this.audioOnly = !this.audioOnly;
+    this.audioOnlyChecks = 0;
+    console.log(this.audioOnly ? 'Uplink too slow for video, sending audio only' : 'Uplink recovered, sending video again');
+    
+    if (this.onAudioOnlyChange) {
+      this.onAudioOnlyChange(this.audioOnly);
+    }
+  }
+  
+  /**
+   * Turn adaptive quality on or off
+   * @param {boolean} enabled - Adapt the preset to network conditions
+   */
+  setAdaptiveMode(enabled) {
+    this.adaptiveQuality = enabled;
+  }
+  
+  /**
+   * Check whether the preset adapts to network conditions
+   * @returns {boolean} Adaptive mode status
+   */
+  isAdaptiveMode() {
+    return this.adaptiveQuality;
+  }
+  
   /**
    * Set video quality preset
    * @param {string|Object} preset - Quality preset id or custom preset object
@@ -0,0 +1,170 @@
+/**
+ * Minimal ZIP writer
+ *
+ * Bundles files without compressing them ("stored"), which is what recorded
+ * audio needs: Opus is already compressed, and storing lets the archive be
+ * assembled from the recorded files without reading them into memory. The
+ * caller passes each file's CRC-32, computed as its bytes go by.
+ *
+ * ZIP64 is not written, so every file and the whole archive must stay below
+ * 4 GiB. The module has no DOM dependencies; wrap the returned parts in a Blob.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const VERSION = 20; // 2.0: stored entries in directories
+const UTF8_NAMES_FLAG = 0x0800;
+const MAX_SIZE = 0xFFFFFFFF;
+const MAX_ENTRIES = 0xFFFF;
+
+let crcTable = null;
+
+/**
+ * Compute or continue a CRC-32
+ * @param {Uint8Array} bytes - Next bytes
+ * @param {number} [crc=0] - CRC of the bytes before
+ * @returns {number} CRC-32 of everything so far
+ */
+export function crc32(bytes, crc = 0) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let c = (crc ^ 0xFFFFFFFF) >>> 0;
+
+  for (let i = 0; i < bytes.length; i++) {
+    c = crcTable[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  }
+
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Compute the CRC-32 of a blob, reading it a piece at a time
+ * @param {Blob} blob - File or blob
+ * @returns {Promise<number>} CRC-32
+ */
+export async function crc32Blob(blob) {
+  const reader = blob.stream().getReader();
+  let crc = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+
+    if (done) {
+      return crc;
+    }
+
+    crc = crc32(value, crc);
+  }
+}
+
+/**
+ * MS-DOS time and date of a moment, in local time
+ * @param {Date} date - Moment
+ * @returns {Object} `{ time, date }`
+ * @private
+ */
+function dosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build the ZIP archive of some files
+ * @param {Array<Object>} entries - `{ name, data, size, crc, modified }` per file, where
+ * `data` is a Uint8Array or Blob of `size` bytes and `crc` its CRC-32 (from crc32)
+ * @returns {Array<Uint8Array|Blob>} Archive parts, in order
+ */
+export function buildZip(entries) {
+  if (entries.length > MAX_ENTRIES) {
+    throw new Error('Too many files for a ZIP archive');
+  }
+
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data, size, crc, modified = new Date() }) => {
+    if (size >= MAX_SIZE || offset + size >= MAX_SIZE) {
+      throw new Error('The recording is too large for a ZIP archive');
+    }
+
+    const fileName = encoder.encode(name);
+    const { time, date } = dosDateTime(modified);
+
+    const local = new Uint8Array(30 + fileName.length);
+    const view = new DataView(local.buffer);
+    view.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    view.setUint16(4, VERSION, true);
+    view.setUint16(6, UTF8_NAMES_FLAG, true);
+    view.setUint16(8, 0, true); // Stored
+    view.setUint16(10, time, true);
+    view.setUint16(12, date, true);
+    view.setUint32(14, crc, true);
+    view.setUint32(18, size, true);
+    view.setUint32(22, size, true);
+    view.setUint16(26, fileName.length, true);
+    view.setUint16(28, 0, true);
+    local.set(fileName, 30);
+
+    const header = new Uint8Array(46 + fileName.length);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    headerView.setUint16(4, VERSION, true);
+    headerView.setUint16(6, VERSION, true);
+    headerView.setUint16(8, UTF8_NAMES_FLAG, true);
+    headerView.setUint16(10, 0, true);
+    headerView.setUint16(12, time, true);
+    headerView.setUint16(14, date, true);
+    headerView.setUint32(16, crc, true);
+    headerView.setUint32(20, size, true);
+    headerView.setUint32(24, size, true);
+    headerView.setUint16(28, fileName.length, true);
+    // Extra field, comment, disk number and attributes stay zero
+    headerView.setUint32(42, offset, true);
+    header.set(fileName, 46);
+
+    parts.push(local, data);
+    central.push(header);
+    offset += local.length + size;
+  });
+
+  const centralSize = central.reduce((total, header) => total + header.length, 0);
+
+  if (offset + centralSize >= MAX_SIZE) {
+    throw new Error('The recording is too large for a ZIP archive');
+  }
+
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  endView.setUint16(8, entries.length, true);
+  endView.setUint16(10, entries.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true);
+
+  return [...parts, ...central, end];
+}
+
+const zipArchive = {
+  crc32,
+  crc32Blob,
+  buildZip
+};
+
+export default zipArchive;
@@ -0,0 +1,104 @@
+/**
+ * @jest-environment node
+ */
+import { Blob } from 'buffer';
+import { crc32, crc32Blob, buildZip } from './zipArchive';
+
+const bytesOf = (text) => new TextEncoder().encode(text);
+const view = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+const join = (parts) => {
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  parts.reduce((offset, part) => {
+    output.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return output;
+};
+
+// Read the archive back through its central directory
+const readZip = (archive) => {
+  const end = archive.length - 22;
+  const count = view(archive).getUint16(end + 10, true);
+  let position = view(archive).getUint32(end + 16, true);
+  const files = [];
+
+  for (let i = 0; i < count; i++) {
+    const header = view(archive.subarray(position));
+    const nameLength = header.getUint16(28, true);
+    const offset = header.getUint32(42, true);
+    const size = header.getUint32(24, true);
+    const local = view(archive.subarray(offset));
+    const dataStart = offset + 30 + local.getUint16(26, true);
+
+    files.push({
+      name: new TextDecoder().decode(archive.subarray(position + 46, position + 46 + nameLength)),
+      crc: header.getUint32(16, true),
+      flags: header.getUint16(8, true),
+      localSignature: local.getUint32(0, true),
+      data: archive.subarray(dataStart, dataStart + size)
+    });
+    position += 46 + nameLength;
+  }
+
+  return { signature: view(archive).getUint32(end, true), files };
+};
+
+describe('zipArchive', () => {
+  test('computes CRC-32', () => {
+    expect(crc32(bytesOf('123456789'))).toBe(0xCBF43926);
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+
+  test('continues a CRC-32 across pieces', () => {
+    const bytes = bytesOf('The quick brown fox jumps over the lazy dog');
+
+    expect(crc32(bytes.subarray(10), crc32(bytes.subarray(0, 10)))).toBe(crc32(bytes));
+    expect(crc32(bytes)).toBe(0x414FA339);
+  });
+
+  test('computes the CRC-32 of a blob', async () => {
+    const bytes = bytesOf('stem audio');
+
+    expect(await crc32Blob(new Blob([bytes.subarray(0, 4), bytes.subarray(4)]))).toBe(crc32(bytes));
+  });
+
+  test('stores files so they can be read back', () => {
+    const files = [
+      { name: 'alice.ogg', data: bytesOf('first stem') },
+      { name: 'stems/bób.wav', data: bytesOf('second, longer stem') },
+      { name: 'empty.txt', data: new Uint8Array(0) }
+    ];
+
+    const archive = join(buildZip(files.map(({ name, data }) => ({
+      name,
+      data,
+      size: data.length,
+      crc: crc32(data),
+      modified: new Date(2024, 4, 17, 13, 45, 30)
+    }))));
+    const zip = readZip(archive);
+
+    expect(zip.signature).toBe(0x06054b50);
+    expect(zip.files.map(file => file.name)).toEqual(files.map(file => file.name));
+
+    zip.files.forEach((file, i) => {
+      expect(file.localSignature).toBe(0x04034b50);
+      expect(file.flags & 0x0800).toBe(0x0800);
+      expect(file.data).toEqual(files[i].data);
+      expect(file.crc).toBe(crc32(files[i].data));
+    });
+  });
+
+  test('passes blobs through as parts', () => {
+    const blob = new Blob([bytesOf('recorded')]);
+    const parts = buildZip([{ name: 'a.webm', data: blob, size: blob.size, crc: 0 }]);
+
+    expect(parts).toContain(blob);
+  });
+
+  test('refuses files too large for ZIP without ZIP64', () => {
+    expect(() => buildZip([{ name: 'huge.wav', data: new Uint8Array(0), size: 0xFFFFFFFF, crc: 0 }]))
+      .toThrow('too large');
+  });
+});
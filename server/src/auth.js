@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+
+// Token types
+const TOKEN_TYPES = {
+  JOIN: 'join', // Lets a socket connect as a given username
+  INVITE: 'invite' // Lets the holder into a room, or call the user who created it
+};
+
+// Passwords and codes are compared as scrypt hashes
+const SCRYPT_KEY_LENGTH = 32;
+const MAX_TOKEN_LENGTH = 1024;
+
+/**
+ * Encode a buffer or string as base64url
+ * @param {Buffer|string} value - Value to encode
+ * @returns {string} base64url string
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Compare two buffers in constant time
+ * @param {Buffer} a - First buffer
+ * @param {Buffer} b - Second buffer
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Issues and verifies short-lived HMAC-signed tokens
+ *
+ * Format: base64url(JSON claims) "." base64url(HMAC-SHA256(secret, claims part)).
+ * Claims always include `typ`, `iat` and `exp` (seconds since the epoch).
+ */
+class TokenService {
+  /**
+   * @param {string} secret - HMAC secret from the server configuration
+   */
+  constructor(secret) {
+    if (!secret || secret.length < 32) {
+      throw new Error('AUTH_SECRET must be at least 32 characters');
+    }
+
+    this.secret = secret;
+  }
+
+  /**
+   * Sign a token
+   * @param {string} type - Token type (see TOKEN_TYPES)
+   * @param {Object} claims - Additional claims
+   * @param {number} ttlSeconds - Lifetime in seconds
+   * @returns {{ token: string, expiresAt: number }} Token and its expiry in milliseconds
+   */
+  sign(type, claims, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = base64url(JSON.stringify({
+      ...claims,
+      typ: type,
+      iat: now,
+      exp: now + ttlSeconds
+    }));
+
+    return {
+      token: `${payload}.${this._signature(payload)}`,
+      expiresAt: (now + ttlSeconds) * 1000
+    };
+  }
+
+  /**
+   * Verify a token's signature, type and expiry
+   * @param {*} token - Token from the client
+   * @param {string} type - Expected token type
+   * @returns {Object|null} Claims, or null if the token is invalid or expired
+   */
+  verify(token, type) {
+    if (typeof token !== 'string' || token.length > MAX_TOKEN_LENGTH) {
+      return null;
+    }
+
+    const [payload, signature, extra] = token.split('.');
+
+    if (!payload || !signature || extra !== undefined) {
+      return null;
+    }
+
+    if (!safeEqual(Buffer.from(signature), Buffer.from(this._signature(payload)))) {
+      return null;
+    }
+
+    let claims;
+
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (err) {
+      return null;
+    }
+
+    if (!claims || claims.typ !== type || !Number.isInteger(claims.exp)) {
+      return null;
+    }
+
+    if (claims.exp <= Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+
+    return claims;
+  }
+
+  /**
+   * HMAC signature of a token payload
+   * @param {string} payload - Encoded claims
+   * @returns {string} base64url signature
+   * @private
+   */
+  _signature(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+}
+
+/**
+ * Tracks how many uses each invite has left
+ *
+ * Tokens are stateless, so the use count lives here, in memory. An invite
+ * the ledger does not know (e.g. after a restart) counts as used up.
+ */
+class InviteLedger {
+  constructor() {
+    this.invites = new Map(); // Invite ID -> { usesLeft, expiresAt }
+  }
+
+  /**
+   * Register a new invite
+   * @param {number} maxUses - How many times the invite can be redeemed
+   * @param {number} ttlSeconds - Lifetime in seconds, matching the token's
+   * @returns {string} Invite ID to put in the token's `jti` claim
+   */
+  issue(maxUses, ttlSeconds) {
+    this._prune();
+
+    const id = base64url(crypto.randomBytes(12));
+    this.invites.set(id, {
+      usesLeft: maxUses,
+      expiresAt: Date.now() + ttlSeconds * 1000
+    });
+
+    return id;
+  }
+
+  /**
+   * Number of uses an invite has left
+   * @param {*} id - Invite ID from a verified token
+   * @returns {number} Uses left, 0 if unknown or expired
+   */
+  remaining(id) {
+    const invite = this.invites.get(id);
+
+    if (!invite || invite.expiresAt <= Date.now()) {
+      return 0;
+    }
+
+    return invite.usesLeft;
+  }
+
+  /**
+   * Use up one redemption of an invite
+   * @param {string} id - Invite ID from a verified token
+   * @returns {boolean} False if the invite had no uses left
+   */
+  consume(id) {
+    if (this.remaining(id) === 0) {
+      return false;
+    }
+
+    const invite = this.invites.get(id);
+    invite.usesLeft -= 1;
+
+    if (invite.usesLeft === 0) {
+      this.invites.delete(id);
+    }
+
+    return true;
+  }
+
+  /**
+   * Forget expired invites
+   * @private
+   */
+  _prune() {
+    const now = Date.now();
+
+    for (const [id, invite] of this.invites) {
+      if (invite.expiresAt <= now) {
+        this.invites.delete(id);
+      }
+    }
+  }
+}
+
+/**
+ * Hash a password for storage in memory
+ * @param {string} password - Plain password
+ * @returns {string} "salt:hash" in hex
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+  return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {*} password - Password from the client
+ * @param {string} stored - Hash from hashPassword
+ * @returns {boolean} True if the password matches
+ */
+function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || !stored) {
+    return false;
+  }
+
+  const [salt, hash] = stored.split(':');
+  const candidate = crypto.scryptSync(password, Buffer.from(salt, 'hex'), SCRYPT_KEY_LENGTH);
+
+  return safeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+module.exports = {
+  TOKEN_TYPES,
+  TokenService,
+  InviteLedger,
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,138 @@
+const {
+  TOKEN_TYPES,
+  TokenService,
+  InviteLedger,
+  hashPassword,
+  verifyPassword
+} = require('./auth');
+
+const SECRET = '0123456789abcdef0123456789abcdef0123';
+
+describe('TokenService', () => {
+  const tokens = new TokenService(SECRET);
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('needs a long secret', () => {
+    expect(() => new TokenService('short')).toThrow('at least 32 characters');
+    expect(() => new TokenService()).toThrow('at least 32 characters');
+  });
+
+  test('verifies the tokens it signs', () => {
+    const { token, expiresAt } = tokens.sign(TOKEN_TYPES.JOIN, { sub: 'alice' }, 60);
+    const claims = tokens.verify(token, TOKEN_TYPES.JOIN);
+
+    expect(claims.sub).toBe('alice');
+    expect(claims.typ).toBe(TOKEN_TYPES.JOIN);
+    expect(claims.exp - claims.iat).toBe(60);
+    expect(expiresAt).toBe(claims.exp * 1000);
+  });
+
+  test('keeps the token type from being overridden by claims', () => {
+    const { token } = tokens.sign(TOKEN_TYPES.INVITE, { typ: TOKEN_TYPES.JOIN, roomId: 'room-1' }, 60);
+
+    expect(tokens.verify(token, TOKEN_TYPES.JOIN)).toBeNull();
+    expect(tokens.verify(token, TOKEN_TYPES.INVITE).roomId).toBe('room-1');
+  });
+
+  test('rejects tokens of another type', () => {
+    const { token } = tokens.sign(TOKEN_TYPES.INVITE, { roomId: 'room-1' }, 60);
+
+    expect(tokens.verify(token, TOKEN_TYPES.JOIN)).toBeNull();
+  });
+
+  test('rejects expired tokens', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T12:00:00Z') });
+    const { token } = tokens.sign(TOKEN_TYPES.JOIN, { sub: 'alice' }, 60);
+
+    jest.setSystemTime(new Date('2026-01-01T12:00:59Z'));
+    expect(tokens.verify(token, TOKEN_TYPES.JOIN)).not.toBeNull();
+
+    jest.setSystemTime(new Date('2026-01-01T12:01:00Z'));
+    expect(tokens.verify(token, TOKEN_TYPES.JOIN)).toBeNull();
+  });
+
+  test('rejects tampered and foreign tokens', () => {
+    const { token } = tokens.sign(TOKEN_TYPES.JOIN, { sub: 'alice' }, 60);
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({
+      ...JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')),
+      sub: 'mallory'
+    })).toString('base64url');
+    const other = new TokenService('another secret that is long enough!!');
+
+    expect(tokens.verify(`${forged}.${signature}`, TOKEN_TYPES.JOIN)).toBeNull();
+    expect(tokens.verify(other.sign(TOKEN_TYPES.JOIN, { sub: 'alice' }, 60).token, TOKEN_TYPES.JOIN)).toBeNull();
+  });
+
+  test.each([
+    ['a non-string', 42],
+    ['an empty string', ''],
+    ['a token without a signature', 'abc'],
+    ['a token with three parts', 'a.b.c'],
+    ['an oversized token', `${'a'.repeat(1024)}.b`]
+  ])('rejects %s', (name, token) => {
+    expect(tokens.verify(token, TOKEN_TYPES.JOIN)).toBeNull();
+  });
+});
+
+describe('InviteLedger', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('counts down the uses of an invite', () => {
+    const ledger = new InviteLedger();
+    const id = ledger.issue(2, 60);
+
+    expect(ledger.remaining(id)).toBe(2);
+    expect(ledger.consume(id)).toBe(true);
+    expect(ledger.remaining(id)).toBe(1);
+    expect(ledger.consume(id)).toBe(true);
+    expect(ledger.consume(id)).toBe(false);
+    expect(ledger.remaining(id)).toBe(0);
+  });
+
+  test('treats unknown invites as used up', () => {
+    const ledger = new InviteLedger();
+
+    expect(ledger.remaining('unknown')).toBe(0);
+    expect(ledger.consume('unknown')).toBe(false);
+  });
+
+  test('expires invites', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T12:00:00Z') });
+    const ledger = new InviteLedger();
+    const id = ledger.issue(5, 60);
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect(ledger.consume(id)).toBe(false);
+
+    // Issuing prunes what expired
+    ledger.issue(1, 60);
+    expect(ledger.invites.has(id)).toBe(false);
+  });
+
+  test('issues distinct IDs', () => {
+    const ledger = new InviteLedger();
+
+    expect(ledger.issue(1, 60)).not.toBe(ledger.issue(1, 60));
+  });
+});
+
+describe('passwords', () => {
+  test('verify against their hash', () => {
+    const stored = hashPassword('open sesame');
+
+    expect(verifyPassword('open sesame', stored)).toBe(true);
+    expect(verifyPassword('open sesame!', stored)).toBe(false);
+    expect(verifyPassword(undefined, stored)).toBe(false);
+    expect(verifyPassword('open sesame', null)).toBe(false);
+  });
+
+  test('hash with a fresh salt each time', () => {
+    expect(hashPassword('open sesame')).not.toBe(hashPassword('open sesame'));
+  });
+});
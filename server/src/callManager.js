@@ -0,0 +1,162 @@
+const logger = require('./utils/logger');
+
+/**
+ * In-memory registry of 1:1 calls (no persistence)
+ * A call rings until the callee accepts or declines, the caller cancels or the
+ * ring timeout passes. A peer takes part in at most one call at a time,
+ * which is how the server knows to answer `busy` on the callee's behalf.
+ */
+class CallManager {
+  /**
+   * @param {Object} options - Call options
+   * @param {number} options.ringTimeout - How long a call may ring, in milliseconds
+   * @param {Function} options.onRingTimeout - Called with the call when nobody answered in time
+   */
+  constructor({ ringTimeout, onRingTimeout }) {
+    this.ringTimeout = ringTimeout;
+    this.onRingTimeout = onRingTimeout;
+
+    // participantId -> call; both participants map to the same call object
+    // Call: { callerId, calleeId, state: 'ringing' | 'active', createdAt, timer }
+    this.calls = new Map();
+  }
+
+  /**
+   * Start ringing another user
+   * @param {string} callerId - Caller's peer ID
+   * @param {string} calleeId - Callee's peer ID
+   * @returns {Object} Result with either `error`, `busy: true` or the ringing `call`
+   */
+  ring(callerId, calleeId) {
+    if (callerId === calleeId) {
+      return { error: 'You cannot call yourself' };
+    }
+
+    if (this.calls.has(callerId)) {
+      return { error: 'Already in a call' };
+    }
+
+    if (this.calls.has(calleeId)) {
+      return { busy: true };
+    }
+
+    const call = {
+      callerId,
+      calleeId,
+      state: 'ringing',
+      createdAt: Date.now(),
+      timer: null
+    };
+
+    call.timer = setTimeout(() => {
+      this._remove(call);
+      logger.info(`Call from ${callerId} to ${calleeId} was not answered`);
+      this.onRingTimeout(call);
+    }, this.ringTimeout);
+
+    this.calls.set(callerId, call);
+    this.calls.set(calleeId, call);
+
+    return { call };
+  }
+
+  /**
+   * Accept a ringing call
+   * @param {string} calleeId - Callee's peer ID
+   * @param {string} callerId - Caller's peer ID
+   * @returns {Object|null} The now active call, or null if no such call is ringing
+   */
+  accept(calleeId, callerId) {
+    const call = this.calls.get(calleeId);
+
+    if (!call || call.state !== 'ringing' || call.calleeId !== calleeId || call.callerId !== callerId) {
+      return null;
+    }
+
+    clearTimeout(call.timer);
+    call.timer = null;
+    call.state = 'active';
+
+    return call;
+  }
+
+  /**
+   * End a call between two peers, ringing or active
+   * Used for declining, cancelling and hanging up
+   * @param {string} participantId - Peer ending the call
+   * @param {string} peerId - The other participant
+   * @returns {Object|null} The ended call, or null if there was none between them
+   */
+  end(participantId, peerId) {
+    const call = this.calls.get(participantId);
+
+    if (!call || this._peerOf(call, participantId) !== peerId) {
+      return null;
+    }
+
+    this._remove(call);
+    return call;
+  }
+
+  /**
+   * End whatever call a departing peer was in
+   * @param {string} participantId - Peer ID
+   * @returns {Object|null} The ended call with `peerId` set to the other participant
+   */
+  leaveAll(participantId) {
+    const call = this.calls.get(participantId);
+
+    if (!call) {
+      return null;
+    }
+
+    this._remove(call);
+    return { ...call, peerId: this._peerOf(call, participantId) };
+  }
+
+  /**
+   * Check whether two peers are in an accepted call with each other
+   * Media negotiation is only relayed within such a call
+   * @param {string} participantId - Peer ID
+   * @param {string} peerId - The other peer ID
+   * @returns {boolean} True if the call is active
+   */
+  isActive(participantId, peerId) {
+    const call = this.calls.get(participantId);
+    return !!call && call.state === 'active' && this._peerOf(call, participantId) === peerId;
+  }
+
+  /**
+   * Number of calls, ringing or active
+   * @returns {number} Call count
+   */
+  get size() {
+    return this.calls.size / 2;
+  }
+
+  /**
+   * The other participant of a call
+   * @param {Object} call - Call
+   * @param {string} participantId - One participant
+   * @returns {string} The other participant
+   * @private
+   */
+  _peerOf(call, participantId) {
+    return call.callerId === participantId ? call.calleeId : call.callerId;
+  }
+
+  /**
+   * Forget a call and stop its ring timer
+   * @param {Object} call - Call
+   * @private
+   */
+  _remove(call) {
+    clearTimeout(call.timer);
+    this.calls.delete(call.callerId);
+    this.calls.delete(call.calleeId);
+  }
+}
+
+module.exports = {
+  CallManager
+};
@@ -0,0 +1,106 @@
+jest.mock('./utils/logger');
+
+const { CallManager } = require('./callManager');
+
+const RING_TIMEOUT = 30000;
+
+describe('CallManager', () => {
+  let calls;
+  let onRingTimeout;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    onRingTimeout = jest.fn();
+    calls = new CallManager({ ringTimeout: RING_TIMEOUT, onRingTimeout });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('rings, then becomes active once accepted', () => {
+    const { call } = calls.ring('alice', 'bob');
+
+    expect(call).toMatchObject({ callerId: 'alice', calleeId: 'bob', state: 'ringing' });
+    expect(calls.size).toBe(1);
+    expect(calls.isActive('alice', 'bob')).toBe(false);
+
+    expect(calls.accept('bob', 'alice')).toBe(call);
+    expect(call.state).toBe('active');
+    expect(calls.isActive('alice', 'bob')).toBe(true);
+    expect(calls.isActive('bob', 'alice')).toBe(true);
+  });
+
+  test('only lets the callee accept', () => {
+    calls.ring('alice', 'bob');
+
+    expect(calls.accept('alice', 'bob')).toBeNull();
+    expect(calls.accept('bob', 'carol')).toBeNull();
+    expect(calls.accept('carol', 'alice')).toBeNull();
+  });
+
+  test('accepts a call only once', () => {
+    calls.ring('alice', 'bob');
+    calls.accept('bob', 'alice');
+
+    expect(calls.accept('bob', 'alice')).toBeNull();
+  });
+
+  test('refuses to call yourself or to ring during a call', () => {
+    calls.ring('alice', 'bob');
+
+    expect(calls.ring('carol', 'carol')).toEqual({ error: 'You cannot call yourself' });
+    expect(calls.ring('alice', 'carol')).toEqual({ error: 'Already in a call' });
+  });
+
+  test('answers busy for a callee in another call', () => {
+    calls.ring('alice', 'bob');
+
+    expect(calls.ring('carol', 'bob')).toEqual({ busy: true });
+    expect(calls.size).toBe(1);
+  });
+
+  test('times out unanswered calls', () => {
+    const { call } = calls.ring('alice', 'bob');
+
+    jest.advanceTimersByTime(RING_TIMEOUT - 1);
+    expect(onRingTimeout).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(onRingTimeout).toHaveBeenCalledWith(call);
+    expect(calls.size).toBe(0);
+    expect(calls.accept('bob', 'alice')).toBeNull();
+  });
+
+  test('stops the ring timer once accepted or ended', () => {
+    calls.ring('alice', 'bob');
+    calls.accept('bob', 'alice');
+    calls.ring('carol', 'dave');
+    calls.end('dave', 'carol');
+
+    jest.advanceTimersByTime(RING_TIMEOUT);
+    expect(onRingTimeout).not.toHaveBeenCalled();
+    expect(calls.isActive('alice', 'bob')).toBe(true);
+  });
+
+  test('ends a call from either side', () => {
+    const { call } = calls.ring('alice', 'bob');
+
+    expect(calls.end('bob', 'carol')).toBeNull();
+    expect(calls.end('bob', 'alice')).toBe(call);
+    expect(calls.size).toBe(0);
+    expect(calls.end('alice', 'bob')).toBeNull();
+
+    // Both are free again
+    expect(calls.ring('bob', 'alice').call).toBeDefined();
+  });
+
+  test('ends the call of a peer that leaves', () => {
+    calls.ring('alice', 'bob');
+    calls.accept('bob', 'alice');
+
+    expect(calls.leaveAll('bob')).toMatchObject({ callerId: 'alice', calleeId: 'bob', peerId: 'alice' });
+    expect(calls.leaveAll('alice')).toBeNull();
+    expect(calls.size).toBe(0);
+  });
+});
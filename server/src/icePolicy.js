@@ -0,0 +1,139 @@
+/**
+ * ICE candidate policy
+ *
+ * Mirrors client/src/utils/icePolicy.js. In strict-local mode the server only
+ * relays host candidates with local network addresses (private, link-local,
+ * loopback or mDNS), so media can never be negotiated over the internet.
+ */
+
+const ICE_POLICIES = {
+  DEFAULT: 'default',
+  STRICT_LOCAL: 'strict-local'
+};
+
+// [network, prefix length]
+const LOCAL_IPV4_RANGES = [
+  ['10.0.0.0', 8],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local
+  ['100.64.0.0', 10] // shared address space, also used by Tailscale
+];
+
+// Message fields that carry a description or a candidate
+const SIGNAL_FIELDS = ['offer', 'answer', 'candidate', 'signal'];
+
+/**
+ * Parse a dotted IPv4 address
+ * @param {string} address - Address to parse
+ * @returns {number|null} Address as an unsigned integer, or null if it is not IPv4
+ */
+function ipv4ToInt(address) {
+  const parts = address.split('.');
+
+  if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+    return null;
+  }
+
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+/**
+ * Check whether an address is only reachable on the local network
+ * @param {string} address - IPv4, IPv6 or mDNS (`*.local`) address
+ * @returns {boolean} True for private, link-local, loopback and mDNS addresses
+ */
+function isLocalAddress(address) {
+  if (typeof address !== 'string' || !address) {
+    return false;
+  }
+
+  const normalized = address.toLowerCase();
+
+  // Browsers hide host addresses behind random mDNS names
+  if (normalized.endsWith('.local')) {
+    return true;
+  }
+
+  const mapped = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  const ipv4 = ipv4ToInt(mapped ? mapped[1] : normalized);
+
+  if (ipv4 !== null) {
+    return LOCAL_IPV4_RANGES.some(([network, bits]) => {
+      const size = 2 ** (32 - bits);
+      return Math.floor(ipv4 / size) === Math.floor(ipv4ToInt(network) / size);
+    });
+  }
+
+  if (normalized === '::1') {
+    return true;
+  }
+
+  // fe80::/10 link-local and fc00::/7 unique local
+  return /^fe[89ab][0-9a-f]:/.test(normalized) || /^f[cd][0-9a-f]{2}:/.test(normalized);
+}
+
+/**
+ * Parse an ICE candidate line
+ * @param {string} candidate - `candidate:...` attribute, with or without `a=`
+ * @returns {{ address: string, type: string }|null} Connection address and candidate type
+ */
+function parseCandidate(candidate) {
+  const fields = String(candidate).replace(/^a=/, '').trim().split(/\s+/);
+
+  if (!fields[0].startsWith('candidate:') || fields.length < 8 || fields[6] !== 'typ') {
+    return null;
+  }
+
+  return { address: fields[4], type: fields[7] };
+}
+
+/**
+ * Check whether a candidate only uses the local network
+ * Server-reflexive and relay candidates route through a STUN or TURN server
+ * even when their address is private (e.g. behind carrier-grade NAT), so
+ * only host candidates count.
+ * @param {string} candidate - Candidate line
+ * @returns {boolean} True for a host candidate with a local address
+ */
+function isLocalCandidate(candidate) {
+  const parsed = parseCandidate(candidate);
+  return !!parsed && parsed.type === 'host' && isLocalAddress(parsed.address);
+}
+
+/**
+ * Find a candidate that would leave the local network in a signaling message
+ * Looks at trickled candidates and at candidates embedded in SDP
+ * @param {Object} payload - Validated message payload
+ * @returns {string|null} The first non-local candidate, or null if there is none
+ */
+function findPublicCandidate(payload) {
+  for (const field of SIGNAL_FIELDS) {
+    const signal = payload[field];
+
+    if (!signal || typeof signal !== 'object') {
+      continue;
+    }
+
+    const candidates = typeof signal.sdp === 'string'
+      ? signal.sdp.split(/\r?\n/).filter(line => line.startsWith('a=candidate:'))
+      : [signal.candidate].filter(Boolean); // An empty candidate marks the end of gathering
+
+    const found = candidates.find(candidate => !isLocalCandidate(candidate));
+
+    if (found) {
+      return found;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  ICE_POLICIES,
+  isLocalAddress,
+  parseCandidate,
+  isLocalCandidate,
+  findPublicCandidate
+};
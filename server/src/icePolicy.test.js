@@ -0,0 +1,106 @@
+const {
+  isLocalAddress,
+  parseCandidate,
+  isLocalCandidate,
+  findPublicCandidate
+} = require('./icePolicy');
+
+const candidate = (address, type = 'host') =>
+  `candidate:842163049 1 udp 1677729535 ${address} 54400 typ ${type} generation 0`;
+
+describe('icePolicy', () => {
+  test.each([
+    '10.1.2.3',
+    '172.16.0.1',
+    '172.31.255.255',
+    '192.168.1.20',
+    '127.0.0.1',
+    '169.254.10.10',
+    '100.64.0.1',
+    '::ffff:192.168.1.20',
+    '::1',
+    'fe80::1c2b:3d4e',
+    'fd12:3456::1',
+    '5c1c9a0e-3f0b-4c0b-8a4e-7b1d2c3e4f5a.local'
+  ])('treats %s as local', (address) => {
+    expect(isLocalAddress(address)).toBe(true);
+  });
+
+  test.each([
+    '8.8.8.8',
+    '172.32.0.1',
+    '192.169.0.1',
+    '100.128.0.1',
+    '::ffff:8.8.8.8',
+    '2001:db8::1',
+    '256.1.1.1',
+    '',
+    undefined
+  ])('treats %s as public', (address) => {
+    expect(isLocalAddress(address)).toBe(false);
+  });
+
+  test('parses candidate lines, with or without the attribute prefix', () => {
+    expect(parseCandidate(candidate('192.168.1.20'))).toEqual({ address: '192.168.1.20', type: 'host' });
+    expect(parseCandidate(`a=${candidate('8.8.8.8', 'srflx')}`)).toEqual({ address: '8.8.8.8', type: 'srflx' });
+    expect(parseCandidate('candidate:1 1 udp')).toBeNull();
+    expect(parseCandidate('')).toBeNull();
+  });
+
+  test('classifies host candidates by their address', () => {
+    expect(isLocalCandidate(candidate('192.168.1.20'))).toBe(true);
+    expect(isLocalCandidate(candidate('8.8.8.8'))).toBe(false);
+    expect(isLocalCandidate('garbage')).toBe(false);
+  });
+
+  test.each(['srflx', 'prflx', 'relay'])('treats %s candidates as leaving the local network', (type) => {
+    expect(isLocalCandidate(candidate('192.168.1.20', type))).toBe(false);
+    expect(isLocalCandidate(candidate('100.64.0.1', type))).toBe(false);
+  });
+
+  describe('findPublicCandidate', () => {
+    const sdp = (...addresses) => [
+      'v=0',
+      'm=audio 9 UDP/TLS/RTP/SAVPF 111',
+      ...addresses.map(address => `a=${candidate(address)}`),
+      ''
+    ].join('\r\n');
+
+    test('finds public candidates in trickled candidates', () => {
+      expect(findPublicCandidate({ target: 'bob', candidate: { candidate: candidate('192.168.1.20') } })).toBeNull();
+      expect(findPublicCandidate({ target: 'bob', candidate: { candidate: candidate('8.8.8.8') } }))
+        .toBe(candidate('8.8.8.8'));
+    });
+
+    test('finds reflexive and relay candidates with private addresses', () => {
+      expect(findPublicCandidate({ target: 'bob', candidate: { candidate: candidate('100.64.0.1', 'srflx') } }))
+        .toBe(candidate('100.64.0.1', 'srflx'));
+      expect(findPublicCandidate({ target: 'bob', candidate: { candidate: candidate('10.0.0.2', 'relay') } }))
+        .toBe(candidate('10.0.0.2', 'relay'));
+
+      const offer = {
+        type: 'offer',
+        sdp: `v=0\r\na=${candidate('192.168.1.20')}\r\na=${candidate('192.168.1.20', 'srflx')}\r\n`
+      };
+
+      expect(findPublicCandidate({ offer })).toBe(`a=${candidate('192.168.1.20', 'srflx')}`);
+    });
+
+    test('ignores the end-of-candidates marker', () => {
+      expect(findPublicCandidate({ target: 'bob', candidate: { candidate: '' } })).toBeNull();
+    });
+
+    test('finds public candidates embedded in a description', () => {
+      expect(findPublicCandidate({ offer: { type: 'offer', sdp: sdp('192.168.1.20', '10.0.0.2') } })).toBeNull();
+      expect(findPublicCandidate({ answer: { type: 'answer', sdp: sdp('192.168.1.20', '8.8.8.8') } }))
+        .toBe(`a=${candidate('8.8.8.8')}`);
+      expect(findPublicCandidate({ signal: { type: 'offer', sdp: sdp('8.8.4.4') } }))
+        .toBe(`a=${candidate('8.8.4.4')}`);
+    });
+
+    test('ignores messages without signals', () => {
+      expect(findPublicCandidate({ target: 'bob' })).toBeNull();
+      expect(findPublicCandidate({ signal: { type: 'rollback' } })).toBeNull();
+    });
+  });
+});
@@ -6,19 +6,150 @@ const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+
+// Load server/.env before anything reads the configuration
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
 const forge = require('node-forge');
 const { RateLimiterMemory } = require('rate-limiter-flexible');
 const logger = require('./utils/logger');
 const { generateSelfSignedCert } = require('./utils/certificates');
+const { RoomManager } = require('./roomManager');
+const { CallManager } = require('./callManager');
+const { SessionManager } = require('./sessionManager');
+const { PROTOCOL_VERSION, validateMessage, isSupportedVersion } = require('./protocol');
+const { TOKEN_TYPES, TokenService, InviteLedger } = require('./auth');
+const { TURN_MODES, TurnService, parseList } = require('./turn');
+const { ICE_POLICIES, isLocalAddress, findPublicCandidate } = require('./icePolicy');
+const { MEDIA_MODES, SFU_MODES, SfuService } = require('./sfu');
 
 // Configuration
 const PORT = process.env.PORT || 3001;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const USE_HTTPS = process.env.USE_HTTPS === 'true' || NODE_ENV === 'production';
 
-// In-memory user registry (no persistence)
+// Authentication
+const ACCESS_CODE = process.env.ACCESS_CODE || '';
+const JOIN_TOKEN_TTL = parseInt(process.env.JOIN_TOKEN_TTL, 10) || 300; // seconds
+const INVITE_TOKEN_TTL = parseInt(process.env.INVITE_TOKEN_TTL, 10) || 3600; // seconds
+
+// Calls
+const CALL_RING_TIMEOUT = parseInt(process.env.CALL_RING_TIMEOUT, 10) || 30; // seconds
+
+// How long a session survives without a socket, e.g. while a phone switches networks
+const SESSION_GRACE_PERIOD = parseInt(process.env.SESSION_GRACE_PERIOD, 10) || 30; // seconds
+
+// ICE: strict-local keeps media on the local network, so there is no relay to run
+const ICE_POLICY = process.env.ICE_POLICY || ICE_POLICIES.DEFAULT;
+const TURN_MODE = ICE_POLICY === ICE_POLICIES.STRICT_LOCAL
+  ? TURN_MODES.OFF
+  : process.env.TURN_MODE || TURN_MODES.EMBEDDED;
+const TURN_PORT = parseInt(process.env.TURN_PORT, 10) || 3478;
+const TURN_CREDENTIAL_TTL = parseInt(process.env.TURN_CREDENTIAL_TTL, 10) || 43200; // seconds
+
+// Media forwarding: rooms with more than SFU_THRESHOLD members switch from mesh to the SFU
+const SFU_MODE = process.env.SFU_MODE || SFU_MODES.AUTO;
+const SFU_THRESHOLD = parseInt(process.env.SFU_THRESHOLD, 10) || 4;
+
+let authSecret = process.env.AUTH_SECRET;
+
+if (!authSecret) {
+  if (NODE_ENV === 'production') {
+    logger.error('AUTH_SECRET must be set in server/.env in production');
+    process.exit(1);
+  }
+  
+  // Tokens from a previous run stop working after a restart
+  authSecret = crypto.randomBytes(32).toString('hex');
+  logger.warn('AUTH_SECRET not set, using a random secret for this run');
+}
+
+if (!ACCESS_CODE) {
+  logger.warn('ACCESS_CODE not set, anyone who can reach the server can get a join token');
+}
+
+const tokens = new TokenService(authSecret);
+const invites = new InviteLedger();
+
+if (!Object.values(ICE_POLICIES).includes(ICE_POLICY)) {
+  logger.error(`ICE_POLICY must be one of: ${Object.values(ICE_POLICIES).join(', ')}`);
+  process.exit(1);
+}
+
+if (ICE_POLICY === ICE_POLICIES.STRICT_LOCAL) {
+  if (process.env.TURN_MODE && process.env.TURN_MODE !== TURN_MODES.OFF) {
+    logger.warn('ICE_POLICY is strict-local, ignoring TURN_MODE');
+  }
+  
+  logger.info('Strict local ICE: only local network candidates are relayed');
+}
+
+if (!Object.values(TURN_MODES).includes(TURN_MODE)) {
+  logger.error(`TURN_MODE must be one of: ${Object.values(TURN_MODES).join(', ')}`);
+  process.exit(1);
+}
+
+if (TURN_MODE === TURN_MODES.EXTERNAL && (!process.env.TURN_SECRET || !process.env.TURN_URLS)) {
+  logger.error('TURN_SECRET and TURN_URLS must be set in server/.env when TURN_MODE is external');
+  process.exit(1);
+}
+
+// The embedded relay only sees credentials from this process, so a random secret is fine there
+const turn = new TurnService({
+  mode: TURN_MODE,
+  secret: process.env.TURN_SECRET || crypto.randomBytes(32).toString('hex'),
+  ttl: TURN_CREDENTIAL_TTL,
+  host: process.env.TURN_HOST,
+  port: TURN_PORT,
+  urls: parseList(process.env.TURN_URLS),
+  relay: {
+    // Unset values fall back to the relay's defaults (all interfaces, ports 49152-65535)
+    listeningIps: process.env.TURN_LISTEN_IPS ? parseList(process.env.TURN_LISTEN_IPS) : undefined,
+    relayIps: process.env.TURN_RELAY_IPS ? parseList(process.env.TURN_RELAY_IPS) : undefined,
+    externalIps: process.env.TURN_EXTERNAL_IP || undefined,
+    minPort: parseInt(process.env.TURN_MIN_PORT, 10) || undefined,
+    maxPort: parseInt(process.env.TURN_MAX_PORT, 10) || undefined
+  }
+});
+
+if (!Object.values(SFU_MODES).includes(SFU_MODE)) {
+  logger.error(`SFU_MODE must be one of: ${Object.values(SFU_MODES).join(', ')}`);
+  process.exit(1);
+}
+
+// Without mediasoup installed, start() logs why and rooms stay mesh
+const sfu = new SfuService({
+  mode: SFU_MODE,
+  threshold: SFU_THRESHOLD,
+  listenIp: process.env.SFU_LISTEN_IP || '0.0.0.0',
+  announcedAddress: process.env.SFU_ANNOUNCED_ADDRESS,
+  minPort: parseInt(process.env.SFU_MIN_PORT, 10) || 40000,
+  maxPort: parseInt(process.env.SFU_MAX_PORT, 10) || 40100,
+  onConsumerClosed: (peerId, { roomId, consumerId }) => {
+    io.to(peerChannel(peerId)).emit('sfu-consumer-closed', { roomId, consumerId });
+  },
+  // Forwarding rooms lost their media; it goes back over the members' peer connections
+  onWorkerDied: () => {
+    roomManager.allRooms()
+      .filter(room => room.mediaMode === MEDIA_MODES.SFU)
+      .forEach(room => {
+        room.mediaMode = MEDIA_MODES.MESH;
+        io.to(roomChannel(room.id)).emit('room-mode', { roomId: room.id, mode: room.mediaMode });
+      });
+  }
+});
+
+// Socket.IO room for registered users; signaling rooms and peers are prefixed so they never collide
+// Messages to a peer go to its channel, which follows the session from socket to socket
+const LOBBY_CHANNEL = 'lobby';
+const roomChannel = (roomId) => `room:${roomId}`;
+const peerChannel = (peerId) => `peer:${peerId}`;
+
+// In-memory user registry (no persistence), keyed by session peer ID
 const activeUsers = new Map();
 const activeConnections = new Map();
+const roomManager = new RoomManager();
 
 // Initialize Express app
 const app = express();
@@ -43,7 +174,7 @@ app.use(helmet({
 
 app.use(cors({
   origin: NODE_ENV === 'production' ? false : '*',
-  methods: ['GET', 'HEAD'],
+  methods: ['GET', 'HEAD', 'POST'],
   credentials: true
 }));
 
@@ -63,6 +194,122 @@ app.use(async (req, res, next) => {
   }
 });
 
+// Stricter limit for token requests, which check the access code
+const authRateLimiter = new RateLimiterMemory({
+  points: 10,
+  duration: 60,
+});
+
+/**
+ * Check an access code in constant time
+ * @param {*} accessCode - Code from the client
+ * @returns {boolean} True if the code matches, or if no code is configured
+ */
+const isValidAccessCode = (accessCode) => {
+  if (!ACCESS_CODE) {
+    return true;
+  }
+  
+  if (typeof accessCode !== 'string') {
+    return false;
+  }
+  
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(accessCode), digest(ACCESS_CODE));
+};
+
+/**
+ * Verify an invite token and check it has uses left
+ * The invite a client got its join token with was counted then, so it stays valid for that client
+ * @param {*} invite - Invite token from the client
+ * @param {string} [countedId] - ID of the invite already counted for this client
+ * @returns {Object|null} Invite claims, or null if invalid, expired or used up
+ */
+const checkInvite = (invite, countedId = null) => {
+  const claims = tokens.verify(invite, TOKEN_TYPES.INVITE);
+  return claims && (claims.jti === countedId || invites.remaining(claims.jti) > 0) ? claims : null;
+};
+
+/**
+ * Use up one redemption of a checked invite, unless it was counted for this client already
+ * @param {Object} claims - Invite claims from checkInvite
+ * @param {string} [countedId] - ID of the invite already counted for this client
+ */
+const useInvite = (claims, countedId = null) => {
+  if (claims.jti !== countedId) {
+    invites.consume(claims.jti);
+  }
+};
+
+/**
+ * Sign a join token, keeping the ID of the invite it was first issued for
+ * @param {string} username - Username the token is for
+ * @param {string} [inviteId] - ID of the invite that stood in for the access code
+ * @returns {{ token: string, expiresAt: number }} Token and its expiry in milliseconds
+ */
+const signJoinToken = (username, inviteId) => tokens.sign(
+  TOKEN_TYPES.JOIN,
+  inviteId ? { sub: username, invite: inviteId } : { sub: username },
+  JOIN_TOKEN_TTL
+);
+
+// Issue a short-lived join token for the Socket.IO handshake
+// A valid invite stands in for the access code, so invite links work for newcomers, and
+// counts as a use; a still-valid join token renews itself, so they need not present it again
+app.post('/auth/token', express.json({ limit: '1kb' }), async (req, res) => {
+  try {
+    await authRateLimiter.consume(req.ip);
+  } catch (err) {
+    logger.warn(`Token rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({ error: 'Too many attempts, try again later' });
+    return;
+  }
+  
+  const { username, accessCode, invite, token: currentToken } = req.body || {};
+  const sanitizedUsername = typeof username === 'string' ? username.trim().slice(0, 32) : '';
+  
+  if (!sanitizedUsername) {
+    res.status(400).json({ error: 'Invalid username' });
+    return;
+  }
+  
+  if (currentToken !== undefined) {
+    const claims = tokens.verify(currentToken, TOKEN_TYPES.JOIN);
+    
+    if (!claims || claims.sub !== sanitizedUsername) {
+      logger.warn(`Invalid join token renewal from IP: ${req.ip}`);
+      res.status(401).json({ error: 'Join token expired or invalid' });
+      return;
+    }
+    
+    const { token, expiresAt } = signJoinToken(claims.sub, claims.invite);
+    
+    res.json({ token, expiresAt, username: claims.sub });
+    return;
+  }
+  
+  let inviteClaims = null;
+  
+  if (!isValidAccessCode(accessCode)) {
+    inviteClaims = invite !== undefined ? checkInvite(invite) : null;
+    
+    if (!inviteClaims) {
+      logger.warn(`Wrong access code or invite from IP: ${req.ip}`);
+      res.status(401).json({
+        error: invite !== undefined ? 'This invite has expired or was already used' : 'Invalid access code'
+      });
+      return;
+    }
+    
+    // Otherwise one single-use invite would let any number of people in
+    invites.consume(inviteClaims.jti);
+  }
+  
+  const { token, expiresAt } = signJoinToken(sanitizedUsername, inviteClaims && inviteClaims.jti);
+  
+  res.json({ token, expiresAt, username: sanitizedUsername });
+});
+
 // Serve static files from the client build directory in production
 if (NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, '../../client/build')));
@@ -86,6 +333,9 @@ app.get('/health', (req, res) => {
     timestamp: Date.now(),
     connections: activeConnections.size,
     users: activeUsers.size,
+    rooms: roomManager.size,
+    calls: calls.size,
+    sessions: sessions.size,
     memory: process.memoryUsage(),
   };
   
@@ -138,9 +388,173 @@ const io = new Server(server, {
   }
 });
 
+// Reject clients that speak a different protocol version
+io.use((socket, next) => {
+  const { protocolVersion } = socket.handshake.auth || {};
+  
+  if (!isSupportedVersion(protocolVersion)) {
+    logger.warn(`Rejected connection with protocol version ${protocolVersion}`);
+    next(new Error(`Unsupported protocol version (server speaks v${PROTOCOL_VERSION})`));
+    return;
+  }
+  
+  next();
+});
+
+// Only sockets with a valid join token get any further
+io.use((socket, next) => {
+  const { token } = socket.handshake.auth || {};
+  const claims = tokens.verify(token, TOKEN_TYPES.JOIN);
+  
+  if (!claims) {
+    logger.warn(`Rejected unauthenticated connection from ${socket.handshake.address}`);
+    next(new Error('Authentication required'));
+    return;
+  }
+  
+  socket.data.username = claims.sub;
+  socket.data.inviteId = claims.invite || null;
+  next();
+});
+
+// Resume the session the client had before reconnecting, or start a new one
+io.use((socket, next) => {
+  const { session: sessionId } = socket.handshake.auth || {};
+  const { session, resumed, previousSocketId } = sessions.attach(
+    socket.id,
+    socket.data.username,
+    typeof sessionId === 'string' ? sessionId : null
+  );
+  
+  socket.data.sessionId = session.id;
+  socket.data.peerId = session.peerId;
+  socket.data.resumed = resumed;
+  
+  // The old socket may not have noticed yet that its connection is gone
+  const previous = previousSocketId && io.sockets.sockets.get(previousSocketId);
+  
+  if (previous) {
+    previous.disconnect(true);
+  }
+  
+  next();
+});
+
+// Limit room join attempts per client to slow down password guessing
+const joinRateLimiter = new RateLimiterMemory({
+  points: 20,
+  duration: 60,
+});
+
+/**
+ * Send the current user list to registered users only
+ */
+const broadcastUserList = () => {
+  io.to(LOBBY_CHANNEL).emit('userList', Array.from(activeUsers.values()).map(u => ({
+    id: u.id,
+    username: u.username
+  })));
+};
+
+// 1:1 calls; an unanswered call is ended for both sides
+const calls = new CallManager({
+  ringTimeout: CALL_RING_TIMEOUT * 1000,
+  onRingTimeout: ({ callerId, calleeId }) => {
+    io.to(peerChannel(callerId)).emit('ringTimeout', { from: calleeId });
+    io.to(peerChannel(calleeId)).emit('ringTimeout', { from: callerId });
+  }
+});
+
+// Sessions keep users, rooms and calls through short socket drops; only an ended
+// session takes them down
+const sessions = new SessionManager({
+  gracePeriod: SESSION_GRACE_PERIOD * 1000,
+  onExpire: ({ peerId, username }) => {
+    // End any call, ringing or active, for the other side too
+    const call = calls.leaveAll(peerId);
+    
+    if (call) {
+      io.to(peerChannel(call.peerId)).emit('callEnded', { from: peerId });
+      logger.info(`Call between ${call.callerId} and ${call.calleeId} ended with the session`);
+    }
+    
+    // Leave all rooms and tell the remaining members
+    roomManager.leaveAll(peerId).forEach(({ roomId, userId }) => {
+      sfu.closePeer(roomId, peerId);
+      io.to(roomChannel(roomId)).emit('user-disconnected', { userId });
+      logger.info(`User ${userId} left room ${roomId} with the session`);
+    });
+    
+    // Remove user from active users
+    if (activeUsers.delete(peerId)) {
+      broadcastUserList();
+      logger.info(`User disconnected: ${username} (${peerId})`);
+    }
+  }
+});
+
+/**
+ * End a session that lost its socket and is now replaced by a new one
+ * A user who reloads the page comes back with a new session; the old one should
+ * not hold on to their username or room membership for the rest of its grace period.
+ * @param {string} peerId - Peer ID holding the username
+ * @param {string} username - Username of the new session
+ * @returns {boolean} True if the old session was ended
+ */
+const endStaleSession = (peerId, username) => {
+  const session = sessions.getByPeer(peerId);
+  
+  if (!session || session.username !== username || session.socketId) {
+    return false;
+  }
+  
+  sessions.end(session.id);
+  return true;
+};
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-  logger.info(`New connection: ${socket.id}`);
+  const { sessionId, peerId, resumed } = socket.data;
+  
+  logger.info(`New connection: ${socket.id} (peer ${peerId})`);
+  
+  socket.join(peerChannel(peerId));
+  
+  // Back into the channels the session was in before the reconnect
+  if (resumed) {
+    if (activeUsers.has(peerId)) {
+      socket.join(LOBBY_CHANNEL);
+    }
+    
+    roomManager.roomsOf(peerId).forEach(roomId => socket.join(roomChannel(roomId)));
+    logger.info(`Session resumed: ${socket.data.username} (${peerId})`);
+  }
+  
+  socket.emit('session', { sessionId, peerId, resumed });
+  
+  // Drop unknown or malformed messages before they reach any handler
+  socket.use(([event, payload], next) => {
+    const reason = validateMessage(event, payload);
+    
+    if (reason) {
+      logger.warn(`Rejected message from ${socket.id}: ${reason}`);
+      socket.emit('error', { message: reason, event });
+      return;
+    }
+    
+    // Strict-local: media must not be negotiated over an internet path
+    if (ICE_POLICY === ICE_POLICIES.STRICT_LOCAL) {
+      const candidate = findPublicCandidate(payload);
+      
+      if (candidate) {
+        logger.warn(`Rejected ${event} from ${socket.id} with a non-local candidate`);
+        socket.emit('error', { message: 'Only local network connections are allowed on this server', event });
+        return;
+      }
+    }
+    
+    next();
+  });
   
   // Store connection
   activeConnections.set(socket.id, {
@@ -152,102 +566,478 @@ io.on('connection', (socket) => {
   // User registration
   socket.on('register', ({ username }) => {
     if (!username || typeof username !== 'string') {
-      socket.emit('error', { message: 'Invalid username' });
+      socket.emit('error', { message: 'Invalid username', event: 'register' });
       return;
     }
     
     // Sanitize username and ensure uniqueness
     const sanitizedUsername = username.trim().slice(0, 32);
     
-    // Check if username is already taken
-    const usernameTaken = Array.from(activeUsers.values())
-      .some(user => user.username === sanitizedUsername);
+    // The username is fixed by the join token
+    if (sanitizedUsername !== socket.data.username) {
+      socket.emit('error', { message: 'Username does not match your access token', event: 'register' });
+      return;
+    }
+    
+    // Check if username is already taken (by someone other than our own earlier session)
+    const holder = Array.from(activeUsers.values())
+      .find(user => user.username === sanitizedUsername && user.id !== peerId);
     
-    if (usernameTaken) {
-      socket.emit('error', { message: 'Username already taken' });
+    if (holder && !endStaleSession(holder.id, sanitizedUsername)) {
+      socket.emit('error', { message: 'Username already taken', event: 'register' });
       return;
     }
     
     // Register user
     const user = {
-      id: socket.id,
+      id: peerId,
       username: sanitizedUsername,
       timestamp: Date.now()
     };
     
-    activeUsers.set(socket.id, user);
+    activeUsers.set(peerId, user);
     activeConnections.get(socket.id).username = sanitizedUsername;
+    socket.join(LOBBY_CHANNEL);
     
-    logger.info(`User registered: ${sanitizedUsername} (${socket.id})`);
+    logger.info(`User registered: ${sanitizedUsername} (${peerId})`);
     
     // Notify user of successful registration
     socket.emit('registered', { username: sanitizedUsername });
     
-    // Broadcast updated user list to all clients
-    io.emit('userList', Array.from(activeUsers.values()).map(u => ({
-      id: u.id,
-      username: u.username
-    })));
+    // Broadcast updated user list to registered users
+    broadcastUserList();
   });
   
-  // WebRTC signaling
-  socket.on('offer', ({ target, offer }) => {
-    if (!activeUsers.has(socket.id) || !activeUsers.has(target)) {
-      socket.emit('error', { message: 'Invalid user' });
+  // Relay a message to the other side of an accepted call
+  // Late messages (e.g. ICE candidates after hanging up) are dropped quietly
+  const relayInCall = (event, target, payload = {}) => {
+    if (!calls.isActive(peerId, target)) {
+      logger.warn(`Dropped ${event} from ${peerId}: no active call with ${target}`);
       return;
     }
     
-    logger.info(`Offer from ${socket.id} to ${target}`);
-    io.to(target).emit('offer', {
-      from: socket.id,
-      offer
+    io.to(peerChannel(target)).emit(event, {
+      from: peerId,
+      ...payload
     });
+  };
+  
+  // End the call with another user and tell them why
+  const endCallWith = (event, target) => {
+    if (!calls.end(peerId, target)) {
+      logger.warn(`Dropped ${event} from ${peerId}: no call with ${target}`);
+      return;
+    }
+    
+    io.to(peerChannel(target)).emit(event, { from: peerId });
+  };
+  
+  // Call control
+  socket.on('ring', ({ target }) => {
+    const caller = activeUsers.get(peerId);
+    
+    if (!caller || !activeUsers.has(target)) {
+      socket.emit('error', { message: 'Invalid user', event: 'ring' });
+      return;
+    }
+    
+    const result = calls.ring(peerId, target);
+    
+    if (result.error) {
+      socket.emit('error', { message: result.error, event: 'ring' });
+      return;
+    }
+    
+    // The server knows the callee is in another call; no need to ask them
+    if (result.busy) {
+      logger.info(`Call from ${peerId} to ${target}: busy`);
+      socket.emit('busy', { from: target });
+      return;
+    }
+    
+    logger.info(`Ringing ${target} for ${peerId}`);
+    
+    const timeout = CALL_RING_TIMEOUT * 1000;
+    io.to(peerChannel(target)).emit('ring', { from: peerId, username: caller.username, timeout });
+    socket.emit('ringing', { from: target, timeout });
+  });
+  
+  socket.on('accept', ({ target }) => {
+    if (!calls.accept(peerId, target)) {
+      socket.emit('error', { message: 'This call is no longer ringing', event: 'accept' });
+      return;
+    }
+    
+    logger.info(`Call accepted by ${peerId} (caller ${target})`);
+    io.to(peerChannel(target)).emit('accept', { from: peerId });
+  });
+  
+  socket.on('cancel', ({ target }) => {
+    logger.info(`Call cancelled by ${peerId} (callee ${target})`);
+    endCallWith('cancel', target);
+  });
+  
+  socket.on('busy', ({ target }) => {
+    logger.info(`Busy from ${peerId} to ${target}`);
+    endCallWith('busy', target);
+  });
+  
+  socket.on('reject', ({ target }) => {
+    logger.info(`Call rejected by ${peerId} (caller ${target})`);
+    endCallWith('reject', target);
+  });
+  
+  socket.on('callEnded', ({ target }) => {
+    logger.info(`Call ended by ${peerId} (peer ${target})`);
+    endCallWith('callEnded', target);
+  });
+  
+  // WebRTC signaling, only within an accepted call
+  socket.on('offer', ({ target, offer }) => {
+    logger.info(`Offer from ${peerId} to ${target}`);
+    relayInCall('offer', target, { offer });
   });
   
   socket.on('answer', ({ target, answer }) => {
-    if (!activeUsers.has(socket.id) || !activeUsers.has(target)) {
-      socket.emit('error', { message: 'Invalid user' });
+    logger.info(`Answer from ${peerId} to ${target}`);
+    relayInCall('answer', target, { answer });
+  });
+  
+  socket.on('iceCandidate', ({ target, candidate }) => {
+    logger.info(`ICE candidate from ${peerId} to ${target}`);
+    relayInCall('iceCandidate', target, { candidate });
+  });
+  
+  socket.on('speaking', ({ target, speaking }) => {
+    relayInCall('speaking', target, { speaking });
+  });
+  
+  // Recording announcements, so the peer can consent before being recorded
+  socket.on('recording', ({ target, recording }) => {
+    logger.info(`${peerId} ${recording ? 'started' : 'stopped'} recording the call with ${target}`);
+    relayInCall('recording', target, { recording });
+  });
+  
+  socket.on('recordingConsent', ({ target, consent }) => {
+    relayInCall('recordingConsent', target, { consent });
+  });
+  
+  // Room membership
+  socket.on('join-room', async ({ roomId, userId, password, invite, forbidRecording }) => {
+    try {
+      await joinRateLimiter.consume(socket.handshake.address);
+    } catch (err) {
+      socket.emit('error', { message: 'Too many join attempts, try again later', event: 'join-room' });
+      return;
+    }
+    
+    // Room identities are bound to the authenticated username
+    if (userId.trim() !== socket.data.username) {
+      socket.emit('error', { message: 'User ID must match your access token', event: 'join-room' });
+      return;
+    }
+    
+    const inviteClaims = invite ? checkInvite(invite, socket.data.inviteId) : null;
+    const invited = !!inviteClaims && inviteClaims.room === roomId.trim();
+    
+    // Our own earlier session may still hold the user ID during its grace period
+    const existing = roomManager.getMember(roomId.trim(), userId.trim());
+    
+    if (existing && existing.peerId !== peerId) {
+      endStaleSession(existing.peerId, socket.data.username);
+    }
+    
+    const result = roomManager.join(peerId, roomId, userId, { password, invited, forbidRecording });
+    
+    if (result.error) {
+      // Point at the invite rather than the password the holder never had
+      const message = invite && !invited ? 'This invite has expired or was already used' : result.error;
+      socket.emit('error', { message, event: 'join-room' });
       return;
     }
     
-    logger.info(`Answer from ${socket.id} to ${target}`);
-    io.to(target).emit('answer', {
-      from: socket.id,
-      answer
+    // An invite is only used up once it got someone in
+    if (invited) {
+      useInvite(inviteClaims, socket.data.inviteId);
+    }
+    
+    const { room, member, participants } = result;
+    
+    socket.join(roomChannel(room.id));
+    
+    logger.info(`User ${member.userId} joined room ${room.id} (${peerId})`);
+    
+    // A room that outgrows the mesh switches to forwarding, for good
+    if (room.mediaMode === MEDIA_MODES.MESH && sfu.modeFor(room.members.size) === MEDIA_MODES.SFU) {
+      room.mediaMode = MEDIA_MODES.SFU;
+      socket.to(roomChannel(room.id)).emit('room-mode', { roomId: room.id, mode: room.mediaMode });
+      logger.info(`Room ${room.id} switched to SFU forwarding at ${room.members.size} members`);
+    }
+    
+    // Tell the joiner who is already here
+    socket.emit('room-joined', {
+      roomId: room.id,
+      userId: member.userId,
+      participants,
+      mode: room.mediaMode,
+      recording: {
+        forbidden: room.recordingForbidden,
+        recorders: Array.from(room.recorders).filter(id => id !== member.userId)
+      }
     });
+    
+    // Existing members initiate the peer connections to the newcomer
+    socket.to(roomChannel(room.id)).emit('user-connected', { userId: member.userId });
   });
   
-  socket.on('iceCandidate', ({ target, candidate }) => {
-    if (!activeUsers.has(socket.id) || !activeUsers.has(target)) {
-      socket.emit('error', { message: 'Invalid user' });
+  socket.on('leave-room', ({ roomId }) => {
+    const removed = roomManager.leave(peerId, roomId);
+    
+    if (!removed) {
+      return;
+    }
+    
+    socket.leave(roomChannel(removed.roomId));
+    sfu.closePeer(removed.roomId, peerId);
+    io.to(roomChannel(removed.roomId)).emit('user-disconnected', { userId: removed.userId });
+    
+    logger.info(`User ${removed.userId} left room ${removed.roomId} (${peerId})`);
+  });
+  
+  // Room signaling relay (offers, answers and ICE candidates)
+  socket.on('send-signal', ({ roomId, targetUserId, signal }) => {
+    const sender = roomManager.getMemberByPeer(peerId, roomId);
+    const target = sender && roomManager.getMember(roomId, targetUserId);
+    
+    if (!sender || !target) {
+      socket.emit('error', { message: 'Invalid signal target', event: 'send-signal' });
       return;
     }
     
-    logger.info(`ICE candidate from ${socket.id} to ${target}`);
-    io.to(target).emit('iceCandidate', {
-      from: socket.id,
-      candidate
+    // The sender's identity comes from the room registry, never from the payload
+    io.to(peerChannel(target.peerId)).emit('receive-signal', {
+      userId: sender.userId,
+      signal
     });
   });
   
-  // Disconnect handling
-  socket.on('disconnect', () => {
-    logger.info(`Connection closed: ${socket.id}`);
+  // Mesh rooms: ask a member to scale the video it sends us to a simulcast layer
+  socket.on('request-video-layer', ({ roomId, targetUserId, layer }) => {
+    const sender = roomManager.getMemberByPeer(peerId, roomId);
+    const target = sender && roomManager.getMember(roomId, targetUserId);
     
-    // Remove user from active users
-    if (activeUsers.has(socket.id)) {
-      const user = activeUsers.get(socket.id);
-      activeUsers.delete(socket.id);
+    if (!sender || !target) {
+      socket.emit('error', { message: 'Invalid signal target', event: 'request-video-layer' });
+      return;
+    }
+    
+    io.to(peerChannel(target.peerId)).emit('video-layer-requested', {
+      userId: sender.userId,
+      layer
+    });
+  });
+  
+  // Recording: everyone in the room learns who records, and answers them with their consent
+  socket.on('set-recording', ({ roomId, recording }) => {
+    const result = roomManager.setRecording(peerId, roomId, recording);
+    
+    if (result.error) {
+      socket.emit('error', { message: result.error, event: 'set-recording' });
+      return;
+    }
+    
+    socket.emit('recording-set', { roomId: result.room.id, recording });
+    socket.to(roomChannel(result.room.id)).emit('recording-state', { userId: result.userId, recording });
+    
+    logger.info(`User ${result.userId} ${recording ? 'started' : 'stopped'} recording room ${result.room.id}`);
+  });
+  
+  socket.on('recording-consent', ({ roomId, targetUserId, consent }) => {
+    const sender = roomManager.getMemberByPeer(peerId, roomId);
+    const target = sender && roomManager.getMember(roomId, targetUserId);
+    
+    if (!sender || !target) {
+      socket.emit('error', { message: 'Invalid signal target', event: 'recording-consent' });
+      return;
+    }
+    
+    io.to(peerChannel(target.peerId)).emit('recording-consent', {
+      userId: sender.userId,
+      consent
+    });
+  });
+  
+  // Invites: a room invite lets others into the room (even a password-protected one),
+  // a call invite lets others call its creator without knowing their peer ID
+  socket.on('create-invite', ({ roomId, maxUses = 1 }) => {
+    let claims;
+    
+    if (roomId !== undefined) {
+      const member = roomManager.getMemberByPeer(peerId, roomId.trim());
       
-      // Broadcast updated user list
-      io.emit('userList', Array.from(activeUsers.values()).map(u => ({
-        id: u.id,
-        username: u.username
-      })));
+      if (!member) {
+        socket.emit('error', { message: 'Not a member of this room', event: 'create-invite' });
+        return;
+      }
       
-      logger.info(`User disconnected: ${user.username} (${socket.id})`);
+      claims = { room: roomId.trim() };
+    } else {
+      const user = activeUsers.get(peerId);
+      
+      if (!user) {
+        socket.emit('error', { message: 'Register before creating an invite', event: 'create-invite' });
+        return;
+      }
+      
+      claims = { from: user.username };
+    }
+    
+    const jti = invites.issue(maxUses, INVITE_TOKEN_TTL);
+    const { token, expiresAt } = tokens.sign(TOKEN_TYPES.INVITE, { ...claims, jti }, INVITE_TOKEN_TTL);
+    const kind = claims.room ? 'room' : 'call';
+    
+    logger.info(`${kind} invite created by ${socket.data.username} for ${maxUses} use(s)`);
+    socket.emit('invite-created', { kind, roomId: claims.room, token, expiresAt, maxUses });
+  });
+  
+  // Tell the holder of an invite where it leads
+  // Room invites are used up by join-room; call invites here, since the call itself is peer-to-peer
+  socket.on('redeem-invite', ({ invite }) => {
+    if (!activeUsers.has(peerId)) {
+      socket.emit('error', { message: 'Register before redeeming an invite', event: 'redeem-invite' });
+      return;
+    }
+    
+    const claims = checkInvite(invite, socket.data.inviteId);
+    
+    if (!claims) {
+      socket.emit('error', { message: 'This invite has expired or was already used', event: 'redeem-invite' });
+      return;
+    }
+    
+    if (claims.room) {
+      socket.emit('invite-redeemed', { kind: 'room', roomId: claims.room, invite });
+      return;
+    }
+    
+    const inviter = Array.from(activeUsers.values()).find(user => user.username === claims.from);
+    
+    if (!inviter) {
+      socket.emit('error', { message: `${claims.from} is not online right now`, event: 'redeem-invite' });
+      return;
     }
     
+    if (inviter.id === peerId) {
+      socket.emit('error', { message: 'This is your own invite', event: 'redeem-invite' });
+      return;
+    }
+    
+    useInvite(claims, socket.data.inviteId);
+    
+    logger.info(`Call invite from ${inviter.username} redeemed by ${socket.data.username}`);
+    socket.emit('invite-redeemed', { kind: 'call', userId: inviter.id, username: inviter.username });
+  });
+  
+  // ICE servers with short-lived relay credentials for this user's peer connections
+  socket.on('get-ice-servers', () => {
+    socket.emit('ice-servers', {
+      ...turn.getIceServers(socket.data.username, socket.handshake.headers.host),
+      policy: ICE_POLICY
+    });
+  });
+  
+  // Media forwarding, for members of rooms that switched to the SFU
+  // Errors from mediasoup (unknown transport, unsupported codec) are answered like any refusal
+  const onForwarding = (event, handler) => {
+    socket.on(event, async (payload) => {
+      const room = roomManager.getRoom(payload.roomId);
+      const member = room && roomManager.getMemberByPeer(peerId, room.id);
+      
+      if (!member || room.mediaMode !== MEDIA_MODES.SFU) {
+        socket.emit('error', { message: 'This room does not forward media', event });
+        return;
+      }
+      
+      try {
+        await handler(payload, member);
+      } catch (err) {
+        logger.warn(`${event} from ${peerId} failed: ${err.message}`);
+        socket.emit('error', { message: err.message, event });
+      }
+    });
+  };
+  
+  // Room members know each other by user ID, the SFU by peer ID
+  const userIdOf = (roomId, ownerPeerId) => {
+    const owner = roomManager.getMemberByPeer(ownerPeerId, roomId);
+    return owner ? owner.userId : null;
+  };
+  
+  onForwarding('sfu-get-capabilities', async ({ roomId }) => {
+    const rtpCapabilities = await sfu.getRtpCapabilities(roomId);
+    
+    // What the others already send, to consume once the receive transport is up
+    const producers = sfu.producersOf(roomId, peerId)
+      .map(({ producerId, peerId: ownerPeerId, kind }) => ({ producerId, kind, userId: userIdOf(roomId, ownerPeerId) }))
+      .filter(producer => producer.userId);
+    
+    socket.emit('sfu-capabilities', { roomId, rtpCapabilities, producers });
+  });
+  
+  onForwarding('sfu-create-transport', async ({ roomId, direction }) => {
+    const transport = await sfu.createTransport(roomId, peerId, direction, socket.handshake.headers.host);
+    
+    // Strict-local: never hand out a path off the local network
+    if (ICE_POLICY === ICE_POLICIES.STRICT_LOCAL) {
+      transport.iceCandidates = transport.iceCandidates
+        .filter(candidate => isLocalAddress(candidate.address || candidate.ip));
+    }
+    
+    socket.emit('sfu-transport-created', { roomId, ...transport });
+  });
+  
+  onForwarding('sfu-connect-transport', async ({ roomId, transportId, dtlsParameters }) => {
+    await sfu.connectTransport(roomId, peerId, transportId, dtlsParameters);
+    socket.emit('sfu-transport-connected', { roomId, transportId });
+  });
+  
+  onForwarding('sfu-restart-ice', async ({ roomId, transportId }) => {
+    const iceParameters = await sfu.restartIce(roomId, peerId, transportId);
+    socket.emit('sfu-ice-restarted', { roomId, transportId, iceParameters });
+  });
+  
+  onForwarding('sfu-produce', async ({ roomId, transportId, kind, rtpParameters }, member) => {
+    const producerId = await sfu.produce(roomId, peerId, transportId, kind, rtpParameters);
+    
+    socket.emit('sfu-produced', { roomId, producerId, kind });
+    socket.to(roomChannel(roomId)).emit('sfu-new-producer', { roomId, userId: member.userId, producerId, kind });
+  });
+  
+  onForwarding('sfu-close-producer', async ({ roomId, producerId }) => {
+    sfu.closeProducer(roomId, peerId, producerId);
+  });
+  
+  onForwarding('sfu-consume', async ({ roomId, producerId, rtpCapabilities }) => {
+    const { producerPeerId, ...consumer } = await sfu.consume(roomId, peerId, producerId, rtpCapabilities);
+    socket.emit('sfu-consumed', { roomId, ...consumer, userId: userIdOf(roomId, producerPeerId) });
+  });
+  
+  onForwarding('sfu-resume-consumer', async ({ roomId, consumerId }) => {
+    await sfu.resumeConsumer(roomId, peerId, consumerId);
+  });
+  
+  onForwarding('sfu-set-preferred-layer', async ({ roomId, consumerId, layer }) => {
+    await sfu.setPreferredLayer(roomId, peerId, consumerId, layer);
+  });
+  
+  // Disconnect handling
+  // The session, and with it the user's rooms and call, waits for a reconnect
+  // unless the client closed the socket on purpose
+  socket.on('disconnect', (reason) => {
+    logger.info(`Connection closed: ${socket.id} (${reason})`);
+    
+    sessions.detach(sessionId, socket.id, reason === 'client namespace disconnect');
+    
     // Remove connection
     activeConnections.delete(socket.id);
   });
@@ -257,11 +1047,15 @@ io.on('connection', (socket) => {
 server.listen(PORT, () => {
   logger.info(`Server running in ${NODE_ENV} mode on port ${PORT}`);
   logger.info(`Using ${USE_HTTPS ? 'HTTPS' : 'HTTP'}`);
+  turn.start();
+  sfu.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  turn.stop();
+  sfu.stop();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -0,0 +1,184 @@
+/**
+ * Signaling protocol definition and validation
+ *
+ * PROTOCOL.md at the repository root is the reference for every message.
+ * client/src/utils/signalingProtocol.js mirrors the version and event names;
+ * bump PROTOCOL_VERSION in both places whenever a message changes shape.
+ */
+
+const PROTOCOL_VERSION = 12;
+
+// Size limits for client-supplied values
+const MAX_ID_LENGTH = 64;
+const MAX_SDP_LENGTH = 64 * 1024;
+const MAX_CANDIDATE_LENGTH = 1024;
+const MAX_PASSWORD_LENGTH = 128;
+const MAX_TOKEN_LENGTH = 1024;
+const MAX_INVITE_USES = 100;
+const MAX_MEDIA_PARAMS_LENGTH = 16 * 1024; // Serialized RTP capabilities, RTP or DTLS parameters
+const SIMULCAST_LAYERS = 3; // q, h and f
+
+/**
+ * Field validators, keyed by type name
+ * Each returns true when the value is acceptable
+ */
+const FIELD_TYPES = {
+  id: (value) => typeof value === 'string' &&
+    value.trim().length > 0 &&
+    value.length <= MAX_ID_LENGTH,
+
+  boolean: (value) => typeof value === 'boolean',
+
+  password: (value) => typeof value === 'string' &&
+    value.length > 0 &&
+    value.length <= MAX_PASSWORD_LENGTH,
+
+  uses: (value) => Number.isInteger(value) &&
+    value >= 1 &&
+    value <= MAX_INVITE_USES,
+
+  token: (value) => typeof value === 'string' &&
+    value.length <= MAX_TOKEN_LENGTH &&
+    /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/.test(value),
+
+  description: (value) => isPlainObject(value) &&
+    ['offer', 'answer', 'pranswer', 'rollback'].includes(value.type) &&
+    (value.type === 'rollback' ||
+      (typeof value.sdp === 'string' && value.sdp.length <= MAX_SDP_LENGTH)),
+
+  candidate: (value) => isPlainObject(value) &&
+    typeof value.candidate === 'string' &&
+    value.candidate.length <= MAX_CANDIDATE_LENGTH &&
+    (value.sdpMid === undefined || value.sdpMid === null || typeof value.sdpMid === 'string') &&
+    (value.sdpMLineIndex === undefined || value.sdpMLineIndex === null ||
+      Number.isInteger(value.sdpMLineIndex)),
+
+  signal: (value) => FIELD_TYPES.description(value) || FIELD_TYPES.candidate(value),
+
+  kind: (value) => value === 'audio' || value === 'video',
+
+  direction: (value) => value === 'send' || value === 'recv',
+
+  // Simulcast layer index, lowest first
+  layer: (value) => Number.isInteger(value) && value >= 0 && value < SIMULCAST_LAYERS,
+
+  // Opaque to the server; mediasoup checks the contents
+  params: (value) => isPlainObject(value) &&
+    JSON.stringify(value).length <= MAX_MEDIA_PARAMS_LENGTH,
+};
+
+/**
+ * Messages a client may send, with their payload fields
+ * A leading `?` marks a field as optional
+ */
+const CLIENT_MESSAGES = {
+  // Presence
+  register: { username: 'id' },
+
+  // 1:1 calls
+  ring: { target: 'id' },
+  accept: { target: 'id' },
+  cancel: { target: 'id' },
+  offer: { target: 'id', offer: 'description' },
+  answer: { target: 'id', answer: 'description' },
+  iceCandidate: { target: 'id', candidate: 'candidate' },
+  busy: { target: 'id' },
+  reject: { target: 'id' },
+  callEnded: { target: 'id' },
+  speaking: { target: 'id', speaking: 'boolean' },
+  recording: { target: 'id', recording: 'boolean' },
+  recordingConsent: { target: 'id', consent: 'boolean' },
+
+  // Rooms
+  'join-room': { roomId: 'id', userId: 'id', password: '?password', invite: '?token', forbidRecording: '?boolean' },
+  'leave-room': { roomId: 'id', userId: '?id' },
+  'send-signal': { roomId: 'id', userId: '?id', targetUserId: 'id', signal: 'signal' },
+  'request-video-layer': { roomId: 'id', targetUserId: 'id', layer: 'layer' },
+  'set-recording': { roomId: 'id', recording: 'boolean' },
+  'recording-consent': { roomId: 'id', targetUserId: 'id', consent: 'boolean' },
+
+  // Invites (for a room, or to call the creator when roomId is omitted)
+  'create-invite': { roomId: '?id', maxUses: '?uses' },
+  'redeem-invite': { invite: 'token' },
+
+  // Connectivity
+  'get-ice-servers': {},
+
+  // Media forwarding (rooms in SFU mode)
+  'sfu-get-capabilities': { roomId: 'id' },
+  'sfu-create-transport': { roomId: 'id', direction: 'direction' },
+  'sfu-connect-transport': { roomId: 'id', transportId: 'id', dtlsParameters: 'params' },
+  'sfu-restart-ice': { roomId: 'id', transportId: 'id' },
+  'sfu-produce': { roomId: 'id', transportId: 'id', kind: 'kind', rtpParameters: 'params' },
+  'sfu-close-producer': { roomId: 'id', producerId: 'id' },
+  'sfu-consume': { roomId: 'id', producerId: 'id', rtpCapabilities: 'params' },
+  'sfu-resume-consumer': { roomId: 'id', consumerId: 'id' },
+  'sfu-set-preferred-layer': { roomId: 'id', consumerId: 'id', layer: 'layer' },
+};
+
+/**
+ * Check for a plain JSON object
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a non-array object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate an incoming client message against the protocol
+ * @param {string} event - Socket.IO event name
+ * @param {*} payload - First event argument
+ * @returns {string|null} Reason the message was rejected, or null if valid
+ */
+function validateMessage(event, payload) {
+  const schema = Object.prototype.hasOwnProperty.call(CLIENT_MESSAGES, event)
+    ? CLIENT_MESSAGES[event]
+    : null;
+
+  if (!schema) {
+    return `Unknown message type: ${event}`;
+  }
+
+  if (!isPlainObject(payload)) {
+    return `Malformed ${event} message`;
+  }
+
+  for (const key of Object.keys(payload)) {
+    if (!schema[key]) {
+      return `Unexpected field "${key}" in ${event} message`;
+    }
+  }
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = spec.startsWith('?');
+    const type = optional ? spec.slice(1) : spec;
+    const value = payload[field];
+
+    if (value === undefined && optional) {
+      continue;
+    }
+
+    if (!FIELD_TYPES[type](value)) {
+      return `Invalid field "${field}" in ${event} message`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a client speaks this server's protocol version
+ * @param {*} version - Version from the connection handshake
+ * @returns {boolean} True if supported
+ */
+function isSupportedVersion(version) {
+  return Number(version) === PROTOCOL_VERSION;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  CLIENT_MESSAGES,
+  validateMessage,
+  isSupportedVersion
+};
@@ -0,0 +1,87 @@
+const {
+  PROTOCOL_VERSION,
+  CLIENT_MESSAGES,
+  validateMessage,
+  isSupportedVersion
+} = require('./protocol');
+
+const SDP = 'v=0\r\no=- 1 2 IN IP4 127.0.0.1\r\ns=-\r\n';
+const TOKEN = 'eyJzdWIiOiJhbGljZSJ9.c2lnbmF0dXJl';
+
+describe('protocol', () => {
+  test('accepts well-formed messages', () => {
+    expect(validateMessage('register', { username: 'alice' })).toBeNull();
+    expect(validateMessage('offer', { target: 'bob', offer: { type: 'offer', sdp: SDP } })).toBeNull();
+    expect(validateMessage('iceCandidate', {
+      target: 'bob',
+      candidate: { candidate: 'candidate:1 1 udp 2122260223 10.0.0.1 54400 typ host', sdpMid: '0', sdpMLineIndex: 0 }
+    })).toBeNull();
+    expect(validateMessage('join-room', { roomId: 'room-1', userId: 'alice' })).toBeNull();
+    expect(validateMessage('join-room', {
+      roomId: 'room-1', userId: 'alice', password: 'secret', invite: TOKEN, forbidRecording: true
+    })).toBeNull();
+    expect(validateMessage('send-signal', { roomId: 'room-1', targetUserId: 'bob', signal: { type: 'rollback' } })).toBeNull();
+    expect(validateMessage('create-invite', {})).toBeNull();
+    expect(validateMessage('get-ice-servers', {})).toBeNull();
+    expect(validateMessage('sfu-produce', {
+      roomId: 'room-1', transportId: 't1', kind: 'video', rtpParameters: { codecs: [] }
+    })).toBeNull();
+  });
+
+  test('rejects unknown message types', () => {
+    expect(validateMessage('shutdown', {})).toBe('Unknown message type: shutdown');
+    expect(validateMessage('toString', {})).toBe('Unknown message type: toString');
+    expect(validateMessage('__proto__', {})).toBe('Unknown message type: __proto__');
+  });
+
+  test('rejects payloads that are not objects', () => {
+    expect(validateMessage('register', null)).toBe('Malformed register message');
+    expect(validateMessage('register', 'alice')).toBe('Malformed register message');
+    expect(validateMessage('register', ['alice'])).toBe('Malformed register message');
+  });
+
+  test('rejects unexpected and missing fields', () => {
+    expect(validateMessage('register', { username: 'alice', admin: true }))
+      .toBe('Unexpected field "admin" in register message');
+    expect(validateMessage('ring', {})).toBe('Invalid field "target" in ring message');
+    expect(validateMessage('join-room', { roomId: 'room-1' })).toBe('Invalid field "userId" in join-room message');
+  });
+
+  test.each([
+    ['an empty ID', 'register', { username: '   ' }],
+    ['a long ID', 'register', { username: 'a'.repeat(65) }],
+    ['a non-string ID', 'ring', { target: 42 }],
+    ['an oversized SDP', 'offer', { target: 'bob', offer: { type: 'offer', sdp: 'x'.repeat(64 * 1024 + 1) } }],
+    ['an unknown description type', 'answer', { target: 'bob', answer: { type: 'hello', sdp: SDP } }],
+    ['a candidate without a string', 'iceCandidate', { target: 'bob', candidate: { candidate: 5 } }],
+    ['a fractional m-line index', 'iceCandidate', { target: 'bob', candidate: { candidate: '', sdpMLineIndex: 0.5 } }],
+    ['a non-boolean flag', 'speaking', { target: 'bob', speaking: 'yes' }],
+    ['an empty password', 'join-room', { roomId: 'r', userId: 'u', password: '' }],
+    ['a malformed invite', 'redeem-invite', { invite: 'not a token' }],
+    ['too many invite uses', 'create-invite', { maxUses: 101 }],
+    ['zero invite uses', 'create-invite', { maxUses: 0 }],
+    ['an unknown media kind', 'sfu-produce', { roomId: 'r', transportId: 't', kind: 'data', rtpParameters: {} }],
+    ['an unknown simulcast layer', 'request-video-layer', { roomId: 'r', targetUserId: 'u', layer: 3 }],
+    ['oversized media parameters', 'sfu-connect-transport', {
+      roomId: 'r', transportId: 't', dtlsParameters: { fingerprints: 'x'.repeat(16 * 1024) }
+    }]
+  ])('rejects %s', (name, event, payload) => {
+    expect(validateMessage(event, payload)).toMatch(/^Invalid field "\w+" in [\w-]+ message$/);
+  });
+
+  test('describes every field with a known type', () => {
+    const types = new Set(['id', 'boolean', 'password', 'uses', 'token', 'description', 'candidate',
+      'signal', 'kind', 'direction', 'layer', 'params']);
+
+    Object.values(CLIENT_MESSAGES).forEach(schema => {
+      Object.values(schema).forEach(spec => expect(types).toContain(spec.replace(/^\?/, '')));
+    });
+  });
+
+  test('supports only its own version', () => {
+    expect(isSupportedVersion(PROTOCOL_VERSION)).toBe(true);
+    expect(isSupportedVersion(String(PROTOCOL_VERSION))).toBe(true);
+    expect(isSupportedVersion(PROTOCOL_VERSION - 1)).toBe(false);
+    expect(isSupportedVersion(undefined)).toBe(false);
+  });
+});
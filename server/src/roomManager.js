@@ -0,0 +1,289 @@
+const logger = require('./utils/logger');
+const { hashPassword, verifyPassword } = require('./auth');
+const { MEDIA_MODES } = require('./sfu');
+
+// Limits for client-supplied identifiers
+const MAX_ROOM_ID_LENGTH = 64;
+const MAX_USER_ID_LENGTH = 64;
+
+/**
+ * Normalizes a client-supplied identifier
+ * @param {*} value - Raw value from the socket payload
+ * @param {number} maxLength - Maximum allowed length
+ * @returns {string|null} Trimmed identifier or null if invalid
+ */
+function normalizeId(value, maxLength) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  const trimmed = value.trim();
+
+  if (!trimmed || trimmed.length > maxLength) {
+    return null;
+  }
+
+  return trimmed;
+}
+
+/**
+ * In-memory room registry (no persistence)
+ * Tracks which logical users are in which rooms and under which session peer ID;
+ * members stay through a socket reconnect as long as their session does
+ */
+class RoomManager {
+  constructor() {
+    // roomId -> { id, createdAt, passwordHash, mediaMode, recordingForbidden,
+    //   members: Map<userId, member>, recorders: Set<userId> }
+    this.rooms = new Map();
+
+    // peerId -> Set of room IDs the peer has joined
+    this.peerRooms = new Map();
+  }
+
+  /**
+   * Create a room if it does not exist yet
+   * @param {string} roomId - Room ID
+   * @param {string} [password] - Password later joiners must supply
+   * @param {Object} [policy] - Room policy
+   * @param {boolean} [policy.forbidRecording] - Refuse every member's recording
+   * @returns {Object} The room
+   */
+  createRoom(roomId, password, policy = {}) {
+    if (!this.rooms.has(roomId)) {
+      this.rooms.set(roomId, {
+        id: roomId,
+        createdAt: Date.now(),
+        passwordHash: password ? hashPassword(password) : null,
+        mediaMode: MEDIA_MODES.MESH, // Switched to forwarding by the signaling server as the room grows
+        recordingForbidden: !!policy.forbidRecording,
+        members: new Map(),
+        recorders: new Set() // Members currently recording the call
+      });
+
+      logger.info(`Room created: ${roomId}${password ? ' (password protected)' : ''}` +
+        `${policy.forbidRecording ? ' (recording forbidden)' : ''}`);
+    }
+
+    return this.rooms.get(roomId);
+  }
+
+  /**
+   * Add a user to a room, creating the room on first join
+   * The first joiner may set a password and forbid recording; later joiners need
+   * the password or an invite, and cannot change the policy.
+   * @param {string} peerId - Session peer ID the user is connected as
+   * @param {string} rawRoomId - Room ID from the client
+   * @param {string} rawUserId - Logical user ID from the client
+   * @param {Object} [access] - Access credentials
+   * @param {string} [access.password] - Room password
+   * @param {boolean} [access.invited] - Whether the user holds a valid invite for this room
+   * @param {boolean} [access.forbidRecording] - Forbid recording, when this join creates the room
+   * @returns {Object} Result with either `error` or `room`, `member` and `participants`
+   */
+  join(peerId, rawRoomId, rawUserId, access = {}) {
+    const roomId = normalizeId(rawRoomId, MAX_ROOM_ID_LENGTH);
+    const userId = normalizeId(rawUserId, MAX_USER_ID_LENGTH);
+
+    if (!roomId) {
+      return { error: 'Invalid room ID' };
+    }
+
+    if (!userId) {
+      return { error: 'Invalid user ID' };
+    }
+
+    const current = this.rooms.get(roomId);
+    const rejoining = current && current.members.has(userId) &&
+      current.members.get(userId).peerId === peerId;
+
+    if (current && current.passwordHash && !rejoining && !access.invited) {
+      if (!access.password) {
+        return { error: 'Room password required' };
+      }
+
+      if (!verifyPassword(access.password, current.passwordHash)) {
+        return { error: 'Wrong room password' };
+      }
+    }
+
+    const room = current || this.createRoom(roomId, access.password, {
+      forbidRecording: access.forbidRecording
+    });
+    const existing = room.members.get(userId);
+
+    if (existing && existing.peerId !== peerId) {
+      return { error: 'User ID already in room' };
+    }
+
+    // Everyone already in the room, before this user is added
+    const participants = Array.from(room.members.keys())
+      .filter(id => id !== userId);
+
+    const member = {
+      userId,
+      peerId,
+      joinedAt: existing ? existing.joinedAt : Date.now()
+    };
+
+    room.members.set(userId, member);
+
+    if (!this.peerRooms.has(peerId)) {
+      this.peerRooms.set(peerId, new Set());
+    }
+    this.peerRooms.get(peerId).add(roomId);
+
+    return { room, member, participants };
+  }
+
+  /**
+   * Remove a user from a room, deleting the room once it is empty
+   * @param {string} peerId - Peer the request came from
+   * @param {string} rawRoomId - Room ID from the client
+   * @returns {Object|null} `{ roomId, userId }` of the removed member, or null if the peer was not in the room
+   */
+  leave(peerId, rawRoomId) {
+    const roomId = normalizeId(rawRoomId, MAX_ROOM_ID_LENGTH);
+    const room = roomId && this.rooms.get(roomId);
+
+    if (!room) {
+      return null;
+    }
+
+    const member = Array.from(room.members.values())
+      .find(m => m.peerId === peerId);
+
+    if (!member) {
+      return null;
+    }
+
+    room.members.delete(member.userId);
+    room.recorders.delete(member.userId);
+
+    const joined = this.peerRooms.get(peerId);
+    if (joined) {
+      joined.delete(roomId);
+      if (joined.size === 0) {
+        this.peerRooms.delete(peerId);
+      }
+    }
+
+    if (room.members.size === 0) {
+      this.rooms.delete(roomId);
+      logger.info(`Room closed: ${roomId}`);
+    }
+
+    return { roomId, userId: member.userId };
+  }
+
+  /**
+   * Mark a member as recording the room, or as no longer recording
+   * @param {string} peerId - Peer the request came from
+   * @param {string} roomId - Room ID
+   * @param {boolean} recording - Whether the member is recording
+   * @returns {Object} Result with either `error` or `room` and `userId`
+   */
+  setRecording(peerId, roomId, recording) {
+    const room = this.rooms.get(roomId);
+    const member = room && this.getMemberByPeer(peerId, roomId);
+
+    if (!member) {
+      return { error: 'Not in this room' };
+    }
+
+    if (recording && room.recordingForbidden) {
+      return { error: 'Recording is not allowed in this room' };
+    }
+
+    if (recording) {
+      room.recorders.add(member.userId);
+    } else {
+      room.recorders.delete(member.userId);
+    }
+
+    return { room, userId: member.userId };
+  }
+
+  /**
+   * Remove a peer from every room it joined
+   * @param {string} peerId - Peer ID
+   * @returns {Object[]} Removed memberships as `{ roomId, userId }`
+   */
+  leaveAll(peerId) {
+    const joined = this.peerRooms.get(peerId);
+
+    if (!joined) {
+      return [];
+    }
+
+    return Array.from(joined)
+      .map(roomId => this.leave(peerId, roomId))
+      .filter(Boolean);
+  }
+
+  /**
+   * Find the member record a peer uses in a room
+   * @param {string} peerId - Peer ID
+   * @param {string} roomId - Room ID
+   * @returns {Object|null} Member or null
+   */
+  getMemberByPeer(peerId, roomId) {
+    const room = this.rooms.get(roomId);
+
+    if (!room) {
+      return null;
+    }
+
+    return Array.from(room.members.values())
+      .find(m => m.peerId === peerId) || null;
+  }
+
+  /**
+   * Find a room by ID
+   * @param {string} roomId - Room ID
+   * @returns {Object|null} Room or null
+   */
+  getRoom(roomId) {
+    return this.rooms.get(roomId) || null;
+  }
+
+  /**
+   * Find a member of a room by logical user ID
+   * @param {string} roomId - Room ID
+   * @param {string} userId - User ID
+   * @returns {Object|null} Member or null
+   */
+  getMember(roomId, userId) {
+    const room = this.rooms.get(roomId);
+    return (room && room.members.get(userId)) || null;
+  }
+
+  /**
+   * Rooms a peer is a member of
+   * @param {string} peerId - Peer ID
+   * @returns {string[]} Room IDs
+   */
+  roomsOf(peerId) {
+    return Array.from(this.peerRooms.get(peerId) || []);
+  }
+
+  /**
+   * Every active room
+   * @returns {Array<Object>} Rooms
+   */
+  allRooms() {
+    return Array.from(this.rooms.values());
+  }
+
+  /**
+   * Number of active rooms
+   * @returns {number} Room count
+   */
+  get size() {
+    return this.rooms.size;
+  }
+}
+
+module.exports = {
+  RoomManager
+};
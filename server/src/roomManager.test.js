@@ -0,0 +1,129 @@
+jest.mock('./utils/logger');
+
+const { RoomManager } = require('./roomManager');
+const { MEDIA_MODES } = require('./sfu');
+
+describe('RoomManager', () => {
+  let rooms;
+
+  beforeEach(() => {
+    rooms = new RoomManager();
+  });
+
+  test('creates a room on first join', () => {
+    const { room, member, participants } = rooms.join('peer-a', ' room-1 ', 'alice');
+
+    expect(room.id).toBe('room-1');
+    expect(room.mediaMode).toBe(MEDIA_MODES.MESH);
+    expect(member).toMatchObject({ userId: 'alice', peerId: 'peer-a' });
+    expect(participants).toEqual([]);
+    expect(rooms.size).toBe(1);
+    expect(rooms.roomsOf('peer-a')).toEqual(['room-1']);
+  });
+
+  test('lists the members already in the room', () => {
+    rooms.join('peer-a', 'room-1', 'alice');
+    rooms.join('peer-b', 'room-1', 'bob');
+
+    expect(rooms.join('peer-c', 'room-1', 'carol').participants).toEqual(['alice', 'bob']);
+    expect(rooms.getMember('room-1', 'bob').peerId).toBe('peer-b');
+    expect(rooms.getMemberByPeer('peer-c', 'room-1').userId).toBe('carol');
+  });
+
+  test.each([
+    ['room ID', [undefined, 'alice'], 'Invalid room ID'],
+    ['blank room ID', ['   ', 'alice'], 'Invalid room ID'],
+    ['long room ID', ['r'.repeat(65), 'alice'], 'Invalid room ID'],
+    ['user ID', ['room-1', 42], 'Invalid user ID']
+  ])('rejects an invalid %s', (name, [roomId, userId], error) => {
+    expect(rooms.join('peer-a', roomId, userId)).toEqual({ error });
+    expect(rooms.size).toBe(0);
+  });
+
+  test('keeps a user ID to one peer', () => {
+    rooms.join('peer-a', 'room-1', 'alice');
+
+    expect(rooms.join('peer-b', 'room-1', 'alice')).toEqual({ error: 'User ID already in room' });
+  });
+
+  test('lets the same peer join again, keeping its join time', () => {
+    const first = rooms.join('peer-a', 'room-1', 'alice', { password: 'secret' });
+    const again = rooms.join('peer-a', 'room-1', 'alice');
+
+    expect(again.member.joinedAt).toBe(first.member.joinedAt);
+    expect(again.room.members.size).toBe(1);
+  });
+
+  describe('passwords', () => {
+    beforeEach(() => {
+      rooms.join('peer-a', 'room-1', 'alice', { password: 'secret' });
+    });
+
+    test('are set by the first joiner', () => {
+      expect(rooms.join('peer-b', 'room-1', 'bob')).toEqual({ error: 'Room password required' });
+      expect(rooms.join('peer-b', 'room-1', 'bob', { password: 'guess' })).toEqual({ error: 'Wrong room password' });
+      expect(rooms.join('peer-b', 'room-1', 'bob', { password: 'secret' }).member.userId).toBe('bob');
+    });
+
+    test('are not needed with an invite', () => {
+      expect(rooms.join('peer-b', 'room-1', 'bob', { invited: true }).member.userId).toBe('bob');
+    });
+  });
+
+  test('removes members and closes empty rooms', () => {
+    rooms.join('peer-a', 'room-1', 'alice');
+    rooms.join('peer-b', 'room-1', 'bob');
+
+    expect(rooms.leave('peer-a', 'room-1')).toEqual({ roomId: 'room-1', userId: 'alice' });
+    expect(rooms.leave('peer-a', 'room-1')).toBeNull();
+    expect(rooms.roomsOf('peer-a')).toEqual([]);
+    expect(rooms.getRoom('room-1').members.size).toBe(1);
+
+    rooms.leave('peer-b', 'room-1');
+    expect(rooms.getRoom('room-1')).toBeNull();
+    expect(rooms.size).toBe(0);
+  });
+
+  test('removes a peer from every room', () => {
+    rooms.join('peer-a', 'room-1', 'alice');
+    rooms.join('peer-a', 'room-2', 'alice');
+    rooms.join('peer-b', 'room-2', 'bob');
+
+    expect(rooms.leaveAll('peer-a')).toEqual([
+      { roomId: 'room-1', userId: 'alice' },
+      { roomId: 'room-2', userId: 'alice' }
+    ]);
+    expect(rooms.allRooms().map(room => room.id)).toEqual(['room-2']);
+    expect(rooms.leaveAll('peer-a')).toEqual([]);
+  });
+
+  describe('recording', () => {
+    test('tracks who is recording until they stop or leave', () => {
+      rooms.join('peer-a', 'room-1', 'alice');
+      rooms.join('peer-b', 'room-1', 'bob');
+
+      expect(rooms.setRecording('peer-a', 'room-1', true).userId).toBe('alice');
+      rooms.setRecording('peer-b', 'room-1', true);
+      rooms.setRecording('peer-b', 'room-1', false);
+      expect(Array.from(rooms.getRoom('room-1').recorders)).toEqual(['alice']);
+
+      rooms.leave('peer-a', 'room-1');
+      expect(rooms.getRoom('room-1').recorders.size).toBe(0);
+    });
+
+    test('is refused in rooms that forbid it, whoever joins later', () => {
+      rooms.join('peer-a', 'room-1', 'alice', { forbidRecording: true });
+      rooms.join('peer-b', 'room-1', 'bob', { forbidRecording: false });
+
+      expect(rooms.setRecording('peer-b', 'room-1', true)).toEqual({ error: 'Recording is not allowed in this room' });
+      expect(rooms.setRecording('peer-b', 'room-1', false).userId).toBe('bob');
+    });
+
+    test('needs membership', () => {
+      rooms.join('peer-a', 'room-1', 'alice');
+
+      expect(rooms.setRecording('peer-b', 'room-1', true)).toEqual({ error: 'Not in this room' });
+      expect(rooms.setRecording('peer-a', 'room-2', true)).toEqual({ error: 'Not in this room' });
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const logger = require('./utils/logger');
+
+/**
+ * Random URL-safe identifier
+ * @param {number} bytes - Amount of randomness
+ * @returns {string} base64url string
+ */
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * In-memory registry of resumable signaling sessions (no persistence)
+ * A session outlives its socket for a grace period, so a client that reconnects
+ * in time gets back its peer ID and with it its registration, rooms and call.
+ * The session ID is the secret that proves ownership; the peer ID is what
+ * other users see and address messages to.
+ */
+class SessionManager {
+  /**
+   * @param {Object} options - Session options
+   * @param {number} options.gracePeriod - How long a session waits for its socket to come back, in milliseconds
+   * @param {Function} options.onExpire - Called with the session once it ends
+   */
+  constructor({ gracePeriod, onExpire }) {
+    this.gracePeriod = gracePeriod;
+    this.onExpire = onExpire;
+
+    // sessionId -> { id, peerId, username, socketId, createdAt, expiryTimer }
+    this.sessions = new Map();
+
+    // peerId -> session
+    this.peers = new Map();
+  }
+
+  /**
+   * Attach a socket to the session it asks to resume, or to a new one
+   * Only the user a session was created for can resume it.
+   * @param {string} socketId - New socket
+   * @param {string} username - Authenticated username
+   * @param {string} [sessionId] - Session to resume
+   * @returns {Object} `{ session, resumed, previousSocketId }`; the previous socket, if still connected, should be closed
+   */
+  attach(socketId, username, sessionId) {
+    const existing = sessionId ? this.sessions.get(sessionId) : null;
+
+    if (existing && existing.username === username) {
+      const previousSocketId = existing.socketId;
+
+      clearTimeout(existing.expiryTimer);
+      existing.expiryTimer = null;
+      existing.socketId = socketId;
+
+      return { session: existing, resumed: true, previousSocketId };
+    }
+
+    const session = {
+      id: randomId(24),
+      peerId: randomId(12),
+      username,
+      socketId,
+      createdAt: Date.now(),
+      expiryTimer: null
+    };
+
+    this.sessions.set(session.id, session);
+    this.peers.set(session.peerId, session);
+
+    return { session, resumed: false, previousSocketId: null };
+  }
+
+  /**
+   * Start the grace period after a session's socket closed
+   * Ignored when the session already moved on to a newer socket
+   * @param {string} sessionId - Session ID
+   * @param {string} socketId - Socket that closed
+   * @param {boolean} [immediately=false] - End the session now, e.g. when the client left on purpose
+   */
+  detach(sessionId, socketId, immediately = false) {
+    const session = this.sessions.get(sessionId);
+
+    if (!session || session.socketId !== socketId) {
+      return;
+    }
+
+    session.socketId = null;
+
+    if (immediately) {
+      this.end(sessionId);
+      return;
+    }
+
+    session.expiryTimer = setTimeout(() => this.end(sessionId), this.gracePeriod);
+  }
+
+  /**
+   * End a session now
+   * @param {string} sessionId - Session ID
+   */
+  end(sessionId) {
+    const session = this.sessions.get(sessionId);
+
+    if (!session) {
+      return;
+    }
+
+    clearTimeout(session.expiryTimer);
+    this.sessions.delete(session.id);
+    this.peers.delete(session.peerId);
+
+    logger.info(`Session ended: ${session.username} (${session.peerId})`);
+    this.onExpire(session);
+  }
+
+  /**
+   * Find a session by the peer ID other users know it by
+   * @param {string} peerId - Peer ID
+   * @returns {Object|null} Session or null
+   */
+  getByPeer(peerId) {
+    return this.peers.get(peerId) || null;
+  }
+
+  /**
+   * Number of sessions, connected or waiting for their socket
+   * @returns {number} Session count
+   */
+  get size() {
+    return this.sessions.size;
+  }
+}
+
+module.exports = {
+  SessionManager
+};
@@ -0,0 +1,105 @@
+jest.mock('./utils/logger');
+
+const { SessionManager } = require('./sessionManager');
+
+const GRACE_PERIOD = 30000;
+
+describe('SessionManager', () => {
+  let sessions;
+  let onExpire;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    onExpire = jest.fn();
+    sessions = new SessionManager({ gracePeriod: GRACE_PERIOD, onExpire });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('starts a new session for a new socket', () => {
+    const { session, resumed, previousSocketId } = sessions.attach('socket-1', 'alice');
+
+    expect(resumed).toBe(false);
+    expect(previousSocketId).toBeNull();
+    expect(session).toMatchObject({ username: 'alice', socketId: 'socket-1' });
+    expect(session.id).not.toBe(session.peerId);
+    expect(sessions.getByPeer(session.peerId)).toBe(session);
+    expect(sessions.size).toBe(1);
+  });
+
+  test('resumes a session within the grace period', () => {
+    const { session } = sessions.attach('socket-1', 'alice');
+    sessions.detach(session.id, 'socket-1');
+
+    jest.advanceTimersByTime(GRACE_PERIOD - 1);
+    const result = sessions.attach('socket-2', 'alice', session.id);
+
+    expect(result).toEqual({ session, resumed: true, previousSocketId: null });
+    expect(session.socketId).toBe('socket-2');
+
+    // The grace timer no longer runs
+    jest.advanceTimersByTime(GRACE_PERIOD);
+    expect(onExpire).not.toHaveBeenCalled();
+    expect(sessions.getByPeer(session.peerId)).toBe(session);
+  });
+
+  test('ends a session once the grace period passes', () => {
+    const { session } = sessions.attach('socket-1', 'alice');
+    sessions.detach(session.id, 'socket-1');
+
+    jest.advanceTimersByTime(GRACE_PERIOD);
+
+    expect(onExpire).toHaveBeenCalledWith(session);
+    expect(sessions.getByPeer(session.peerId)).toBeNull();
+    expect(sessions.size).toBe(0);
+
+    // Too late to resume: a fresh session with a new peer ID
+    const later = sessions.attach('socket-2', 'alice', session.id);
+    expect(later.resumed).toBe(false);
+    expect(later.session.peerId).not.toBe(session.peerId);
+  });
+
+  test('hands the session over from a socket that is still connected', () => {
+    const { session } = sessions.attach('socket-1', 'alice');
+    const result = sessions.attach('socket-2', 'alice', session.id);
+
+    expect(result.resumed).toBe(true);
+    expect(result.previousSocketId).toBe('socket-1');
+
+    // The old socket closing afterwards does not start the grace period
+    sessions.detach(session.id, 'socket-1');
+    jest.advanceTimersByTime(GRACE_PERIOD);
+    expect(onExpire).not.toHaveBeenCalled();
+    expect(session.socketId).toBe('socket-2');
+  });
+
+  test('does not let another user resume a session', () => {
+    const { session } = sessions.attach('socket-1', 'alice');
+    const result = sessions.attach('socket-2', 'mallory', session.id);
+
+    expect(result.resumed).toBe(false);
+    expect(result.session.peerId).not.toBe(session.peerId);
+    expect(session.socketId).toBe('socket-1');
+  });
+
+  test('ends a session right away when the client leaves', () => {
+    const { session } = sessions.attach('socket-1', 'alice');
+    sessions.detach(session.id, 'socket-1', true);
+
+    expect(onExpire).toHaveBeenCalledWith(session);
+    expect(sessions.size).toBe(0);
+  });
+
+  test('ends a session only once', () => {
+    const { session } = sessions.attach('socket-1', 'alice');
+    sessions.detach(session.id, 'socket-1');
+    sessions.end(session.id);
+
+    jest.advanceTimersByTime(GRACE_PERIOD);
+    sessions.end(session.id);
+
+    expect(onExpire).toHaveBeenCalledTimes(1);
+  });
+});
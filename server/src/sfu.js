@@ -0,0 +1,525 @@
+const logger = require('./utils/logger');
+
+// How a room's media flows
+const MEDIA_MODES = {
+  MESH: 'mesh', // Every member connects to every other member
+  SFU: 'sfu' // Every member sends once to the server, which forwards to the others
+};
+
+// When rooms switch to forwarding
+const SFU_MODES = {
+  OFF: 'off', // Mesh only
+  AUTO: 'auto', // Once a room grows beyond the threshold
+  ALWAYS: 'always' // From the first member on
+};
+
+// Codecs every router offers; clients pick from these
+const MEDIA_CODECS = [
+  {
+    kind: 'audio',
+    mimeType: 'audio/opus',
+    clockRate: 48000,
+    channels: 2
+  },
+  {
+    kind: 'video',
+    mimeType: 'video/VP8',
+    clockRate: 90000
+  },
+  {
+    kind: 'video',
+    mimeType: 'video/VP9',
+    clockRate: 90000,
+    parameters: {
+      'profile-id': 0
+    }
+  },
+  {
+    kind: 'video',
+    mimeType: 'video/AV1',
+    clockRate: 90000
+  },
+  {
+    kind: 'video',
+    mimeType: 'video/H264',
+    clockRate: 90000,
+    parameters: {
+      'packetization-mode': 1,
+      'profile-level-id': '42e01f',
+      'level-asymmetry-allowed': 1
+    }
+  }
+];
+
+/**
+ * Selective forwarding unit for rooms that outgrow the mesh
+ *
+ * Backed by mediasoup: one router per room, and per member one transport to
+ * send and one to receive. The server only forwards RTP packets, so frames
+ * encrypted with a room key stay encrypted. Everything is keyed by peer ID,
+ * so a member keeps its transports when its session resumes.
+ */
+class SfuService {
+  /**
+   * @param {Object} config - Forwarding configuration
+   * @param {string} config.mode - One of SFU_MODES
+   * @param {number} config.threshold - Members a room can have before it switches to forwarding (auto mode)
+   * @param {string} config.listenIp - Local address the media ports listen on
+   * @param {string} [config.announcedAddress] - Address clients reach the media ports at; defaults to the signaling host
+   * @param {number} config.minPort - First UDP/TCP port for media
+   * @param {number} config.maxPort - Last UDP/TCP port for media
+   * @param {Function} config.onConsumerClosed - Called with `(peerId, { roomId, consumerId })` when a forwarded stream ends
+   * @param {Function} [config.onWorkerDied] - Called once forwarding stopped for good, so rooms can go back to mesh
+   */
+  constructor(config) {
+    this.mode = config.mode;
+    this.threshold = config.threshold;
+    this.listenIp = config.listenIp;
+    this.announcedAddress = config.announcedAddress || null;
+    this.minPort = config.minPort;
+    this.maxPort = config.maxPort;
+    this.onConsumerClosed = config.onConsumerClosed;
+    this.onWorkerDied = config.onWorkerDied || null;
+    this.worker = null;
+
+    // roomId -> { router: Promise<Router>, peers: Map<peerId, { transports, producers, consumers }> }
+    this.rooms = new Map();
+  }
+
+  /**
+   * Start the mediasoup worker, if forwarding is enabled
+   * mediasoup is an optional dependency with a native worker; without it, rooms stay mesh.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.mode === SFU_MODES.OFF) {
+      return;
+    }
+
+    try {
+      const mediasoup = require('mediasoup');
+
+      this.worker = await mediasoup.createWorker({
+        logLevel: 'warn',
+        rtcMinPort: this.minPort,
+        rtcMaxPort: this.maxPort
+      });
+
+      this.worker.on('died', (error) => {
+        logger.error(`SFU worker died, rooms fall back to mesh: ${error.message}`);
+        this.worker = null;
+        this.mode = SFU_MODES.OFF;
+        this.rooms.clear();
+
+        if (this.onWorkerDied) {
+          this.onWorkerDied();
+        }
+      });
+
+      logger.info(`SFU forwarding ${this.mode === SFU_MODES.ALWAYS ? 'every room' : `rooms with more than ${this.threshold} members`}, media on ports ${this.minPort}-${this.maxPort}`);
+    } catch (err) {
+      logger.error(`Could not start the SFU, rooms stay mesh: ${err.message}`);
+      this.worker = null;
+      this.mode = SFU_MODES.OFF;
+    }
+  }
+
+  /**
+   * Stop the worker and every router
+   */
+  stop() {
+    if (this.worker) {
+      this.worker.close();
+      this.worker = null;
+    }
+
+    this.rooms.clear();
+  }
+
+  /**
+   * Media mode for a room of a given size
+   * Rooms only ever switch from mesh to forwarding, never back, so members
+   * coming and going around the threshold do not tear down media each time.
+   * @param {number} memberCount - Members in the room
+   * @returns {string} One of MEDIA_MODES
+   */
+  modeFor(memberCount) {
+    if (!this.worker || this.mode === SFU_MODES.OFF) {
+      return MEDIA_MODES.MESH;
+    }
+
+    return this.mode === SFU_MODES.ALWAYS || memberCount > this.threshold
+      ? MEDIA_MODES.SFU
+      : MEDIA_MODES.MESH;
+  }
+
+  /**
+   * Codecs and header extensions of a room's router, for the client's device
+   * @param {string} roomId - Room ID
+   * @returns {Promise<Object>} Router RTP capabilities
+   */
+  async getRtpCapabilities(roomId) {
+    const router = await this._getRouter(roomId);
+    return router.rtpCapabilities;
+  }
+
+  /**
+   * Create a transport for sending or receiving
+   * @param {string} roomId - Room ID
+   * @param {string} peerId - Peer that will use it
+   * @param {string} direction - 'send' or 'recv'
+   * @param {string} [requestHost] - Host header the client reached the signaling server with
+   * @returns {Promise<Object>} `{ id, direction, iceParameters, iceCandidates, dtlsParameters }`
+   */
+  async createTransport(roomId, peerId, direction, requestHost) {
+    const router = await this._getRouter(roomId);
+    const peer = this._getPeer(roomId, peerId, true);
+
+    const transport = await router.createWebRtcTransport({
+      listenInfos: ['udp', 'tcp'].map(protocol => ({
+        protocol,
+        ip: this.listenIp,
+        announcedAddress: this._announcedAddressFor(requestHost)
+      })),
+      enableUdp: true,
+      enableTcp: true,
+      preferUdp: true,
+      appData: { peerId, direction }
+    });
+
+    // A peer that reconnects from scratch replaces its transports
+    peer.transports.forEach((existing) => {
+      if (existing.appData.direction === direction) {
+        existing.close();
+        peer.transports.delete(existing.id);
+      }
+    });
+
+    peer.transports.set(transport.id, transport);
+
+    return {
+      id: transport.id,
+      direction,
+      iceParameters: transport.iceParameters,
+      iceCandidates: transport.iceCandidates,
+      dtlsParameters: transport.dtlsParameters
+    };
+  }
+
+  /**
+   * Finish the DTLS handshake of a transport
+   * @param {string} roomId - Room ID
+   * @param {string} peerId - Peer ID
+   * @param {string} transportId - Transport ID
+   * @param {Object} dtlsParameters - Client's DTLS parameters
+   * @returns {Promise<void>}
+   */
+  async connectTransport(roomId, peerId, transportId, dtlsParameters) {
+    await this._getTransport(roomId, peerId, transportId).connect({ dtlsParameters });
+  }
+
+  /**
+   * Restart ICE on a transport after the client's network changed
+   * @param {string} roomId - Room ID
+   * @param {string} peerId - Peer ID
+   * @param {string} transportId - Transport ID
+   * @returns {Promise<Object>} New ICE parameters
+   */
+  async restartIce(roomId, peerId, transportId) {
+    return this._getTransport(roomId, peerId, transportId).restartIce();
+  }
+
+  /**
+   * Start receiving a track from a peer
+   * @param {string} roomId - Room ID
+   * @param {string} peerId - Peer ID
+   * @param {string} transportId - Send transport ID
+   * @param {string} kind - 'audio' or 'video'
+   * @param {Object} rtpParameters - Client's RTP parameters
+   * @returns {Promise<string>} Producer ID
+   */
+  async produce(roomId, peerId, transportId, kind, rtpParameters) {
+    const transport = this._getTransport(roomId, peerId, transportId);
+    const peer = this._getPeer(roomId, peerId);
+
+    // One microphone and one camera (or screen) per member
+    if (Array.from(peer.producers.values()).some(existing => existing.kind === kind)) {
+      throw new Error(`Already sending ${kind}`);
+    }
+
+    const producer = await transport.produce({ kind, rtpParameters, appData: { peerId } });
+
+    peer.producers.set(producer.id, producer);
+    producer.on('transportclose', () => peer.producers.delete(producer.id));
+
+    return producer.id;
+  }
+
+  /**
+   * Stop receiving a track from a peer
+   * Everyone consuming it gets `onConsumerClosed`
+   * @param {string} roomId - Room ID
+   * @param {string} peerId - Peer ID
+   * @param {string} producerId - Producer ID
+   */
+  closeProducer(roomId, peerId, producerId) {
+    const peer = this._getPeer(roomId, peerId);
+    const producer = peer && peer.producers.get(producerId);
+
+    if (producer) {
+      producer.close();
+      peer.producers.delete(producerId);
+    }
+  }
+
+  /**
+   * Forward a producer to a peer
+   * Consumers start paused; the client resumes them once its track is wired up.
+   * @param {string} roomId - Room ID
+   * @param {string} peerId - Receiving peer
+   * @param {string} producerId - Producer to forward
+   * @param {Object} rtpCapabilities - Receiving device's RTP capabilities
+   * @returns {Promise<Object>} `{ id, producerId, producerPeerId, kind, rtpParameters }`
+   */
+  async consume(roomId, peerId, producerId, rtpCapabilities) {
+    const router = await this._getRouter(roomId);
+    const peer = this._getPeer(roomId, peerId);
+    const transport = peer && Array.from(peer.transports.values())
+      .find(candidate => candidate.appData.direction === 'recv');
+
+    if (!transport) {
+      throw new Error('Create a receive transport first');
+    }
+
+    if (!router.canConsume({ producerId, rtpCapabilities })) {
+      throw new Error('Cannot receive this stream');
+    }
+
+    const consumer = await transport.consume({ producerId, rtpCapabilities, paused: true });
+    const producer = this._findProducer(roomId, producerId);
+
+    peer.consumers.set(consumer.id, consumer);
+
+    const forget = () => peer.consumers.delete(consumer.id);
+    consumer.on('transportclose', forget);
+    consumer.on('producerclose', () => {
+      forget();
+      this.onConsumerClosed(peerId, { roomId, consumerId: consumer.id });
+    });
+
+    return {
+      id: consumer.id,
+      producerId,
+      producerPeerId: producer ? producer.appData.peerId : null,
+      kind: consumer.kind,
+      rtpParameters: consumer.rtpParameters
+    };
+  }
+
+  /**
+   * Start forwarding to a consumer
+   * @param {string} roomId - Room ID
+   * @param {string} peerId - Peer ID
+   * @param {string} consumerId - Consumer ID
+   * @returns {Promise<void>}
+   */
+  async resumeConsumer(roomId, peerId, consumerId) {
+    await this._getConsumer(roomId, peerId, consumerId).resume();
+  }
+
+  /**
+   * Choose which simulcast layer a consumer forwards
+   * The SFU still drops to a lower layer on its own while the subscriber's
+   * bandwidth is short.
+   * @param {string} roomId - Room ID
+   * @param {string} peerId - Peer ID
+   * @param {string} consumerId - Consumer ID
+   * @param {number} spatialLayer - Layer index, lowest first
+   * @returns {Promise<void>}
+   */
+  async setPreferredLayer(roomId, peerId, consumerId, spatialLayer) {
+    const consumer = this._getConsumer(roomId, peerId, consumerId);
+
+    // Audio and single-encoding video have no layers to choose from
+    if (consumer.type === 'simulcast') {
+      await consumer.setPreferredLayers({ spatialLayer });
+    }
+  }
+
+  /**
+   * Producers in a room that a peer does not own
+   * @param {string} roomId - Room ID
+   * @param {string} peerId - Peer asking
+   * @returns {Array<Object>} `{ producerId, peerId, kind }` for every other member's track
+   */
+  producersOf(roomId, peerId) {
+    const room = this.rooms.get(roomId);
+
+    if (!room) {
+      return [];
+    }
+
+    return Array.from(room.peers.entries())
+      .filter(([owner]) => owner !== peerId)
+      .flatMap(([owner, peer]) => Array.from(peer.producers.values())
+        .map(producer => ({ producerId: producer.id, peerId: owner, kind: producer.kind })));
+  }
+
+  /**
+   * Drop a peer's transports (and with them its producers and consumers)
+   * The room's router goes once its last peer is gone
+   * @param {string} roomId - Room ID
+   * @param {string} peerId - Peer ID
+   */
+  closePeer(roomId, peerId) {
+    const room = this.rooms.get(roomId);
+    const peer = room && room.peers.get(peerId);
+
+    if (!peer) {
+      return;
+    }
+
+    peer.transports.forEach(transport => transport.close());
+    room.peers.delete(peerId);
+
+    if (room.peers.size === 0) {
+      this.rooms.delete(roomId);
+      room.router.then(router => router.close(), () => {});
+      logger.info(`SFU router closed: ${roomId}`);
+    }
+  }
+
+  /**
+   * Router of a room, created on first use
+   * @param {string} roomId - Room ID
+   * @returns {Promise<Router>} mediasoup router
+   * @private
+   */
+  _getRouter(roomId) {
+    if (!this.worker) {
+      return Promise.reject(new Error('Media forwarding is not available'));
+    }
+
+    if (!this.rooms.has(roomId)) {
+      const router = this.worker.createRouter({ mediaCodecs: MEDIA_CODECS });
+
+      // Members asking at the same time share one router
+      this.rooms.set(roomId, { router, peers: new Map() });
+      router.catch(() => this.rooms.delete(roomId));
+    }
+
+    return this.rooms.get(roomId).router;
+  }
+
+  /**
+   * Forwarding state of a peer in a room
+   * @param {string} roomId - Room ID
+   * @param {string} peerId - Peer ID
+   * @param {boolean} [create=false] - Add the peer if it has no state yet
+   * @returns {Object|null} `{ transports, producers, consumers }`, or null if unknown
+   * @private
+   */
+  _getPeer(roomId, peerId, create = false) {
+    const room = this.rooms.get(roomId);
+
+    if (!room) {
+      return null;
+    }
+
+    if (!room.peers.has(peerId) && create) {
+      room.peers.set(peerId, { transports: new Map(), producers: new Map(), consumers: new Map() });
+    }
+
+    return room.peers.get(peerId) || null;
+  }
+
+  /**
+   * One of a peer's transports
+   * @param {string} roomId - Room ID
+   * @param {string} peerId - Peer ID
+   * @param {string} transportId - Transport ID
+   * @returns {WebRtcTransport} Transport
+   * @private
+   */
+  _getTransport(roomId, peerId, transportId) {
+    const peer = this._getPeer(roomId, peerId);
+    const transport = peer && peer.transports.get(transportId);
+
+    if (!transport) {
+      throw new Error('Unknown transport');
+    }
+
+    return transport;
+  }
+
+  /**
+   * Look up one of a peer's consumers
+   * @param {string} roomId - Room ID
+   * @param {string} peerId - Peer ID
+   * @param {string} consumerId - Consumer ID
+   * @returns {Object} mediasoup Consumer
+   * @private
+   */
+  _getConsumer(roomId, peerId, consumerId) {
+    const peer = this._getPeer(roomId, peerId);
+    const consumer = peer && peer.consumers.get(consumerId);
+
+    if (!consumer) {
+      throw new Error('Unknown consumer');
+    }
+
+    return consumer;
+  }
+
+  /**
+   * Find a producer by ID anywhere in a room
+   * @param {string} roomId - Room ID
+   * @param {string} producerId - Producer ID
+   * @returns {Producer|null} Producer or null
+   * @private
+   */
+  _findProducer(roomId, producerId) {
+    const room = this.rooms.get(roomId);
+
+    if (!room) {
+      return null;
+    }
+
+    for (const peer of room.peers.values()) {
+      if (peer.producers.has(producerId)) {
+        return peer.producers.get(producerId);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Address clients use to reach the media ports
+   * Like the embedded TURN relay, the signaling server's own host unless configured
+   * @param {string} [requestHost] - Host header from the client's handshake
+   * @returns {string|undefined} Announced address, or undefined to announce the listen address
+   * @private
+   */
+  _announcedAddressFor(requestHost) {
+    if (this.announcedAddress) {
+      return this.announcedAddress;
+    }
+
+    if (!requestHost || this.listenIp !== '0.0.0.0') {
+      return undefined;
+    }
+
+    try {
+      return new URL(`http://${requestHost}`).hostname;
+    } catch (err) {
+      return undefined;
+    }
+  }
+}
+
+module.exports = {
+  MEDIA_MODES,
+  SFU_MODES,
+  SfuService
+};
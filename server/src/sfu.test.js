@@ -0,0 +1,101 @@
+jest.mock('./utils/logger');
+jest.mock('mediasoup', () => ({ createWorker: jest.fn() }), { virtual: true });
+
+const { EventEmitter } = require('events');
+const mediasoup = require('mediasoup');
+const { MEDIA_MODES, SFU_MODES, SfuService } = require('./sfu');
+
+const config = (mode, extra = {}) => ({
+  mode,
+  threshold: 4,
+  listenIp: '0.0.0.0',
+  minPort: 40000,
+  maxPort: 40100,
+  onConsumerClosed: jest.fn(),
+  ...extra
+});
+
+const fakeWorker = () => Object.assign(new EventEmitter(), {
+  close: jest.fn(),
+  createRouter: jest.fn(() => Promise.resolve({ close: jest.fn() }))
+});
+
+describe('SfuService', () => {
+  let worker;
+
+  beforeEach(() => {
+    worker = fakeWorker();
+    mediasoup.createWorker.mockReset();
+    mediasoup.createWorker.mockResolvedValue(worker);
+  });
+
+  test('keeps every room mesh when forwarding is off', async () => {
+    const sfu = new SfuService(config(SFU_MODES.OFF));
+    await sfu.start();
+
+    expect(mediasoup.createWorker).not.toHaveBeenCalled();
+    expect(sfu.modeFor(50)).toBe(MEDIA_MODES.MESH);
+  });
+
+  test('forwards rooms that outgrow the threshold', async () => {
+    const sfu = new SfuService(config(SFU_MODES.AUTO));
+
+    // Nothing is forwarded before the worker runs
+    expect(sfu.modeFor(5)).toBe(MEDIA_MODES.MESH);
+
+    await sfu.start();
+
+    expect(mediasoup.createWorker).toHaveBeenCalledWith(expect.objectContaining({ rtcMinPort: 40000, rtcMaxPort: 40100 }));
+    expect(sfu.modeFor(4)).toBe(MEDIA_MODES.MESH);
+    expect(sfu.modeFor(5)).toBe(MEDIA_MODES.SFU);
+  });
+
+  test('forwards every room in always mode', async () => {
+    const sfu = new SfuService(config(SFU_MODES.ALWAYS));
+    await sfu.start();
+
+    expect(sfu.modeFor(1)).toBe(MEDIA_MODES.SFU);
+  });
+
+  test('stays mesh when the worker cannot start', async () => {
+    mediasoup.createWorker.mockRejectedValue(new Error('no worker binary'));
+
+    const sfu = new SfuService(config(SFU_MODES.ALWAYS));
+    await sfu.start();
+
+    expect(sfu.mode).toBe(SFU_MODES.OFF);
+    expect(sfu.modeFor(10)).toBe(MEDIA_MODES.MESH);
+    await expect(sfu.getRtpCapabilities('room-1')).rejects.toThrow('not available');
+  });
+
+  test('shares one router between members asking at once', async () => {
+    const sfu = new SfuService(config(SFU_MODES.ALWAYS));
+    await sfu.start();
+
+    await Promise.all([sfu.getRtpCapabilities('room-1'), sfu.getRtpCapabilities('room-1')]);
+    expect(worker.createRouter).toHaveBeenCalledTimes(1);
+  });
+
+  test('falls back to mesh and reports it when the worker dies', async () => {
+    const onWorkerDied = jest.fn();
+    const sfu = new SfuService(config(SFU_MODES.AUTO, { onWorkerDied }));
+    await sfu.start();
+    await sfu.getRtpCapabilities('room-1');
+
+    worker.emit('died', new Error('killed'));
+
+    expect(onWorkerDied).toHaveBeenCalledTimes(1);
+    expect(sfu.mode).toBe(SFU_MODES.OFF);
+    expect(sfu.rooms.size).toBe(0);
+    expect(sfu.modeFor(10)).toBe(MEDIA_MODES.MESH);
+  });
+
+  test('stops the worker', async () => {
+    const sfu = new SfuService(config(SFU_MODES.ALWAYS));
+    await sfu.start();
+    sfu.stop();
+
+    expect(worker.close).toHaveBeenCalled();
+    expect(sfu.modeFor(10)).toBe(MEDIA_MODES.MESH);
+  });
+});
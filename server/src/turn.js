@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const logger = require('./utils/logger');
+
+// Where the relay comes from
+const TURN_MODES = {
+  OFF: 'off', // No relay; peers on the same network connect directly
+  EMBEDDED: 'embedded', // STUN/TURN relay running inside this server process
+  EXTERNAL: 'external' // Companion relay such as coturn with `use-auth-secret`
+};
+
+const TURN_REALM = 'secure-voice-chat';
+
+/**
+ * Split a comma-separated configuration value
+ * @param {string} [value] - Raw value from the environment
+ * @returns {Array<string>} Non-empty entries
+ */
+function parseList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * STUN/TURN relay and its time-limited credentials
+ *
+ * Credentials follow the TURN REST API convention: the username is
+ * "<expiry in unix seconds>:<user>" and the password is
+ * base64(HMAC-SHA1(secret, username)). A companion coturn configured with the
+ * same secret checks them on its own; the embedded relay is told about each
+ * credential and forgets it when it expires.
+ */
+class TurnService {
+  /**
+   * @param {Object} config - Relay configuration
+   * @param {string} config.mode - One of TURN_MODES
+   * @param {string} config.secret - Shared secret for credentials
+   * @param {number} config.ttl - Credential lifetime in seconds
+   * @param {string} [config.host] - Host name clients use to reach the embedded relay
+   * @param {number} [config.port] - UDP port of the embedded relay
+   * @param {Array<string>} [config.urls] - STUN/TURN URLs of an external relay
+   * @param {Object} [config.relay] - Extra options for the embedded relay (listeningIps, relayIps, externalIps, minPort, maxPort); omitted keys use the relay's defaults
+   */
+  constructor(config) {
+    this.mode = config.mode;
+    this.secret = config.secret;
+    this.ttl = config.ttl;
+    this.host = config.host || null;
+    this.port = config.port;
+    this.urls = config.urls || [];
+    this.relayOptions = Object.fromEntries(
+      Object.entries(config.relay || {}).filter(([, value]) => value !== undefined)
+    );
+    this.server = null;
+  }
+
+  /**
+   * Start the embedded relay, if configured
+   * Without a relay, calls still work between peers that can reach each other directly.
+   */
+  start() {
+    if (this.mode !== TURN_MODES.EMBEDDED) {
+      return;
+    }
+
+    try {
+      const Turn = require('node-turn');
+
+      this.server = new Turn({
+        ...this.relayOptions,
+        listeningPort: this.port,
+        authMech: 'long-term',
+        credentials: {},
+        realm: TURN_REALM,
+        debugLevel: 'ERROR',
+        log: message => logger.warn(`TURN: ${message}`)
+      });
+      this.server.start();
+
+      logger.info(`Embedded STUN/TURN relay listening on UDP port ${this.port}`);
+    } catch (err) {
+      logger.error(`Could not start the embedded TURN relay: ${err.message}`);
+      this.server = null;
+      this.mode = TURN_MODES.OFF;
+    }
+  }
+
+  /**
+   * Stop the embedded relay
+   */
+  stop() {
+    if (this.server) {
+      this.server.stop();
+      this.server = null;
+    }
+  }
+
+  /**
+   * ICE servers for one client, with fresh credentials
+   * @param {string} user - Authenticated username, for the relay's logs
+   * @param {string} [requestHost] - Host header the client reached the signaling server with
+   * @returns {{ iceServers: Array<Object>, expiresAt: number|null }} RTCIceServer list and credential expiry in ms
+   */
+  getIceServers(user, requestHost) {
+    const urls = this._urlsFor(requestHost);
+
+    if (urls.length === 0) {
+      return { iceServers: [], expiresAt: null };
+    }
+
+    const expiresAt = Math.floor(Date.now() / 1000) + this.ttl;
+    const username = `${expiresAt}:${user}`;
+    const credential = crypto.createHmac('sha1', this.secret).update(username).digest('base64');
+
+    if (this.server) {
+      this.server.addUser(username, credential);
+
+      // Allocations made in time keep working; new ones need new credentials
+      setTimeout(() => this.server && this.server.removeUser(username), this.ttl * 1000).unref();
+    }
+
+    return {
+      iceServers: [{ urls, username, credential }],
+      expiresAt: expiresAt * 1000
+    };
+  }
+
+  /**
+   * Relay URLs as seen from the client
+   * The embedded relay is on the signaling server's host unless TURN_HOST says otherwise
+   * @param {string} [requestHost] - Host header from the client's handshake
+   * @returns {Array<string>} STUN and TURN URLs
+   * @private
+   */
+  _urlsFor(requestHost) {
+    if (this.mode === TURN_MODES.EXTERNAL) {
+      return this.urls;
+    }
+
+    if (this.mode !== TURN_MODES.EMBEDDED || !this.server) {
+      return [];
+    }
+
+    let host = this.host;
+
+    if (!host && requestHost) {
+      try {
+        host = new URL(`http://${requestHost}`).hostname;
+      } catch (err) {
+        host = null;
+      }
+    }
+
+    if (!host) {
+      return [];
+    }
+
+    return [
+      `stun:${host}:${this.port}`,
+      `turn:${host}:${this.port}?transport=udp`
+    ];
+  }
+}
+
+module.exports = {
+  TURN_MODES,
+  TurnService,
+  parseList
+};
@@ -0,0 +1,116 @@
+jest.mock('./utils/logger');
+jest.mock('node-turn', () => jest.fn().mockImplementation(() => ({
+  start: jest.fn(),
+  stop: jest.fn(),
+  addUser: jest.fn(),
+  removeUser: jest.fn()
+})));
+
+const crypto = require('crypto');
+const Turn = require('node-turn');
+const { TURN_MODES, TurnService, parseList } = require('./turn');
+
+const SECRET = 'turn-secret';
+const TTL = 600;
+
+const expectedCredential = (username) => crypto.createHmac('sha1', SECRET).update(username).digest('base64');
+
+describe('parseList', () => {
+  test('splits and trims comma-separated values', () => {
+    expect(parseList(' turn:a:3478 , ,stun:b:3478')).toEqual(['turn:a:3478', 'stun:b:3478']);
+    expect(parseList(undefined)).toEqual([]);
+  });
+});
+
+describe('TurnService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T12:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('hands out nothing without a relay', () => {
+    const turn = new TurnService({ mode: TURN_MODES.OFF, secret: SECRET, ttl: TTL });
+    turn.start();
+
+    expect(turn.getIceServers('alice', 'example.org')).toEqual({ iceServers: [], expiresAt: null });
+    expect(Turn).not.toHaveBeenCalled();
+  });
+
+  test('signs REST API credentials for an external relay', () => {
+    const urls = ['turn:relay.example.org:3478'];
+    const turn = new TurnService({ mode: TURN_MODES.EXTERNAL, secret: SECRET, ttl: TTL, urls });
+    const { iceServers, expiresAt } = turn.getIceServers('alice');
+    const expiry = Date.parse('2026-01-01T12:10:00Z') / 1000;
+
+    expect(expiresAt).toBe(expiry * 1000);
+    expect(iceServers).toEqual([{
+      urls,
+      username: `${expiry}:alice`,
+      credential: expectedCredential(`${expiry}:alice`)
+    }]);
+  });
+
+  describe('embedded relay', () => {
+    const config = { mode: TURN_MODES.EMBEDDED, secret: SECRET, ttl: TTL, port: 3478 };
+
+    test('points clients at the host they reached the server on', () => {
+      const turn = new TurnService(config);
+      turn.start();
+
+      expect(turn.getIceServers('alice', '192.168.1.20:3001').iceServers[0].urls).toEqual([
+        'stun:192.168.1.20:3478',
+        'turn:192.168.1.20:3478?transport=udp'
+      ]);
+    });
+
+    test('prefers the configured host', () => {
+      const turn = new TurnService({ ...config, host: 'turn.lan' });
+      turn.start();
+
+      expect(turn.getIceServers('alice', '192.168.1.20:3001').iceServers[0].urls[0]).toBe('stun:turn.lan:3478');
+    });
+
+    test('tells the relay about each credential until it expires', () => {
+      const turn = new TurnService(config);
+      turn.start();
+
+      const { username, credential } = turn.getIceServers('alice', 'lan-host').iceServers[0];
+
+      expect(turn.server.addUser).toHaveBeenCalledWith(username, credential);
+      expect(credential).toBe(expectedCredential(username));
+
+      jest.advanceTimersByTime(TTL * 1000);
+      expect(turn.server.removeUser).toHaveBeenCalledWith(username);
+    });
+
+    test('passes relay options through, leaving out unset ones', () => {
+      new TurnService({ ...config, relay: { minPort: 49152, maxPort: undefined } }).start();
+
+      const options = Turn.mock.calls[Turn.mock.calls.length - 1][0];
+      expect(options).toMatchObject({ minPort: 49152, listeningPort: 3478, authMech: 'long-term' });
+      expect(options).not.toHaveProperty('maxPort');
+    });
+
+    test('falls back to no relay when it cannot start', () => {
+      Turn.mockImplementationOnce(() => {
+        throw new Error('EADDRINUSE');
+      });
+
+      const turn = new TurnService(config);
+      turn.start();
+
+      expect(turn.mode).toBe(TURN_MODES.OFF);
+      expect(turn.getIceServers('alice', 'lan-host').iceServers).toEqual([]);
+    });
+
+    test('hands out nothing without a host to point at', () => {
+      const turn = new TurnService(config);
+      turn.start();
+
+      expect(turn.getIceServers('alice').iceServers).toEqual([]);
+    });
+  });
+});